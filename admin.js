@@ -0,0 +1,412 @@
+// admin.js
+// Order dashboard for admin.html. Talks to the api/admin/* routes with
+// the token Kelley signs in with (ADMIN_TOKEN in Vercel); the token is
+// kept in sessionStorage, so it's forgotten when the tab closes.
+
+const VERCEL_API_BASE = "https://kellyscandles-vercel.vercel.app";
+const ADMIN_TOKEN_KEY = 'kellys_admin_token_v1';
+
+const STATUS_LABELS = {
+	awaiting_payment: 'Awaiting payment',
+	payment_failed: 'Payment failed',
+	paid: 'Paid',
+	awaiting_pickup: 'Awaiting pickup',
+	address_review: 'Address review',
+	label_created: 'Label created',
+	label_failed: 'Label failed',
+	shipped: 'Shipped',
+	in_transit: 'In transit',
+	out_for_delivery: 'Out for delivery',
+	exception: 'Delivery problem',
+	delivered: 'Delivered',
+	picked_up: 'Picked up',
+	disputed: 'Disputed',
+	refunded: 'Refunded',
+	canceled: 'Canceled'
+};
+
+function escapeHtml(str) {
+	return String(str ?? '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+function moneyPretty(cents, currency) {
+	const cur = (currency || 'usd').toUpperCase();
+	return new Intl.NumberFormat('en-US', { style: 'currency', currency: cur }).format((Number(cents) || 0) / 100);
+}
+
+function formatDate(iso) {
+	if (!iso) return '';
+	return new Date(iso).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function addrToLines(addr) {
+	if (!addr) return [];
+	return [
+		addr.line1,
+		addr.line2,
+		`${addr.city || ''}${addr.city ? ',' : ''} ${addr.state || ''} ${addr.postal_code || ''}`.trim(),
+		addr.country
+	].filter(Boolean);
+}
+
+/* ---------- AUTH + API ---------- */
+
+function getToken() {
+	try { return sessionStorage.getItem(ADMIN_TOKEN_KEY) || ''; } catch (e) { return ''; }
+}
+
+function setToken(token) {
+	try {
+		if (token) sessionStorage.setItem(ADMIN_TOKEN_KEY, token);
+		else sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+	} catch (e) {}
+}
+
+async function adminFetch(path, { method = 'GET', body } = {}) {
+	const res = await fetch(`${VERCEL_API_BASE}/api/admin/${path}`, {
+		method,
+		headers: {
+			'Authorization': `Bearer ${getToken()}`,
+			...(body ? { 'Content-Type': 'application/json' } : {})
+		},
+		body: body ? JSON.stringify(body) : undefined
+	});
+	const data = await res.json().catch(() => ({}));
+	if (res.status === 401) {
+		setToken('');
+		showLogin('Your session ended. Please sign in again.');
+	}
+	if (!res.ok) {
+		const err = new Error(data.error || 'Request failed (' + res.status + ')');
+		err.code = data.code;
+		throw err;
+	}
+	return data;
+}
+
+function showLogin(message) {
+	document.getElementById('admin-login').hidden = false;
+	document.getElementById('admin-dashboard').hidden = true;
+	document.getElementById('admin-logout').hidden = true;
+	document.getElementById('admin-login-error').textContent = message || '';
+}
+
+function showDashboard() {
+	document.getElementById('admin-login').hidden = true;
+	document.getElementById('admin-dashboard').hidden = false;
+	document.getElementById('admin-logout').hidden = false;
+}
+
+/* ---------- ORDER LIST ---------- */
+
+let adminOrders = [];
+
+function currentFilters() {
+	return {
+		status: document.getElementById('filter-status').value,
+		from: document.getElementById('filter-from').value,
+		to: document.getElementById('filter-to').value,
+		scent: document.getElementById('filter-scent').value.trim(),
+		q: document.getElementById('filter-q').value.trim()
+	};
+}
+
+async function loadOrders() {
+	const statusEl = document.getElementById('admin-status');
+	statusEl.textContent = 'Loading orders…';
+	const params = new URLSearchParams();
+	for (const [key, value] of Object.entries(currentFilters())) {
+		if (value) params.set(key, value);
+	}
+	try {
+		const data = await adminFetch('orders?' + params.toString());
+		adminOrders = data.orders || [];
+		statusEl.textContent = data.total > adminOrders.length
+			? `Showing the newest ${adminOrders.length} of ${data.total} orders`
+			: `${data.total} order${data.total === 1 ? '' : 's'}`;
+		renderOrders();
+	} catch (err) {
+		statusEl.textContent = 'Could not load orders: ' + err.message;
+	}
+}
+
+function renderOrders() {
+	const list = document.getElementById('admin-orders');
+	list.innerHTML = adminOrders.map(renderOrder).join('') || '<p>No orders match these filters.</p>';
+}
+
+function replaceOrder(order) {
+	const i = adminOrders.findIndex(o => o.id === order.id);
+	if (i !== -1) adminOrders[i] = order;
+	const el = document.querySelector(`.admin-order[data-id="${CSS.escape(order.id)}"]`);
+	if (el) {
+		el.outerHTML = renderOrder(order);
+		const fresh = document.querySelector(`.admin-order[data-id="${CSS.escape(order.id)}"]`);
+		if (fresh) fresh.open = true;
+		return fresh;
+	}
+	return null;
+}
+
+function renderOrder(order) {
+	const currency = order.totals?.currency;
+	const items = (order.items || []).map(l => `
+		<tr>
+			<td>${escapeHtml(l.name)}${l.components?.length
+				? `<div class="admin-muted">Includes: ${escapeHtml(l.components.map(c => `${c.qty}x ${c.name} • ${c.size}`).join(', '))}</div>`
+				: ''}</td>
+			<td>${escapeHtml(l.qty)}</td>
+			<td>${escapeHtml(moneyPretty(l.line, currency))}</td>
+		</tr>`).join('');
+
+	const destination = order.fulfillment === 'pickup'
+		? `<p><strong>Local pickup:</strong> ${escapeHtml(order.pickup ? `${order.pickup.location} — ${order.pickup.window}` : 'slot not recorded')}</p>`
+		: `<p><strong>Ship to:</strong><br>${[order.customer?.name, ...addrToLines(order.shippingAddress)].filter(Boolean).map(escapeHtml).join('<br>') || 'N/A'}</p>`;
+
+	const shipments = (order.shipments || []).map(s => `
+		<li>
+			${escapeHtml(s.carrier)} ${escapeHtml(s.service)} ${s.box ? `(${escapeHtml(s.box)} box)` : ''} —
+			${s.trackingUrl ? `<a href="${escapeHtml(s.trackingUrl)}" target="_blank" rel="noopener">${escapeHtml(s.trackingCode)}</a>` : escapeHtml(s.trackingCode)}
+			${s.tracking ? `<span class="admin-muted">${escapeHtml((s.tracking.statusDetail || s.tracking.status).replace(/_/g, ' '))}</span>` : ''}
+			${s.refundStatus
+				? `<span class="admin-muted">label voided (${escapeHtml(s.refundStatus)})</span>`
+				: `${s.labelUrl ? `<a href="${escapeHtml(s.labelUrl)}" target="_blank" rel="noopener">Label</a>` : ''}
+					<button type="button" class="admin-link-btn" data-action="reprint" data-shipment="${escapeHtml(s.shipmentId)}" data-format="PDF">Reprint PDF</button>
+					<button type="button" class="admin-link-btn" data-action="reprint" data-shipment="${escapeHtml(s.shipmentId)}" data-format="ZPL">ZPL</button>`}
+		</li>`).join('');
+
+	const check = order.addressCheck;
+	const addressCheck = check?.status === 'failed'
+		? `<p class="admin-error">USPS couldn't verify this address${check.errors?.length ? ': ' + escapeHtml(check.errors.join('; ')) : ''}. Confirm it with the customer, then buy a new label below.</p>`
+		: check?.status === 'corrected'
+			? `<p class="admin-muted">USPS corrected the ${escapeHtml(check.changes.join(', ').replace('postal_code', 'ZIP'))}.</p>`
+			: '';
+
+	const history = (order.statusHistory || []).map(h =>
+		`<li>${escapeHtml(formatDate(h.at))} — ${escapeHtml(STATUS_LABELS[h.status] || h.status)}${h.note ? `: ${escapeHtml(h.note)}` : ''}</li>`
+	).join('');
+
+	const notes = (order.notes || []).map(n =>
+		`<li><span class="admin-muted">${escapeHtml(formatDate(n.at))}</span> ${escapeHtml(n.text)}</li>`
+	).join('');
+
+	const canShip = !['shipped', 'in_transit', 'out_for_delivery', 'exception', 'delivered', 'picked_up', 'refunded', 'canceled', 'payment_failed', 'awaiting_payment'].includes(order.status);
+
+	return `
+	<details class="admin-order" data-id="${escapeHtml(order.id)}">
+		<summary>
+			<span>${escapeHtml(formatDate(order.createdAt))}</span>
+			<span>${escapeHtml(order.customer?.name || order.customer?.email || 'Unknown customer')}</span>
+			<span class="admin-badge admin-badge-${escapeHtml(order.status)}">${escapeHtml(STATUS_LABELS[order.status] || order.status)}</span>
+			<span>${escapeHtml(moneyPretty(order.totals?.total, currency))}</span>
+		</summary>
+		<div class="admin-order-body">
+			<p class="admin-muted">Order ${escapeHtml(order.id)} · ${escapeHtml(order.customer?.email)} ${order.customer?.phone ? '· ' + escapeHtml(order.customer.phone) : ''}</p>
+			<table class="admin-items"><tbody>${items || '<tr><td>No items recorded</td></tr>'}</tbody></table>
+			<p>${escapeHtml(order.shippingMethod)} ${order.promoCode ? `· code ${escapeHtml(order.promoCode)}` : ''}</p>
+			${order.refundedCents ? `<p class="admin-muted">Refunded so far: ${escapeHtml(moneyPretty(order.refundedCents, currency))}</p>` : ''}
+			${destination}
+			${addressCheck}
+			${order.shippingError ? `<p class="admin-error">Label problem: ${escapeHtml(order.shippingError)}</p>` : ''}
+			${shipments ? `<h4>Labels</h4><ul>${shipments}</ul>` : ''}
+			${order.dispute ? `<p class="admin-error">Disputed (${escapeHtml(order.dispute.reason)}) — respond by ${escapeHtml(formatDate(order.dispute.dueBy))}</p>` : ''}
+			<h4>History</h4>
+			<ul>${history}</ul>
+			<h4>Notes</h4>
+			<ul>${notes || '<li class="admin-muted">No notes yet</li>'}</ul>
+			<form class="admin-note-form" data-action="note">
+				<input type="text" name="text" placeholder="Add an internal note" maxlength="2000" required>
+				<button type="submit" class="btn small">Add note</button>
+			</form>
+			<div class="admin-actions">
+				${canShip ? `<button type="button" class="btn small" data-action="ship">Mark ${order.fulfillment === 'pickup' ? 'picked up' : 'shipped'}</button>` : ''}
+			</div>
+			${canShip && order.fulfillment !== 'pickup' ? renderRelabelForm(order) : ''}
+			<p class="admin-order-msg" role="status"></p>
+		</div>
+	</details>`;
+}
+
+// Address correction + new label (api/admin/relabel)
+function renderRelabelForm(order) {
+	const addr = order.shippingAddress || {};
+	const input = (name, label, value, extra = '') =>
+		`<label>${label} <input name="${name}" value="${escapeHtml(value || '')}" ${extra}></label>`;
+	return `
+			<details class="admin-relabel">
+				<summary>Fix address / buy new label</summary>
+				<form class="admin-relabel-form" data-action="relabel">
+					${input('name', 'Name', order.customer?.name)}
+					${input('line1', 'Address', addr.line1, 'required')}
+					${input('line2', 'Apt / suite', addr.line2)}
+					${input('city', 'City', addr.city, 'required')}
+					${input('state', 'State', addr.state, 'required maxlength="2"')}
+					${input('postal_code', 'ZIP', addr.postal_code, 'required')}
+					<label class="admin-check"><input type="checkbox" name="notify" checked> Email the customer the new tracking</label>
+					<label class="admin-check"><input type="checkbox" name="skipVerify"> Skip USPS verification (address confirmed with the customer)</label>
+					<p class="admin-muted">Active labels on this order are voided and new postage is bought.</p>
+					<button type="submit" class="btn small">Buy new label</button>
+				</form>
+			</details>`;
+}
+
+/* ---------- ORDER ACTIONS ---------- */
+
+async function runOrderAction(orderEl, action, data) {
+	const msg = orderEl.querySelector('.admin-order-msg');
+	const id = orderEl.dataset.id;
+	if (msg) msg.textContent = 'Working…';
+	try {
+		if (action === 'reprint') {
+			const res = await adminFetch('reprint-label', { method: 'POST', body: { id, shipmentId: data.shipment, format: data.format } });
+			// A link, not window.open: popup blockers stop tabs opened after an await
+			if (msg) msg.innerHTML = `<a href="${escapeHtml(res.labelUrl)}" target="_blank" rel="noopener">Open ${escapeHtml(res.format)} label</a>`;
+			return;
+		}
+		if (action === 'ship') {
+			const res = await adminFetch('mark-shipped', { method: 'POST', body: { id } });
+			replaceOrder(res.order);
+			return;
+		}
+		if (action === 'relabel') {
+			const res = await adminFetch('relabel', { method: 'POST', body: { id, address: data.address, notifyCustomer: data.notify, skipVerification: data.skipVerify } });
+			const fresh = replaceOrder(res.order);
+			const freshMsg = fresh && fresh.querySelector('.admin-order-msg');
+			if (freshMsg) {
+				freshMsg.textContent = res.error
+					? 'Label purchase failed: ' + res.error
+					: 'New label bought' + (res.customerNotified ? ' — customer emailed.' : '.') +
+						(res.storeNotified ? '' : ' The label email wasn\'t sent; print it from EasyPost.');
+			}
+			return;
+		}
+		if (action === 'note') {
+			const res = await adminFetch('add-note', { method: 'POST', body: { id, text: data.text } });
+			replaceOrder(res.order);
+		}
+	} catch (err) {
+		if (msg) msg.textContent = err.message;
+	}
+}
+
+/* ---------- BATCH LABELS + PICK LIST ---------- */
+
+const BATCH_POLL_MS = 3000;
+const BATCH_MAX_POLLS = 40;
+
+async function printAllLabels(format) {
+	const statusEl = document.getElementById('admin-batch-status');
+	statusEl.textContent = `Gathering ${format} labels…`;
+	try {
+		let batch = await adminFetch('label-batch', { method: 'POST', body: { format } });
+		const count = `${batch.labelCount} label${batch.labelCount === 1 ? '' : 's'} from ${batch.orderCount} order${batch.orderCount === 1 ? '' : 's'}`;
+		for (let i = 0; !batch.labelUrl && i < BATCH_MAX_POLLS; i++) {
+			statusEl.textContent = `EasyPost is building the ${format} (${count})…`;
+			await new Promise(r => setTimeout(r, BATCH_POLL_MS));
+			batch = { ...batch, ...(await adminFetch(`label-batch?batchId=${encodeURIComponent(batch.batchId)}&format=${format}`)) };
+		}
+		statusEl.innerHTML = batch.labelUrl
+			? `<a href="${escapeHtml(batch.labelUrl)}" target="_blank" rel="noopener">Open ${escapeHtml(format)}</a> (${escapeHtml(count)})`
+			: `Still building — batch ${escapeHtml(batch.batchId)} will appear in the EasyPost dashboard.`;
+	} catch (err) {
+		statusEl.textContent = err.message;
+	}
+}
+
+async function showPickList() {
+	const section = document.getElementById('admin-picklist');
+	const { from, to } = currentFilters();
+	const params = new URLSearchParams();
+	if (from) params.set('from', from);
+	if (to) params.set('to', to);
+	section.hidden = false;
+	section.textContent = 'Building pick list…';
+	try {
+		const data = await adminFetch('pick-list?' + params.toString());
+		const rows = data.rows.map(r => `
+			<tr>
+				<td>${escapeHtml(r.scent)}</td>
+				<td>${escapeHtml(r.size)}</td>
+				<td class="admin-picklist-qty">× ${escapeHtml(r.qty)}</td>
+				<td class="admin-muted">${escapeHtml(r.orders)} order${r.orders === 1 ? '' : 's'}</td>
+			</tr>`).join('');
+		section.innerHTML = `
+			<h3>Pick list — ${escapeHtml(formatDate(data.generatedAt))}</h3>
+			<p class="admin-muted">${escapeHtml(data.totalUnits)} items for ${escapeHtml(data.orderCount)} open order${data.orderCount === 1 ? '' : 's'}</p>
+			<table class="admin-items"><tbody>${rows || '<tr><td>Nothing to pick</td></tr>'}</tbody></table>
+			<p class="admin-actions">
+				<button type="button" class="btn small" id="admin-picklist-print">Print</button>
+				<button type="button" class="admin-link-btn" id="admin-picklist-close">Close</button>
+			</p>`;
+	} catch (err) {
+		section.textContent = 'Could not build the pick list: ' + err.message;
+	}
+}
+
+function initAdmin() {
+	document.getElementById('admin-login').addEventListener('submit', async (e) => {
+		e.preventDefault();
+		const input = document.getElementById('admin-token');
+		setToken(input.value.trim());
+		input.value = '';
+		showDashboard();
+		loadOrders();
+	});
+
+	document.getElementById('admin-logout').addEventListener('click', () => {
+		setToken('');
+		showLogin();
+	});
+
+	document.getElementById('admin-filters').addEventListener('submit', (e) => {
+		e.preventDefault();
+		loadOrders();
+	});
+
+	document.getElementById('admin-print-pdf').addEventListener('click', () => printAllLabels('PDF'));
+	document.getElementById('admin-print-zpl').addEventListener('click', () => printAllLabels('ZPL'));
+	document.getElementById('admin-picklist-btn').addEventListener('click', showPickList);
+	document.getElementById('admin-picklist').addEventListener('click', (e) => {
+		if (e.target.id === 'admin-picklist-print') {
+			document.body.classList.add('printing-picklist');
+			window.print();
+			document.body.classList.remove('printing-picklist');
+		}
+		if (e.target.id === 'admin-picklist-close') e.currentTarget.hidden = true;
+	});
+
+	const list = document.getElementById('admin-orders');
+	list.addEventListener('click', (e) => {
+		const btn = e.target.closest('button[data-action]');
+		if (!btn) return;
+		runOrderAction(btn.closest('.admin-order'), btn.dataset.action, btn.dataset);
+	});
+	list.addEventListener('submit', (e) => {
+		const form = e.target.closest('form[data-action]');
+		if (!form) return;
+		e.preventDefault();
+		if (form.dataset.action === 'note') {
+			runOrderAction(form.closest('.admin-order'), 'note', { text: form.elements.text.value });
+			return;
+		}
+		if (form.dataset.action === 'relabel') {
+			if (!confirm('Void the current label(s) and buy new postage?')) return;
+			const fields = ['name', 'line1', 'line2', 'city', 'state', 'postal_code'];
+			const address = Object.fromEntries(fields.map(f => [f, form.elements[f].value]));
+			runOrderAction(form.closest('.admin-order'), 'relabel', { address, notify: form.elements.notify.checked, skipVerify: form.elements.skipVerify.checked });
+		}
+	});
+
+	if (getToken()) {
+		showDashboard();
+		loadOrders();
+	} else {
+		showLogin();
+	}
+}
+
+document.addEventListener('DOMContentLoaded', initAdmin);
@@ -0,0 +1,33 @@
+// api/admin/add-note.js
+// Internal notes on an order (never shown to the customer).
+export const config = { runtime: "nodejs" };
+import { updateOrder } from "../lib/orders.js";
+import { setAdminCors, requireAdmin, sendAdminError, adminError } from "../lib/admin-auth.js";
+
+const MAX_NOTE_LENGTH = 2000;
+
+export default async function handler(req, res) {
+  setAdminCors(req, res, "POST, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    requireAdmin(req);
+
+    const { id, text } = req.body || {};
+    const note = String(text || "").trim().slice(0, MAX_NOTE_LENGTH);
+    if (!note) throw adminError(400, "EMPTY_NOTE", "Note is empty");
+
+    const order = await updateOrder(String(id || ""), (o) => {
+      o.notes = [...(o.notes || []), { at: new Date().toISOString(), text: note }];
+    });
+    if (!order) throw adminError(404, "ORDER_NOT_FOUND", "Order not found");
+
+    return res.status(200).json({ order });
+  } catch (err) {
+    return sendAdminError(res, err, "admin/add-note");
+  }
+}
@@ -0,0 +1,97 @@
+// api/admin/label-batch.js
+// One printable file for every open order's labels.
+//
+//   POST { format: "PDF"|"ZPL", orderIds? }  start a batch (all orders with
+//                                            labels that haven't shipped when
+//                                            orderIds is omitted)
+//   GET  ?batchId=…&format=…                 check on a batch still building
+//
+// EasyPost builds the file in the background; when it isn't ready within
+// a few seconds the response has labelUrl: null and admin.html polls GET.
+export const config = { runtime: "nodejs" };
+import { listOrders, getOrder, updateOrder } from "../lib/orders.js";
+import { createLabelBatch, getLabelBatch } from "../lib/easypost.js";
+import { setAdminCors, requireAdmin, sendAdminError, adminError } from "../lib/admin-auth.js";
+
+const FORMATS = ["PDF", "ZPL"];
+
+function parseFormat(value) {
+  const fmt = String(value || "PDF").toUpperCase();
+  if (!FORMATS.includes(fmt)) {
+    throw adminError(400, "BAD_FORMAT", `Format must be one of ${FORMATS.join(", ")}`);
+  }
+  return fmt;
+}
+
+async function ordersToPrint(orderIds) {
+  if (Array.isArray(orderIds) && orderIds.length) {
+    const orders = await Promise.all(orderIds.slice(0, 200).map((id) => getOrder(String(id))));
+    return orders.filter((o) => o && o.status === "label_created");
+  }
+  return listOrders({ status: "label_created" });
+}
+
+export default async function handler(req, res) {
+  setAdminCors(req, res, "GET, POST, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    requireAdmin(req);
+
+    if (req.method === "GET") {
+      const batchId = String(req.query.batchId || "");
+      if (!batchId) throw adminError(400, "MISSING_BATCH", "Missing batchId");
+      return res.status(200).json(await getLabelBatch(batchId, parseFormat(req.query.format)));
+    }
+
+    const { format, orderIds } = req.body || {};
+    const fmt = parseFormat(format);
+    const orders = await ordersToPrint(orderIds);
+    const shipments = orders.flatMap((o) =>
+      (o.shipments || [])
+        .filter((s) => s.shipmentId && !s.refundStatus)
+        .map((s) => ({ orderId: o.id, shipmentId: s.shipmentId }))
+    );
+    if (!shipments.length) {
+      throw adminError(404, "NOTHING_TO_PRINT", "No unshipped orders have labels to print");
+    }
+
+    let batch;
+    try {
+      batch = await createLabelBatch(shipments.map((s) => s.shipmentId), fmt);
+    } catch (err) {
+      console.error("[admin/label-batch] EasyPost error:", err.message);
+      throw adminError(502, "BATCH_FAILED", `EasyPost: ${err.message}`);
+    }
+
+    // Remember which batch each label went out in
+    for (const order of orders) {
+      await updateOrder(order.id, (o) => {
+        for (const s of o.shipments || []) {
+          if (shipments.some((x) => x.shipmentId === s.shipmentId)) s.batchId = batch.batchId;
+        }
+      });
+    }
+
+    console.log("[admin/label-batch] created", {
+      batchId: batch.batchId,
+      format: fmt,
+      orders: orders.length,
+      labels: shipments.length,
+      ready: !!batch.labelUrl,
+    });
+
+    return res.status(200).json({
+      ...batch,
+      format: fmt,
+      orderCount: orders.length,
+      labelCount: shipments.length,
+    });
+  } catch (err) {
+    return sendAdminError(res, err, "admin/label-batch");
+  }
+}
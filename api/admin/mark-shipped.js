@@ -0,0 +1,38 @@
+// api/admin/mark-shipped.js
+// Mark an order shipped (or picked up, for local pickup orders).
+export const config = { runtime: "nodejs" };
+import { getOrder, setOrderStatus, isUnshipped } from "../lib/orders.js";
+import { setAdminCors, requireAdmin, sendAdminError, adminError } from "../lib/admin-auth.js";
+
+export default async function handler(req, res) {
+  setAdminCors(req, res, "POST, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    requireAdmin(req);
+
+    const { id, note } = req.body || {};
+    const order = await getOrder(String(id || ""));
+    if (!order) throw adminError(404, "ORDER_NOT_FOUND", "Order not found");
+    if (["refunded", "canceled", "payment_failed", "awaiting_payment"].includes(order.status)) {
+      throw adminError(409, "ORDER_NOT_SHIPPABLE", `Order is ${order.status.replace(/_/g, " ")}`);
+    }
+    // Carrier scans already moved it along; don't step the status back
+    if (!isUnshipped(order)) {
+      throw adminError(409, "ALREADY_SHIPPED", "Order has already shipped");
+    }
+
+    const updated = await setOrderStatus(
+      order.id,
+      order.fulfillment === "pickup" ? "picked_up" : "shipped",
+      { note: String(note || "").trim().slice(0, 500) || "Marked from admin" }
+    );
+    return res.status(200).json({ order: updated });
+  } catch (err) {
+    return sendAdminError(res, err, "admin/mark-shipped");
+  }
+}
@@ -0,0 +1,58 @@
+// api/admin/orders.js
+// Order list for admin.html. Filters: status (comma-separated), from / to
+// (YYYY-MM-DD, inclusive), scent (matches line items and bundle contents)
+// and q (order ID, customer name or email).
+export const config = { runtime: "nodejs" };
+import { listOrders } from "../lib/orders.js";
+import { setAdminCors, requireAdmin, sendAdminError, dayStart } from "../lib/admin-auth.js";
+
+const MAX_ORDERS = 500;
+
+function matchesScent(order, scent) {
+  const names = (order.items || []).flatMap((l) => [
+    l.name,
+    ...(l.components || []).map((c) => c.name),
+  ]);
+  return names.some((n) => String(n || "").toLowerCase().includes(scent));
+}
+
+function matchesQuery(order, q) {
+  return [order.id, order.customer?.name, order.customer?.email].some((v) =>
+    String(v || "").toLowerCase().includes(q)
+  );
+}
+
+export default async function handler(req, res) {
+  setAdminCors(req, res, "GET, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    requireAdmin(req);
+
+    const status = String(req.query.status || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    const scent = String(req.query.scent || "").trim().toLowerCase();
+    const q = String(req.query.q || "").trim().toLowerCase();
+
+    let orders = await listOrders({
+      status: status.length ? status : undefined,
+      since: dayStart(req.query.from),
+      until: dayStart(req.query.to, 1),
+    });
+    if (scent) orders = orders.filter((o) => matchesScent(o, scent));
+    if (q) orders = orders.filter((o) => matchesQuery(o, q));
+
+    return res.status(200).json({
+      total: orders.length,
+      orders: orders.slice(0, MAX_ORDERS),
+    });
+  } catch (err) {
+    return sendAdminError(res, err, "admin/orders");
+  }
+}
@@ -0,0 +1,38 @@
+// api/admin/pick-list.js
+// Scent × size totals for the open orders (or ?status=…, ?from / ?to as
+// in api/admin/orders), for pulling the day's pours in one pass.
+export const config = { runtime: "nodejs" };
+import { listOrders } from "../lib/orders.js";
+import { buildPickList, OPEN_STATUSES } from "../lib/pick-list.js";
+import { setAdminCors, requireAdmin, sendAdminError, dayStart } from "../lib/admin-auth.js";
+
+export default async function handler(req, res) {
+  setAdminCors(req, res, "GET, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    requireAdmin(req);
+
+    const status = String(req.query.status || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    const orders = await listOrders({
+      status: status.length ? status : OPEN_STATUSES,
+      since: dayStart(req.query.from),
+      until: dayStart(req.query.to, 1),
+    });
+
+    return res.status(200).json({
+      ...buildPickList(orders),
+      orderIds: orders.map((o) => o.id),
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (err) {
+    return sendAdminError(res, err, "admin/pick-list");
+  }
+}
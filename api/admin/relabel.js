@@ -0,0 +1,232 @@
+// api/admin/relabel.js
+// Buy new labels for an order that hasn't shipped — after a failed label
+// purchase, or with a corrected address. The address is verified with
+// USPS first (skipVerification: true when Kelley has confirmed it with
+// the customer); then the new labels are bought, and only once that
+// succeeds are labels still active on the order voided (they point at
+// the old address). The new tracking numbers are stored and the
+// customer gets an updated shipping notice.
+export const config = { runtime: "nodejs" };
+import { getOrder, updateOrder, setOrderStatus, isUnshipped } from "../lib/orders.js";
+import { createShipment, refundLabels, verifyAddress } from "../lib/easypost.js";
+import { itemsFromOrderLines } from "../lib/packing.js";
+import {
+  escapeHtml,
+  formatAddress,
+  downloadLabelAsBase64,
+  sendEmail,
+  emailSent,
+  storeSender,
+  customerSender,
+  buildItemsTable,
+  buildLabelHtml,
+  buildTrackingHtml,
+  buildStatusLinkHtml,
+} from "../lib/emails.js";
+import { setAdminCors, requireAdmin, sendAdminError, adminError } from "../lib/admin-auth.js";
+
+const ADDRESS_FIELDS = ["name", "line1", "line2", "city", "state", "postal_code", "country"];
+
+function present(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+// Corrected fields over what Stripe collected
+function mergeAddress(order, corrected) {
+  const current = { name: order.customer?.name || "", ...(order.shippingAddress || {}) };
+  const next = { ...current };
+  for (const field of ADDRESS_FIELDS) {
+    if (typeof corrected?.[field] === "string") next[field] = corrected[field].trim().slice(0, 100);
+  }
+  if (present(next.state)) next.state = next.state.toUpperCase();
+  next.country = (next.country || "US").toUpperCase();
+
+  const missing = ["line1", "city", "state", "postal_code"].filter((f) => !present(next[f]));
+  if (missing.length) {
+    throw adminError(400, "BAD_ADDRESS", `Address is missing ${missing.join(", ")}`);
+  }
+  return next;
+}
+
+export default async function handler(req, res) {
+  setAdminCors(req, res, "POST, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    requireAdmin(req);
+
+    const { id, address, service, notifyCustomer = true, skipVerification = false } = req.body || {};
+    const order = await getOrder(String(id || ""));
+    if (!order) throw adminError(404, "ORDER_NOT_FOUND", "Order not found");
+    if (order.fulfillment === "pickup") {
+      throw adminError(409, "PICKUP_ORDER", "Pickup orders don't need a label");
+    }
+    if (["refunded", "canceled", "payment_failed", "awaiting_payment"].includes(order.status)) {
+      throw adminError(409, "ORDER_NOT_SHIPPABLE", `Order is ${order.status.replace(/_/g, " ")}`);
+    }
+    if (!isUnshipped(order)) {
+      throw adminError(409, "ALREADY_SHIPPED", "Order has already shipped");
+    }
+
+    let toAddress = mergeAddress(order, address);
+    const addressChanged = formatAddress(toAddress) !== formatAddress(order.shippingAddress);
+
+    // Check before buying or voiding anything, so a typo costs nothing
+    const addressCheck = skipVerification ? null : await verifyAddress(toAddress);
+    if (addressCheck?.status === "failed") {
+      const held = await updateOrder(order.id, (o) => {
+        o.addressCheck = addressCheck;
+      });
+      return res.status(200).json({
+        order: held,
+        error: `Address could not be verified: ${addressCheck.errors.join("; ") || "undeliverable"}`,
+        addressCheck,
+        voided: [],
+        storeNotified: false,
+        customerNotified: false,
+      });
+    }
+    if (addressCheck?.address) toAddress = addressCheck.address;
+
+    const result = await createShipment({
+      toAddress: { ...toAddress, phone: order.customer?.phone || "" },
+      items: itemsFromOrderLines(order.items),
+      orderId: order.id,
+      // Keep the service the customer paid for unless told otherwise
+      service: String(service || order.shipments?.[0]?.service || ""),
+      verify: false, // done above
+    });
+    const packages = (result.packages || []).map((pkg) => ({ ...pkg, labelBase64: null }));
+    const shippingError = result.success ? null : result.error;
+
+    // Old labels point at the old address (or are a partial set); void them,
+    // but only once there's a new set, so a failed purchase leaves the
+    // order with labels it can still ship on
+    const activeIds = (order.shipments || [])
+      .filter((s) => s.shipmentId && !s.refundStatus)
+      .map((s) => s.shipmentId);
+    const voids = result.success && activeIds.length ? await refundLabels(activeIds) : [];
+
+    await updateOrder(order.id, (o) => {
+      for (const v of voids) {
+        const s = o.shipments.find((x) => x.shipmentId === v.shipmentId);
+        if (s && v.success) s.refundStatus = v.refundStatus;
+      }
+      o.shipments = [...o.shipments, ...packages.map(({ labelBase64, items, ...pkg }) => pkg)];
+      o.shippingError = shippingError;
+      o.addressCheck = addressCheck || { status: "skipped", errors: [], address: null, changes: [], checkedAt: new Date().toISOString() };
+      // Recipient name rides along with the address for the next relabel
+      o.shippingAddress = toAddress;
+    });
+    const updated = await setOrderStatus(
+      order.id,
+      packages.length && !shippingError ? "label_created" : "label_failed",
+      {
+        note: [
+          addressChanged ? "Address corrected" : "Label re-purchased",
+          ...(skipVerification ? ["verification skipped"] : []),
+          shippingError ? `label failed: ${shippingError}` : `${packages.length} new label(s)`,
+        ].join(" — "),
+      }
+    );
+
+    console.log("[admin/relabel] done", {
+      orderId: order.id,
+      addressChanged,
+      voided: voids.filter((v) => v.success).length,
+      trackingCodes: packages.map((p) => p.trackingCode),
+      error: shippingError,
+    });
+
+    // ----- STORE EMAIL (new labels to print) -----
+    for (const pkg of packages) {
+      if (pkg.labelUrl) pkg.labelBase64 = await downloadLabelAsBase64(pkg.labelUrl);
+    }
+    const failedVoids = voids.filter((v) => !v.success);
+    const storeResult = await sendEmail({
+      to: process.env.ORDER_NOTIFY_TO_EMAIL,
+      from: storeSender(),
+      subject: `New label${packages.length > 1 ? "s" : ""} — order ${order.id.slice(-8)}${
+        shippingError ? " (FAILED)" : ""
+      }`,
+      html: `
+        <div style="font-family: Arial, sans-serif; line-height: 1.4; max-width:680px;">
+          <h2 style="margin:0 0 8px;">${addressChanged ? "Address Corrected" : "Label Re-purchased"}</h2>
+          <p style="margin:0 0 6px;"><strong>Order ID:</strong> ${escapeHtml(order.id)}</p>
+          <pre style="white-space:pre-wrap;margin:0 0 10px;font-family:inherit;">${escapeHtml(
+            [toAddress.name, formatAddress(toAddress)].filter(Boolean).join("\n")
+          )}</pre>
+          ${voids.length ? `<p style="margin:0 0 6px;">Voided ${voids.length - failedVoids.length} old label(s).</p>` : ""}
+          ${
+            failedVoids.length
+              ? `<p style="margin:0 0 6px;color:#991b1b;">Could not void ${failedVoids
+                  .map((v) => escapeHtml(v.shipmentId))
+                  .join(", ")} — request the refund in the EasyPost dashboard and don't use the old label.</p>`
+              : ""
+          }
+          ${packages.map((pkg, i) => buildLabelHtml(pkg, i, packages.length)).join("")}
+          ${
+            shippingError
+              ? `<p style="margin:12px 0 0;color:#991b1b;"><strong>Label creation failed:</strong> ${escapeHtml(shippingError)}</p>`
+              : ""
+          }
+        </div>
+      `,
+    });
+
+    // ----- CUSTOMER EMAIL (updated shipping notice) -----
+    let customerNotified = false;
+    if (notifyCustomer && packages.length && !shippingError && order.customer?.email) {
+      const result = await sendEmail({
+        to: order.customer.email,
+        from: customerSender(),
+        subject: `Shipping update — Kelley's Candles (${order.id.slice(-8)})`,
+        html: `
+        <div style="font-family: Arial, sans-serif; line-height: 1.5; max-width:680px; margin:0 auto; color:#111;">
+          <h2 style="margin:0 0 8px;">Your shipping details were updated${
+            toAddress.name ? `, ${escapeHtml(toAddress.name)}` : ""
+          }</h2>
+          <p style="margin:0 0 14px;">
+            ${addressChanged ? "We've corrected the delivery address on your order" : "We've created a new shipping label for your order"}.
+            Please use the tracking ${packages.length > 1 ? "numbers" : "number"} below — any earlier one won't update.
+          </p>
+
+          <div style="padding:12px 14px; background:#f7f7f7; border-radius:12px; margin:14px 0;">
+            <p style="margin:0 0 6px;"><strong>Order ID:</strong> ${escapeHtml(order.id)}</p>
+            <p style="margin:0 0 6px;"><strong>Shipping to:</strong></p>
+            <pre style="white-space:pre-wrap;margin:0;font-family:inherit;">${escapeHtml(
+              [toAddress.name, formatAddress(toAddress)].filter(Boolean).join("\n")
+            )}</pre>
+          </div>
+
+          ${buildTrackingHtml(packages)}
+          ${buildStatusLinkHtml(order.id)}
+
+          <h3 style="margin:18px 0 8px;">Order summary</h3>
+          ${buildItemsTable(order.items, order.totals?.currency)}
+
+          <p style="margin:16px 0 0; font-size:12px; color:#666;">
+            Something still not right? Reply to this email and we'll help.
+          </p>
+        </div>
+      `,
+      });
+      customerNotified = emailSent(result);
+    }
+
+    return res.status(200).json({
+      order: updated,
+      error: shippingError,
+      addressCheck,
+      voided: voids,
+      storeNotified: emailSent(storeResult),
+      customerNotified,
+    });
+  } catch (err) {
+    return sendAdminError(res, err, "admin/relabel");
+  }
+}
@@ -0,0 +1,59 @@
+// api/admin/reprint-label.js
+// Fetch a bought label again, as PNG (what the order email embedded),
+// 4×6 PDF or ZPL for a thermal printer. No new postage is bought.
+export const config = { runtime: "nodejs" };
+import { getOrder, updateOrder } from "../lib/orders.js";
+import { getLabelUrl } from "../lib/easypost.js";
+import { setAdminCors, requireAdmin, sendAdminError, adminError } from "../lib/admin-auth.js";
+
+const FORMATS = ["PNG", "PDF", "ZPL"];
+
+export default async function handler(req, res) {
+  setAdminCors(req, res, "POST, OPTIONS");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    requireAdmin(req);
+
+    const { id, shipmentId, format } = req.body || {};
+    const fmt = String(format || "PDF").toUpperCase();
+    if (!FORMATS.includes(fmt)) {
+      throw adminError(400, "BAD_FORMAT", `Format must be one of ${FORMATS.join(", ")}`);
+    }
+
+    const order = await getOrder(String(id || ""));
+    if (!order) throw adminError(404, "ORDER_NOT_FOUND", "Order not found");
+    const shipment = (order.shipments || []).find((s) => s.shipmentId === shipmentId);
+    if (!shipment) throw adminError(404, "SHIPMENT_NOT_FOUND", "No such label on this order");
+    if (shipment.refundStatus) {
+      throw adminError(409, "LABEL_VOIDED", "This label was voided");
+    }
+
+    const cached = fmt === "PNG" ? shipment.labelUrl : shipment.labelUrls?.[fmt];
+    if (cached) return res.status(200).json({ labelUrl: cached, format: fmt });
+
+    let labelUrl;
+    try {
+      labelUrl = await getLabelUrl(shipment.shipmentId, fmt);
+    } catch (err) {
+      console.error("[admin/reprint-label] EasyPost error:", err.message);
+      throw adminError(502, "LABEL_FETCH_FAILED", `EasyPost: ${err.message}`);
+    }
+
+    // Remember converted formats so the next reprint is instant
+    if (fmt !== "PNG") {
+      await updateOrder(order.id, (o) => {
+        const s = o.shipments.find((x) => x.shipmentId === shipmentId);
+        if (s) s.labelUrls = { ...(s.labelUrls || {}), [fmt]: labelUrl };
+      });
+    }
+
+    return res.status(200).json({ labelUrl, format: fmt });
+  } catch (err) {
+    return sendAdminError(res, err, "admin/reprint-label");
+  }
+}
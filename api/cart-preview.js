@@ -0,0 +1,140 @@
+// api/cart-preview.js
+// Re-price the saved cart when the cart panel opens: every line is checked
+// against the current catalog and stock (removed, sold out, fewer left,
+// new price), and the totals — promo discount, cheapest shipping option
+// and a Stripe Tax estimate — are computed the way checkout will.
+// Checkout still re-validates everything itself.
+export const config = { runtime: "nodejs" };
+import Stripe from "stripe";
+import { getCatalog, reconcileCart, getSubtotal, expandItems } from "./lib/cart.js";
+import { getAvailability } from "./lib/stock.js";
+import { applyPromoCode } from "./lib/promotions.js";
+import { getShippingRules } from "./lib/shipping.js";
+import { getShippingOptions } from "./lib/carrier-rates.js";
+import { estimateTax } from "./lib/tax.js";
+
+
+const STRIPE_KEY =
+  process.env.NODE_ENV === "production"
+    ? process.env.STRIPE_LIVE_KEY
+    : process.env.STRIPE_SECRET_KEY;
+
+if (!STRIPE_KEY) {
+  throw new Error(
+    `[cart-preview] Missing Stripe key. ` +
+    `NODE_ENV=${process.env.NODE_ENV} — ` +
+    `set STRIPE_LIVE_KEY (production) or STRIPE_SECRET_KEY (development).`
+  );
+}
+
+const stripe = new Stripe(STRIPE_KEY, {
+  apiVersion: "2024-06-20",
+});
+
+
+// ✅ Allow list origins (match your create-checkout-session allowlist)
+const ALLOWED_ORIGINS = new Set([
+  "https://kelleyscandles.com",
+  "https://www.kelleyscandles.com",
+  "http://localhost:5500",
+  "http://127.0.0.1:5500",
+]);
+
+function setCors(req, res) {
+  const origin = req.headers.origin;
+
+  if (origin && ALLOWED_ORIGINS.has(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+  }
+
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Vary", "Origin");
+}
+
+export default async function handler(req, res) {
+  setCors(req, res);
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const { cart, state: rawState, zip, promoCode, fulfillment } = req.body || {};
+    const isPickup = fulfillment === "pickup";
+    const state = typeof rawState === "string" ? rawState.trim().toUpperCase().slice(0, 2) : "";
+
+    const snapshot = await getCatalog();
+    const catalog = snapshot.catalog;
+    const availability = await getAvailability(catalog);
+    const { lines, items } = reconcileCart(cart, catalog, availability);
+    const subtotal = getSubtotal(items);
+
+    // A bad code is reported but doesn't stop the preview
+    let promo = null;
+    let promoError = null;
+    if (promoCode && items.length) {
+      try {
+        promo = await applyPromoCode(promoCode, items);
+      } catch (err) {
+        if (!err.statusCode || err.statusCode >= 500) throw err;
+        promoError = err.message;
+      }
+    }
+    const discount = promo?.discountCents || 0;
+
+    let shipping = null;
+    if (items.length && !isPickup) {
+      const { quote, options } = await getShippingOptions({
+        rules: getShippingRules(),
+        items: expandItems(items, catalog),
+        subtotalCents: subtotal - discount,
+        state,
+        freeShippingCode: promo?.freeShipping ? promo.code : "",
+      });
+      // Cheapest option up front; the rest are upgrades offered in Checkout
+      const [cheapest] = [...options].sort((a, b) => a.amountCents - b.amountCents);
+      shipping = {
+        amount: cheapest.amountCents,
+        label: cheapest.label,
+        options: options.map((o) => ({ amount: o.amountCents, label: o.label })),
+        free: quote.free,
+        free_shipping_remaining: quote.freeShippingRemainingCents,
+      };
+    }
+    const shippingCents = shipping?.amount || 0;
+
+    const tax = await estimateTax(stripe, {
+      items,
+      discountCents: discount,
+      shippingCents,
+      postalCode: zip,
+      state,
+    });
+
+    return res.status(200).json({
+      lines,
+      ready: lines.length > 0 && lines.every((l) => l.status === "ok"),
+      subtotal,
+      promo: promo
+        ? { code: promo.code, description: promo.description, discount, free_shipping: promo.freeShipping }
+        : promoError
+          ? { code: String(promoCode).trim().toUpperCase(), error: promoError }
+          : null,
+      shipping,
+      fulfillment: isPickup ? "pickup" : "shipping",
+      tax,
+      total: subtotal - discount + shippingCents + (tax || 0),
+      catalog_updated_at: snapshot.lastModified || null,
+    });
+  } catch (err) {
+    const status =
+      err?.statusCode && Number.isInteger(err.statusCode) ? err.statusCode : 500;
+    if (status >= 500) console.error("[cart-preview] error:", err);
+    return res.status(status).json({
+      error: status < 500 ? err.message : "Could not update your cart totals. Please try again.",
+      code: err.code || "CART_PREVIEW_FAILED",
+    });
+  }
+}
@@ -0,0 +1,73 @@
+// api/catalog.js
+// Normalized product catalog for the storefront, parsed and validated
+// server-side from the published Google Sheet (see api/lib/catalog-cache.js).
+export const config = { runtime: "nodejs" };
+import { getCatalogSnapshot } from "./lib/catalog-cache.js";
+
+
+// ✅ Allow list origins (match your create-checkout-session allowlist)
+const ALLOWED_ORIGINS = new Set([
+  "https://grooverr.github.io",
+  "https://kelleyscandles.com",
+  "https://www.kelleyscandles.com",
+  "http://localhost:5500",
+  "http://127.0.0.1:5500",
+]);
+
+function setCors(req, res) {
+  const origin = req.headers.origin;
+
+  if (origin && ALLOWED_ORIGINS.has(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+  }
+
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, If-None-Match");
+  res.setHeader("Access-Control-Expose-Headers", "ETag, Last-Modified");
+  res.setHeader("Vary", "Origin");
+}
+
+function isNotModified(req, snapshot) {
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(",").map((t) => t.trim()).includes(snapshot.etag);
+  }
+  const ifModifiedSince = Date.parse(req.headers["if-modified-since"] || "");
+  const lastModified = Date.parse(snapshot.lastModified);
+  return Number.isFinite(ifModifiedSince) && Number.isFinite(lastModified)
+    ? lastModified <= ifModifiedSince
+    : false;
+}
+
+export default async function handler(req, res) {
+  setCors(req, res);
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  let snapshot;
+  try {
+    snapshot = await getCatalogSnapshot();
+  } catch (err) {
+    console.error("[catalog] error:", err);
+    return res.status(503).json({
+      error: "Inventory is temporarily unavailable. Please try again shortly.",
+      code: "CATALOG_UNAVAILABLE",
+    });
+  }
+
+  res.setHeader("ETag", snapshot.etag);
+  res.setHeader("Last-Modified", snapshot.lastModified);
+  res.setHeader("Cache-Control", "public, max-age=60, stale-while-revalidate=300");
+
+  if (isNotModified(req, snapshot)) return res.status(304).end();
+
+  return res.status(200).json({
+    variants: snapshot.catalog.variants,
+    errors: snapshot.catalog.errors,
+    updatedAt: new Date(snapshot.lastModified).toISOString(),
+    stale: snapshot.stale,
+  });
+}
@@ -1,5 +1,14 @@
 export const config = { runtime: "nodejs" };
+import crypto from "node:crypto";
 import Stripe from "stripe";
+import { reserveStock, releaseStock } from "./lib/stock.js";
+import { getCatalog, normalizeCart, getSubtotal, expandItems } from "./lib/cart.js";
+import { describeComponents } from "../shared/catalog.js";
+import { applyPromoCode } from "./lib/promotions.js";
+import { getShippingRules } from "./lib/shipping.js";
+import { getShippingOptions } from "./lib/carrier-rates.js";
+import { getPickupSlots } from "./lib/pickup.js";
+import { createCheckoutAccess } from "./lib/order-links.js";
 
 
 const STRIPE_KEY =
@@ -28,54 +37,8 @@ const stripe = new Stripe(STRIPE_KEY, {
 });
 
 
-const PRICE_MAP = {
-  "Apple Pie|17 oz": 2200,
-  "Love Spelling|17 oz": 2200,
-  "Black Raspberry|17 oz": 2200,
-  "Monkey Farts|17 oz": 2200,
-  "Lilac Bush|17 oz": 2200,
-  "Lavander|17 oz": 2200,
-
-  "Apple Pie|12 oz": 1400,
-  "Black Raspberry|12 oz": 1400,
-  "Monkey Farts|12 oz": 1400,
-  "Lilac Bush|12 oz": 1400,
-  "Love Spelling|12 oz": 1400,
-  "Lavander|12 oz": 1400,
-
-  "Apple Pie|6 oz": 700,
-  "Black Raspberry|6 oz": 700,
-  "Monkey Farts|6 oz": 700,
-  "Lilac Bush|6 oz": 700,
-  "Love Spelling|6 oz": 700,
-  "Lavander|6 oz": 700,
-
-  "Apple Pie|wax melt": 500,
-  "Black Raspberry|wax melt": 500,
-  "Monkey Farts|wax melt": 500,
-  "Lilac Bush|wax melt": 500,
-  "Love Spelling|wax melt": 500,
-  "Lavander|wax melt": 500,
-
-};
-
-
-const SCENT_ALIASES = {
-  "black raspberry vanilla bean": "Black Raspberry",
-  "black raspberry vanilla": "Black Raspberry",
-  "black raspberry": "Black Raspberry",
-  "raspberry": "Black Raspberry",
-  "apple": "Apple Pie",
-  "apple pie": "Apple Pie",
-  "applepie": "Apple Pie",
-  "apple pie candle": "Apple Pie",
-};
-
-const VALID_SCENTS = new Set(
-  Object.keys(PRICE_MAP).map((key) => key.split("|")[0])
-);
-
-const ENFORCE_SCENT_ALLOWLIST = false;
+const CHECKOUT_EXPIRY_SECONDS = 30 * 60;
+const STOCK_HOLD_GRACE_MS = 2 * 60 * 1000; // covers clock skew with Stripe
 
 
 // ✅ Allow list origins
@@ -103,54 +66,6 @@ function setCors(req, res) {
 
 }
 
-function normalizeScent(raw, index) {
-  const cleaned = String(raw || "").trim().replace(/\s+/g, " ");
-  if (!cleaned) {
-    const err = new Error(`Missing scent/name for cart item at index ${index}`);
-    err.statusCode = 400;
-    throw err;
-  }
-  const cleanedKey = cleaned
-    .toLowerCase()
-    .replace(/[•–—-]+/g, " ")
-    .replace(/[^a-z0-9 ]+/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-  const canonical = SCENT_ALIASES[cleanedKey] || cleaned;
-  if (ENFORCE_SCENT_ALLOWLIST && !VALID_SCENTS.has(canonical)) {
-    const err = new Error(
-      `Unknown scent "${cleaned}" for cart item at index ${index}`
-    );
-    err.statusCode = 400;
-    throw err;
-  }
-  return canonical;
-}
-
-function normalizeSize(raw, index) {
-  const cleaned = String(raw || "").trim().toLowerCase();
-  
-  // Handle wax melts (non-numeric size)
-  if (cleaned.includes("wax") || cleaned.includes("melt")) {
-    return "wax melt";
-  }
-  
-  const match = cleaned.match(/(\d+(\.\d+)?)/);
-  if (!match) {
-    const err = new Error(`Invalid size "${raw}" for cart item at index ${index}`);
-    err.statusCode = 400;
-    throw err;
-  }
-  const value = Number(match[1]);
-  if (!Number.isFinite(value) || value <= 0) {
-    const err = new Error(`Invalid size "${raw}" for cart item at index ${index}`);
-    err.statusCode = 400;
-    throw err;
-  }
-  const sizeNum = Number.isInteger(value) ? value : value;
-  return `${sizeNum} oz`;
-}
-
 function getCandleQty(normalizedItems) {
   return normalizedItems
     .filter(i => i.size !== "wax melt")
@@ -163,35 +78,6 @@ function getMeltQty(normalizedItems) {
     .reduce((sum, i) => sum + (Number(i.qty) || 0), 0);
 }
 
-function getShippingForCart(normalizedItems) {
-  const candleQty = getCandleQty(normalizedItems);
-  const meltQty = getMeltQty(normalizedItems);
-  
-  // Mixed cart: use candle-based tiered shipping (melts ignored)
-  if (candleQty > 0 && meltQty > 0) {
-    if (candleQty <= 1) return { amount: 600, label: "Standard Shipping (1 candle)" };
-    if (candleQty <= 3) return { amount: 900, label: "Standard Shipping (2–3 candles)" };
-    return { amount: 1200, label: "Standard Shipping (4+ candles)" };
-  }
-  
-  // Candles only: existing tiered shipping
-  if (candleQty > 0) {
-    if (candleQty <= 1) return { amount: 600, label: "Standard Shipping (1 candle)" };
-    if (candleQty <= 3) return { amount: 900, label: "Standard Shipping (2–3 candles)" };
-    return { amount: 1200, label: "Standard Shipping (4+ candles)" };
-  }
-  
-  // Wax melts only: tiered by melt count
-  if (meltQty > 0) {
-    if (meltQty <= 5) return { amount: 600, label: "Standard Shipping (1–5 wax melts)" };
-    if (meltQty <= 10) return { amount: 900, label: "Standard Shipping (6–10 wax melts)" };
-    return { amount: 1200, label: "Standard Shipping (11+ wax melts)" };
-  }
-  
-  // Fallback (empty cart shouldn't reach here)
-  return { amount: 600, label: "Standard Shipping" };
-}
-
 export default async function handler(req, res) {
   // ✅ ALWAYS set CORS headers first
   setCors(req, res);
@@ -207,131 +93,229 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { cart, customerEmail } = req.body || {};
+    const { cart, customerEmail, promoCode, shipState, fulfillment } = req.body || {};
 
     if (!Array.isArray(cart) || cart.length === 0) {
       return res.status(400).json({ error: "Cart is empty" });
     }
 
-    const normalizedItems = cart.map((item, index) => {
-      const nameSource = item.candleName || item.name || item.scent;
-      const scent = normalizeScent(nameSource, index);
-      const size = normalizeSize(item.size, index);
-      const qty = Math.max(1, Number(item.qty || 1));
+    // Local pickup: the customer picks a location/time in Stripe Checkout
+    const isPickup = fulfillment === "pickup";
+    const pickupSlots = isPickup ? getPickupSlots() : [];
+    if (isPickup && pickupSlots.length === 0) {
+      return res.status(400).json({
+        error: "Local pickup isn't available right now. Please choose shipping.",
+        code: "PICKUP_UNAVAILABLE",
+      });
+    }
 
-      if (qty > 10) {
-        const err = new Error(
-          `Quantity limit exceeded for cart item at index ${index}`
-        );
-        err.statusCode = 400;
-        throw err;
-      }
+    const snapshot = await getCatalog();
+    const catalog = snapshot.catalog;
 
-      const key = `${scent}|${size}`;
-      const unit_amount = PRICE_MAP[key];
+    const normalizedItems = normalizeCart(cart, catalog);
 
-      if (!unit_amount) {
-        const availableForScent = Object.keys(PRICE_MAP).filter((k) =>
-          k.startsWith(`${scent}|`)
-        );
-        const err = new Error(
-          `No price found for "${key}" (cart item index ${index}). ` +
-            (availableForScent.length
-              ? `Available: ${availableForScent.join(", ")}`
-              : "No prices exist for this scent.")
-        );
-        err.statusCode = 400;
-        throw err;
-      }
-
-      return { qty, scent, size, unit_amount, key };
-    });
-
-    // Build line items from server-side price map (prevents tampering)
+    // Build line items from the server-side catalog (prevents tampering)
     const line_items = normalizedItems.map((item) => ({
       quantity: item.qty,
       price_data: {
         currency: "usd",
         unit_amount: item.unit_amount,
-        product_data: { name: `${item.scent} • ${item.size}` },
+        product_data: {
+          name: item.components ? item.scent : `${item.scent} • ${item.size}`,
+          ...(item.components
+            ? { description: `Includes: ${describeComponents(item.components)}` }
+            : {}),
+          // The webhook reads these back to weigh the box and list bundle contents
+          metadata: {
+            variant_id: item.variantId,
+            sku: item.sku,
+            size: item.size,
+            ...(item.components
+              ? {
+                  components: JSON.stringify(
+                    item.components.map((c) => [c.qty, c.name, c.size])
+                  ).slice(0, 500),
+                }
+              : {}),
+          },
+        },
       },
     }));
 
-    const FREE_SHIPPING_THRESHOLD_CENTS = 10000; // $100.00
-
-    const shipping = getShippingForCart(normalizedItems);
+    // Bundles ship (and are charged shipping) as their components
+    const shippedItems = expandItems(normalizedItems, catalog);
 
     // ✅ Compute subtotal server-side (tamper-proof)
-    const subtotalCents = normalizedItems.reduce(
-      (sum, i) => sum + i.unit_amount * i.qty,
-      0
-    );
-
-    // ✅ Apply free shipping if subtotal >= $100
-    const freeShippingApplied = subtotalCents >= FREE_SHIPPING_THRESHOLD_CENTS;
-
-    const finalShipping = freeShippingApplied
-      ? { amount: 0, label: "Free Shipping (Orders $100+)" }
-      : shipping;
+    const subtotalCents = getSubtotal(normalizedItems);
+
+    // ✅ Promo code (validated server-side; 400 with a reason if it can't be used)
+    const promo = promoCode
+      ? await applyPromoCode(promoCode, normalizedItems)
+      : null;
+
+    // ✅ Shipping: live USPS quotes, or the rate tables if EasyPost is down
+    // (free over the threshold or with a promo either way). The threshold
+    // is checked against the discounted subtotal. Pickup is $0.
+    const shippingRules = getShippingRules();
+    const state = typeof shipState === "string" ? shipState.trim().toUpperCase().slice(0, 2) : "";
+    const { quote: finalShipping, options: shippingOptions } = isPickup
+      ? {
+          quote: { amountCents: 0, label: "Local Pickup", free: true },
+          options: [
+            {
+              amountCents: 0,
+              label: "Local Pickup (free)",
+              carrier: "",
+              service: "",
+              deliveryEstimate: null,
+              source: "pickup",
+            },
+          ],
+        }
+      : await getShippingOptions({
+          rules: shippingRules,
+          items: shippedItems,
+          subtotalCents: subtotalCents - (promo?.discountCents || 0),
+          state,
+          freeShippingCode: promo?.freeShipping ? promo.code : "",
+        });
+    const freeShippingApplied = !isPickup && finalShipping.free;
 
     // Optional: simple cart summary for metadata
     const itemsSummary = normalizedItems
       .map((i) => `${i.qty}x ${i.scent} (${i.size})`)
       .join(", ");
 
-    // ✅ Use your canonical site base
+    // ✅ Use your canonical site base. `access` lets the success page show
+    // contact details and address for a couple of hours (see order-links.js)
+    const { accessKey, access } = createCheckoutAccess();
     const success_url =
-      "https://www.kelleyscandles.com/success.html?session_id={CHECKOUT_SESSION_ID}";
+      "https://www.kelleyscandles.com/success.html?session_id={CHECKOUT_SESSION_ID}" +
+      (access ? `&access=${encodeURIComponent(access)}` : "");
     const cancel_url = "https://www.kelleyscandles.com/cancel.html";
 
-    const session = await stripe.checkout.sessions.create({
-      mode: "payment",
-      line_items,
-      success_url,
-      cancel_url,
-
-      // ✅ Helps webhook have reliable email, and Stripe can send receipt if enabled
-      customer_email:
-        typeof customerEmail === "string" ? customerEmail.trim() : undefined,
-
-      // ✅ REQUIRED: always collect phone + shipping address
-      phone_number_collection: { enabled: true },
-      shipping_address_collection: { allowed_countries: ["US"] },
+    // ✅ Hold stock while the customer is in Stripe Checkout (409 if it ran out).
+    // The session expires in 30 minutes (Stripe's minimum); the hold lapses
+    // with it even if the checkout.session.expired webhook never arrives.
+    const expiresAtSec = Math.floor(Date.now() / 1000) + CHECKOUT_EXPIRY_SECONDS;
+    const stockHoldId = `hold_${crypto.randomUUID()}`;
+    await reserveStock({
+      holdId: stockHoldId,
+      items: normalizedItems.map((i) => ({
+        variantId: i.variantId,
+        qty: i.qty,
+        index: i.index,
+        label: `${i.scent} • ${i.size}`,
+      })),
+      catalog,
+      expiresAt: expiresAtSec * 1000 + STOCK_HOLD_GRACE_MS,
+    });
 
-      // ✅ Automatic tax calculation (enable Stripe Tax in Dashboard first)
-      automatic_tax: { enabled: true },
+    let session;
+    let coupon = null;
+    try {
+      // Merchandise discounts become a one-time Stripe coupon, so Checkout
+      // shows the code and Stripe Tax sees the discounted amounts. Made only
+      // once the stock is held, and deleted below if the session isn't.
+      let discounts;
+      if (promo?.discountCents > 0) {
+        coupon = await stripe.coupons.create({
+          amount_off: promo.discountCents,
+          currency: "usd",
+          duration: "once",
+          max_redemptions: 1,
+          name: `${promo.code} — ${promo.description}`.slice(0, 40),
+          metadata: { promo_code: promo.code },
+        });
+        discounts = [{ coupon: coupon.id }];
+      }
 
-      // ✅ Shipping option (tiered under $100; free at $100+)
-      shipping_options: [
-        {
+      session = await stripe.checkout.sessions.create({
+        mode: "payment",
+        expires_at: expiresAtSec,
+        line_items,
+        discounts,
+        success_url,
+        cancel_url,
+
+        // ✅ Helps webhook have reliable email, and Stripe can send receipt if enabled
+        customer_email:
+          typeof customerEmail === "string" ? customerEmail.trim() : undefined,
+
+        // ✅ REQUIRED: always collect phone; shipping address unless picking up
+        // (pickup still needs a billing address for Stripe Tax)
+        phone_number_collection: { enabled: true },
+        ...(isPickup
+          ? {
+              billing_address_collection: "required",
+              custom_fields: [
+                {
+                  key: "pickup_slot",
+                  label: { type: "custom", custom: "Pickup location & time" },
+                  type: "dropdown",
+                  dropdown: {
+                    options: pickupSlots.map((slot) => ({ label: slot.label, value: slot.value })),
+                  },
+                },
+              ],
+            }
+          : { shipping_address_collection: { allowed_countries: ["US"] } }),
+
+        // ✅ Automatic tax calculation (enable Stripe Tax in Dashboard first)
+        automatic_tax: { enabled: true },
+
+        // ✅ Shipping options (the webhook buys the label for the chosen service)
+        shipping_options: shippingOptions.map((option) => ({
           shipping_rate_data: {
-            display_name: finalShipping.label,
+            display_name: option.label,
             type: "fixed_amount",
-            fixed_amount: { amount: finalShipping.amount, currency: "usd" },
-            delivery_estimate: {
-              minimum: { unit: "business_day", value: 3 },
-              maximum: { unit: "business_day", value: 7 },
-            },
+            fixed_amount: { amount: option.amountCents, currency: "usd" },
+            ...(option.deliveryEstimate
+              ? {
+                  delivery_estimate: {
+                    minimum: { unit: "business_day", value: option.deliveryEstimate.minDays },
+                    maximum: { unit: "business_day", value: option.deliveryEstimate.maxDays },
+                  },
+                }
+              : {}),
+            metadata: { carrier: option.carrier, service: option.service, source: option.source },
           },
+        })),
+
+        // ✅ Useful for your webhook, but don't trust it for totals/prices
+        metadata: {
+          items: itemsSummary,
+          source: "github-pages",
+          fulfillment: isPickup ? "pickup" : "shipping",
+
+          subtotal_cents: String(subtotalCents),
+          free_shipping_applied: freeShippingApplied ? "true" : "false",
+          free_shipping_threshold_cents: String(shippingRules.freeShipping?.thresholdCents ?? ""),
+
+          shipping_tier: finalShipping.label,
+          shipping_amount: String(finalShipping.amountCents),
+          shipping_quote: shippingOptions[0].source,
+          ship_state: state,
+          candle_qty: String(getCandleQty(shippedItems)),
+          melt_qty: String(getMeltQty(shippedItems)),
+          stock_hold_id: stockHoldId,
+          access_key: accessKey,
+
+          promo_code: promo?.code || "",
+          promo_discount_cents: String(promo?.discountCents || 0),
         },
-      ],
-
-      // ✅ Useful for your webhook, but don't trust it for totals/prices
-      metadata: {
-        items: itemsSummary,
-        source: "github-pages",
-        fulfillment: "shipping",
-
-        subtotal_cents: String(subtotalCents),
-        free_shipping_applied: freeShippingApplied ? "true" : "false",
-        free_shipping_threshold_cents: String(FREE_SHIPPING_THRESHOLD_CENTS),
-
-        shipping_tier: finalShipping.label,
-        shipping_amount: String(finalShipping.amount),
-        candle_qty: String(getCandleQty(normalizedItems)),
-        melt_qty: String(getMeltQty(normalizedItems)),
-      },
-    });
+      });
+    } catch (err) {
+      await releaseStock(stockHoldId).catch((e) =>
+        console.error("[checkout] stock release failed:", e)
+      );
+      if (coupon) {
+        await stripe.coupons.del(coupon.id).catch((e) =>
+          console.error("[checkout] coupon cleanup failed:", e)
+        );
+      }
+      throw err;
+    }
 
     return res.status(200).json({ url: session.url });
   } catch (err) {
@@ -340,7 +324,15 @@ export default async function handler(req, res) {
     console.error("[checkout] error:", err);
     return res.status(status).json({
       error: err.message || "Checkout failed",
-      code: status === 400 ? "CHECKOUT_INVALID_CART" : "CHECKOUT_CREATE_FAILED",
+      code:
+        err.code && typeof err.code === "string" && status < 500
+          ? err.code
+          : status === 400
+          ? "CHECKOUT_INVALID_CART"
+          : "CHECKOUT_CREATE_FAILED",
+      ...(Number.isInteger(err.index) ? { index: err.index } : {}),
+      ...(Array.isArray(err.items) ? { items: err.items } : {}),
+      ...(Array.isArray(err.suggestions) ? { suggestions: err.suggestions } : {}),
     });
   }
 }
\ No newline at end of file
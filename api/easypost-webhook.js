@@ -0,0 +1,263 @@
+// api/easypost-webhook.js
+// Receives EasyPost tracker.updated events (Dashboard → Webhooks, pointed
+// at /api/easypost-webhook with a webhook secret). Each scan updates the
+// order's shipment tracking and status (api/lib/tracking.js) and sends
+// the customer a shipped, delivered or delay email — each at most once.
+export const config = { runtime: "nodejs" };
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { listOrders, updateOrder, setOrderStatus } from "./lib/orders.js";
+import { applyTracker, statusFromTracking, deliveryDateSlipped, EXCEPTION_STATUSES } from "./lib/tracking.js";
+import { claimEvent, completeEvent, releaseEvent } from "./lib/webhook-events.js";
+import {
+  escapeHtml,
+  sendEmail,
+  emailSent,
+  customerSender,
+  notifyStore,
+  orderSummaryHtml,
+  buildItemsTable,
+  buildTrackingHtml,
+  buildStatusLinkHtml,
+} from "./lib/emails.js";
+
+// ─────────────────────────────────────────────────────────────
+// Webhook secret — set when creating the webhook in EasyPost
+// ─────────────────────────────────────────────────────────────
+const WEBHOOK_SECRET = process.env.EASYPOST_WEBHOOK_SECRET;
+
+if (!WEBHOOK_SECRET) {
+  throw new Error(
+    `[easypost-webhook] Missing webhook secret. ` +
+    `Set EASYPOST_WEBHOOK_SECRET to the secret configured on the EasyPost webhook.`
+  );
+}
+
+// Orders whose status tracking shouldn't overwrite
+const FINAL_STATUSES = ["refunded", "canceled", "disputed"];
+
+// Read raw request body (required for signature verification)
+async function readRawBody(req) {
+  return await new Promise((resolve, reject) => {
+    let data = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+}
+
+// EasyPost signs the body with HMAC-SHA256 of the NFKD-normalized secret:
+//   X-Hmac-Signature: hmac-sha256-hex=<hex digest>
+function isValidSignature(rawBody, header) {
+  const expected =
+    "hmac-sha256-hex=" +
+    createHmac("sha256", WEBHOOK_SECRET.normalize("NFKD")).update(rawBody, "utf8").digest("hex");
+  const given = String(header || "");
+  return (
+    given.length === expected.length &&
+    timingSafeEqual(Buffer.from(given), Buffer.from(expected))
+  );
+}
+
+function formatDay(iso) {
+  const t = Date.parse(iso || "");
+  return Number.isFinite(t)
+    ? new Date(t).toLocaleDateString("en-US", { weekday: "long", month: "long", day: "numeric" })
+    : "";
+}
+
+// Packages as buildTrackingHtml expects them
+function trackedPackages(order) {
+  return (order.shipments || [])
+    .filter((s) => !s.refundStatus)
+    .map((s) => ({ trackingCode: s.trackingCode, trackingUrl: s.tracking?.publicUrl || s.trackingUrl }));
+}
+
+function customerHtml(order, { heading, intro, trackingHeading }) {
+  const name = order.customer?.name || "";
+  return `
+        <div style="font-family: Arial, sans-serif; line-height: 1.5; max-width:680px; margin:0 auto; color:#111;">
+          <h2 style="margin:0 0 8px;">${escapeHtml(heading)}${name ? `, ${escapeHtml(name)}` : ""}!</h2>
+          <p style="margin:0 0 14px;">${intro}</p>
+
+          ${buildTrackingHtml(trackedPackages(order), trackingHeading)}
+          ${buildStatusLinkHtml(order.id)}
+
+          <h3 style="margin:18px 0 8px;">Order summary</h3>
+          ${buildItemsTable(order.items, order.totals?.currency)}
+
+          <p style="margin:16px 0 0; font-size:12px; color:#666;">
+            Order ${escapeHtml(order.id)} · Questions? Reply to this email and we'll help.
+          </p>
+        </div>
+      `;
+}
+
+async function emailCustomer(order, subject, html) {
+  if (!order.customer?.email) return false;
+  const result = await sendEmail({
+    to: order.customer.email,
+    from: customerSender(),
+    subject: `${subject} — Kelley's Candles (${order.id.slice(-8)})`,
+    html,
+  });
+  return emailSent(result);
+}
+
+// Record a step as soon as its email is out, so a failure further down
+// (and EasyPost's retry) doesn't send it again
+async function markStep(orderId, step) {
+  try {
+    const order = await updateOrder(orderId, (o) => {
+      o.steps = { ...(o.steps || {}), [step]: new Date().toISOString() };
+    });
+    if (!order) throw new Error("order not found");
+  } catch (err) {
+    console.error(`[easypost-webhook] could not record step ${step}:`, err);
+  }
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).send("Method Not Allowed");
+  }
+
+  let event;
+  try {
+    const rawBody = await readRawBody(req);
+    if (!isValidSignature(rawBody, req.headers["x-hmac-signature"])) {
+      console.error("[easypost-webhook] signature verification failed");
+      return res.status(401).send("Invalid signature");
+    }
+    event = JSON.parse(rawBody);
+  } catch (err) {
+    console.error("[easypost-webhook] bad request:", err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  if (event.description !== "tracker.updated" || event.result?.object !== "Tracker") {
+    return res.status(200).json({ received: true, ignored: true });
+  }
+
+  // EasyPost retries too; namespaced so IDs can't collide with Stripe's.
+  // Without the dedupe store a retry could resend emails, so answer 500
+  // and let EasyPost try again later.
+  const eventKey = `easypost:${event.id}`;
+  let claim;
+  try {
+    claim = await claimEvent(eventKey, event.description);
+  } catch (err) {
+    console.error("[easypost-webhook] event dedupe unavailable:", err);
+    return res.status(500).json({ error: "Webhook storage unavailable" });
+  }
+  if (claim === "done") return res.status(200).json({ received: true, duplicate: true });
+  if (claim === "processing") {
+    return res.status(409).json({ error: "Event is already being processed" });
+  }
+
+  try {
+    const tracker = event.result;
+    const [found] = await listOrders({ trackingCode: tracker.tracking_code, limit: 1 });
+    if (!found) {
+      // Labels bought by hand in the EasyPost dashboard have no order here
+      console.log("[easypost-webhook] no order for tracker", { tracking_code: tracker.tracking_code });
+      await completeEvent(eventKey).catch(() => {});
+      return res.status(200).json({ received: true, matched: false });
+    }
+
+    let applied = null;
+    let order = await updateOrder(found.id, (o) => {
+      applied = applyTracker(o, tracker);
+    });
+    const current = applied?.shipment.tracking;
+
+    const nextStatus = statusFromTracking(order);
+    if (nextStatus && nextStatus !== order.status && !FINAL_STATUSES.includes(order.status)) {
+      order = await setOrderStatus(order.id, nextStatus, {
+        note: `${tracker.tracking_code}: ${tracker.status_detail || tracker.status}`.replace(/_/g, " "),
+      });
+    }
+
+    console.log("[easypost-webhook] tracker.updated", {
+      orderId: order.id,
+      tracking_code: tracker.tracking_code,
+      tracker_status: tracker.status,
+      order_status: order.status,
+    });
+
+    // ----- CUSTOMER EMAILS (once each) -----
+    const steps = order.steps || {};
+    const eta = formatDay(current?.estDeliveryDate);
+
+    if (["in_transit", "out_for_delivery"].includes(order.status) && !steps.shippedEmailSent) {
+      const ok = await emailCustomer(
+        order,
+        "Your order has shipped",
+        customerHtml(order, {
+          heading: "Your candles are on the way",
+          intro: `Your order is with USPS${eta ? ` and should arrive by <strong>${escapeHtml(eta)}</strong>` : ""}.`,
+          trackingHeading: "Track your package",
+        })
+      );
+      if (ok) await markStep(order.id, "shippedEmailSent");
+    }
+
+    if (order.status === "delivered" && !steps.deliveredEmailSent) {
+      const ok = await emailCustomer(
+        order,
+        "Delivered",
+        customerHtml(order, {
+          heading: "Your order was delivered",
+          intro:
+            "USPS marked your order as delivered. We hope you love your candles — " +
+            'trim the wick to ¼" before each burn and let the first burn reach the edges of the jar.',
+          trackingHeading: "Delivery details",
+        })
+      );
+      if (ok) await markStep(order.id, "deliveredEmailSent");
+    }
+
+    // Problems are per package: a return, a failed delivery, or a later ETA
+    const code = tracker.tracking_code;
+    const isException = EXCEPTION_STATUSES.includes(current?.status);
+    const slipped = deliveryDateSlipped(applied?.previous, current);
+    if ((isException || slipped) && !steps[`delayEmailSent:${code}`]) {
+      const ok = await emailCustomer(
+        order,
+        "A delay with your order",
+        customerHtml(order, {
+          heading: "A quick update on your order",
+          intro: isException
+            ? "USPS reported a problem delivering one of your packages " +
+              `(${escapeHtml(current.statusDetail.replace(/_/g, " ") || current.status.replace(/_/g, " "))}). ` +
+              "We're looking into it and will be in touch — reply to this email if the address needs a fix."
+            : `USPS now expects your package to arrive by <strong>${escapeHtml(eta)}</strong>. Sorry for the wait!`,
+          trackingHeading: "Track your package",
+        })
+      );
+      if (ok) await markStep(order.id, `delayEmailSent:${code}`);
+    }
+
+    if (isException && !steps[`exceptionNotified:${code}`]) {
+      const result = await notifyStore(
+        `Delivery problem — ${code} (${order.id.slice(-8)})`,
+        `
+          <h2 style="margin:0 0 8px;color:#991b1b;">Delivery Problem</h2>
+          <p style="margin:0 0 6px;"><strong>Tracking:</strong> ${escapeHtml(code)} — ${escapeHtml(
+            `${current.status} ${current.statusDetail}`.replace(/_/g, " ")
+          )}</p>
+          ${orderSummaryHtml(order)}`
+      );
+      if (emailSent(result)) await markStep(order.id, `exceptionNotified:${code}`);
+    }
+
+    await completeEvent(eventKey).catch((err) =>
+      console.error("[easypost-webhook] could not mark event done:", err)
+    );
+    return res.status(200).json({ received: true });
+  } catch (err) {
+    console.error("[easypost-webhook] handler error:", err);
+    await releaseEvent(eventKey).catch(() => {});
+    return res.status(500).json({ error: "Webhook handler failed" });
+  }
+}
@@ -1,6 +1,12 @@
 // api/get-checkout-session.js
 export const config = { runtime: "nodejs" };
 import Stripe from "stripe";
+import { findPickupSlot } from "./lib/pickup.js";
+import { getOrder } from "./lib/orders.js";
+import { sessionStatus } from "./lib/stripe-orders.js";
+import { publicTracking } from "./lib/tracking.js";
+import { checkCheckoutAccess } from "./lib/order-links.js";
+import { enforceRateLimit } from "./lib/rate-limit.js";
 
 
 const STRIPE_KEY =
@@ -50,6 +56,11 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
+  // The success page asks once per visit; anything much above that is a script
+  if (!(await enforceRateLimit(req, res, { bucket: "get-checkout-session", limit: 20, windowMs: 10 * 60 * 1000 }))) {
+    return;
+  }
+
   try {
     const sessionId = String(req.query.session_id || "").trim();
     if (!sessionId) return res.status(400).json({ error: "Missing session_id" });
@@ -63,17 +74,51 @@ export default async function handler(req, res) {
       expand: ["data.price.product"],
     });
 
+    // Recorded by the webhook; may not exist yet if it hasn't run, in
+    // which case the status comes from the session itself
+    const order = await getOrder(sessionId).catch((err) => {
+      console.error("[get-checkout-session] order store read failed:", err);
+      return null;
+    });
+
+    const isPickup = session.metadata?.fulfillment === "pickup";
+    const pickupSlot = isPickup
+      ? findPickupSlot(
+          (session.custom_fields || []).find((f) => f.key === "pickup_slot")?.dropdown?.value
+        )
+      : null;
+
+    // Contact details, address and tracking only while the success_url
+    // token is fresh — the URL alone (e.g. in a screenshot) isn't enough
+    const access = checkCheckoutAccess(req.query.access, session.metadata?.access_key);
+    const redacted = access !== "valid";
+
+    res.setHeader("Cache-Control", "no-store");
     return res.status(200).json({
       id: session.id,
       currency: session.currency,
       payment_status: session.payment_status,
-      customer: {
-        email: session.customer_details?.email || session.customer_email || null,
-        name: session.customer_details?.name || null,
-        phone: session.customer_details?.phone || null,
-      },
-      shipping: session.shipping_details || null,
+      redacted,
+      access: redacted ? (access === "expired" ? "expired" : "missing") : "valid",
+      customer: redacted
+        ? { email: null, name: null, phone: null }
+        : {
+            email: session.customer_details?.email || session.customer_email || null,
+            name: session.customer_details?.name || null,
+            phone: session.customer_details?.phone || null,
+          },
+      shipping: redacted ? null : session.shipping_details || null,
       shipping_method: session.shipping_cost?.shipping_rate?.display_name || null,
+      fulfillment: isPickup ? "pickup" : "shipping",
+      pickup: pickupSlot
+        ? {
+            location: pickupSlot.location.name,
+            address: pickupSlot.location.address || "",
+            window: pickupSlot.window,
+          }
+        : null,
+      status: order?.status || sessionStatus(session),
+      tracking: redacted ? [] : publicTracking(order?.shipments),
       totals: {
         subtotal: session.amount_subtotal ?? 0,
         shipping: session.shipping_cost?.amount_total ?? 0,
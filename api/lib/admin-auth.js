@@ -0,0 +1,106 @@
+// api/lib/admin-auth.js
+// ─────────────────────────────────────────────────────────────
+// Shared by the api/admin/* routes: CORS for admin.html, the token
+// check and the error / query helpers. Set ADMIN_TOKEN in Vercel to a long random string;
+// admin.html asks for it once per browser tab and sends it as
+//
+//   Authorization: Bearer <token>
+//
+// Without ADMIN_TOKEN every admin route answers 503, so the dashboard
+// can't be opened by accident on a deployment that wasn't set up.
+// ─────────────────────────────────────────────────────────────
+
+import { createHash, timingSafeEqual } from "node:crypto";
+import { parseStoreDate } from "./store-time.js";
+
+// ✅ Allow list origins (same as the storefront routes)
+const ALLOWED_ORIGINS = new Set([
+  "https://grooverr.github.io",
+  "https://kelleyscandles.com",
+  "https://www.kelleyscandles.com",
+  "http://localhost:5500",
+  "http://127.0.0.1:5500",
+]);
+
+/**
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string} methods - e.g. "GET, OPTIONS"
+ */
+export function setAdminCors(req, res, methods) {
+  const origin = req.headers.origin;
+
+  if (origin && ALLOWED_ORIGINS.has(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+  }
+
+  res.setHeader("Access-Control-Allow-Methods", methods);
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Cache-Control", "no-store");
+  res.setHeader("Vary", "Origin");
+}
+
+// Hash both sides so the comparison takes the same time whatever the length
+function digest(value) {
+  return createHash("sha256").update(String(value)).digest();
+}
+
+/**
+ * Throws a 401 (or 503 when no token is configured) unless the request
+ * carries the admin token
+ * @param {Object} req
+ */
+export function requireAdmin(req) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    throw adminError(503, "ADMIN_DISABLED", "Admin access is not configured");
+  }
+
+  const header = String(req.headers.authorization || "");
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  if (!token || !timingSafeEqual(digest(token), digest(expected))) {
+    throw adminError(401, "UNAUTHORIZED", "Wrong or missing admin token");
+  }
+}
+
+/**
+ * Error response in the shape every route uses: { error, code }
+ * @param {Object} res
+ * @param {Error} err
+ * @param {string} tag - Log prefix, e.g. "admin/orders"
+ */
+export function sendAdminError(res, err, tag) {
+  const status =
+    err?.statusCode && Number.isInteger(err.statusCode) ? err.statusCode : 500;
+  if (status >= 500) console.error(`[${tag}] error:`, err);
+  return res.status(status).json({
+    error: err?.statusCode ? err.message : "Server error",
+    code: err.code || "ADMIN_ERROR",
+  });
+}
+
+/**
+ * Error with the statusCode/code the routes turn into a response
+ * @param {number} statusCode
+ * @param {string} code
+ * @param {string} message
+ */
+export function adminError(statusCode, code, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+}
+
+/**
+ * ISO timestamp for the start of a YYYY-MM-DD query date in the shop's
+ * time zone (date filters on the admin routes); undefined when absent or
+ * malformed
+ * @param {string} value
+ * @param {number} [offsetDays] - 1 turns an inclusive "to" date into an exclusive bound
+ * @returns {string|undefined}
+ */
+export function dayStart(value, offsetDays = 0) {
+  const ms = parseStoreDate(value, offsetDays);
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : undefined;
+}
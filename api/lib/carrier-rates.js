@@ -0,0 +1,125 @@
+// api/lib/carrier-rates.js
+// ─────────────────────────────────────────────────────────────
+// Live USPS quotes for checkout. Rates pro-forma parcels packed from
+// the cart (same packing as the labels) and turns Ground Advantage /
+// Priority into Stripe shipping options, so what we charge tracks what
+// the labels will cost.
+//
+// The rate tables in shipping.js still decide free shipping and state
+// surcharges, and their tier price is used whenever live rates are off
+// or EasyPost doesn't answer.
+// ─────────────────────────────────────────────────────────────
+
+import { quoteRates } from "./easypost.js";
+import { evaluateShipping } from "./shipping.js";
+
+const QUOTE_TTL_MS = 10 * 60 * 1000; // carts re-quote on every preview; rates barely move
+
+const cache = new Map();
+
+/**
+ * One Stripe shipping option
+ * @typedef {Object} ShippingOption
+ * @property {number} amountCents
+ * @property {string} label
+ * @property {string} carrier  - "" for rate-table prices
+ * @property {string} service  - EasyPost service ("GroundAdvantage"), "" for rate-table prices
+ * @property {{ minDays: number, maxDays: number }} deliveryEstimate - Business days
+ * @property {"live"|"table"} source
+ */
+
+function cacheKey(items, zip) {
+  const parts = items.map((i) => `${i.qty}x${i.size}`).sort();
+  return `${zip}|${parts.join(",")}`;
+}
+
+async function cachedRates({ items, live, client }) {
+  const key = cacheKey(items, live.quoteToZip);
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < QUOTE_TTL_MS) return hit.rates;
+
+  const rates = await quoteRates({
+    items,
+    toAddress: { zip: live.quoteToZip },
+    services: live.services.map((s) => s.service),
+    client,
+  });
+  if (cache.size > 500) cache.clear();
+  cache.set(key, { at: Date.now(), rates });
+  return rates;
+}
+
+/**
+ * Shipping options for a cart: live carrier quotes when enabled and
+ * available, otherwise the single rate-table option.
+ * @param {Object} params
+ * @param {import("./shipping.js").ShippingRules} params.rules
+ * @param {Array<{ qty: number, size: string }>} params.items - Shipped items (bundles expanded)
+ * @param {number} params.subtotalCents
+ * @param {string} [params.state]
+ * @param {string} [params.freeShippingCode]
+ * @param {Object} [params.client] - EasyPost client; pass a mock in tests
+ * @returns {Promise<{ quote: import("./shipping.js").ShippingQuote, options: ShippingOption[] }>}
+ */
+export async function getShippingOptions({ rules, items, subtotalCents, state, freeShippingCode, client }) {
+  const quote = evaluateShipping(rules, { items, subtotalCents, state, freeShippingCode });
+  const fallback = {
+    quote,
+    options: [
+      {
+        amountCents: quote.amountCents,
+        label: quote.label,
+        carrier: "",
+        service: "",
+        deliveryEstimate: { minDays: 3, maxDays: 7 },
+        source: "table",
+      },
+    ],
+  };
+
+  const live = rules.liveRates;
+  if (!live?.enabled || !live.services?.length) return fallback;
+  if (!/^\d{5}$/.test(String(live.quoteToZip || ""))) {
+    console.warn("[carrier-rates] liveRates.enabled needs a 5-digit quoteToZip, using rate table");
+    return fallback;
+  }
+
+  let rates;
+  try {
+    rates = await cachedRates({ items, live, client });
+  } catch (err) {
+    console.warn("[carrier-rates] live quote failed, using rate table:", err.message);
+    return fallback;
+  }
+
+  const handling = live.handlingCents || 0;
+  const offered = live.services
+    .map((cfg) => ({ cfg, rate: rates.find((r) => r.service === cfg.service) }))
+    .filter((o) => o.rate);
+  if (offered.length === 0) {
+    console.warn("[carrier-rates] no matching USPS rates, using rate table");
+    return fallback;
+  }
+
+  // Free shipping covers the cheapest service; faster ones cost the difference
+  const cheapest = Math.min(...offered.map((o) => o.rate.rateCents + handling));
+  const surchargeSuffix = quote.surchargeCents ? ` + ${String(state).toUpperCase()} surcharge` : "";
+
+  return {
+    quote,
+    options: offered.map(({ cfg, rate }) => {
+      const price = rate.rateCents + handling;
+      const isFreeOption = quote.free && price === cheapest;
+      return {
+        amountCents: (quote.free ? price - cheapest : price) + quote.surchargeCents,
+        label: isFreeOption ? `${cfg.label} — ${quote.label}` : cfg.label + surchargeSuffix,
+        carrier: rate.carrier,
+        service: rate.service,
+        deliveryEstimate: rate.deliveryDays
+          ? { minDays: rate.deliveryDays, maxDays: rate.deliveryDays }
+          : { minDays: cfg.minDays, maxDays: cfg.maxDays },
+        source: "live",
+      };
+    }),
+  };
+}
@@ -0,0 +1,280 @@
+// api/lib/cart.js
+// ─────────────────────────────────────────────────────────────
+// Cart normalization shared by checkout and the cart preview routes.
+// Every price comes from the catalog, never from the browser.
+// ─────────────────────────────────────────────────────────────
+
+import { getCatalogSnapshot } from "./catalog-cache.js";
+import {
+  expandVariant,
+  findVariant,
+  getVariant,
+  normalizeSize as normalizeCatalogSize,
+  resolveScent,
+  scentKey,
+} from "../../shared/catalog.js";
+import { lineLimits, parseQty, validateCart } from "../../shared/cart-rules.js";
+
+// Scent names and aliases come from the catalog (sheet "candle name" and
+// "aliases" columns, plus the older built-in spellings in
+// DEFAULT_SCENT_ALIASES). Unknown scents are rejected unless this is turned off
+// with ENFORCE_SCENT_ALLOWLIST=false, so a tampered cart can't invent
+// line-item names.
+const ENFORCE_SCENT_ALLOWLIST = process.env.ENFORCE_SCENT_ALLOWLIST !== "false";
+
+/**
+ * A cart line after validation and server-side pricing
+ * @typedef {Object} NormalizedItem
+ * @property {number} qty
+ * @property {string} scent       - Canonical scent name
+ * @property {string} size        - Normalized size ("12 oz", "wax melt")
+ * @property {number} unit_amount - Unit price in cents
+ * @property {string} key         - "Scent|size"
+ * @property {string} variantId
+ * @property {string} sku
+ * @property {number} index       - Position in the submitted cart
+ * @property {import("../../shared/catalog.js").BundleComponent[]} [components] - Bundles only
+ */
+
+// 400 for one cart line; `index` lets the cart panel mark the line
+function lineError(message, index) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  err.index = index;
+  return err;
+}
+
+function normalizeScent(raw, index, catalog) {
+  const cleaned = String(raw || "").trim().replace(/\s+/g, " ");
+  if (!cleaned) {
+    throw lineError(`Missing scent/name for cart item at index ${index}`, index);
+  }
+  const { scent, suggestions } = resolveScent(catalog, cleaned);
+  if (scent) return scent;
+  if (ENFORCE_SCENT_ALLOWLIST) {
+    const err = lineError(
+      `Unknown scent "${cleaned}" for cart item at index ${index}` +
+        (suggestions.length ? ` (did you mean ${suggestions.join(" or ")}?)` : ""),
+      index
+    );
+    err.suggestions = suggestions;
+    throw err;
+  }
+  return cleaned;
+}
+
+function normalizeSize(raw, index) {
+  const size = normalizeCatalogSize(raw);
+  if (!size) {
+    throw lineError(`Invalid size "${raw}" for cart item at index ${index}`, index);
+  }
+  return size;
+}
+
+/**
+ * Current catalog snapshot, or a 503 error when the sheet has never loaded.
+ * Same cached snapshot that /api/catalog serves, so checkout always charges
+ * what the storefront shows.
+ * @returns {Promise<import("./catalog-cache.js").CatalogSnapshot>}
+ */
+export async function getCatalog() {
+  try {
+    return await getCatalogSnapshot();
+  } catch (e) {
+    const err = new Error("Product catalog is temporarily unavailable. Please try again.");
+    err.statusCode = 503;
+    err.cause = e;
+    throw err;
+  }
+}
+
+/**
+ * Validate a cart from the browser and price it against the catalog.
+ * Throws an error with statusCode 400 and the line's `index`; quantity
+ * problems (shared/cart-rules.js) list every bad line in `err.items`.
+ * @param {Array<Object>} cart - Cart lines as sent by script.js
+ * @param {import("../../shared/catalog.js").Catalog} catalog
+ * @returns {NormalizedItem[]}
+ */
+export function normalizeCart(cart, catalog) {
+  if (!Array.isArray(cart) || cart.length === 0) {
+    const err = new Error("Cart is empty");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  // Stock is checked when it's reserved; here just the quantity limits
+  const issues = validateCart(
+    cart.map((item) => ({ qty: item?.qty ?? 1, label: item?.candleName || item?.name }))
+  );
+  if (issues.length) {
+    const err = lineError(issues[0].message, issues[0].index);
+    err.items = issues;
+    throw err;
+  }
+
+  return cart.map((item, index) => {
+    const qty = parseQty(item.qty ?? 1);
+
+    // Carts saved since bundles shipped carry the variant id; older ones
+    // only have scent + size
+    const byId = item.variantId ? getVariant(catalog, item.variantId) : null;
+    if (byId?.active) return toNormalizedItem(byId, qty, index);
+
+    const nameSource = item.candleName || item.name || item.scent;
+    const scent = normalizeScent(nameSource, index, catalog);
+    const size = normalizeSize(item.size, index);
+    const key = `${scent}|${size}`;
+    const variant = findVariant(catalog, scent, size);
+
+    if (!variant) {
+      const availableForScent = catalog.variants
+        .filter((v) => v.active && scentKey(v.scent) === scentKey(scent))
+        .map((v) => `${v.scent}|${v.size}`);
+      throw lineError(
+        `No price found for "${key}" (cart item index ${index}). ` +
+          (availableForScent.length
+            ? `Available: ${availableForScent.join(", ")}`
+            : "No prices exist for this scent."),
+        index
+      );
+    }
+
+    return toNormalizedItem(variant, qty, index);
+  });
+}
+
+function toNormalizedItem(variant, qty, index) {
+  const item = {
+    qty,
+    scent: variant.scent,
+    size: variant.size,
+    unit_amount: variant.priceCents,
+    key: `${variant.scent}|${variant.size}`,
+    variantId: variant.id,
+    sku: variant.sku,
+    index,
+  };
+  if (variant.type === "bundle") item.components = variant.components;
+  return item;
+}
+
+/**
+ * A saved cart line checked against the current catalog and stock
+ * @typedef {Object} ReconciledLine
+ * @property {number} index
+ * @property {string} variantId          - "" when the line no longer matches a product
+ * @property {string} name
+ * @property {string} size
+ * @property {number} qty                - As saved in the cart
+ * @property {number|null} unit_amount   - Current price in cents; null when removed
+ * @property {boolean} price_changed     - The cart's saved price differs from the catalog
+ * @property {number} available          - Units that can be bought on this line
+ * @property {"ok"|"limited"|"sold_out"|"removed"} status
+ *   limited: fewer than `qty` left, or over a quantity limit
+ * @property {string} [message]          - Why the line isn't "ok", from shared/cart-rules.js
+ */
+
+// Like normalizeCart's lookup, but unknown lines come back as null instead of throwing
+function lookupVariant(item, catalog) {
+  const byId = item.variantId ? getVariant(catalog, item.variantId) : null;
+  if (byId) return byId;
+  const { scent } = resolveScent(catalog, String(item.candleName || item.name || item.scent || "").trim());
+  return scent ? findVariant(catalog, scent, item.size) : null;
+}
+
+/**
+ * Re-price a saved cart without rejecting it, so the cart panel can flag
+ * lines that were removed, sold out or changed price since they were added.
+ * Lines still for sale come back in `items`, capped at what can be bought.
+ * @param {Array<Object>} cart - Cart lines as saved by script.js ({ variantId, qty, priceCents, … })
+ * @param {import("../../shared/catalog.js").Catalog} catalog
+ * @param {Map<string, number>} availability - From getAvailability()
+ * @returns {{ lines: ReconciledLine[], items: NormalizedItem[] }}
+ */
+export function reconcileCart(cart, catalog, availability) {
+  const saved = (Array.isArray(cart) ? cart : []).map((item) => {
+    const variant = lookupVariant(item || {}, catalog);
+    return {
+      item: item || {},
+      variant: variant?.active ? variant : null,
+      removed: variant,
+      qty: Math.max(1, Math.floor(Number(item?.qty) || 1)),
+    };
+  });
+
+  // Removed lines go in with qty 0 so they don't use up the order limit
+  const checked = saved.map(({ variant, qty }) => ({
+    qty: variant ? qty : 0,
+    variantId: variant?.id,
+    label: variant?.name,
+  }));
+  const issues = new Map(validateCart(checked, { availability }).map((i) => [i.index, i]));
+  const limits = lineLimits(checked, { availability });
+
+  const lines = [];
+  const items = [];
+  saved.forEach(({ item, variant, removed, qty }, index) => {
+    if (!variant) {
+      lines.push({
+        index,
+        variantId: removed?.id || "",
+        name: removed?.name || String(item.candleName || item.name || "Item"),
+        size: removed?.size || String(item.size || ""),
+        qty,
+        unit_amount: null,
+        price_changed: false,
+        available: 0,
+        status: "removed",
+      });
+      return;
+    }
+
+    const issue = issues.get(index);
+    const available = limits[index];
+    const savedPrice = Number(item.priceCents);
+    lines.push({
+      index,
+      variantId: variant.id,
+      name: variant.name,
+      size: variant.size,
+      qty,
+      unit_amount: variant.priceCents,
+      price_changed: Number.isFinite(savedPrice) && savedPrice > 0 && savedPrice !== variant.priceCents,
+      available,
+      status: !issue ? "ok" : issue.code === "SOLD_OUT" ? "sold_out" : "limited",
+      ...(issue ? { message: issue.message } : {}),
+    });
+    if (available > 0) items.push(toNormalizedItem(variant, Math.min(qty, available), index));
+  });
+
+  return { lines, items };
+}
+
+/**
+ * Flatten bundles into the single variants that actually ship, for
+ * shipping tiers and package weight. Prices stay on the bundle line.
+ * @param {NormalizedItem[]} items
+ * @param {import("../../shared/catalog.js").Catalog} catalog
+ * @returns {Array<{ qty: number, size: string, variantId: string }>}
+ */
+export function expandItems(items, catalog) {
+  return items.flatMap((item) =>
+    item.components
+      ? expandVariant(catalog, getVariant(catalog, item.variantId), item.qty).map((part) => ({
+          qty: part.qty,
+          size: part.variant.size,
+          variantId: part.variant.id,
+        }))
+      : [{ qty: item.qty, size: item.size, variantId: item.variantId }]
+  );
+}
+
+/**
+ * Merchandise subtotal in cents
+ * @param {NormalizedItem[]} items
+ * @returns {number}
+ */
+export function getSubtotal(items) {
+  return items.reduce((sum, i) => sum + i.unit_amount * i.qty, 0);
+}
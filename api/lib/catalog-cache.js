@@ -0,0 +1,95 @@
+// api/lib/catalog-cache.js
+// ─────────────────────────────────────────────────────────────
+// Server-side cache of the published Google Sheet catalog.
+// Used by /api/catalog and by checkout so both price from the same
+// snapshot. Revalidates against Google with ETag / Last-Modified and
+// keeps serving the last good snapshot when the sheet is slow or down.
+// ─────────────────────────────────────────────────────────────
+
+import crypto from "node:crypto";
+import { SHEET_CSV_URL, catalogFromCsv } from "../../shared/catalog.js";
+
+const CATALOG_TTL_MS = 60 * 1000; // re-check the sheet at most once a minute
+const SHEET_TIMEOUT_MS = 8000;
+
+/**
+ * @typedef {Object} CatalogSnapshot
+ * @property {import("../../shared/catalog.js").Catalog} catalog
+ * @property {string} etag          - Strong ETag of the CSV content we served from
+ * @property {string} lastModified  - HTTP date the content last changed, for HTTP caching
+ *   only: when Google sends no Last-Modified it's when this instance first saw the content
+ * @property {number} fetchedAt     - ms timestamp of the last check against Google
+ * @property {boolean} stale        - True when the last refresh failed
+ * @property {string|null} sourceEtag         - Google's ETag, for conditional requests
+ * @property {string|null} sourceLastModified - Google's Last-Modified, for conditional requests
+ */
+
+/** @type {CatalogSnapshot|null} */
+let snapshot = null;
+let inflight = null;
+
+async function refresh() {
+  const headers = {};
+  if (snapshot?.sourceEtag) headers["If-None-Match"] = snapshot.sourceEtag;
+  if (snapshot?.sourceLastModified) headers["If-Modified-Since"] = snapshot.sourceLastModified;
+
+  try {
+    const res = await fetch(SHEET_CSV_URL, {
+      headers,
+      signal: AbortSignal.timeout(SHEET_TIMEOUT_MS),
+    });
+
+    if (res.status === 304 && snapshot) {
+      snapshot = { ...snapshot, fetchedAt: Date.now(), stale: false };
+      return snapshot;
+    }
+    if (!res.ok) throw new Error(`Sheet fetch failed: ${res.status}`);
+
+    const text = await res.text();
+    const catalog = catalogFromCsv(text);
+    if (catalog.variants.length === 0) {
+      throw new Error("Sheet returned no valid product rows");
+    }
+    if (catalog.errors.length) {
+      console.warn("[catalog] sheet rows skipped:", catalog.errors);
+    }
+
+    const etag = `"${crypto.createHash("sha1").update(text).digest("hex")}"`;
+    const unchanged = snapshot?.etag === etag;
+
+    snapshot = {
+      catalog,
+      etag,
+      lastModified: unchanged
+        ? snapshot.lastModified
+        : res.headers.get("last-modified") || new Date().toUTCString(),
+      fetchedAt: Date.now(),
+      stale: false,
+      sourceEtag: res.headers.get("etag"),
+      sourceLastModified: res.headers.get("last-modified"),
+    };
+    return snapshot;
+  } catch (err) {
+    if (!snapshot) throw err;
+    console.warn("[catalog] refresh failed, serving last good snapshot:", err.message);
+    // Wait a full TTL before trying Google again
+    snapshot = { ...snapshot, fetchedAt: Date.now(), stale: true };
+    return snapshot;
+  }
+}
+
+/**
+ * Get the current catalog snapshot, refreshing it when older than `maxAgeMs`
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeMs] - Max snapshot age before revalidating
+ * @returns {Promise<CatalogSnapshot>} Rejects only when no snapshot was ever loaded
+ */
+export async function getCatalogSnapshot({ maxAgeMs = CATALOG_TTL_MS } = {}) {
+  if (snapshot && Date.now() - snapshot.fetchedAt < maxAgeMs) return snapshot;
+  if (!inflight) {
+    inflight = refresh().finally(() => {
+      inflight = null;
+    });
+  }
+  return inflight;
+}
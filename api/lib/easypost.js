@@ -4,23 +4,40 @@
 // ─────────────────────────────────────────────────────────────
 
 import EasyPost from "@easypost/api";
+import { packItems } from "./packing.js";
 
 // ─────────────────────────────────────────────────────────────
-// Initialize EasyPost client with environment-aware key
+// EasyPost client with environment-aware key. Created on first use, so
+// routes that only import this module (and tests) work without a key.
 // ─────────────────────────────────────────────────────────────
-const EASYPOST_API_KEY =
-  process.env.NODE_ENV === "production"
-    ? process.env.EASYPOST_LIVE_API_KEY
-    : process.env.EASYPOST_TEST_API_KEY;
-
-if (!EASYPOST_API_KEY) {
-  throw new Error(
-    `[easypost] Missing API key. NODE_ENV=${process.env.NODE_ENV} — ` +
-    `set EASYPOST_LIVE_API_KEY (production) or EASYPOST_TEST_API_KEY (development).`
-  );
+let easypostClient = null;
+
+function getClient() {
+  if (easypostClient) return easypostClient;
+
+  const apiKey =
+    process.env.NODE_ENV === "production"
+      ? process.env.EASYPOST_LIVE_API_KEY
+      : process.env.EASYPOST_TEST_API_KEY;
+  if (!apiKey) {
+    throw new Error(
+      `[easypost] Missing API key. NODE_ENV=${process.env.NODE_ENV} — ` +
+      `set EASYPOST_LIVE_API_KEY (production) or EASYPOST_TEST_API_KEY (development).`
+    );
+  }
+  easypostClient = new EasyPost(apiKey);
+  return easypostClient;
 }
 
-const easypost = new EasyPost(EASYPOST_API_KEY);
+/**
+ * Replace the EasyPost client (tests pass a mock with the same
+ * Address / Shipment / Batch / Tracker methods), or null to go back to
+ * the real one
+ * @param {Object|null} client
+ */
+export function setEasyPostClient(client) {
+  easypostClient = client;
+}
 
 // ─────────────────────────────────────────────────────────────
 // Ship-from address (Kelley's warehouse)
@@ -36,175 +53,464 @@ const FROM_ADDRESS = {
 };
 
 // ─────────────────────────────────────────────────────────────
-// Package weight calculations (estimated)
-// All weights in ounces
+// Parcels: weights and boxes live in ./packing.js. Big orders are
+// split across several boxes, one label each.
 // ─────────────────────────────────────────────────────────────
-const CANDLE_WEIGHTS = {
-  "6 oz": 10,   // 6 oz wax + ~4 oz jar
-  "12 oz": 18,  // 12 oz wax + ~6 oz jar
-  "17 oz": 24,  // 17 oz wax + ~7 oz jar
-};
 
-const WAX_MELT_WEIGHT = 6; // wax melts + packaging (oz)
-const BOX_WEIGHT = 4; // Empty box + packing material (oz)
-
-// Standard box dimensions for candle shipments (inches)
-const BOX_DIMENSIONS = {
-  length: 12,
-  width: 10,
-  height: 8,
-};
+// ─────────────────────────────────────────────────────────────
+// Address verification: catch undeliverable addresses before paying
+// for postage
+// ─────────────────────────────────────────────────────────────
 
 /**
- * Calculate total package weight based on cart items
- * @param {Array} items - Array of {scent, size, qty} objects
- * @returns {number} Total weight in ounces
+ * Result of checking a ship-to address with EasyPost
+ * @typedef {Object} AddressCheck
+ * @property {"verified"|"corrected"|"failed"|"unavailable"|"skipped"} status
+ *   corrected — deliverable, but USPS changed the ZIP, city or state;
+ *   unavailable — EasyPost couldn't be asked (treated as not blocking);
+ *   skipped — an admin bought the label without checking
+ * @property {string[]} errors   - USPS messages when not deliverable
+ * @property {Object|null} address - Standardized address (Stripe field names)
+ * @property {string[]} changes  - Which fields USPS corrected
+ * @property {string} checkedAt  - ISO timestamp
  */
-function calculatePackageWeight(items) {
-  const itemWeight = items.reduce((total, item) => {
-    // Handle wax melts
-    if (item.size === "wax melt") {
-      return total + WAX_MELT_WEIGHT * item.qty;
-    }
-    // Handle candles
-    const unitWeight = CANDLE_WEIGHTS[item.size] || 15; // fallback to avg
-    return total + unitWeight * item.qty;
-  }, 0);
 
-  return itemWeight + BOX_WEIGHT;
-}
+const upper = (v) => String(v || "").trim().toUpperCase();
 
 /**
- * Create a shipment and purchase the cheapest suitable label
- * @param {Object} params
- * @param {Object} params.toAddress - Customer shipping address from Stripe
- * @param {Array} params.items - Cart items for weight calculation
- * @param {string} params.orderId - Stripe session ID for reference
- * @returns {Promise<Object>} Shipment object with tracking info
+ * Verify a ship-to address (USPS delivery verification through EasyPost)
+ * @param {Object} toAddress - Stripe-style address ({ name, line1, line2, city, state, postal_code, country })
+ * @returns {Promise<AddressCheck>} Never throws
  */
-export async function createShipment({ toAddress, items, orderId }) {
+export async function verifyAddress(toAddress) {
+  const checkedAt = new Date().toISOString();
+  let verified;
   try {
-    const weightOz = calculatePackageWeight(items);
-
-    console.log("[easypost] Creating shipment", {
-      orderId,
-      weightOz,
-      itemCount: items.length,
+    verified = await getClient().Address.create({
+      name: toAddress.name,
+      street1: toAddress.line1,
+      street2: toAddress.line2 || "",
+      city: toAddress.city,
+      state: toAddress.state,
+      zip: toAddress.postal_code,
+      country: toAddress.country || "US",
+      verify: ["delivery"],
     });
+  } catch (err) {
+    console.error("[easypost] Address verification unavailable:", err.message);
+    return { status: "unavailable", errors: [err.message], address: null, changes: [], checkedAt };
+  }
 
-    // Create the shipment
-    const shipment = await easypost.Shipment.create({
-      from_address: FROM_ADDRESS,
-      to_address: {
-        name: toAddress.name,
-        street1: toAddress.line1,
-        street2: toAddress.line2 || "",
-        city: toAddress.city,
-        state: toAddress.state,
-        zip: toAddress.postal_code,
-        country: toAddress.country || "US",
-        phone: toAddress.phone || "",
-      },
-      parcel: {
-        length: BOX_DIMENSIONS.length,
-        width: BOX_DIMENSIONS.width,
-        height: BOX_DIMENSIONS.height,
-        weight: weightOz,
-      },
-      reference: orderId, // Links back to Stripe session
-      options: {
-        // Add $100 insurance to all shipments
-        insurance: 100.00,
-      },
-    });
+  const delivery = verified.verifications?.delivery || {};
+  const address = {
+    name: toAddress.name,
+    line1: verified.street1 || toAddress.line1,
+    line2: verified.street2 || "",
+    city: verified.city || toAddress.city,
+    state: verified.state || toAddress.state,
+    postal_code: verified.zip || toAddress.postal_code,
+    country: verified.country || toAddress.country || "US",
+  };
 
-    console.log("[easypost] Shipment created", {
-      shipmentId: shipment.id,
-      ratesCount: shipment.rates?.length || 0,
-    });
+  if (!delivery.success) {
+    return {
+      status: "failed",
+      errors: (delivery.errors || []).map((e) => e.message || e.code).filter(Boolean),
+      address: null,
+      changes: [],
+      checkedAt,
+    };
+  }
 
-    // ─────────────────────────────────────────────────────────────
-    // FIXED: Select cheapest USPS Ground/Priority rate (not Express!)
-    // ─────────────────────────────────────────────────────────────
-    if (!shipment.rates || shipment.rates.length === 0) {
-      throw new Error("No shipping rates available for this shipment");
-    }
+  // Street spelling is always standardized ("Street" → "ST"); only a
+  // different ZIP, city or state counts as a correction worth flagging
+  const changes = [];
+  if (upper(address.postal_code).slice(0, 5) !== upper(toAddress.postal_code).slice(0, 5)) {
+    changes.push("postal_code");
+  }
+  if (upper(address.city) !== upper(toAddress.city)) changes.push("city");
+  if (upper(address.state) !== upper(toAddress.state)) changes.push("state");
+
+  return {
+    status: changes.length ? "corrected" : "verified",
+    errors: [],
+    address,
+    changes,
+    checkedAt,
+  };
+}
+
+// Buy the label for one parcel; throws on failure
+async function buyParcelLabel({ toAddress, parcel, orderId, service }) {
+  const easypost = getClient();
+  const shipment = await easypost.Shipment.create({
+    from_address: FROM_ADDRESS,
+    to_address: {
+      name: toAddress.name,
+      street1: toAddress.line1,
+      street2: toAddress.line2 || "",
+      city: toAddress.city,
+      state: toAddress.state,
+      zip: toAddress.postal_code,
+      country: toAddress.country || "US",
+      phone: toAddress.phone || "",
+    },
+    parcel: {
+      length: parcel.length,
+      width: parcel.width,
+      height: parcel.height,
+      weight: parcel.weightOz,
+    },
+    reference: orderId, // Links back to Stripe session
+    options: {
+      // Add $100 insurance to all shipments
+      insurance: 100.00,
+    },
+  });
+
+  console.log("[easypost] Shipment created", {
+    shipmentId: shipment.id,
+    box: parcel.box,
+    ratesCount: shipment.rates?.length || 0,
+  });
 
-    // Filter for USPS economical services and sort by price
-    const suitableRates = shipment.rates
-      .filter(r => 
-        r.carrier === 'USPS' && 
-        (r.service === 'GroundAdvantage' || r.service === 'Priority')
-      )
+  // ─────────────────────────────────────────────────────────────
+  // FIXED: Select cheapest USPS Ground/Priority rate (not Express!)
+  // ─────────────────────────────────────────────────────────────
+  if (!shipment.rates || shipment.rates.length === 0) {
+    throw new Error("No shipping rates available for this shipment");
+  }
+
+  // Filter for USPS economical services and sort by price
+  const suitableRates = shipment.rates
+    .filter(r => 
+      r.carrier === 'USPS' && 
+      (r.service === 'GroundAdvantage' || r.service === 'Priority')
+    )
+    .sort((a, b) => parseFloat(a.rate) - parseFloat(b.rate));
+
+  let lowestRate;
+
+  // The service the customer picked at checkout wins when it's offered
+  const chosenRate = service
+    ? suitableRates.find((r) => r.service === service)
+    : null;
+
+  if (chosenRate) {
+    lowestRate = chosenRate;
+  } else if (suitableRates.length === 0) {
+    // Fallback: use absolute cheapest rate if no USPS Ground/Priority available
+    console.warn('[easypost] No USPS Ground/Priority rates found, using cheapest available');
+    const allRatesSorted = shipment.rates
       .sort((a, b) => parseFloat(a.rate) - parseFloat(b.rate));
+    lowestRate = allRatesSorted[0];
+  } else {
+    lowestRate = suitableRates[0];
+  }
 
-    let lowestRate;
+  console.log("[easypost] Buying label", {
+    carrier: lowestRate.carrier,
+    service: lowestRate.service,
+    rate: lowestRate.rate,
+    currency: lowestRate.currency,
+    totalRatesAvailable: shipment.rates.length,
+    suitableRatesFound: suitableRates.length,
+  });
 
-    if (suitableRates.length === 0) {
-      // Fallback: use absolute cheapest rate if no USPS Ground/Priority available
-      console.warn('[easypost] No USPS Ground/Priority rates found, using cheapest available');
-      const allRatesSorted = shipment.rates
-        .sort((a, b) => parseFloat(a.rate) - parseFloat(b.rate));
-      lowestRate = allRatesSorted[0];
-    } else {
-      lowestRate = suitableRates[0];
-    }
+  // Log all available rates for debugging
+  console.log("[easypost] All available rates:", 
+    shipment.rates.map(r => ({
+      carrier: r.carrier,
+      service: r.service,
+      rate: r.rate,
+      days: r.delivery_days,
+    }))
+  );
 
-    console.log("[easypost] Buying label", {
-      carrier: lowestRate.carrier,
-      service: lowestRate.service,
-      rate: lowestRate.rate,
-      currency: lowestRate.currency,
-      totalRatesAvailable: shipment.rates.length,
-      suitableRatesFound: suitableRates.length,
-    });
+  await easypost.Shipment.buy(shipment.id, lowestRate);
 
-    // Log all available rates for debugging
-    console.log("[easypost] All available rates:", 
-      shipment.rates.map(r => ({
-        carrier: r.carrier,
-        service: r.service,
-        rate: r.rate,
-        days: r.delivery_days,
-      }))
-    );
+  // Retrieve the updated shipment with postage_label and tracking_code
+  const boughtShipment = await easypost.Shipment.retrieve(shipment.id);
+
+  console.log("[easypost] Label purchased", {
+    trackingCode: boughtShipment.tracking_code,
+    labelUrl: boughtShipment.postage_label?.label_url,
+  });
+
+  return {
+    shipmentId: boughtShipment.id,
+    trackingCode: boughtShipment.tracking_code,
+    trackingUrl: boughtShipment.tracker?.public_url || null,
+    labelUrl: boughtShipment.postage_label?.label_url || null,
+    carrier: lowestRate.carrier,
+    service: lowestRate.service,
+    cost: lowestRate.rate,
+    currency: lowestRate.currency,
+    box: parcel.box,
+    weightOz: parcel.weightOz,
+    items: parcel.items,
+  };
+}
 
-    await easypost.Shipment.buy(shipment.id, lowestRate);
+/**
+ * Pack the order and purchase the cheapest suitable label for each parcel
+ * @param {Object} params
+ * @param {Object} params.toAddress - Customer shipping address from Stripe
+ * @param {Array} params.items - Cart items for packing ({scent, size, qty, components?})
+ * @param {string} params.orderId - Stripe session ID for reference
+ * @param {string} [params.service] - Preferred USPS service chosen at checkout
+ * @param {boolean} [params.verify] - Verify the address first (default) and
+ *   buy nothing when USPS says it's undeliverable
+ * @param {(pkg: Object) => Promise<void>} [params.onLabelBought] - Called as
+ *   soon as each parcel's label is paid for, so the caller can save it
+ *   before buying the next. If it throws, nothing more is bought and the
+ *   error is passed through instead of being reported as a label failure.
+ * @returns {Promise<Object>} `packages` lists every label bought; the top-level
+ *   tracking fields describe the first package. `success` is false when any
+ *   parcel failed — labels already bought are still returned in `packages`.
+ *   `held` is true when verification failed and nothing was bought;
+ *   `addressCheck` is the verification result (null when skipped).
+ */
+export async function createShipment({ toAddress, items, orderId, service, verify = true, onLabelBought }) {
+  const packages = [];
+  let addressCheck = null;
+  let saveError = null;
+  try {
+    if (verify) {
+      addressCheck = await verifyAddress(toAddress);
+      if (addressCheck.status === "failed") {
+        console.warn("[easypost] Address failed verification — label on hold", {
+          orderId,
+          errors: addressCheck.errors,
+        });
+        return {
+          success: false,
+          held: true,
+          error: `Address could not be verified: ${addressCheck.errors.join("; ") || "undeliverable"}`,
+          orderId,
+          addressCheck,
+          packages,
+          trackingCodes: [],
+        };
+      }
+      // Ship to the USPS-standardized address (ZIP+4, corrected city…)
+      if (addressCheck.address) {
+        toAddress = { ...addressCheck.address, phone: toAddress.phone };
+      }
+    }
 
-    // Retrieve the updated shipment with postage_label and tracking_code
-    const boughtShipment = await easypost.Shipment.retrieve(shipment.id);
+    const parcels = packItems(items);
 
-    console.log("[easypost] Label purchased", {
-      trackingCode: boughtShipment.tracking_code,
-      labelUrl: boughtShipment.postage_label?.label_url,
+    console.log("[easypost] Creating shipment", {
+      orderId,
+      parcels: parcels.map((p) => ({ box: p.box, weightOz: p.weightOz })),
+      itemCount: items.length,
     });
 
+    for (const parcel of parcels) {
+      const pkg = await buyParcelLabel({ toAddress, parcel, orderId, service });
+      packages.push(pkg);
+      try {
+        await onLabelBought?.(pkg);
+      } catch (err) {
+        saveError = err;
+        throw err;
+      }
+    }
+
+    const [first] = packages;
     return {
       success: true,
-      shipmentId: boughtShipment.id,
-      trackingCode: boughtShipment.tracking_code,
-      trackingUrl: boughtShipment.tracker?.public_url || null,
-      labelUrl: boughtShipment.postage_label?.label_url || null,
-      carrier: lowestRate.carrier,
-      service: lowestRate.service,
-      cost: lowestRate.rate,
-      currency: lowestRate.currency,
+      packages,
+      shipmentId: first.shipmentId,
+      trackingCode: first.trackingCode,
+      trackingCodes: packages.map((p) => p.trackingCode),
+      trackingUrl: first.trackingUrl,
+      labelUrl: first.labelUrl,
+      carrier: first.carrier,
+      service: first.service,
+      cost: packages.reduce((sum, p) => sum + parseFloat(p.cost || 0), 0).toFixed(2),
+      currency: first.currency,
+      addressCheck,
     };
   } catch (err) {
+    if (err === saveError) throw err;
     console.error("[easypost] Shipment creation failed:", {
       message: err.message,
       code: err.code,
       orderId,
+      labelsBought: packages.length,
     });
 
     return {
       success: false,
-      error: err.message,
+      error: packages.length
+        ? `${err.message} (after ${packages.length} of the order's labels were bought)`
+        : err.message,
       orderId,
+      addressCheck,
+      packages,
+      trackingCodes: packages.map((p) => p.trackingCode),
     };
   }
 }
 
+/**
+ * Rate the order's parcels without buying labels, for checkout quotes.
+ * Packs exactly like createShipment; a split order costs the sum of its
+ * parcels and arrives when the slowest one does.
+ * @param {Object} params
+ * @param {Array} params.items - Cart items for packing ({size, qty, components?})
+ * @param {Object} params.toAddress - EasyPost address fields (zip is enough for rating)
+ * @param {string[]} [params.services] - USPS services to return, e.g. ["GroundAdvantage", "Priority"]
+ * @param {Object} [params.client] - EasyPost client; pass a mock in tests
+ * @returns {Promise<Array<{carrier: string, service: string, rateCents: number, deliveryDays: number|null, parcels: number}>>}
+ *   Cheapest rate per requested service offered for every parcel, cheapest first.
+ *   Throws when EasyPost fails.
+ */
+export async function quoteRates({ items, toAddress, services = ["GroundAdvantage", "Priority"], client = getClient() }) {
+  const parcels = packItems(items);
+
+  const perParcel = [];
+  for (const parcel of parcels) {
+    const shipment = await client.Shipment.create({
+      from_address: FROM_ADDRESS,
+      to_address: { country: "US", ...toAddress },
+      parcel: {
+        length: parcel.length,
+        width: parcel.width,
+        height: parcel.height,
+        weight: parcel.weightOz,
+      },
+    });
+
+    const byService = new Map();
+    for (const r of shipment.rates || []) {
+      if (r.carrier !== "USPS" || !services.includes(r.service)) continue;
+      const rateCents = Math.round(parseFloat(r.rate) * 100);
+      if (!Number.isFinite(rateCents)) continue;
+      if (!byService.has(r.service) || rateCents < byService.get(r.service).rateCents) {
+        byService.set(r.service, {
+          carrier: r.carrier,
+          service: r.service,
+          rateCents,
+          deliveryDays: r.delivery_days ?? r.est_delivery_days ?? null,
+        });
+      }
+    }
+    perParcel.push(byService);
+  }
+
+  return services
+    .filter((service) => perParcel.every((rates) => rates.has(service)))
+    .map((service) => {
+      const rates = perParcel.map((byService) => byService.get(service));
+      const days = rates.map((r) => r.deliveryDays);
+      return {
+        carrier: rates[0].carrier,
+        service,
+        rateCents: rates.reduce((sum, r) => sum + r.rateCents, 0),
+        deliveryDays: days.includes(null) ? null : Math.max(...days),
+        parcels: parcels.length,
+      };
+    })
+    .sort((a, b) => a.rateCents - b.rateCents);
+}
+
+/**
+ * Label for an already-bought shipment, for reprinting. EasyPost converts
+ * the original PNG to PDF or ZPL on request (and keeps the URL afterwards).
+ * @param {string} shipmentId
+ * @param {"PNG"|"PDF"|"ZPL"} [format]
+ * @returns {Promise<string>} Label URL; throws when EasyPost fails
+ */
+export async function getLabelUrl(shipmentId, format = "PNG") {
+  const easypost = getClient();
+  const shipment =
+    format === "PNG"
+      ? await easypost.Shipment.retrieve(shipmentId)
+      : await easypost.Shipment.label(shipmentId, format);
+  const label = shipment.postage_label || {};
+  const url = { PNG: label.label_url, PDF: label.label_pdf_url, ZPL: label.label_zpl_url }[format];
+  if (!url) throw new Error(`No ${format} label for shipment ${shipmentId}`);
+  return url;
+}
+
+const BATCH_POLL_MS = 1500;
+
+/**
+ * One printable file (PDF or 4×6 ZPL) for many labels, via an EasyPost
+ * batch. EasyPost builds batches and their label files in the
+ * background, so this waits up to `waitMs` and otherwise returns the
+ * batch ID for getLabelBatch() to check on later.
+ * @param {string[]} shipmentIds - Shipments that already have postage
+ * @param {"PDF"|"ZPL"} [format]
+ * @param {Object} [options]
+ * @param {number} [options.waitMs] - Keep well under the function timeout
+ * @returns {Promise<{ batchId: string, state: string, labelUrl: string|null }>}
+ *   Throws when EasyPost rejects the batch
+ */
+export async function createLabelBatch(shipmentIds, format = "PDF", { waitMs = 7000 } = {}) {
+  const easypost = getClient();
+  const deadline = Date.now() + waitMs;
+  let batch = await easypost.Batch.create({ shipments: shipmentIds.map((id) => ({ id })) });
+
+  while (batch.state === "creating" && Date.now() < deadline) {
+    await new Promise((r) => setTimeout(r, BATCH_POLL_MS));
+    batch = await easypost.Batch.retrieve(batch.id);
+  }
+  if (batch.state === "creation_failed") {
+    throw new Error(`EasyPost could not create the batch (${batch.id})`);
+  }
+  if (batch.state === "creating") {
+    return { batchId: batch.id, state: batch.state, labelUrl: null };
+  }
+
+  batch = await easypost.Batch.label(batch.id, format);
+  while (!batch.label_url && Date.now() < deadline) {
+    await new Promise((r) => setTimeout(r, BATCH_POLL_MS));
+    batch = await easypost.Batch.retrieve(batch.id);
+  }
+  return { batchId: batch.id, state: batch.state, labelUrl: batch.label_url || null };
+}
+
+/**
+ * Check on a batch started by createLabelBatch(); requests the label file
+ * once the batch has finished building
+ * @param {string} batchId
+ * @param {"PDF"|"ZPL"} [format]
+ * @returns {Promise<{ batchId: string, state: string, labelUrl: string|null }>}
+ */
+export async function getLabelBatch(batchId, format = "PDF") {
+  const easypost = getClient();
+  let batch = await easypost.Batch.retrieve(batchId);
+  if (batch.state === "created" || batch.state === "purchased") {
+    batch = await easypost.Batch.label(batch.id, format);
+  }
+  return { batchId: batch.id, state: batch.state, labelUrl: batch.label_url || null };
+}
+
+/**
+ * Void unused labels. USPS only refunds labels that were never scanned;
+ * EasyPost answers "submitted" and settles the refund over the next weeks.
+ * @param {string[]} shipmentIds - EasyPost shipment IDs
+ * @returns {Promise<Array<{shipmentId: string, success: boolean, refundStatus?: string, error?: string}>>}
+ *   One result per shipment; never throws
+ */
+export async function refundLabels(shipmentIds) {
+  const results = [];
+  for (const shipmentId of shipmentIds) {
+    try {
+      const shipment = await getClient().Shipment.refund(shipmentId);
+      results.push({ shipmentId, success: true, refundStatus: shipment.refund_status || "submitted" });
+    } catch (err) {
+      console.error("[easypost] Label refund failed:", { shipmentId, message: err.message });
+      results.push({ shipmentId, success: false, error: err.message });
+    }
+  }
+  return results;
+}
+
 /**
  * Retrieve tracking info for an existing shipment
  * @param {string} trackingCode - Tracking number
@@ -212,7 +518,7 @@ export async function createShipment({ toAddress, items, orderId }) {
  */
 export async function getTracking(trackingCode) {
   try {
-    const tracker = await easypost.Tracker.create({ tracking_code: trackingCode });
+    const tracker = await getClient().Tracker.create({ tracking_code: trackingCode });
     return {
       success: true,
       status: tracker.status,
@@ -0,0 +1,287 @@
+// api/lib/emails.js
+// ─────────────────────────────────────────────────────────────
+// Email sending (Resend) and the HTML pieces the order emails are built
+// from. The Stripe webhook writes the order confirmation; the admin and
+// tracking routes send follow-ups with the same look.
+// ─────────────────────────────────────────────────────────────
+
+import { Resend } from "resend";
+import { orderStatusUrl } from "./order-links.js";
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+
+export function money(amount, currency) {
+  const c = (currency || "usd").toUpperCase();
+  const n = typeof amount === "number" ? amount : Number(amount || 0);
+  return `${(n / 100).toFixed(2)} ${c}`;
+}
+
+export function moneyPretty(amount, currency = "usd") {
+  const cents = typeof amount === "number" ? amount : Number(amount || 0);
+  return new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: (currency || "usd").toUpperCase(),
+  }).format(cents / 100);
+}
+
+export function escapeHtml(str) {
+  return String(str ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function formatAddress(addr) {
+  if (!addr) return "N/A";
+  const line1 = addr.line1 || "";
+  const line2 = addr.line2 || "";
+  const city = addr.city || "";
+  const state = addr.state || "";
+  const postal = addr.postal_code || "";
+  const country = addr.country || "";
+  const parts = [
+    line1,
+    line2,
+    `${city}${city ? "," : ""} ${state} ${postal}`.trim(),
+    country,
+  ].filter(Boolean);
+  return parts.join("\n");
+}
+
+// ─────────────────────────────────────────────────────────────
+// UPDATED: Download label PNG as base64 for embedding in email
+// ─────────────────────────────────────────────────────────────
+export async function downloadLabelAsBase64(labelUrl) {
+  try {
+    const response = await fetch(labelUrl);
+    if (!response.ok) {
+      throw new Error(`Failed to download label: ${response.status}`);
+    }
+    const arrayBuffer = await response.arrayBuffer();
+    const buffer = Buffer.from(arrayBuffer);
+    return buffer.toString('base64');
+  } catch (err) {
+    console.error("[label-download] failed:", err.message);
+    return null;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Email sending function
+// ─────────────────────────────────────────────────────────────
+export async function sendEmail({ to, from, subject, html, replyTo }) {
+  if (!process.env.RESEND_API_KEY || !from || !to) {
+    console.log("[email] missing env vars", {
+      hasResendKey: !!process.env.RESEND_API_KEY,
+      from,
+      to,
+    });
+    return { skipped: true, reason: "missing env vars" };
+  }
+
+  try {
+    const emailData = {
+      from,
+      to,
+      subject,
+      html,
+      replyTo: replyTo || "kelleysfarmcandles@gmail.com",
+    };
+
+    const result = await resend.emails.send(emailData);
+    console.log("[email] sent", result);
+    return result;
+  } catch (err) {
+    console.error("[email] resend send failed:", {
+      message: err?.message,
+      name: err?.name,
+      statusCode: err?.statusCode,
+      response: err?.response,
+    });
+    return { error: true };
+  }
+}
+
+// True when Resend accepted the email (not skipped for missing config, not failed)
+export function emailSent(result) {
+  return !!result && !result.error && !result.skipped;
+}
+
+/** "From" for mail to the shop inbox ("" when not configured) */
+export function storeSender() {
+  const storeFromEmail = process.env.ORDER_NOTIFY_FROM_EMAIL;
+  return storeFromEmail ? `Kelley's Candles <${storeFromEmail}>` : "";
+}
+
+/** "From" for mail to customers ("" when not configured) */
+export function customerSender() {
+  const customerFromEmail =
+    process.env.CUSTOMER_CONFIRM_FROM_EMAIL || process.env.ORDER_NOTIFY_FROM_EMAIL;
+  return customerFromEmail ? `Kelley's Candles <${customerFromEmail}>` : "";
+}
+
+// Short notice to the shop inbox (refunds, disputes, payment updates)
+export async function notifyStore(subject, bodyHtml) {
+  return sendEmail({
+    to: process.env.ORDER_NOTIFY_TO_EMAIL,
+    from: storeSender(),
+    subject,
+    html: `
+        <div style="font-family: Arial, sans-serif; line-height: 1.4; max-width:680px;">
+          ${bodyHtml}
+        </div>
+      `,
+  });
+}
+
+export function orderSummaryHtml(order, { paymentIntentId, currency } = {}) {
+  if (!order) {
+    return `
+          <p style="margin:0 0 6px;color:#991b1b;"><strong>No matching order on file.</strong></p>
+          <p style="margin:0;"><strong>PaymentIntent:</strong> ${escapeHtml(paymentIntentId || "unknown")}</p>`;
+  }
+  return `
+          <div style="padding:12px 14px; background:#f7f7f7; border-radius:12px; margin:12px 0;">
+            <p style="margin:0 0 6px;"><strong>Order ID:</strong> ${escapeHtml(order.id)}</p>
+            <p style="margin:0 0 6px;"><strong>Customer:</strong> ${escapeHtml(order.customer?.name)} (${escapeHtml(order.customer?.email)})</p>
+            <p style="margin:0 0 6px;"><strong>Items:</strong> ${escapeHtml(
+              (order.items || []).map((l) => `${l.qty}x ${l.name}`).join(", ") || "(none recorded)"
+            )}</p>
+            <p style="margin:0;"><strong>Order total:</strong> ${escapeHtml(
+              moneyPretty(order.totals?.total ?? 0, order.totals?.currency || currency)
+            )} — <strong>status:</strong> ${escapeHtml(order.status)}</p>
+          </div>`;
+}
+
+export function buildItemsTable(lines, currency) {
+  const rows = (lines || [])
+    .map((l) => {
+      return `
+        <tr>
+          <td style="padding:10px 0;border-bottom:1px solid #eee;">${escapeHtml(l.name)}${
+            l.components?.length
+              ? `<div style="font-size:12px;color:#666;margin-top:2px;">Includes: ${escapeHtml(
+                  l.components.map((c) => `${c.qty}x ${c.name} • ${c.size}`).join(", ")
+                )}</div>`
+              : ""
+          }</td>
+          <td style="padding:10px 0;border-bottom:1px solid #eee;text-align:center;">${escapeHtml(
+            String(l.qty)
+          )}</td>
+          <td style="padding:10px 0;border-bottom:1px solid #eee;text-align:right;">${escapeHtml(
+            moneyPretty(l.unit, currency)
+          )}</td>
+          <td style="padding:10px 0;border-bottom:1px solid #eee;text-align:right;">${escapeHtml(
+            moneyPretty(l.line, currency)
+          )}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  return `
+    <table style="width:100%;border-collapse:collapse;font-size:14px;">
+      <thead>
+        <tr>
+          <th style="text-align:left;padding:10px 0;border-bottom:2px solid #ddd;">Item</th>
+          <th style="text-align:center;padding:10px 0;border-bottom:2px solid #ddd;">Qty</th>
+          <th style="text-align:right;padding:10px 0;border-bottom:2px solid #ddd;">Unit</th>
+          <th style="text-align:right;padding:10px 0;border-bottom:2px solid #ddd;">Line</th>
+        </tr>
+      </thead>
+      <tbody>${rows || ""}</tbody>
+    </table>
+  `;
+}
+
+// Store-email label section for one package: the embedded PNG when it
+// downloaded, otherwise links
+export function buildLabelHtml(pkg, index, count) {
+  const which =
+    count > 1
+      ? ` (package ${index + 1} of ${count} — ${pkg.box} box: ${(pkg.items || [])
+          .map((i) => `${i.qty}x ${i.scent} ${i.size}`.trim())
+          .join(", ")})`
+      : "";
+
+  if (pkg.labelBase64) {
+    return `
+          <h3 style="margin:24px 0 8px;">📦 Shipping Label - Print This!${escapeHtml(which)}</h3>
+          <div style="background:#f0f9ff;border:2px solid #0ea5e9;border-radius:12px;padding:16px;">
+            <p style="margin:0 0 12px;font-weight:bold;color:#0369a1;font-size:16px;">
+              ✅ Ready to ship! Print the label below.
+            </p>
+            ${
+              index === 0
+                ? `
+            <div style="background:#fef3c7;border:1px solid #f59e0b;border-radius:8px;padding:12px;margin:12px 0;">
+              <p style="margin:0 0 8px;font-weight:bold;color:#78350f;">📋 How to Print:</p>
+              <ol style="margin:0;padding-left:20px;font-size:13px;color:#1e293b;line-height:1.6;">
+                <li>Open this email</li>
+                <li>Click <strong>Print</strong> (or File → Print)</li>
+                <li>Print on regular 8.5" x 11" paper</li>
+                <li>Cut out the label below along the border</li>
+                <li>Tape it securely to your package</li>
+              </ol>
+            </div>
+            `
+                : ""
+            }
+            <p style="margin:12px 0 8px;"><strong>Tracking:</strong> ${escapeHtml(pkg.trackingCode)}</p>
+            ${pkg.trackingUrl ? `<p style="margin:0 0 12px;"><a href="${escapeHtml(pkg.trackingUrl)}" style="color:#0ea5e9;">Track Package Online</a></p>` : ""}
+            
+            <div style="margin:16px 0;padding:16px;background:#fff;border:2px dashed #0ea5e9;border-radius:8px;text-align:center;">
+              <p style="margin:0 0 8px;font-weight:bold;color:#0369a1;">⬇️ SHIPPING LABEL - CUT OUT AND TAPE TO PACKAGE ⬇️</p>
+              <img src="data:image/png;base64,${pkg.labelBase64}" 
+                   alt="Shipping Label" 
+                   style="max-width:100%;height:auto;display:block;margin:0 auto;border:1px solid #ccc;" />
+            </div>
+            
+            ${pkg.labelUrl ? `<p style="margin:12px 0 0;font-size:12px;color:#64748b;">Backup: <a href="${escapeHtml(pkg.labelUrl)}" style="color:#0ea5e9;">View label online</a></p>` : ""}
+          </div>
+          `;
+  }
+
+  return `
+          <h3 style="margin:18px 0 8px;">Shipping Label${escapeHtml(which)}</h3>
+          <div style="background:#f0f9ff;border:1px solid #0ea5e9;border-radius:12px;padding:12px;">
+            <p style="margin:0 0 6px;"><strong>Tracking:</strong> ${escapeHtml(pkg.trackingCode)}</p>
+            ${pkg.trackingUrl ? `<p style="margin:0 0 6px;"><a href="${escapeHtml(pkg.trackingUrl)}" style="color:#0ea5e9;">Track Package</a></p>` : ""}
+            ${pkg.labelUrl ? `<p style="margin:0 0 6px;"><a href="${escapeHtml(pkg.labelUrl)}" style="color:#0ea5e9;">Download Label</a></p>` : ""}
+            <p style="margin:6px 0 0;font-size:12px;color:#7f1d1d;">Label image failed to embed - please click link above to download.</p>
+          </div>
+          `;
+}
+
+// Customer-facing tracking numbers, one per package
+export function buildTrackingHtml(packages, heading = "Your order is ready to ship!") {
+  if (!packages?.length) return "";
+  return `
+          <div style="margin:18px 0;padding:14px;background:#f0f9ff;border:1px solid #0ea5e9;border-radius:12px;">
+            <p style="margin:0 0 8px;font-weight:bold;color:#0369a1;">${escapeHtml(heading)}</p>
+            ${packages.length > 1 ? `<p style="margin:0 0 6px;">It's coming in ${packages.length} packages.</p>` : ""}
+            ${packages
+              .map(
+                (pkg, i) => `
+            <p style="margin:0 0 6px;"><strong>Tracking number${packages.length > 1 ? ` (package ${i + 1})` : ""}:</strong> ${escapeHtml(pkg.trackingCode)}</p>
+            ${pkg.trackingUrl ? `<p style="margin:0 0 6px;"><a href="${escapeHtml(pkg.trackingUrl)}" style="color:#0ea5e9;text-decoration:underline;">Track ${packages.length > 1 ? "this package" : "your package"}</a></p>` : ""}`
+              )
+              .join("")}
+          </div>
+          `;
+}
+
+/**
+ * "Check your order status" link for customer emails
+ * @param {string} orderId
+ * @returns {string}
+ */
+export function buildStatusLinkHtml(orderId) {
+  if (!orderId) return "";
+  return `
+          <p style="margin:14px 0;">
+            <a href="${escapeHtml(orderStatusUrl(orderId))}" style="display:inline-block;padding:10px 16px;background:#111;color:#fff;border-radius:8px;text-decoration:none;">Check your order status</a>
+          </p>
+          `;
+}
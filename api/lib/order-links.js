@@ -0,0 +1,106 @@
+// api/lib/order-links.js
+// ─────────────────────────────────────────────────────────────
+// Signed order links. Customer emails carry a link to
+// order-status.html?order=<id>&token=<token> so the order can be opened
+// without typing the email address again. The token is an expiry plus an
+// HMAC over (purpose, order ID, expiry) with ORDER_LINK_SECRET; without
+// the secret no links are issued and customers look orders up by email.
+//
+// The success page gets a short-lived token too. The session ID doesn't
+// exist yet when success_url is built, so the token signs a random access
+// key that's also stored in the session's metadata (access_key).
+// ─────────────────────────────────────────────────────────────
+
+import { createHmac, timingSafeEqual, randomUUID } from "node:crypto";
+
+const SITE_URL = "https://www.kelleyscandles.com";
+
+/**
+ * How long an order-status link in an email keeps working. Long enough for
+ * returns and disputes; the page it opens leaves out name and street
+ * address (api/order-status.js), so a forwarded link gives little away.
+ */
+export const ORDER_LINK_TTL_SECONDS = 180 * 24 * 60 * 60;
+
+/**
+ * How long the success page may show a customer's contact details and
+ * address: Stripe Checkout's 30 minutes plus time to read the page
+ */
+export const CHECKOUT_ACCESS_TTL_SECONDS = 2 * 60 * 60;
+
+function secret() {
+  return process.env.ORDER_LINK_SECRET || "";
+}
+
+function signature(purpose, orderId, expires) {
+  return createHmac("sha256", secret())
+    .update(`${purpose}:${orderId}:${expires}`)
+    .digest("base64url");
+}
+
+/**
+ * Token granting read access to one order until it expires
+ * @param {string} orderId
+ * @param {Object} [opts]
+ * @param {string} [opts.purpose="status"] - Tokens for one purpose don't verify for another
+ * @param {number} [opts.ttlSeconds=ORDER_LINK_TTL_SECONDS]
+ * @returns {string|null} null when ORDER_LINK_SECRET isn't set
+ */
+export function signOrderToken(orderId, { purpose = "status", ttlSeconds = ORDER_LINK_TTL_SECONDS } = {}) {
+  if (!secret() || !orderId) return null;
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `${expires.toString(36)}.${signature(purpose, orderId, expires)}`;
+}
+
+/**
+ * @param {string} orderId
+ * @param {string} token
+ * @param {Object} [opts]
+ * @param {string} [opts.purpose="status"]
+ * @returns {"valid"|"expired"|"invalid"}
+ */
+export function checkOrderToken(orderId, token, { purpose = "status" } = {}) {
+  if (!secret() || !orderId || typeof token !== "string") return "invalid";
+  const [exp, sig = ""] = token.split(".");
+  const expires = parseInt(exp, 36);
+  if (!Number.isFinite(expires)) return "invalid";
+
+  const expected = Buffer.from(signature(purpose, orderId, expires));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return "invalid";
+  return expires * 1000 < Date.now() ? "expired" : "valid";
+}
+
+/**
+ * Link to the order status page, signed when possible
+ * @param {string} orderId
+ * @returns {string}
+ */
+export function orderStatusUrl(orderId) {
+  const token = signOrderToken(orderId);
+  const params = new URLSearchParams({ order: orderId });
+  if (token) params.set("token", token);
+  return `${SITE_URL}/order-status.html?${params}`;
+}
+
+/**
+ * Access token for success_url, bound to the session through its metadata
+ * @returns {{ accessKey: string, access: string|null }} `access` goes in the
+ *   URL, `accessKey` in the session metadata; access is null without a secret
+ */
+export function createCheckoutAccess() {
+  const accessKey = randomUUID();
+  const token = signOrderToken(accessKey, { purpose: "checkout", ttlSeconds: CHECKOUT_ACCESS_TTL_SECONDS });
+  return { accessKey, access: token ? `${accessKey}.${token}` : null };
+}
+
+/**
+ * @param {string} access - The success page's ?access= value
+ * @param {string} accessKey - session.metadata.access_key
+ * @returns {"valid"|"expired"|"invalid"}
+ */
+export function checkCheckoutAccess(access, accessKey) {
+  const [key, ...rest] = String(access || "").split(".");
+  if (!key || !accessKey || key !== accessKey) return "invalid";
+  return checkOrderToken(key, rest.join("."), { purpose: "checkout" });
+}
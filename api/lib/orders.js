@@ -0,0 +1,312 @@
+// api/lib/orders.js
+// ─────────────────────────────────────────────────────────────
+// Order repository. The Stripe webhook records every paid order here
+// (items, totals, shipments, status history) so the other routes can
+// answer "what happened to order X" without digging through email.
+//
+// Storage is pluggable: anything with get / update / list works (see
+// OrderStorageAdapter). Deployed, orders live in the shared Redis (one
+// key per order, see storage.js) so every function instance and the
+// admin pages see the same orders; production refuses to run without
+// it. Local development without KV credentials uses a JSON file. Swap
+// in another adapter with setOrderStorage() (tests use
+// createMemoryAdapter()).
+// ─────────────────────────────────────────────────────────────
+
+import { createJsonFileStore, getKvClient, kvKey, updateKvJson } from "./storage.js";
+
+/**
+ * @typedef {"awaiting_payment"|"payment_failed"|"paid"|"awaiting_pickup"|"address_review"|"label_created"|"label_failed"|"shipped"|"in_transit"|"out_for_delivery"|"delivered"|"exception"|"picked_up"|"disputed"|"refunded"|"canceled"} OrderStatus
+ */
+
+/**
+ * @typedef {Object} OrderLine
+ * @property {number} qty
+ * @property {string} name
+ * @property {number} unit       - Unit price in cents
+ * @property {number} line       - Line total in cents
+ * @property {string} [variantId]
+ * @property {string} [size]
+ * @property {Array<{ qty: number, name: string, size: string }>} [components] - Bundles only
+ */
+
+/**
+ * One parcel's label
+ * @typedef {Object} OrderShipment
+ * @property {string} shipmentId
+ * @property {string} trackingCode
+ * @property {string|null} trackingUrl
+ * @property {string|null} labelUrl
+ * @property {string} carrier
+ * @property {string} service
+ * @property {string} cost       - Label cost as EasyPost reports it ("7.85")
+ * @property {string} [box]
+ * @property {number} [weightOz]
+ * @property {Object<string, string>} [labelUrls] - Reprinted formats ("PDF", "ZPL") → URL
+ * @property {import("./tracking.js").ShipmentTracking} [tracking] - Latest carrier scan (EasyPost webhook)
+ * @property {string} [refundStatus] - Set once the label was voided ("submitted", "refunded")
+ */
+
+/**
+ * @typedef {Object} Order
+ * @property {string} id                 - Stripe Checkout Session ID
+ * @property {OrderStatus} status
+ * @property {Array<{ status: OrderStatus, at: string, note?: string }>} statusHistory
+ * @property {string} createdAt          - ISO timestamp
+ * @property {string} updatedAt          - ISO timestamp
+ * @property {"shipping"|"pickup"} fulfillment
+ * @property {{ name: string, email: string, phone: string }} customer
+ * @property {Object|null} shippingAddress - Stripe address object
+ * @property {{ location: string, address: string, window: string }|null} pickup
+ * @property {OrderLine[]} items
+ * @property {{ subtotal: number, shipping: number, tax: number, total: number, currency: string }} totals
+ * @property {string} shippingMethod
+ * @property {string} promoCode
+ * @property {OrderShipment[]} shipments
+ * @property {string|null} shippingError
+ * @property {import("./easypost.js").AddressCheck|null} [addressCheck] - Last ship-to verification;
+ *   status "address_review" means it failed and no label was bought
+ * @property {string|null} paymentIntentId
+ * @property {number} [refundedCents]    - Total refunded so far (charge.refunded)
+ * @property {{ id: string, reason: string, amountCents: number, dueBy: string|null, openedAt: string }} [dispute]
+ * @property {Array<{ at: string, text: string }>} [notes] - Internal notes from the admin page
+ * @property {Object<string, string>} [steps] - Webhook steps already done
+ *   (awaitingPaymentEmailSent, promoRedeemed, labelPurchaseStarted,
+ *   labelBought, storeEmailSent, customerEmailSent, …) → ISO timestamp,
+ *   so a retried delivery resumes instead of repeating them
+ */
+
+/**
+ * @typedef {Object} OrderStorageAdapter
+ * @property {(id: string) => Promise<Order|null>} get
+ * @property {(id: string, mutate: (order: Order|null) => Order|null) => Promise<Order|null>} update
+ *   Atomic read-modify-write of one order; return null from `mutate` to leave it unchanged
+ * @property {() => Promise<Order[]>} list
+ */
+
+const LIST_CHUNK = 100; // keys per MGET
+
+/**
+ * Orders in the shared Redis: each order under its own key, plus a set
+ * of every order ID for list()
+ * @param {Object} [options]
+ * @param {import("./storage.js").KvClient} [options.client]
+ * @param {string} [options.prefix]
+ * @returns {OrderStorageAdapter}
+ */
+export function createKvAdapter({ client = getKvClient(), prefix = "orders" } = {}) {
+  const orderKey = (id) => kvKey(`${prefix}:${id}`);
+  const indexKey = kvKey(`${prefix}:ids`);
+  return {
+    async get(id) {
+      const raw = await client.get(orderKey(id));
+      return raw ? JSON.parse(raw) : null;
+    },
+    async update(id, mutate) {
+      const order = await updateKvJson(client, orderKey(id), (current) => {
+        const next = mutate(current);
+        return { value: next || undefined, result: next || current };
+      });
+      if (order) await client.sadd(indexKey, id);
+      return order;
+    },
+    async list() {
+      const ids = await client.smembers(indexKey);
+      const orders = [];
+      for (let i = 0; i < ids.length; i += LIST_CHUNK) {
+        const raws = await client.mget(...ids.slice(i, i + LIST_CHUNK).map(orderKey));
+        for (const raw of raws) if (raw) orders.push(JSON.parse(raw));
+      }
+      return orders;
+    },
+  };
+}
+
+/**
+ * Orders in one JSON file under DATA_DIR (see storage.js), for local development
+ * @param {string} [name]
+ * @returns {OrderStorageAdapter}
+ */
+export function createJsonFileAdapter(name = "orders") {
+  const store = createJsonFileStore(name);
+  return {
+    async get(id) {
+      const state = await store.read();
+      return state.orders?.[id] || null;
+    },
+    update(id, mutate) {
+      return store.update((state) => {
+        state.orders = state.orders || {};
+        const next = mutate(state.orders[id] ? structuredClone(state.orders[id]) : null);
+        if (next) state.orders[id] = next;
+        return next || state.orders[id] || null;
+      });
+    },
+    async list() {
+      const state = await store.read();
+      return Object.values(state.orders || {});
+    },
+  };
+}
+
+/**
+ * Orders in memory, for tests and scripts
+ * @returns {OrderStorageAdapter}
+ */
+export function createMemoryAdapter() {
+  const orders = new Map();
+  return {
+    async get(id) {
+      return orders.has(id) ? structuredClone(orders.get(id)) : null;
+    },
+    async update(id, mutate) {
+      const next = mutate(orders.has(id) ? structuredClone(orders.get(id)) : null);
+      if (next) orders.set(id, structuredClone(next));
+      return orders.has(id) ? structuredClone(orders.get(id)) : null;
+    },
+    async list() {
+      return [...orders.values()].map((o) => structuredClone(o));
+    },
+  };
+}
+
+/** @type {OrderStorageAdapter|null} */
+let storage = null;
+
+// Throws in production when the shared store isn't configured
+function getStorage() {
+  if (!storage) storage = getKvClient() ? createKvAdapter() : createJsonFileAdapter();
+  return storage;
+}
+
+/**
+ * Replace the storage adapter (tests, or a database-backed adapter)
+ * @param {OrderStorageAdapter} adapter
+ */
+export function setOrderStorage(adapter) {
+  storage = adapter;
+}
+
+function pushStatus(order, status, note, at) {
+  if (order.status === status && !note) return;
+  order.status = status;
+  order.statusHistory.push(note ? { status, at, note } : { status, at });
+}
+
+/**
+ * Create an order, or merge into it if the webhook already recorded it
+ * (Stripe retries deliveries). Status changes are appended to the history.
+ * @param {Partial<Order> & { id: string, status: OrderStatus }} details
+ * @returns {Promise<Order>}
+ */
+export async function recordOrder(details) {
+  const at = new Date().toISOString();
+  return getStorage().update(details.id, (existing) => {
+    const { status, ...fields } = details;
+    const order = existing || {
+      id: details.id,
+      status,
+      statusHistory: [],
+      createdAt: at,
+      fulfillment: "shipping",
+      customer: { name: "", email: "", phone: "" },
+      shippingAddress: null,
+      pickup: null,
+      items: [],
+      totals: { subtotal: 0, shipping: 0, tax: 0, total: 0, currency: "usd" },
+      shippingMethod: "",
+      promoCode: "",
+      shipments: [],
+      shippingError: null,
+      paymentIntentId: null,
+    };
+    Object.assign(order, fields);
+    if (!existing) order.statusHistory.push({ status, at });
+    else pushStatus(order, status, "", at);
+    order.updatedAt = at;
+    return order;
+  });
+}
+
+/**
+ * Move an order to a new status
+ * @param {string} id
+ * @param {OrderStatus} status
+ * @param {Object} [options]
+ * @param {string} [options.note] - Shown in the history (e.g. "refund of $12.00")
+ * @returns {Promise<Order|null>} null when the order is unknown
+ */
+export async function setOrderStatus(id, status, { note } = {}) {
+  const at = new Date().toISOString();
+  return getStorage().update(id, (order) => {
+    if (!order) return null;
+    pushStatus(order, status, note, at);
+    order.updatedAt = at;
+    return order;
+  });
+}
+
+/**
+ * Apply arbitrary changes to an order (shipments, notes, …)
+ * @param {string} id
+ * @param {(order: Order) => void} mutate - Edits the order in place
+ * @returns {Promise<Order|null>} null when the order is unknown
+ */
+export async function updateOrder(id, mutate) {
+  return getStorage().update(id, (order) => {
+    if (!order) return null;
+    mutate(order);
+    order.updatedAt = new Date().toISOString();
+    return order;
+  });
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Order|null>}
+ */
+export async function getOrder(id) {
+  if (!id) return null;
+  return getStorage().get(id);
+}
+
+/**
+ * True while nothing has left the shop (no shipped / delivered / picked-up
+ * status in the history)
+ * @param {Order} order
+ * @returns {boolean}
+ */
+export function isUnshipped(order) {
+  const done = ["shipped", "in_transit", "out_for_delivery", "delivered", "exception", "picked_up"];
+  return !(order.statusHistory || []).some((h) => done.includes(h.status));
+}
+
+/**
+ * Orders newest first, optionally filtered
+ * @param {Object} [filter]
+ * @param {OrderStatus|OrderStatus[]} [filter.status]
+ * @param {string} [filter.email]  - Case-insensitive exact match
+ * @param {string} [filter.since]  - ISO date; orders created on/after it
+ * @param {string} [filter.until]  - ISO date; orders created before it
+ * @param {string} [filter.paymentIntentId] - Stripe PaymentIntent (refunds, disputes)
+ * @param {string} [filter.trackingCode]    - Any of the order's labels (tracking updates)
+ * @param {number} [filter.limit]
+ * @returns {Promise<Order[]>}
+ */
+export async function listOrders({ status, email, since, until, paymentIntentId, trackingCode, limit } = {}) {
+  const statuses = status ? [].concat(status) : null;
+  const emailKey = email ? String(email).trim().toLowerCase() : "";
+  const sinceMs = since ? Date.parse(since) : NaN;
+  const untilMs = until ? Date.parse(until) : NaN;
+
+  const orders = (await getStorage().list())
+    .filter((o) => !statuses || statuses.includes(o.status))
+    .filter((o) => !emailKey || String(o.customer?.email || "").toLowerCase() === emailKey)
+    .filter((o) => !Number.isFinite(sinceMs) || Date.parse(o.createdAt) >= sinceMs)
+    .filter((o) => !Number.isFinite(untilMs) || Date.parse(o.createdAt) < untilMs)
+    .filter((o) => !paymentIntentId || o.paymentIntentId === paymentIntentId)
+    .filter((o) => !trackingCode || (o.shipments || []).some((s) => s.trackingCode === trackingCode))
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+
+  return limit ? orders.slice(0, limit) : orders;
+}
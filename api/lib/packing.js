@@ -0,0 +1,157 @@
+// api/lib/packing.js
+// ─────────────────────────────────────────────────────────────
+// Splits an order into parcels. Every item takes up some room in a
+// box (measured in "slots", roughly one 6 oz jar each) and adds
+// weight; a parcel is closed when the next item won't fit its box by
+// room or by weight, and each parcel then ships in the smallest box
+// that holds it.
+//
+// Pure — no EasyPost calls — so label purchase, live quotes and the
+// admin tools all pack the same way.
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Estimated shipping weight per unit, in ounces (product + its own
+ * wrapping, not the box)
+ */
+export const ITEM_WEIGHTS_OZ = {
+  "6 oz": 10,   // 6 oz wax + ~4 oz jar
+  "12 oz": 18,  // 12 oz wax + ~6 oz jar
+  "17 oz": 24,  // 17 oz wax + ~7 oz jar
+  "wax melt": 6, // wax melts + packaging
+};
+const DEFAULT_ITEM_WEIGHT_OZ = 15; // unknown size: average candle
+
+/** Room an item takes in a box, in slots */
+export const ITEM_SLOTS = {
+  "6 oz": 1,
+  "12 oz": 1.5,
+  "17 oz": 2,
+  "wax melt": 0.5,
+};
+const DEFAULT_ITEM_SLOTS = 1.5;
+
+/**
+ * @typedef {Object} BoxDefinition
+ * @property {string} name
+ * @property {number} length       - inches
+ * @property {number} width        - inches
+ * @property {number} height       - inches
+ * @property {number} slots        - How much fits (see ITEM_SLOTS)
+ * @property {number} maxWeightOz  - Packed weight limit, box included
+ * @property {number} boxWeightOz  - Empty box + packing material
+ */
+
+/** Smallest first. The 12×10×8 is the box every order used to ship in. */
+export const BOXES = [
+  { name: "small", length: 8, width: 6, height: 6, slots: 2, maxWeightOz: 80, boxWeightOz: 3 },
+  { name: "standard", length: 12, width: 10, height: 8, slots: 8, maxWeightOz: 240, boxWeightOz: 4 },
+  { name: "large", length: 14, width: 12, height: 10, slots: 12, maxWeightOz: 400, boxWeightOz: 6 },
+];
+
+/**
+ * @typedef {Object} Parcel
+ * @property {string} box           - Box name
+ * @property {number} length
+ * @property {number} width
+ * @property {number} height
+ * @property {number} weightOz      - Packed weight, box included
+ * @property {Array<{ size: string, scent: string, qty: number }>} items
+ */
+
+function unitWeight(size) {
+  return ITEM_WEIGHTS_OZ[size] ?? DEFAULT_ITEM_WEIGHT_OZ;
+}
+
+function unitSlots(size) {
+  return ITEM_SLOTS[size] ?? DEFAULT_ITEM_SLOTS;
+}
+
+// One entry per physical unit; bundles become their components
+function toUnits(items) {
+  const units = [];
+  for (const item of items || []) {
+    const qty = Math.max(0, Number(item.qty) || 0);
+    if (Array.isArray(item.components) && item.components.length) {
+      for (let n = 0; n < qty; n++) units.push(...toUnits(item.components));
+      continue;
+    }
+    const scent = item.scent || item.name || "";
+    for (let n = 0; n < qty; n++) units.push({ size: item.size, scent });
+  }
+  return units;
+}
+
+function fits(box, slots, weightOz) {
+  return slots <= box.slots + 1e-9 && weightOz + box.boxWeightOz <= box.maxWeightOz;
+}
+
+/**
+ * Pack items into parcels
+ * @param {Array} items - {size, qty, scent?, components?} — bundles list their
+ *   contents as components ({size, qty} per bundle)
+ * @param {Object} [options]
+ * @param {BoxDefinition[]} [options.boxes] - Smallest first
+ * @returns {Parcel[]} At least one parcel
+ */
+export function packItems(items, { boxes = BOXES } = {}) {
+  const largest = boxes[boxes.length - 1];
+
+  // Heaviest first so big jars don't get stranded in a box of their own
+  const units = toUnits(items).sort((a, b) => unitWeight(b.size) - unitWeight(a.size));
+
+  const groups = [];
+  let current = null;
+  for (const unit of units) {
+    const slots = unitSlots(unit.size);
+    const weight = unitWeight(unit.size);
+    if (!current || !fits(largest, current.slots + slots, current.weightOz + weight)) {
+      current = { slots: 0, weightOz: 0, units: [] };
+      groups.push(current);
+    }
+    current.slots += slots;
+    current.weightOz += weight;
+    current.units.push(unit);
+  }
+  if (groups.length === 0) groups.push({ slots: 0, weightOz: 0, units: [] });
+
+  return groups.map((group) => {
+    const box = boxes.find((b) => fits(b, group.slots, group.weightOz)) || largest;
+
+    const counts = new Map();
+    for (const unit of group.units) {
+      const key = `${unit.scent}|${unit.size}`;
+      const line = counts.get(key) || { size: unit.size, scent: unit.scent, qty: 0 };
+      line.qty += 1;
+      counts.set(key, line);
+    }
+
+    return {
+      box: box.name,
+      length: box.length,
+      width: box.width,
+      height: box.height,
+      weightOz: group.weightOz + box.boxWeightOz,
+      items: [...counts.values()],
+    };
+  });
+}
+
+/**
+ * Packing input from recorded order lines (webhook line items or
+ * Order.items). Size comes from product metadata; older sessions only
+ * have it in the name.
+ * @param {Array<{ qty: number, name: string, size?: string, components?: Array }>} lines
+ * @returns {Array<{ size: string, qty: number, scent: string, components?: Array }>}
+ */
+export function itemsFromOrderLines(lines) {
+  return (lines || []).map((l) => ({
+    size:
+      l.size ||
+      (/wax\s*melt/i.test(l.name) ? "wax melt" : l.name.match(/(\d+\s*oz)/i)?.[1]) ||
+      "12 oz",
+    qty: l.qty,
+    scent: l.name.split("•")[0]?.trim() || l.name,
+    components: l.components,
+  }));
+}
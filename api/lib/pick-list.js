@@ -0,0 +1,63 @@
+// api/lib/pick-list.js
+// ─────────────────────────────────────────────────────────────
+// Pick list: how many of each scent × size the day's open orders need,
+// so the pours can be pulled from the shelf in one pass. Gift sets count
+// as their contents.
+// ─────────────────────────────────────────────────────────────
+
+import { itemsFromOrderLines } from "./packing.js";
+
+/** Orders that still have to be packed */
+export const OPEN_STATUSES = ["paid", "address_review", "label_created", "label_failed", "awaiting_pickup"];
+
+/**
+ * @typedef {Object} PickListRow
+ * @property {string} scent
+ * @property {string} size
+ * @property {number} qty
+ * @property {number} orders - How many orders need this scent × size
+ */
+
+// Bundle components are recorded as { qty, name, size } per bundle
+function unitsOf(item) {
+  if (Array.isArray(item.components) && item.components.length) {
+    return item.components.flatMap((c) =>
+      unitsOf({ scent: c.name, size: c.size, qty: (Number(c.qty) || 1) * item.qty, components: c.components })
+    );
+  }
+  return [{ scent: item.scent, size: item.size, qty: Number(item.qty) || 0 }];
+}
+
+/**
+ * Totals by scent and size, sorted by scent then size
+ * @param {import("./orders.js").Order[]} orders
+ * @returns {{ rows: PickListRow[], totalUnits: number, orderCount: number }}
+ */
+export function buildPickList(orders) {
+  const rows = new Map();
+  for (const order of orders) {
+    const seen = new Set();
+    for (const item of itemsFromOrderLines(order.items)) {
+      for (const unit of unitsOf(item)) {
+        if (unit.qty <= 0) continue;
+        const key = `${unit.scent.toLowerCase()}|${unit.size}`;
+        const row = rows.get(key) || { scent: unit.scent, size: unit.size, qty: 0, orders: 0 };
+        row.qty += unit.qty;
+        if (!seen.has(key)) {
+          row.orders += 1;
+          seen.add(key);
+        }
+        rows.set(key, row);
+      }
+    }
+  }
+
+  const sorted = [...rows.values()].sort(
+    (a, b) => a.scent.localeCompare(b.scent) || a.size.localeCompare(b.size, "en", { numeric: true })
+  );
+  return {
+    rows: sorted,
+    totalUnits: sorted.reduce((sum, r) => sum + r.qty, 0),
+    orderCount: orders.length,
+  };
+}
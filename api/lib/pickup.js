@@ -0,0 +1,101 @@
+// api/lib/pickup.js
+// ─────────────────────────────────────────────────────────────
+// Local pickup locations and time windows.
+//
+// Checkout offers every location × window as a dropdown in Stripe
+// Checkout (a "custom field"), so the customer picks a slot while
+// paying. To change them, set PICKUP_OPTIONS_JSON in Vercel to a JSON
+// object with the same shape as DEFAULT_PICKUP below, e.g.
+//
+//   { "locations": [
+//       { "id": "farm", "name": "Kelley's Farm",
+//         "address": "17 Deerfield Dr, Moundsville, WV 26041",
+//         "windows": ["Wednesdays 4–6 pm", "Saturdays 10 am–12 pm"],
+//         "instructions": "Pull up to the barn and text us when you arrive." } ] }
+//
+// Set { "enabled": false } to hide pickup at checkout.
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} PickupLocation
+ * @property {string} id            - Letters and numbers only (Stripe dropdown values)
+ * @property {string} name
+ * @property {string} address
+ * @property {string[]} windows     - Human-readable time windows
+ * @property {string} [instructions] - Included in the pickup confirmation email
+ */
+
+/**
+ * One selectable location + window
+ * @typedef {Object} PickupSlot
+ * @property {string} value  - Stable id for the slot, e.g. "farm1"
+ * @property {string} label  - "Kelley's Farm — Saturdays 10 am–12 pm"
+ * @property {PickupLocation} location
+ * @property {string} window
+ */
+
+const DEFAULT_PICKUP = {
+  enabled: true,
+  locations: [
+    {
+      id: "farm",
+      name: "Kelley's Farm",
+      address: "17 Deerfield Dr, Moundsville, WV 26041",
+      windows: ["Wednesdays 4–6 pm", "Saturdays 10 am–12 pm"],
+      instructions: "We'll email you when your order is ready. Bring your order ID.",
+    },
+  ],
+};
+
+// Stripe allows up to 200 dropdown options with 100-character labels
+const MAX_SLOTS = 200;
+
+/**
+ * Active pickup config: PICKUP_OPTIONS_JSON, or the defaults when it's
+ * unset or malformed.
+ * @returns {{ enabled: boolean, locations: PickupLocation[] }}
+ */
+export function getPickupConfig() {
+  const raw = process.env.PICKUP_OPTIONS_JSON;
+  if (!raw) return DEFAULT_PICKUP;
+  try {
+    const custom = JSON.parse(raw);
+    const locations = Array.isArray(custom.locations)
+      ? custom.locations.filter(
+          (l) => l && /^[a-z0-9]+$/i.test(l.id || "") && l.name && Array.isArray(l.windows)
+        )
+      : DEFAULT_PICKUP.locations;
+    return { enabled: custom.enabled !== false, locations };
+  } catch (err) {
+    console.error("[pickup] PICKUP_OPTIONS_JSON is not valid JSON:", err.message);
+    return DEFAULT_PICKUP;
+  }
+}
+
+/**
+ * Every location × window, in config order
+ * @returns {PickupSlot[]}
+ */
+export function getPickupSlots() {
+  const config = getPickupConfig();
+  if (!config.enabled) return [];
+  return config.locations
+    .flatMap((location) =>
+      location.windows.map((window, i) => ({
+        value: `${location.id}${i + 1}`,
+        label: `${location.name} — ${window}`.slice(0, 100),
+        location,
+        window,
+      }))
+    )
+    .slice(0, MAX_SLOTS);
+}
+
+/**
+ * Look up the slot a customer picked
+ * @param {string} value
+ * @returns {PickupSlot|null}
+ */
+export function findPickupSlot(value) {
+  return getPickupSlots().find((slot) => slot.value === value) || null;
+}
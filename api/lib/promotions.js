@@ -0,0 +1,242 @@
+// api/lib/promotions.js
+// ─────────────────────────────────────────────────────────────
+// Promo codes for checkout (holiday sales, farmers-market follow-ups).
+//
+// Promotions are configured in the PROMOTIONS_JSON environment variable
+// (set it in Vercel — the repo is public, so codes don't live here), as a
+// JSON array of objects like:
+//
+//   { "code": "HOLIDAY20", "type": "percent_off", "percentOff": 20,
+//     "description": "20% off everything",
+//     "startsAt": "2026-11-25", "endsAt": "2026-12-26",
+//     "maxRedemptions": 200 }
+//
+//   { "code": "MELTS", "type": "buy_n_get_one", "buyQty": 3,
+//     "appliesTo": { "sizes": ["wax melt"] } }
+//
+//   { "code": "APPLE5", "type": "amount_off", "amountOffCents": 500,
+//     "appliesTo": { "scents": ["Apple Pie"] }, "minSubtotalCents": 3000 }
+//
+//   { "code": "SHIPFREE", "type": "free_shipping" }
+//
+// startsAt / endsAt take an ISO date-time, or a plain date for a whole
+// day in the shop's time zone (STORE_TIME_ZONE, Eastern by default):
+// "endsAt": "2026-12-26" works until midnight at the end of the 26th.
+// Promotions with dates that don't parse are ignored with a warning.
+//
+// Redemptions are counted when an order is paid (stripe-webhook.js), in
+// the shared store so every instance sees the same count.
+// ─────────────────────────────────────────────────────────────
+
+import { createStore } from "./storage.js";
+import { parseStoreDate } from "./store-time.js";
+import { normalizeSize, scentKey, formatPrice } from "../../shared/catalog.js";
+
+const store = createStore("promotions");
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const PROMOTION_TYPES = new Set(["percent_off", "amount_off", "buy_n_get_one", "free_shipping"]);
+
+/**
+ * @typedef {Object} Promotion
+ * @property {string} code
+ * @property {"percent_off"|"amount_off"|"buy_n_get_one"|"free_shipping"} type
+ * @property {string} [description]      - Shown in the cart and on the Stripe coupon
+ * @property {number} [percentOff]       - percent_off: 1–100
+ * @property {number} [amountOffCents]   - amount_off: taken off the eligible subtotal
+ * @property {number} [buyQty]           - buy_n_get_one: buy N, get the next one free
+ * @property {{ scents?: string[], sizes?: string[] }} [appliesTo]
+ *   Limit the discount to these scents and/or sizes (buy_n_get_one
+ *   defaults to wax melts)
+ * @property {number} [minSubtotalCents] - Minimum cart subtotal to use the code
+ * @property {string} [startsAt]         - ISO date/time the code starts working, or a
+ *   date (from the start of that day in the shop's time zone)
+ * @property {string} [endsAt]           - ISO date/time the code stops working, or a
+ *   date (through the end of that day)
+ * @property {number} [maxRedemptions]   - Total paid orders allowed
+ */
+
+/**
+ * @typedef {Object} PromotionResult
+ * @property {string} code
+ * @property {string} description
+ * @property {number} discountCents  - Amount off merchandise
+ * @property {boolean} freeShipping
+ */
+
+function promoError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  err.code = "PROMO_INVALID";
+  return err;
+}
+
+function normalizeCode(raw) {
+  return String(raw || "").trim().toUpperCase();
+}
+
+function parseBoundary(raw, { endOfDay }) {
+  if (raw == null || raw === "") return endOfDay ? Infinity : -Infinity;
+  const text = String(raw).trim();
+  if (!DATE_ONLY.test(text)) return Date.parse(text);
+  return parseStoreDate(text, endOfDay ? 1 : 0);
+}
+
+/**
+ * When a promotion starts and stops working, as ms timestamps
+ * (-Infinity / Infinity when open-ended, NaN when a date doesn't parse).
+ * `endsAt` is exclusive.
+ * @param {Promotion} promo
+ * @returns {{ startsAt: number, endsAt: number }}
+ */
+export function promotionWindow(promo) {
+  return {
+    startsAt: parseBoundary(promo.startsAt, { endOfDay: false }),
+    endsAt: parseBoundary(promo.endsAt, { endOfDay: true }),
+  };
+}
+
+function isValidPromotion(p) {
+  if (!p || !normalizeCode(p.code) || !PROMOTION_TYPES.has(p.type)) return false;
+  const { startsAt, endsAt } = promotionWindow(p);
+  if (Number.isNaN(startsAt) || Number.isNaN(endsAt) || endsAt <= startsAt) return false;
+  if (p.type === "percent_off") return p.percentOff > 0 && p.percentOff <= 100;
+  if (p.type === "amount_off") return Number.isInteger(p.amountOffCents) && p.amountOffCents > 0;
+  if (p.type === "buy_n_get_one") return Number.isInteger(p.buyQty) && p.buyQty > 0;
+  return true;
+}
+
+/**
+ * Configured promotions, keyed by upper-cased code
+ * @returns {Map<string, Promotion>}
+ */
+export function getPromotions() {
+  let list = [];
+  try {
+    list = JSON.parse(process.env.PROMOTIONS_JSON || "[]");
+  } catch (err) {
+    console.error("[promotions] PROMOTIONS_JSON is not valid JSON:", err.message);
+  }
+  const promotions = new Map();
+  for (const p of Array.isArray(list) ? list : []) {
+    if (!isValidPromotion(p)) {
+      console.warn("[promotions] ignoring malformed promotion:", p);
+      continue;
+    }
+    promotions.set(normalizeCode(p.code), { ...p, code: normalizeCode(p.code) });
+  }
+  return promotions;
+}
+
+function describe(promo) {
+  if (promo.description) return promo.description;
+  if (promo.type === "percent_off") return `${promo.percentOff}% off`;
+  if (promo.type === "amount_off") return `${formatPrice(promo.amountOffCents)} off`;
+  if (promo.type === "buy_n_get_one") return `Buy ${promo.buyQty}, get 1 free`;
+  return "Free shipping";
+}
+
+function appliesTo(promo, item) {
+  const scents = promo.appliesTo?.scents;
+  const sizes =
+    promo.appliesTo?.sizes || (promo.type === "buy_n_get_one" ? ["wax melt"] : null);
+  if (scents && !scents.some((s) => scentKey(s) === scentKey(item.scent))) return false;
+  if (sizes && !sizes.some((s) => normalizeSize(s) === item.size)) return false;
+  return true;
+}
+
+/**
+ * Work out what a promotion takes off a cart. Pure — no storage access.
+ * @param {Promotion} promo
+ * @param {import("./cart.js").NormalizedItem[]} items
+ * @param {Object} [context]
+ * @param {Date} [context.now]
+ * @param {number} [context.redemptions] - Paid orders that already used the code
+ * @returns {PromotionResult}
+ * @throws 400 error explaining why the code can't be used
+ */
+export function evaluatePromotion(promo, items, { now = new Date(), redemptions = 0 } = {}) {
+  // Written so an unparseable date (NaN) never lets the code through
+  const { startsAt, endsAt } = promotionWindow(promo);
+  if (!(now.getTime() >= startsAt)) {
+    throw promoError("That code isn't active yet.");
+  }
+  if (!(now.getTime() < endsAt)) {
+    throw promoError("That code has expired.");
+  }
+  if (promo.maxRedemptions != null && redemptions >= promo.maxRedemptions) {
+    throw promoError("That code has reached its usage limit.");
+  }
+
+  const subtotal = items.reduce((sum, i) => sum + i.unit_amount * i.qty, 0);
+  if (promo.minSubtotalCents && subtotal < promo.minSubtotalCents) {
+    throw promoError(
+      `Add ${formatPrice(promo.minSubtotalCents - subtotal)} more to use this code.`
+    );
+  }
+
+  const eligible = items.filter((i) => appliesTo(promo, i));
+  if (promo.type !== "free_shipping" && eligible.length === 0) {
+    throw promoError("None of the items in your cart qualify for this code.");
+  }
+  const eligibleSubtotal = eligible.reduce((sum, i) => sum + i.unit_amount * i.qty, 0);
+
+  let discountCents = 0;
+  if (promo.type === "percent_off") {
+    discountCents = Math.round((eligibleSubtotal * promo.percentOff) / 100);
+  } else if (promo.type === "amount_off") {
+    discountCents = Math.min(promo.amountOffCents, eligibleSubtotal);
+  } else if (promo.type === "buy_n_get_one") {
+    // Every (N+1)th unit is free, cheapest units last so the customer
+    // gets the lower-priced item free within each group
+    const units = eligible
+      .flatMap((i) => Array(i.qty).fill(i.unit_amount))
+      .sort((a, b) => b - a);
+    const group = promo.buyQty + 1;
+    if (units.length < group) {
+      throw promoError(`Add ${group - units.length} more qualifying item(s) to use this code.`);
+    }
+    discountCents = units.reduce((sum, price, i) => ((i + 1) % group === 0 ? sum + price : sum), 0);
+  }
+
+  return {
+    code: promo.code,
+    description: describe(promo),
+    discountCents,
+    freeShipping: promo.type === "free_shipping",
+  };
+}
+
+/**
+ * Look up a code and evaluate it against a cart
+ * @param {string} rawCode
+ * @param {import("./cart.js").NormalizedItem[]} items
+ * @returns {Promise<PromotionResult>}
+ * @throws 400 error when the code is unknown or can't be used
+ */
+export async function applyPromoCode(rawCode, items) {
+  const code = normalizeCode(rawCode);
+  const promo = getPromotions().get(code);
+  if (!promo) throw promoError(`"${String(rawCode || "").trim()}" isn't a valid code.`);
+
+  const state = await store.read();
+  return evaluatePromotion(promo, items, {
+    redemptions: state.redemptions?.[code] || 0,
+  });
+}
+
+/**
+ * Count a paid order against a code's usage limit
+ * @param {string} rawCode
+ * @returns {Promise<number|null>} New redemption count, or null for no code
+ */
+export async function recordRedemption(rawCode) {
+  const code = normalizeCode(rawCode);
+  if (!code) return null;
+  return store.update((state) => {
+    state.redemptions = state.redemptions || {};
+    state.redemptions[code] = (state.redemptions[code] || 0) + 1;
+    return state.redemptions[code];
+  });
+}
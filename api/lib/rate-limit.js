@@ -0,0 +1,88 @@
+// api/lib/rate-limit.js
+// ─────────────────────────────────────────────────────────────
+// Per-IP request limits for the public routes that return order data,
+// so session and order IDs can't be tried in bulk. Fixed windows, one
+// counter per bucket + IP, kept in the shared Redis (see storage.js) so
+// every instance counts against the same limit. Locally without Redis
+// the counters live in a JSON file.
+// ─────────────────────────────────────────────────────────────
+
+import { createJsonFileStore, getKvClient, kvKey } from "./storage.js";
+
+const files = createJsonFileStore("rate-limits");
+
+// Count one request; the first one in a window starts its expiry
+// (ARGV[1], ms). Returns { count, ms left in the window }.
+const COUNT_SCRIPT = `
+local count = redis.call("INCR", KEYS[1])
+local ttl = redis.call("PTTL", KEYS[1])
+if ttl < 0 then
+  redis.call("PEXPIRE", KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { count, ttl }`;
+
+/**
+ * Caller's IP (Vercel puts the client first in x-forwarded-for)
+ * @param {import("http").IncomingMessage} req
+ * @returns {string}
+ */
+export function clientIp(req) {
+  const forwarded = String(req.headers["x-forwarded-for"] || "").split(",")[0].trim();
+  return forwarded || String(req.headers["x-real-ip"] || "") || req.socket?.remoteAddress || "unknown";
+}
+
+/**
+ * Count one request against the caller's window
+ * @param {import("http").IncomingMessage} req
+ * @param {Object} opts
+ * @param {string} opts.bucket   - Route name; each route has its own counters
+ * @param {number} opts.limit    - Requests allowed per window
+ * @param {number} opts.windowMs
+ * @returns {Promise<{ allowed: boolean, retryAfterSeconds: number }>}
+ */
+export async function checkRateLimit(req, { bucket, limit, windowMs }) {
+  const key = `${bucket}:${clientIp(req)}`;
+  const result = (count, msLeft) => ({
+    allowed: count <= limit,
+    retryAfterSeconds: Math.max(1, Math.ceil(msLeft / 1000)),
+  });
+
+  const client = getKvClient();
+  if (client) {
+    const [count, msLeft] = await client.eval(COUNT_SCRIPT, [kvKey(`rate:${key}`)], [String(windowMs)]);
+    return result(Number(count), Number(msLeft));
+  }
+
+  const now = Date.now();
+  return files.update((state) => {
+    for (const [k, entry] of Object.entries(state)) {
+      if (entry.resetAt <= now) delete state[k];
+    }
+
+    const entry = state[key] || { count: 0, resetAt: now + windowMs };
+    entry.count += 1;
+    state[key] = entry;
+    return result(entry.count, entry.resetAt - now);
+  });
+}
+
+/**
+ * Apply a limit and answer 429 when it's used up
+ * @returns {Promise<boolean>} true when the request may continue
+ */
+export async function enforceRateLimit(req, res, opts) {
+  let result;
+  try {
+    result = await checkRateLimit(req, opts);
+  } catch (err) {
+    // Don't take the route down with the counter store
+    console.error(`[rate-limit] ${opts.bucket} unavailable:`, err);
+    return true;
+  }
+  if (result.allowed) return true;
+
+  res.setHeader("Retry-After", String(result.retryAfterSeconds));
+  res.status(429).json({ error: "Too many requests. Please try again in a few minutes.", code: "RATE_LIMITED" });
+  return false;
+}
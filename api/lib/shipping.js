@@ -0,0 +1,239 @@
+// api/lib/shipping.js
+// ─────────────────────────────────────────────────────────────
+// Shipping rate tables. One evaluator prices shipping for checkout
+// and for the cart-panel preview, so the two can't drift apart.
+//
+// The defaults below are the shop's current rates. To change them, set
+// SHIPPING_RULES_JSON in Vercel to a JSON object with the same shape
+// (any field left out keeps its default):
+//
+//   {
+//     "freeShipping": { "thresholdCents": 10000, "label": "Free Shipping (Orders $100+)" },
+//     "tables": [
+//       { "when": "candle", "basis": "units",
+//         "units": { "candle": 1, "wax melt": 0.2 },
+//         "tiers": [
+//           { "upTo": 1, "amountCents": 600, "label": "Standard Shipping (1 candle)" },
+//           { "upTo": 3, "amountCents": 900, "label": "Standard Shipping (2–3 candles)" },
+//           { "amountCents": 1200, "label": "Standard Shipping (4+ candles)" } ] },
+//       { "when": "wax melt", "basis": "weight",
+//         "tiers": [ { "upTo": 16, "amountCents": 500, "label": "…" }, … ] }
+//     ],
+//     "stateSurcharges": { "AK": 1000, "HI": 1000 },
+//     "liveRates": { "enabled": true, "quoteToZip": "98101", "handlingCents": 100 }
+//   }
+//
+// How a cart is priced:
+//   1. Bundles are counted as their components (cart.js expandItems).
+//   2. The first table whose "when" item class is in the cart is used
+//      ("candle" or "wax melt"; a table without "when" matches anything).
+//   3. The cart is measured by the table's basis:
+//        units  — sum of qty × units[size] (or units[class]), rounded up.
+//                 With the defaults, every 5 wax melts count as 1 candle.
+//        weight — estimated ounces from "weights" plus the box.
+//   4. The first tier whose "upTo" is ≥ that measure wins (no "upTo" =
+//      everything above).
+//   5. Orders at or over freeShipping.thresholdCents after any promo
+//      discount (or with a free shipping promo) ship free. State
+//      surcharges still apply.
+//
+// Live rates are off unless SHIPPING_RULES_JSON turns them on and names
+// a quoteToZip. Then checkout offers real USPS quotes instead of the
+// tier price (api/lib/carrier-rates.js). The tables above still decide
+// free shipping and surcharges, and are the fallback whenever EasyPost
+// can't be reached.
+// ─────────────────────────────────────────────────────────────
+
+import { ITEM_WEIGHTS_OZ } from "./packing.js";
+
+/**
+ * @typedef {Object} ShippingTier
+ * @property {number} [upTo]       - Largest measure this tier covers; omit on the last tier
+ * @property {number} amountCents
+ * @property {string} label        - Shown as the Stripe shipping option name
+ */
+
+/**
+ * @typedef {Object} ShippingTable
+ * @property {"candle"|"wax melt"} [when] - Use this table when the cart has this item class
+ * @property {"units"|"weight"} basis
+ * @property {Object<string, number>} [units] - units basis: per size ("12 oz") or class ("candle")
+ * @property {ShippingTier[]} tiers
+ */
+
+/**
+ * @typedef {Object} ShippingRules
+ * @property {{ thresholdCents: number|null, label: string }} freeShipping
+ * @property {ShippingTable[]} tables
+ * @property {Object<string, number>} weights        - weight basis: ounces per size, plus "default"
+ * @property {number} boxWeightOz                    - weight basis: empty box + packing
+ * @property {Object<string, number>} stateSurcharges - Two-letter state → cents added
+ * @property {{ amountCents: number, label: string }} fallback - Used when no table matches
+ * @property {LiveRatesConfig} liveRates
+ */
+
+/**
+ * @typedef {Object} LiveRatesConfig
+ * @property {boolean} enabled
+ * @property {string} quoteToZip     - Pro-forma destination (the address isn't known
+ *   until Stripe collects it), so pick a far zone to stay on the safe side.
+ *   Required: live rates stay off without it
+ * @property {number} handlingCents  - Added to every carrier rate (box, tape, fillers)
+ * @property {Array<{ service: string, label: string, minDays: number, maxDays: number }>} services
+ *   Offered in this order; days are used when EasyPost has no estimate
+ */
+
+/**
+ * @typedef {Object} ShippingQuote
+ * @property {number} amountCents   - What the customer pays for shipping
+ * @property {string} label
+ * @property {number} baseCents     - Tier price before free shipping / surcharges
+ * @property {number} surchargeCents
+ * @property {number} measure       - Units or ounces the tier was picked by
+ * @property {boolean} free
+ * @property {number|null} freeShippingRemainingCents - How much more unlocks free shipping
+ */
+
+/** @type {ShippingRules} */
+export const DEFAULT_SHIPPING_RULES = {
+  freeShipping: { thresholdCents: 10000, label: "Free Shipping (Orders $100+)" },
+  tables: [
+    {
+      when: "candle",
+      basis: "units",
+      units: { candle: 1, "wax melt": 0.2 },
+      tiers: [
+        { upTo: 1, amountCents: 600, label: "Standard Shipping (1 candle)" },
+        { upTo: 3, amountCents: 900, label: "Standard Shipping (2–3 candles)" },
+        { amountCents: 1200, label: "Standard Shipping (4+ candles)" },
+      ],
+    },
+    {
+      when: "wax melt",
+      basis: "units",
+      units: { "wax melt": 1 },
+      tiers: [
+        { upTo: 5, amountCents: 600, label: "Standard Shipping (1–5 wax melts)" },
+        { upTo: 10, amountCents: 900, label: "Standard Shipping (6–10 wax melts)" },
+        { amountCents: 1200, label: "Standard Shipping (11+ wax melts)" },
+      ],
+    },
+  ],
+  // Same estimates the labels use (api/lib/packing.js)
+  weights: { ...ITEM_WEIGHTS_OZ, default: 15 },
+  boxWeightOz: 4,
+  stateSurcharges: {},
+  fallback: { amountCents: 600, label: "Standard Shipping" },
+  liveRates: {
+    enabled: false,
+    quoteToZip: "",
+    handlingCents: 0,
+    services: [
+      { service: "GroundAdvantage", label: "USPS Ground Advantage", minDays: 2, maxDays: 5 },
+      { service: "Priority", label: "USPS Priority Mail", minDays: 1, maxDays: 3 },
+    ],
+  },
+};
+
+function itemClass(item) {
+  return item.size === "wax melt" ? "wax melt" : "candle";
+}
+
+function isValidTable(table) {
+  if (!table || !["units", "weight"].includes(table.basis)) return false;
+  if (!Array.isArray(table.tiers) || table.tiers.length === 0) return false;
+  return table.tiers.every(
+    (t) => Number.isInteger(t.amountCents) && t.amountCents >= 0 && typeof t.label === "string"
+  );
+}
+
+/**
+ * Active shipping rules: SHIPPING_RULES_JSON merged over the defaults.
+ * Malformed config is logged and the defaults are used instead.
+ * @returns {ShippingRules}
+ */
+export function getShippingRules() {
+  const raw = process.env.SHIPPING_RULES_JSON;
+  if (!raw) return DEFAULT_SHIPPING_RULES;
+
+  let custom;
+  try {
+    custom = JSON.parse(raw);
+  } catch (err) {
+    console.error("[shipping] SHIPPING_RULES_JSON is not valid JSON:", err.message);
+    return DEFAULT_SHIPPING_RULES;
+  }
+  if (custom.tables && !(Array.isArray(custom.tables) && custom.tables.every(isValidTable))) {
+    console.error("[shipping] SHIPPING_RULES_JSON has a malformed table; using defaults");
+    return DEFAULT_SHIPPING_RULES;
+  }
+
+  return {
+    ...DEFAULT_SHIPPING_RULES,
+    ...custom,
+    freeShipping: { ...DEFAULT_SHIPPING_RULES.freeShipping, ...custom.freeShipping },
+    weights: { ...DEFAULT_SHIPPING_RULES.weights, ...custom.weights },
+    liveRates: { ...DEFAULT_SHIPPING_RULES.liveRates, ...custom.liveRates },
+  };
+}
+
+function measure(table, items, rules) {
+  if (table.basis === "weight") {
+    const itemsOz = items.reduce(
+      (sum, i) => sum + (rules.weights[i.size] ?? rules.weights.default ?? 0) * i.qty,
+      0
+    );
+    return itemsOz + (rules.boxWeightOz || 0);
+  }
+  const units = items.reduce(
+    (sum, i) => sum + (table.units?.[i.size] ?? table.units?.[itemClass(i)] ?? 0) * i.qty,
+    0
+  );
+  // Round up, ignoring float noise (5 × 0.2 is 1, not 1.0000000000000002)
+  return Math.ceil(units - 1e-9);
+}
+
+/**
+ * Price shipping for a cart. Pure — reads nothing but its arguments.
+ * @param {ShippingRules} rules
+ * @param {Object} params
+ * @param {Array<{ qty: number, size: string }>} params.items - Shipped items (bundles expanded)
+ * @param {number} params.subtotalCents  - Merchandise subtotal, after promo discounts
+ * @param {string} [params.state]        - Two-letter destination state, when known
+ * @param {string} [params.freeShippingCode] - Promo code that grants free shipping
+ * @returns {ShippingQuote}
+ */
+export function evaluateShipping(rules, { items, subtotalCents, state, freeShippingCode }) {
+  const classes = new Set(items.filter((i) => i.qty > 0).map(itemClass));
+  const table = rules.tables.find((t) => !t.when || classes.has(t.when));
+
+  let base = rules.fallback;
+  let size = 0;
+  if (table) {
+    size = measure(table, items, rules);
+    base = table.tiers.find((t) => t.upTo == null || size <= t.upTo) || table.tiers[table.tiers.length - 1];
+  }
+
+  const surchargeCents = rules.stateSurcharges?.[String(state || "").toUpperCase()] || 0;
+  const threshold = rules.freeShipping?.thresholdCents;
+  const overThreshold = threshold != null && subtotalCents >= threshold;
+  const free = overThreshold || Boolean(freeShippingCode);
+
+  let label = overThreshold
+    ? rules.freeShipping.label
+    : freeShippingCode
+    ? `Free Shipping (${freeShippingCode})`
+    : base.label;
+  if (surchargeCents) label += ` + ${String(state).toUpperCase()} surcharge`;
+
+  return {
+    amountCents: (free ? 0 : base.amountCents) + surchargeCents,
+    label,
+    baseCents: base.amountCents,
+    surchargeCents,
+    measure: size,
+    free,
+    freeShippingRemainingCents:
+      threshold != null && !overThreshold ? threshold - subtotalCents : null,
+  };
+}
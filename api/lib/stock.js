@@ -0,0 +1,242 @@
+// api/lib/stock.js
+// ─────────────────────────────────────────────────────────────
+// Stock ledger: holds units while a customer is in Stripe Checkout so
+// the last candle can't be sold twice. The ledger lives in the shared
+// store (storage.js), so every function instance sees the same holds.
+//
+// On-hand counts come from the sheet's quantity column. The ledger
+// subtracts:
+//   - "reserved" holds that haven't expired (checkout in progress)
+//   - "committed" sales the sheet doesn't reflect yet. Each hold line
+//     remembers the quantity the sheet showed when it was reserved;
+//     once Kelley edits that quantity, the sale is assumed to be
+//     counted there and stops being subtracted.
+// ─────────────────────────────────────────────────────────────
+
+import { createStore } from "./storage.js";
+import { isAvailable, getVariant, expandVariant } from "../../shared/catalog.js";
+
+const store = createStore("stock");
+
+/**
+ * @typedef {Object} StockLine
+ * @property {string} variantId
+ * @property {number} qty
+ * @property {number|null} sheetQty - Sheet quantity (bundle cap for bundles) when reserved
+ */
+
+/**
+ * @typedef {Object} StockHold
+ * @property {string} id
+ * @property {"reserved"|"committed"|"released"} status
+ * @property {StockLine[]} items
+ * @property {number} createdAt   - ms timestamp
+ * @property {number} expiresAt   - ms timestamp; reserved holds stop counting after this
+ * @property {number} [committedAt]
+ * @property {number} [releasedAt]
+ * @property {string} [sessionId] - Stripe Checkout Session ID
+ */
+
+// What the sheet says is on hand; bundles only have their optional cap
+function sheetQuantity(variant) {
+  if (!variant) return null;
+  return variant.type === "bundle" ? variant.stockQuantity ?? null : variant.quantity;
+}
+
+// A committed sale still has to be subtracted: the sheet shows the same
+// quantity it did at checkout, so Kelley hasn't counted it there yet
+function saleUncounted(line, byId) {
+  return line.sheetQty != null && line.sheetQty === sheetQuantity(byId.get(line.variantId));
+}
+
+function heldQuantities(holds, { now, catalog, excludeId }) {
+  const held = new Map();
+  const byId = new Map((catalog?.variants || []).map((v) => [v.id, v]));
+  for (const hold of Object.values(holds || {})) {
+    if (hold.id === excludeId) continue;
+    const reserved = hold.status === "reserved" && hold.expiresAt > now;
+    if (!reserved && hold.status !== "committed") continue;
+    for (const line of hold.items) {
+      // A sale stops counting once the sheet's quantity for it was edited
+      if (!reserved && !saleUncounted(line, byId)) continue;
+      held.set(line.variantId, (held.get(line.variantId) || 0) + line.qty);
+    }
+  }
+  return held;
+}
+
+function available(variant, held, catalog) {
+  if (!isAvailable(variant)) return 0;
+  if (variant.type === "bundle") {
+    // Limited by the sheet cap (if any) and by every component
+    const cap = variant.stockQuantity == null
+      ? Infinity
+      : variant.stockQuantity - (held.get(variant.id) || 0);
+    return Math.max(0, Math.min(
+      cap,
+      ...variant.components.map((c) =>
+        Math.floor(available(getVariant(catalog, c.variantId), held, catalog) / c.qty)
+      )
+    ));
+  }
+  return Math.max(0, variant.quantity - (held.get(variant.id) || 0));
+}
+
+// Drop old holds that no longer count so the ledger doesn't grow forever.
+// A sale is kept, however old, while any of its lines is still uncounted
+// on the sheet.
+function prune(holds, now, catalog) {
+  const cutoff = now - 30 * 24 * 60 * 60 * 1000;
+  const byId = new Map((catalog?.variants || []).map((v) => [v.id, v]));
+  for (const [id, hold] of Object.entries(holds)) {
+    const doneAt = hold.committedAt || hold.releasedAt || hold.expiresAt;
+    if (doneAt >= cutoff) continue;
+    if (hold.status === "committed" && hold.items.some((line) => saleUncounted(line, byId))) continue;
+    delete holds[id];
+  }
+}
+
+/**
+ * Units available to sell per variant id
+ * @param {import("../../shared/catalog.js").Catalog} catalog
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function getAvailability(catalog) {
+  const state = await store.read();
+  const held = heldQuantities(state.holds, { now: Date.now(), catalog });
+  return new Map(catalog.variants.map((v) => [v.id, available(v, held, catalog)]));
+}
+
+/**
+ * Reserve stock for a checkout. Throws a 409 error listing every line that
+ * exceeds what's left; nothing is reserved in that case.
+ * @param {Object} params
+ * @param {string} params.holdId
+ * @param {Array<{ variantId: string, qty: number, index: number, label: string }>} params.items
+ * @param {import("../../shared/catalog.js").Catalog} params.catalog
+ * @param {number} params.expiresAt - ms timestamp the hold lapses on its own
+ * @returns {Promise<StockHold>}
+ */
+export async function reserveStock({ holdId, items, catalog, expiresAt }) {
+  return store.update((state) => {
+    const now = Date.now();
+    state.holds = state.holds || {};
+    prune(state.holds, now, catalog);
+
+    const held = heldQuantities(state.holds, { now, catalog, excludeId: holdId });
+    const byId = new Map(catalog.variants.map((v) => [v.id, v]));
+
+    // Merge cart lines for the same variant before checking
+    const requested = new Map();
+    for (const item of items) {
+      const entry = requested.get(item.variantId) || { ...item, qty: 0 };
+      entry.qty += item.qty;
+      requested.set(item.variantId, entry);
+    }
+
+    // Bundles also hold their components, so a sampler and a single
+    // candle can't both take the last unit
+    const lines = new Map();
+    const addLine = (variantId, qty, item) => {
+      const line = lines.get(variantId) || { qty: 0, item };
+      line.qty += qty;
+      lines.set(variantId, line);
+    };
+    for (const [variantId, item] of requested) {
+      const variant = byId.get(variantId);
+      addLine(variantId, item.qty, item);
+      if (variant?.type === "bundle") {
+        for (const part of expandVariant(catalog, variant, item.qty)) {
+          addLine(part.variant.id, part.qty, requested.get(part.variant.id) || item);
+        }
+      }
+    }
+
+    const shortages = [];
+    for (const [variantId, line] of lines) {
+      const variant = byId.get(variantId);
+      const left = available(variant, held, catalog);
+      if (line.qty > left) {
+        shortages.push({
+          index: line.item.index,
+          variantId,
+          label: variant ? `${variant.name} • ${variant.size}` : line.item.label,
+          requested: line.qty,
+          available: left,
+        });
+      }
+    }
+
+    if (shortages.length) {
+      const err = new Error(
+        shortages
+          .map((s) =>
+            s.available > 0
+              ? `Only ${s.available} left of ${s.label} (you have ${s.requested} in your cart).`
+              : `${s.label} just sold out.`
+          )
+          .join(" ")
+      );
+      err.statusCode = 409;
+      err.code = "CHECKOUT_OUT_OF_STOCK";
+      err.items = shortages;
+      throw err;
+    }
+
+    const hold = {
+      id: holdId,
+      status: "reserved",
+      items: [...lines.entries()].map(([variantId, line]) => ({
+        variantId,
+        qty: line.qty,
+        sheetQty: sheetQuantity(byId.get(variantId)),
+      })),
+      createdAt: now,
+      expiresAt,
+    };
+    state.holds[holdId] = hold;
+    return hold;
+  });
+}
+
+/**
+ * Turn a reservation into a sale (checkout.session.completed)
+ * @param {string} holdId
+ * @param {Object} [details]
+ * @param {string} [details.sessionId]
+ * @returns {Promise<StockHold|null>} null when the hold is unknown
+ */
+export async function commitStock(holdId, { sessionId } = {}) {
+  if (!holdId) return null;
+  return store.update((state) => {
+    const hold = state.holds?.[holdId];
+    if (!hold) return null;
+    if (hold.status !== "committed") {
+      hold.status = "committed";
+      hold.committedAt = Date.now();
+    }
+    if (sessionId) hold.sessionId = sessionId;
+    return hold;
+  });
+}
+
+/**
+ * Give reserved units back (checkout.session.expired, or a failed session create)
+ * @param {string} holdId
+ * @param {Object} [options]
+ * @param {boolean} [options.sold] - Also undo a committed sale (a delayed
+ *   bank payment that failed after checkout completed)
+ * @returns {Promise<StockHold|null>} null when the hold is unknown
+ */
+export async function releaseStock(holdId, { sold = false } = {}) {
+  if (!holdId) return null;
+  return store.update((state) => {
+    const hold = state.holds?.[holdId];
+    if (!hold) return null;
+    if (hold.status === "reserved" || (sold && hold.status === "committed")) {
+      hold.status = "released";
+      hold.releasedAt = Date.now();
+    }
+    return hold;
+  });
+}
@@ -0,0 +1,224 @@
+// api/lib/storage.js
+// ─────────────────────────────────────────────────────────────
+// Server-side state (stock ledger, orders, webhook dedupe, …).
+//
+// Every Vercel function instance has its own /tmp that's wiped on a
+// cold start, so deployed state lives in a shared Redis reached over
+// its REST API (Upstash, or Vercel KV which is Upstash underneath).
+// Updates there are optimistic: read, mutate, then write only if the
+// key still holds what was read, otherwise run the mutation again.
+//
+// Local development without KV credentials falls back to one JSON file
+// per store under DATA_DIR. Production refuses to start without KV
+// rather than quietly keeping state per instance.
+// ─────────────────────────────────────────────────────────────
+
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { Redis } from "@upstash/redis";
+
+// Vercel functions can only write to /tmp; locally use ./.data
+const DATA_DIR =
+  process.env.DATA_DIR ||
+  (process.env.VERCEL ? "/tmp/kellys-candles" : path.join(process.cwd(), ".data"));
+
+const KV_URL = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+const KV_TOKEN = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+const KEY_PREFIX = "kellys:";
+const CAS_ATTEMPTS = 8;
+
+// Write ARGV[2] only if the key still hashes to ARGV[1] ("" = missing);
+// ARGV[3] is an optional expiry in ms
+const CAS_SCRIPT = `
+local current = redis.call("GET", KEYS[1])
+if redis.sha1hex(current or "") ~= ARGV[1] then return 0 end
+if ARGV[3] ~= "" then
+  redis.call("SET", KEYS[1], ARGV[2], "PX", ARGV[3])
+else
+  redis.call("SET", KEYS[1], ARGV[2])
+end
+return 1`;
+
+/**
+ * The few Redis commands the stores use (an @upstash/redis client, or a
+ * stand-in with the same methods in tests)
+ * @typedef {Object} KvClient
+ * @property {(key: string) => Promise<string|null>} get
+ * @property {(...keys: string[]) => Promise<Array<string|null>>} mget
+ * @property {(key: string, ...members: string[]) => Promise<number>} sadd
+ * @property {(key: string) => Promise<string[]>} smembers
+ * @property {(script: string, keys: string[], args: string[]) => Promise<any>} eval
+ */
+
+/** @type {KvClient|null|undefined} */
+let kv;
+
+/**
+ * Shared Redis client, or null when running locally without one.
+ * Throws a 503 in production, where the file fallback would lose state.
+ * @returns {KvClient|null}
+ */
+export function getKvClient() {
+  if (kv !== undefined) return kv;
+  if (KV_URL && KV_TOKEN) {
+    kv = new Redis({ url: KV_URL, token: KV_TOKEN, automaticDeserialization: false });
+  } else if (process.env.NODE_ENV === "production") {
+    const err = new Error(
+      "Shared storage is not configured. Set KV_REST_API_URL and KV_REST_API_TOKEN " +
+        "(Upstash / Vercel KV); per-instance files are not kept in production."
+    );
+    err.statusCode = 503;
+    err.code = "STORAGE_NOT_CONFIGURED";
+    throw err;
+  } else {
+    kv = null;
+  }
+  return kv;
+}
+
+/**
+ * Replace the Redis client (tests), or pass null to use the file store
+ * @param {KvClient|null} client
+ */
+export function setKvClient(client) {
+  kv = client;
+}
+
+/**
+ * Full Redis key for a store or record name
+ * @param {string} name
+ * @returns {string}
+ */
+export function kvKey(name) {
+  return `${KEY_PREFIX}${name}`;
+}
+
+const sha1 = (text) => crypto.createHash("sha1").update(text).digest("hex");
+
+/**
+ * Atomic read-modify-write of one JSON value in Redis. `mutate` gets the
+ * current value (null when missing) and returns `{ value, result }`;
+ * leave `value` undefined to write nothing. It may run more than once
+ * when another instance writes the key in between, so it must not have
+ * side effects.
+ * @template T
+ * @param {KvClient} client
+ * @param {string} key - Full key (see kvKey)
+ * @param {(current: any) => Promise<{ value?: any, result: T }>|{ value?: any, result: T }} mutate
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs] - Expire the key this long after the write
+ * @returns {Promise<T>}
+ */
+export async function updateKvJson(client, key, mutate, { ttlMs } = {}) {
+  for (let attempt = 0; attempt < CAS_ATTEMPTS; attempt++) {
+    const raw = (await client.get(key)) ?? "";
+    const { value, result } = await mutate(raw ? JSON.parse(raw) : null);
+    if (value === undefined) return result;
+
+    const next = JSON.stringify(value);
+    if (next === raw && !ttlMs) return result;
+    const written = await client.eval(CAS_SCRIPT, [key], [sha1(raw), next, ttlMs ? String(ttlMs) : ""]);
+    if (Number(written) === 1) return result;
+  }
+  const err = new Error(`Storage is busy (${key} kept changing). Please try again.`);
+  err.statusCode = 503;
+  throw err;
+}
+
+// ─────────────────────────────────────────────────────────────
+// JSON files (local development)
+// ─────────────────────────────────────────────────────────────
+
+const queues = new Map();
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw err;
+  }
+}
+
+async function writeJson(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.rename(tmp, file);
+}
+
+/**
+ * @typedef {Object} Store
+ * @property {() => Promise<Object>} read - The whole store (an empty object when new)
+ * @property {(mutate: (state: Object) => any) => Promise<any>} update
+ *   Read, mutate in place and write back. The mutator's return value is
+ *   passed through; if it throws, nothing is written.
+ */
+
+/**
+ * Open a named JSON file store. Updates within a process are queued so
+ * concurrent requests never interleave a read-modify-write; other
+ * processes don't see them, so this is for local development only.
+ * @param {string} name - File name without extension, e.g. "stock"
+ * @returns {Store}
+ */
+export function createJsonFileStore(name) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+
+  return {
+    read() {
+      return readJson(file);
+    },
+
+    update(mutate) {
+      const previous = queues.get(file) || Promise.resolve();
+      const next = previous
+        .catch(() => {})
+        .then(async () => {
+          const state = await readJson(file);
+          const result = await mutate(state);
+          await writeJson(file, state);
+          return result;
+        });
+      queues.set(file, next);
+      return next;
+    },
+  };
+}
+
+/**
+ * Open a named store: one JSON document in the shared Redis, or a JSON
+ * file when running locally without one. The backend is picked on first
+ * use, so importing a module that opens a store never throws.
+ * @param {string} name - e.g. "stock"
+ * @returns {Store}
+ */
+export function createStore(name) {
+  let files = null;
+  const backend = () => {
+    const client = getKvClient();
+    if (client) return { client };
+    files = files || createJsonFileStore(name);
+    return { fileStore: files };
+  };
+
+  return {
+    async read() {
+      const { client, fileStore } = backend();
+      if (fileStore) return fileStore.read();
+      const raw = await client.get(kvKey(name));
+      return raw ? JSON.parse(raw) : {};
+    },
+
+    async update(mutate) {
+      const { client, fileStore } = backend();
+      if (fileStore) return fileStore.update(mutate);
+      return updateKvJson(client, kvKey(name), async (current) => {
+        const state = current || {};
+        const result = await mutate(state);
+        return { value: state, result };
+      });
+    },
+  };
+}
@@ -0,0 +1,60 @@
+// api/lib/store-time.js
+// ─────────────────────────────────────────────────────────────
+// Calendar days in the shop's time zone. Vercel runs in UTC, so "the
+// 26th" in a promo date or an admin date filter has to be turned into
+// an instant explicitly. Set STORE_TIME_ZONE to an IANA zone name
+// (Eastern by default).
+// ─────────────────────────────────────────────────────────────
+
+export const STORE_TIME_ZONE = process.env.STORE_TIME_ZONE || "America/New_York";
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// How far `timeZone`'s wall clock is ahead of UTC at the instant `ms`
+function zoneOffset(ms, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    })
+      .formatToParts(new Date(ms))
+      .map((part) => [part.type, Number(part.value)])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - (ms - (ms % 1000));
+}
+
+/**
+ * Midnight starting a calendar day in the shop's time zone
+ * @param {number} year
+ * @param {number} month - 1–12
+ * @param {number} day - May overflow the month (32 = the 1st of the next)
+ * @returns {number} ms timestamp
+ */
+export function startOfStoreDay(year, month, day) {
+  const utcMidnight = Date.UTC(year, month - 1, day);
+  const guess = utcMidnight - zoneOffset(utcMidnight, STORE_TIME_ZONE);
+  // Re-check at the guess in case a DST change falls in between
+  return utcMidnight - zoneOffset(guess, STORE_TIME_ZONE);
+}
+
+/**
+ * Midnight starting a YYYY-MM-DD date in the shop's time zone
+ * @param {string} text
+ * @param {number} [offsetDays] - 1 gives the end of that day (the next midnight)
+ * @returns {number} ms timestamp; NaN when `text` isn't a real date
+ */
+export function parseStoreDate(text, offsetDays = 0) {
+  const date = DATE_ONLY.exec(String(text ?? "").trim());
+  if (!date) return NaN;
+  const [year, month, day] = date.slice(1).map(Number);
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return NaN;
+  return startOfStoreDay(year, month, day + offsetDays);
+}
@@ -0,0 +1,124 @@
+// api/lib/stripe-orders.js
+// ─────────────────────────────────────────────────────────────
+// Orders read back from Stripe. The order store only has an order once
+// the webhook has recorded it, which can lag a few seconds behind the
+// success page (or fail and be retried), so the customer-facing routes
+// fall back to the Checkout Session itself. These orders are unsaved
+// and have no labels, tracking or history beyond what Stripe knows.
+// ─────────────────────────────────────────────────────────────
+
+import { findPickupSlot } from "./pickup.js";
+
+const isMissing = (err) => err?.statusCode === 404 || err?.code === "resource_missing";
+
+// Stripe's own 4xx messages aren't meant for customers; report a 502
+function lookupFailed(err) {
+  const failed = new Error(`Stripe lookup failed: ${err.message}`);
+  failed.statusCode = 502;
+  failed.cause = err;
+  return failed;
+}
+
+/**
+ * Order status a Checkout Session implies on its own
+ * @param {Object} session - Stripe Checkout Session
+ * @returns {import("./orders.js").OrderStatus|null} null unless the
+ *   customer finished checking out (open or expired sessions aren't orders)
+ */
+export function sessionStatus(session) {
+  if (session?.status !== "complete") return null;
+  if (session.payment_status === "unpaid") return "awaiting_payment";
+  return session.metadata?.fulfillment === "pickup" ? "awaiting_pickup" : "paid";
+}
+
+/**
+ * Order record built from a Checkout Session, shaped like the ones the
+ * webhook stores
+ * @param {Object} session - Stripe Checkout Session (shipping_cost.shipping_rate expanded)
+ * @param {Array} [lineItems] - The session's line items
+ * @returns {import("./orders.js").Order|null} null for sessions that aren't orders yet
+ */
+export function orderFromSession(session, lineItems = []) {
+  const status = sessionStatus(session);
+  if (!status) return null;
+
+  const isPickup = session.metadata?.fulfillment === "pickup";
+  const pickupSlot = isPickup
+    ? findPickupSlot((session.custom_fields || []).find((f) => f.key === "pickup_slot")?.dropdown?.value)
+    : null;
+  const createdAt = new Date((session.created || 0) * 1000).toISOString();
+
+  return {
+    id: session.id,
+    status,
+    statusHistory: [{ status, at: createdAt }],
+    createdAt,
+    updatedAt: createdAt,
+    fulfillment: isPickup ? "pickup" : "shipping",
+    customer: {
+      name: session.customer_details?.name || "",
+      email: session.customer_details?.email || session.customer_email || "",
+      phone: session.customer_details?.phone || "",
+    },
+    shippingAddress: isPickup ? null : session.shipping_details?.address || null,
+    pickup: pickupSlot
+      ? { location: pickupSlot.location.name, address: pickupSlot.location.address || "", window: pickupSlot.window }
+      : null,
+    items: lineItems.map((li) => {
+      const qty = li.quantity ?? 1;
+      const unit = li.price?.unit_amount ?? Math.round((li.amount_subtotal ?? 0) / Math.max(1, qty));
+      return { qty, name: li.description || "Item", unit, line: li.amount_subtotal ?? unit * qty };
+    }),
+    totals: {
+      subtotal: session.amount_subtotal ?? 0,
+      shipping: session.shipping_cost?.amount_total ?? 0,
+      tax: session.total_details?.amount_tax ?? 0,
+      total: session.amount_total ?? 0,
+      currency: session.currency || "usd",
+    },
+    shippingMethod: session.shipping_cost?.shipping_rate?.display_name || "",
+    promoCode: session.metadata?.promo_code || "",
+    shipments: [],
+    shippingError: null,
+    paymentIntentId:
+      typeof session.payment_intent === "string" ? session.payment_intent : session.payment_intent?.id || null,
+  };
+}
+
+/**
+ * One order straight from Stripe
+ * @param {import("stripe").Stripe} stripe
+ * @param {string} sessionId
+ * @returns {Promise<import("./orders.js").Order|null>} null when there's no
+ *   such session or it isn't an order yet
+ */
+export async function getStripeOrder(stripe, sessionId) {
+  if (!/^cs_/.test(sessionId)) return null;
+  try {
+    const session = await stripe.checkout.sessions.retrieve(sessionId, {
+      expand: ["shipping_cost.shipping_rate"],
+    });
+    if (!sessionStatus(session)) return null;
+    const lineItems = await stripe.checkout.sessions.listLineItems(sessionId, { limit: 100 });
+    return orderFromSession(session, lineItems.data || []);
+  } catch (err) {
+    if (isMissing(err)) return null;
+    throw lookupFailed(err);
+  }
+}
+
+/**
+ * A customer's recent orders from Stripe, newest first (line items
+ * aren't fetched; use getStripeOrder for the one that's shown)
+ * @param {import("stripe").Stripe} stripe
+ * @param {string} email
+ * @returns {Promise<import("./orders.js").Order[]>}
+ */
+export async function listStripeOrders(stripe, email) {
+  const sessions = await stripe.checkout.sessions
+    .list({ customer_details: { email }, limit: 100 })
+    .catch((err) => {
+      throw lookupFailed(err);
+    });
+  return (sessions.data || []).map((s) => orderFromSession(s)).filter(Boolean);
+}
@@ -0,0 +1,54 @@
+// api/lib/tax.js
+// ─────────────────────────────────────────────────────────────
+// Sales tax estimate for the cart panel, from Stripe Tax — the same
+// engine Checkout uses (automatic_tax), so the estimate matches what's
+// charged for the same ZIP. Stripe needs a US ZIP code; without one the
+// cart just says tax is calculated at checkout.
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * @param {import("stripe").Stripe} stripe
+ * @param {Object} params
+ * @param {import("./cart.js").NormalizedItem[]} params.items
+ * @param {number} [params.discountCents=0] - Spread over the lines by value
+ * @param {number} [params.shippingCents=0]
+ * @param {string} params.postalCode - 5-digit US ZIP
+ * @param {string} [params.state]
+ * @returns {Promise<number|null>} Tax in cents, or null when it can't be estimated
+ */
+export async function estimateTax(stripe, { items, discountCents = 0, shippingCents = 0, postalCode, state }) {
+  const zip = String(postalCode || "").trim().slice(0, 5);
+  if (!/^\d{5}$/.test(zip) || !items.length) return null;
+
+  const gross = items.reduce((sum, i) => sum + i.unit_amount * i.qty, 0);
+  let discountLeft = Math.min(discountCents, gross);
+  const lineItems = items.map((item, i) => {
+    const amount = item.unit_amount * item.qty;
+    const share =
+      i === items.length - 1 ? discountLeft : Math.round((discountCents * amount) / Math.max(1, gross));
+    discountLeft -= share;
+    return {
+      amount: Math.max(0, amount - share),
+      quantity: item.qty,
+      reference: `${item.variantId || item.key}#${item.index}`.slice(0, 200),
+      tax_behavior: "exclusive",
+    };
+  });
+
+  try {
+    const calc = await stripe.tax.calculations.create({
+      currency: "usd",
+      line_items: lineItems,
+      shipping_cost: { amount: shippingCents, tax_behavior: "exclusive" },
+      customer_details: {
+        address: { country: "US", postal_code: zip, ...(state ? { state } : {}) },
+        address_source: "shipping",
+      },
+    });
+    return calc.tax_amount_exclusive ?? null;
+  } catch (err) {
+    // Stripe Tax off, or an address it can't place — not worth failing the preview
+    console.warn("[tax] estimate failed:", err?.message || err);
+    return null;
+  }
+}
@@ -0,0 +1,123 @@
+// api/lib/tracking.js
+// ─────────────────────────────────────────────────────────────
+// Carrier tracking → order status. EasyPost sends a tracker.updated
+// event whenever USPS scans a package (api/easypost-webhook.js); the
+// tracker is stored on its shipment and the order's status follows the
+// furthest-behind package, so a split order only counts as delivered
+// once every box is.
+// ─────────────────────────────────────────────────────────────
+
+/** EasyPost tracker statuses that mean something went wrong */
+export const EXCEPTION_STATUSES = ["return_to_sender", "failure", "error", "cancelled"];
+
+const MAX_EVENTS = 50;
+
+// Progress order of EasyPost tracker statuses
+const PROGRESS = ["unknown", "pre_transit", "in_transit", "out_for_delivery", "available_for_pickup", "delivered"];
+
+/**
+ * Tracking kept on each OrderShipment
+ * @typedef {Object} ShipmentTracking
+ * @property {string} status          - EasyPost tracker status
+ * @property {string} statusDetail
+ * @property {string|null} estDeliveryDate - ISO timestamp
+ * @property {string|null} publicUrl
+ * @property {string} updatedAt
+ * @property {Array<{ at: string, status: string, message: string, location: string }>} events - Oldest first
+ */
+
+function formatLocation(loc) {
+  if (!loc) return "";
+  return [loc.city, loc.state].filter(Boolean).join(", ") || loc.zip || "";
+}
+
+/**
+ * Store an EasyPost tracker on the matching shipment of an order
+ * @param {import("./orders.js").Order} order - Edited in place
+ * @param {Object} tracker - EasyPost Tracker object
+ * @returns {{ shipment: Object, previous: ShipmentTracking|null }|null} null when no shipment matches
+ */
+export function applyTracker(order, tracker) {
+  const shipment = (order.shipments || []).find(
+    (s) =>
+      (tracker.shipment_id && s.shipmentId === tracker.shipment_id) ||
+      (tracker.tracking_code && s.trackingCode === tracker.tracking_code)
+  );
+  if (!shipment) return null;
+
+  const previous = shipment.tracking || null;
+  shipment.tracking = {
+    status: tracker.status || "unknown",
+    statusDetail: tracker.status_detail || "",
+    estDeliveryDate: tracker.est_delivery_date || null,
+    publicUrl: tracker.public_url || shipment.trackingUrl || null,
+    updatedAt: tracker.updated_at || new Date().toISOString(),
+    events: (tracker.tracking_details || [])
+      .map((d) => ({
+        at: d.datetime,
+        status: d.status || "",
+        message: d.message || "",
+        location: formatLocation(d.tracking_location),
+      }))
+      .slice(-MAX_EVENTS),
+  };
+  if (!shipment.trackingUrl && tracker.public_url) shipment.trackingUrl = tracker.public_url;
+  return { shipment, previous };
+}
+
+/**
+ * Order status implied by its (non-voided) shipments' tracking, or null
+ * when nothing has been scanned yet
+ * @param {import("./orders.js").Order} order
+ * @returns {"in_transit"|"out_for_delivery"|"delivered"|"exception"|null}
+ */
+export function statusFromTracking(order) {
+  const tracked = (order.shipments || []).filter((s) => !s.refundStatus);
+  if (!tracked.length) return null;
+  const statuses = tracked.map((s) => s.tracking?.status || "pre_transit");
+
+  if (statuses.some((s) => EXCEPTION_STATUSES.includes(s))) return "exception";
+
+  const slowest = Math.min(...statuses.map((s) => Math.max(0, PROGRESS.indexOf(s))));
+  const step = PROGRESS[slowest];
+  if (step === "delivered") return "delivered";
+  if (step === "out_for_delivery" || step === "available_for_pickup") return "out_for_delivery";
+  if (step === "in_transit") return "in_transit";
+
+  // Some boxes moving while another waits for its first scan
+  if (statuses.some((s) => PROGRESS.indexOf(s) >= PROGRESS.indexOf("in_transit"))) return "in_transit";
+  return null;
+}
+
+/**
+ * True when the carrier's estimate moved at least a day later
+ * @param {ShipmentTracking|null} previous
+ * @param {ShipmentTracking} current
+ * @returns {boolean}
+ */
+export function deliveryDateSlipped(previous, current) {
+  const before = Date.parse(previous?.estDeliveryDate || "");
+  const after = Date.parse(current?.estDeliveryDate || "");
+  return Number.isFinite(before) && Number.isFinite(after) && after - before >= 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Customer-safe view of an order's packages (no label URLs or costs),
+ * newest scan first in each timeline
+ * @param {import("./orders.js").OrderShipment[]} shipments
+ * @returns {Array<{ carrier: string, tracking_code: string, tracking_url: string|null, status: string|null,
+ *   status_detail: string, est_delivery_date: string|null, events: ShipmentTracking["events"] }>}
+ */
+export function publicTracking(shipments) {
+  return (shipments || [])
+    .filter((s) => !s.refundStatus)
+    .map((s) => ({
+      carrier: s.carrier,
+      tracking_code: s.trackingCode,
+      tracking_url: s.tracking?.publicUrl || s.trackingUrl || null,
+      status: s.tracking?.status || null,
+      status_detail: s.tracking?.statusDetail || "",
+      est_delivery_date: s.tracking?.estDeliveryDate || null,
+      events: [...(s.tracking?.events || [])].reverse(),
+    }));
+}
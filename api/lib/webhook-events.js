@@ -0,0 +1,111 @@
+// api/lib/webhook-events.js
+// ─────────────────────────────────────────────────────────────
+// Event-ID deduplication for webhooks. Stripe (and EasyPost) redeliver
+// an event when our response is slow or fails, so each handler claims
+// the event first and marks it done at the end:
+//
+//   claimed     — first delivery, go ahead
+//   processing  — another delivery is still working on it; tell the
+//                 sender to retry later
+//   done        — already handled; acknowledge and do nothing
+//
+// A claim that's older than CLAIM_TIMEOUT_MS is treated as abandoned
+// (the function was killed mid-run) and can be claimed again.
+//
+// Handlers also record each side effect of an event (an email sent, …)
+// with markEventStep(); the steps survive a released claim, so the
+// retry after a failure skips what the failed delivery already did.
+// Everything lives in the shared store (storage.js), so a retry that
+// lands on another function instance sees the same state.
+// ─────────────────────────────────────────────────────────────
+
+import { createStore } from "./storage.js";
+
+const store = createStore("webhook-events");
+
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+const KEEP_MS = 30 * 24 * 60 * 60 * 1000; // Stripe retries for up to 3 days
+
+function prune(events, now) {
+  for (const [id, entry] of Object.entries(events)) {
+    if (now - (entry.doneAt || entry.claimedAt) > KEEP_MS) delete events[id];
+  }
+}
+
+/**
+ * Try to take ownership of an event
+ * @param {string} eventId
+ * @param {string} [type] - Event type, kept for debugging
+ * @returns {Promise<"claimed"|"processing"|"done">}
+ */
+export async function claimEvent(eventId, type) {
+  return store.update((state) => {
+    const now = Date.now();
+    state.events = state.events || {};
+    prune(state.events, now);
+
+    const entry = state.events[eventId];
+    if (entry?.status === "done") return "done";
+    if (entry?.status === "processing" && now - entry.claimedAt < CLAIM_TIMEOUT_MS) {
+      return "processing";
+    }
+
+    state.events[eventId] = {
+      status: "processing",
+      type: type || "",
+      claimedAt: now,
+      ...(entry?.steps ? { steps: entry.steps } : {}),
+    };
+    return "claimed";
+  });
+}
+
+/**
+ * Mark a claimed event as fully handled
+ * @param {string} eventId
+ */
+export async function completeEvent(eventId) {
+  await store.update((state) => {
+    const entry = state.events?.[eventId];
+    if (entry) {
+      entry.status = "done";
+      entry.doneAt = Date.now();
+    }
+  });
+}
+
+/**
+ * Give up a claim after a failure so the sender's retry can run again.
+ * Steps already recorded for the event are kept.
+ * @param {string} eventId
+ */
+export async function releaseEvent(eventId) {
+  await store.update((state) => {
+    const entry = state.events?.[eventId];
+    if (entry?.status !== "processing") return;
+    if (entry.steps) entry.status = "released";
+    else delete state.events[eventId];
+  });
+}
+
+/**
+ * Side effects an earlier delivery of the event already finished
+ * @param {string} eventId
+ * @returns {Promise<Object<string, string>>} step → ISO timestamp
+ */
+export async function getEventSteps(eventId) {
+  const state = await store.read();
+  return { ...(state.events?.[eventId]?.steps || {}) };
+}
+
+/**
+ * Record that a side effect of a claimed event is done
+ * @param {string} eventId
+ * @param {string} step - e.g. "storeNotified"
+ */
+export async function markEventStep(eventId, step) {
+  await store.update((state) => {
+    const entry = state.events?.[eventId];
+    if (entry) entry.steps = { ...(entry.steps || {}), [step]: new Date().toISOString() };
+  });
+}
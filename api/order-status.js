@@ -0,0 +1,195 @@
+// api/order-status.js
+// Order lookup for order-status.html. Two ways in:
+//   GET  ?order=<id>&token=<token>  — the signed link from our emails
+//   POST { order, email }           — typed in by the customer; the order
+//                                      ID can be the full ID or the last 8
+//                                      characters shown in email subjects
+// Responds with the same shape as get-checkout-session (read from the
+// order store, or from Stripe until the webhook has recorded the order)
+// plus each package's tracking timeline, minus the customer's name and
+// street address.
+export const config = { runtime: "nodejs" };
+import Stripe from "stripe";
+import { getOrder, listOrders } from "./lib/orders.js";
+import { getStripeOrder, listStripeOrders } from "./lib/stripe-orders.js";
+import { publicTracking } from "./lib/tracking.js";
+import { checkOrderToken } from "./lib/order-links.js";
+import { enforceRateLimit } from "./lib/rate-limit.js";
+
+
+const STRIPE_KEY =
+  process.env.NODE_ENV === "production"
+    ? process.env.STRIPE_LIVE_KEY
+    : process.env.STRIPE_SECRET_KEY;
+
+if (!STRIPE_KEY) {
+  throw new Error(
+    `[order-status] Missing Stripe key. ` +
+    `NODE_ENV=${process.env.NODE_ENV} — ` +
+    `set STRIPE_LIVE_KEY (production) or STRIPE_SECRET_KEY (development).`
+  );
+}
+
+const stripe = new Stripe(STRIPE_KEY, {
+  apiVersion: "2024-06-20",
+});
+
+// ✅ Allow list origins (match your create-checkout-session allowlist)
+const ALLOWED_ORIGINS = new Set([
+  "https://grooverr.github.io",
+  "https://kelleyscandles.com",
+  "https://www.kelleyscandles.com",
+  "http://localhost:5500",
+  "http://127.0.0.1:5500",
+]);
+
+function setCors(req, res) {
+  const origin = req.headers.origin;
+
+  if (origin && ALLOWED_ORIGINS.has(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+  }
+
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Vary", "Origin");
+}
+
+const SHORT_ID_LENGTH = 8;
+
+function lookupError(status, code, message) {
+  const err = new Error(message);
+  err.statusCode = status;
+  err.code = code;
+  return err;
+}
+
+// Same answer for "no such order" and "wrong email", so the form can't
+// be used to confirm which orders exist
+const NOT_FOUND = () =>
+  lookupError(404, "ORDER_NOT_FOUND", "We couldn't find an order with that ID and email.");
+
+// The stored order, or Stripe's view of it when the webhook hasn't
+// recorded it yet (or the store can't be read)
+async function findOrder(id) {
+  const order = await getOrder(id).catch((err) => {
+    console.error("[order-status] order store read failed:", err);
+    return null;
+  });
+  return order || getStripeOrder(stripe, id);
+}
+
+async function findByEmail(orderRef, email) {
+  const emailKey = String(email || "").trim().toLowerCase();
+  const ref = String(orderRef || "").trim().replace(/^#/, "");
+  if (!emailKey || !ref) {
+    throw lookupError(400, "MISSING_FIELDS", "Enter your order ID and the email you ordered with.");
+  }
+
+  if (ref.length > SHORT_ID_LENGTH) {
+    const order = await findOrder(ref);
+    if (!order || String(order.customer?.email || "").toLowerCase() !== emailKey) throw NOT_FOUND();
+    return order;
+  }
+  if (ref.length < SHORT_ID_LENGTH) throw NOT_FOUND();
+
+  const stored = await listOrders({ email: emailKey }).catch((err) => {
+    console.error("[order-status] order store read failed:", err);
+    return [];
+  });
+  const matches = stored.filter((o) => o.id.endsWith(ref));
+  if (matches.length > 1) throw NOT_FOUND();
+  if (matches.length === 1) return matches[0];
+
+  // Not recorded yet: Stripe's list has no line items, so fetch the one
+  const fromStripe = (await listStripeOrders(stripe, emailKey)).filter((o) => o.id.endsWith(ref));
+  const order = fromStripe.length === 1 ? await getStripeOrder(stripe, fromStripe[0].id) : null;
+  if (!order) throw NOT_FOUND();
+  return order;
+}
+
+async function findBySignedLink(orderId, token) {
+  const id = String(orderId || "").trim();
+  const check = checkOrderToken(id, String(token || ""));
+  if (check === "expired") {
+    throw lookupError(410, "LINK_EXPIRED", "This link has expired. Look up your order with its ID and email instead.");
+  }
+  if (check !== "valid") {
+    throw lookupError(403, "LINK_INVALID", "This link isn't valid. Look up your order with its ID and email instead.");
+  }
+  const order = await findOrder(id);
+  if (!order) throw NOT_FOUND();
+  return order;
+}
+
+// Signed links stay valid for months and get forwarded, so this shows
+// where the order is going (city, state, ZIP) but not the street or who
+// it's for. The full address is in the customer's confirmation email.
+function publicOrder(order) {
+  const currency = order.totals?.currency || "usd";
+  const address = order.shippingAddress
+    ? {
+        city: order.shippingAddress.city || "",
+        state: order.shippingAddress.state || "",
+        postal_code: order.shippingAddress.postal_code || "",
+      }
+    : null;
+
+  return {
+    id: order.id,
+    created: order.createdAt,
+    currency,
+    status: order.status,
+    status_history: (order.statusHistory || []).map((h) => ({ status: h.status, at: h.at })),
+    shipping: address ? { name: "", address } : null,
+    shipping_method: order.shippingMethod || null,
+    fulfillment: order.fulfillment,
+    pickup: order.pickup || null,
+    tracking: publicTracking(order.shipments),
+    totals: {
+      subtotal: order.totals?.subtotal ?? 0,
+      shipping: order.totals?.shipping ?? 0,
+      tax: order.totals?.tax ?? 0,
+      total: order.totals?.total ?? 0,
+      refunded: order.refundedCents || 0,
+    },
+    items: (order.items || []).map((it) => ({
+      description: it.name || "Item",
+      quantity: it.qty ?? 1,
+      unit_amount: it.unit ?? null,
+      amount_subtotal: it.line ?? 0,
+    })),
+  };
+}
+
+export default async function handler(req, res) {
+  setCors(req, res);
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // Order ID + email guesses, or tokens tried in bulk
+  if (!(await enforceRateLimit(req, res, { bucket: "order-status", limit: 10, windowMs: 10 * 60 * 1000 }))) {
+    return;
+  }
+
+  try {
+    const order =
+      req.method === "GET"
+        ? await findBySignedLink(req.query.order, req.query.token)
+        : await findByEmail(req.body?.order, req.body?.email);
+
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json(publicOrder(order));
+  } catch (err) {
+    const status =
+      err?.statusCode && Number.isInteger(err.statusCode) ? err.statusCode : 500;
+    if (status >= 500) console.error("[order-status] error:", err);
+    return res.status(status).json({
+      error: status < 500 ? err.message : "Could not look up that order. Please try again.",
+      code: err.code || "ORDER_LOOKUP_FAILED",
+    });
+  }
+}
@@ -2,8 +2,44 @@
 // UPDATED: Embeds shipping label as image in email for easy printing
 export const config = { runtime: "nodejs" };
 import Stripe from "stripe";
-import { Resend } from "resend";
-import { createShipment } from "./lib/easypost.js";
+import { createShipment, refundLabels } from "./lib/easypost.js";
+import { commitStock, releaseStock } from "./lib/stock.js";
+import { recordRedemption } from "./lib/promotions.js";
+import { getShippingRules } from "./lib/shipping.js";
+import { itemsFromOrderLines } from "./lib/packing.js";
+import { findPickupSlot } from "./lib/pickup.js";
+import {
+  recordOrder,
+  getOrder,
+  updateOrder,
+  setOrderStatus,
+  listOrders,
+  isUnshipped,
+} from "./lib/orders.js";
+import {
+  claimEvent,
+  completeEvent,
+  releaseEvent,
+  getEventSteps,
+  markEventStep,
+} from "./lib/webhook-events.js";
+import {
+  money,
+  moneyPretty,
+  escapeHtml,
+  formatAddress,
+  downloadLabelAsBase64,
+  sendEmail,
+  emailSent,
+  storeSender,
+  customerSender,
+  notifyStore,
+  orderSummaryHtml,
+  buildItemsTable,
+  buildLabelHtml,
+  buildTrackingHtml,
+  buildStatusLinkHtml,
+} from "./lib/emails.js";
 
 // ─────────────────────────────────────────────────────────────
 // Stripe key — same resolution logic as the other two routes.
@@ -42,8 +78,6 @@ if (!WEBHOOK_SECRET) {
 }
 
 
-const resend = new Resend(process.env.RESEND_API_KEY);
-
 // Read raw request body (required for Stripe signature verification)
 async function readRawBody(req) {
   return await new Promise((resolve, reject) => {
@@ -55,135 +89,62 @@ async function readRawBody(req) {
   });
 }
 
-function money(amount, currency) {
-  const c = (currency || "usd").toUpperCase();
-  const n = typeof amount === "number" ? amount : Number(amount || 0);
-  return `${(n / 100).toFixed(2)} ${c}`;
+function paymentIntentIdOf(obj) {
+  const pi = obj?.payment_intent;
+  return typeof pi === "string" ? pi : pi?.id || null;
 }
 
-function moneyPretty(amount, currency = "usd") {
-  const cents = typeof amount === "number" ? amount : Number(amount || 0);
-  return new Intl.NumberFormat("en-US", {
-    style: "currency",
-    currency: (currency || "usd").toUpperCase(),
-  }).format(cents / 100);
-}
+// Refunds and disputes arrive on the charge; find the order it paid for
+async function findOrderForPayment(paymentIntentId) {
+  if (!paymentIntentId) return null;
+  const [order] = await listOrders({ paymentIntentId, limit: 1 });
+  if (order) return order;
 
-function escapeHtml(str) {
-  return String(str ?? "")
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;");
+  // Orders recorded before the PaymentIntent was stored
+  const sessions = await stripe.checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 });
+  return sessions.data?.[0] ? getOrder(sessions.data[0].id) : null;
 }
 
-function formatAddress(addr) {
-  if (!addr) return "N/A";
-  const line1 = addr.line1 || "";
-  const line2 = addr.line2 || "";
-  const city = addr.city || "";
-  const state = addr.state || "";
-  const postal = addr.postal_code || "";
-  const country = addr.country || "";
-  const parts = [
-    line1,
-    line2,
-    `${city}${city ? "," : ""} ${state} ${postal}`.trim(),
-    country,
-  ].filter(Boolean);
-  return parts.join("\n");
+// Verification failed and nothing was bought: the label waits for review
+function addressHeld(addressCheck, packages) {
+  return addressCheck?.status === "failed" && packages.length === 0;
 }
 
-// ─────────────────────────────────────────────────────────────
-// UPDATED: Download label PNG as base64 for embedding in email
-// ─────────────────────────────────────────────────────────────
-async function downloadLabelAsBase64(labelUrl) {
-  try {
-    const response = await fetch(labelUrl);
-    if (!response.ok) {
-      throw new Error(`Failed to download label: ${response.status}`);
-    }
-    const arrayBuffer = await response.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
-    return buffer.toString('base64');
-  } catch (err) {
-    console.error("[label-download] failed:", err.message);
-    return null;
+// Store-email note when USPS rejected or corrected the address
+function addressCheckHtml(addressCheck, packages) {
+  if (addressHeld(addressCheck, packages)) {
+    return `
+          <h3 style="margin:18px 0 8px;">Shipping Label — ON HOLD</h3>
+          <div style="background:#fef2f2;border:1px solid #ef4444;border-radius:12px;padding:12px;">
+            <p style="margin:0 0 6px;color:#991b1b;"><strong>USPS couldn't verify this address, so no label was bought.</strong></p>
+            ${addressCheck.errors.length ? `<p style="margin:0 0 6px;">${escapeHtml(addressCheck.errors.join("; "))}</p>` : ""}
+            <p style="margin:0;font-size:12px;color:#7f1d1d;">Confirm the address with the customer, then use "Fix address / buy new label" on the admin page.</p>
+          </div>
+          `;
   }
-}
-
-// ─────────────────────────────────────────────────────────────
-// Email sending function
-// ─────────────────────────────────────────────────────────────
-async function sendEmail({ to, from, subject, html, replyTo }) {
-  if (!process.env.RESEND_API_KEY || !from || !to) {
-    console.log("[email] missing env vars", {
-      hasResendKey: !!process.env.RESEND_API_KEY,
-      from,
-      to,
-    });
-    return { skipped: true, reason: "missing env vars" };
+  if (addressCheck?.status === "corrected") {
+    return `
+          <div style="background:#fef3c7;border:1px solid #f59e0b;border-radius:12px;padding:12px;margin-top:12px;">
+            <p style="margin:0 0 6px;color:#78350f;"><strong>USPS corrected the address</strong> (${escapeHtml(
+              addressCheck.changes.join(", ").replace("postal_code", "ZIP")
+            )}); the label uses:</p>
+            <pre style="white-space:pre-wrap;margin:0;font-family:inherit;">${escapeHtml(formatAddress(addressCheck.address))}</pre>
+          </div>
+          `;
   }
+  return "";
+}
 
+// Bundle contents from product metadata: [[qty, name, size], …]
+function parseComponentsMeta(raw) {
+  if (!raw) return [];
   try {
-    const emailData = {
-      from,
-      to,
-      subject,
-      html,
-      replyTo: replyTo || "kelleysfarmcandles@gmail.com",
-    };
-
-    const result = await resend.emails.send(emailData);
-    console.log("[email] sent", result);
-    return result;
-  } catch (err) {
-    console.error("[email] resend send failed:", {
-      message: err?.message,
-      name: err?.name,
-      statusCode: err?.statusCode,
-      response: err?.response,
-    });
-    return { error: true };
+    return JSON.parse(raw).map(([qty, name, size]) => ({ qty: Number(qty) || 1, name, size }));
+  } catch {
+    return [];
   }
 }
 
-
-function buildItemsTable(lines, currency) {
-  const rows = (lines || [])
-    .map((l) => {
-      return `
-        <tr>
-          <td style="padding:10px 0;border-bottom:1px solid #eee;">${escapeHtml(l.name)}</td>
-          <td style="padding:10px 0;border-bottom:1px solid #eee;text-align:center;">${escapeHtml(
-            String(l.qty)
-          )}</td>
-          <td style="padding:10px 0;border-bottom:1px solid #eee;text-align:right;">${escapeHtml(
-            moneyPretty(l.unit, currency)
-          )}</td>
-          <td style="padding:10px 0;border-bottom:1px solid #eee;text-align:right;">${escapeHtml(
-            moneyPretty(l.line, currency)
-          )}</td>
-        </tr>
-      `;
-    })
-    .join("");
-
-  return `
-    <table style="width:100%;border-collapse:collapse;font-size:14px;">
-      <thead>
-        <tr>
-          <th style="text-align:left;padding:10px 0;border-bottom:2px solid #ddd;">Item</th>
-          <th style="text-align:center;padding:10px 0;border-bottom:2px solid #ddd;">Qty</th>
-          <th style="text-align:right;padding:10px 0;border-bottom:2px solid #ddd;">Unit</th>
-          <th style="text-align:right;padding:10px 0;border-bottom:2px solid #ddd;">Line</th>
-        </tr>
-      </thead>
-      <tbody>${rows || ""}</tbody>
-    </table>
-  `;
-}
-
 export default async function handler(req, res) {
   // Stripe webhooks must be POST
   if (req.method !== "POST") {
@@ -210,8 +171,104 @@ export default async function handler(req, res) {
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
+  // Stripe redelivers events after timeouts; handle each event ID once.
+  // The claim, the steps and the orders share one store, so if it's down
+  // nothing can be done safely — answer 500 and let Stripe retry.
+  let claim;
+  try {
+    claim = await claimEvent(event.id, event.type);
+  } catch (err) {
+    console.error("[webhook] event dedupe unavailable:", err);
+    return res.status(500).json({ error: "Webhook storage unavailable" });
+  }
+  if (claim === "done") {
+    console.log("[webhook] duplicate event ignored", { id: event.id, type: event.type });
+    return res.status(200).json({ received: true, duplicate: true });
+  }
+  if (claim === "processing") {
+    // Non-2xx makes Stripe retry later, after the first delivery finishes
+    return res.status(409).json({ error: "Event is already being processed" });
+  }
+
+  // Bank debits and other delayed methods complete checkout unpaid; those
+  // orders ship once checkout.session.async_payment_succeeded arrives
+  const isPaidCheckout =
+    (event.type === "checkout.session.completed" && event.data.object.payment_status !== "unpaid") ||
+    event.type === "checkout.session.async_payment_succeeded";
+
   try {
-    if (event.type === "checkout.session.completed") {
+    // Store notifications for this event that an earlier, failed delivery
+    // already sent (checkout steps are tracked on the order instead)
+    const eventSteps = await getEventSteps(event.id);
+    const notifyOnce = async (step, subject, bodyHtml) => {
+      if (eventSteps[step]) {
+        console.log(`[webhook] ${step} already done for this event`);
+        return;
+      }
+      if (emailSent(await notifyStore(subject, bodyHtml))) {
+        await markEventStep(event.id, step).catch((err) =>
+          console.error(`[webhook] could not record step ${step}:`, err)
+        );
+      }
+    };
+
+    if (event.type === "checkout.session.completed" && !isPaidCheckout) {
+      const session = event.data.object;
+      const currency = session.currency || "usd";
+
+      // Keep the units while the payment clears
+      try {
+        await commitStock(session.metadata?.stock_hold_id, { sessionId: session.id });
+      } catch (err) {
+        console.error("[webhook] stock commit failed:", err);
+      }
+
+      const order = await recordOrder({
+        id: session.id,
+        status: "awaiting_payment",
+        fulfillment: session.metadata?.fulfillment === "pickup" ? "pickup" : "shipping",
+        customer: {
+          name: session.customer_details?.name || "",
+          email: session.customer_details?.email || session.customer_email || "",
+          phone: session.customer_details?.phone || "",
+        },
+        shippingAddress: session.shipping_details?.address || null,
+        totals: {
+          subtotal: session.amount_subtotal ?? 0,
+          shipping: session.shipping_cost?.amount_total ?? 0,
+          tax: session.total_details?.amount_tax ?? 0,
+          total: session.amount_total ?? 0,
+          currency,
+        },
+        promoCode: session.metadata?.promo_code || "",
+        paymentIntentId: paymentIntentIdOf(session),
+      });
+
+      console.log("[webhook] checkout completed, payment pending", { id: session.id });
+      if (order.steps?.awaitingPaymentEmailSent) {
+        console.log("[email] awaiting-payment notification already sent");
+      } else {
+        const result = await notifyStore(
+          `Order awaiting payment — ${money(session.amount_total ?? 0, currency)}`,
+          `
+            <h2 style="margin:0 0 8px;">Order Awaiting Payment</h2>
+            <p style="margin:0 0 10px;">The customer paid with a delayed method (e.g. bank debit).
+            Don't ship yet — you'll get the usual order email with labels once the payment clears.</p>
+            <div style="padding:12px 14px; background:#f7f7f7; border-radius:12px; margin:12px 0;">
+              <p style="margin:0 0 6px;"><strong>Order ID:</strong> ${escapeHtml(session.id)}</p>
+              <p style="margin:0 0 6px;"><strong>Customer:</strong> ${escapeHtml(session.customer_details?.name)} (${escapeHtml(session.customer_details?.email)})</p>
+              <p style="margin:0;"><strong>Total:</strong> ${escapeHtml(moneyPretty(session.amount_total ?? 0, currency))}</p>
+            </div>`
+        );
+        if (emailSent(result)) {
+          await updateOrder(session.id, (o) => {
+            o.steps = { ...(o.steps || {}), awaitingPaymentEmailSent: new Date().toISOString() };
+          }).catch((err) => console.error("[webhook] could not record step awaitingPaymentEmailSent:", err));
+        }
+      }
+    }
+
+    if (isPaidCheckout) {
       const liteSession = event.data.object;
       const sessionId = liteSession.id;
 
@@ -220,6 +277,27 @@ export default async function handler(req, res) {
         expand: ["shipping_cost.shipping_rate"],
       });
 
+      // Steps already finished by an earlier delivery of this session
+      // (label bought, emails sent, …) are skipped on retry. They live on
+      // the order, so if the order store can't be read or written the
+      // delivery fails here and Stripe retries, rather than redoing them.
+      const existingOrder = await getOrder(sessionId);
+      const steps = { ...(existingOrder?.steps || {}) };
+      const markStep = async (step) => {
+        steps[step] = new Date().toISOString();
+        const order = await updateOrder(sessionId, (o) => {
+          o.steps = { ...(o.steps || {}), [step]: steps[step] };
+        });
+        if (!order) throw new Error(`could not record step ${step}: order not found`);
+      };
+
+      // Reserved stock becomes a sale (safe to repeat)
+      try {
+        await commitStock(session.metadata?.stock_hold_id, { sessionId });
+      } catch (err) {
+        console.error("[webhook] stock commit failed:", err);
+      }
+
       const currency = session.currency || "usd";
       const paymentStatus = session.payment_status;
 
@@ -233,6 +311,12 @@ export default async function handler(req, res) {
       const shippingMethod =
         session.shipping_cost?.shipping_rate?.display_name || "Shipping";
 
+      // Local pickup: no label; the slot comes from the Checkout dropdown
+      const isPickup = session.metadata?.fulfillment === "pickup";
+      const pickupSlotValue =
+        (session.custom_fields || []).find((f) => f.key === "pickup_slot")?.dropdown?.value || "";
+      const pickupSlot = isPickup ? findPickupSlot(pickupSlotValue) : null;
+
       const subtotal = session.amount_subtotal ?? 0;
       const shippingCost = session.shipping_cost?.amount_total ?? 0;
       const tax = session.total_details?.amount_tax ?? 0;
@@ -255,8 +339,17 @@ export default async function handler(req, res) {
             li.price?.unit_amount ??
             Math.round((li.amount_subtotal ?? 0) / Math.max(1, qty));
           const line = li.amount_subtotal ?? unit * qty;
-
-          return { qty, name, unit, line };
+          const meta = li.price?.product?.metadata || {};
+
+          return {
+            qty,
+            name,
+            unit,
+            line,
+            variantId: meta.variant_id || "",
+            size: meta.size || "",
+            components: parseComponentsMeta(meta.components),
+          };
         });
 
         itemsText = lines.map((l) => `${l.qty}x ${l.name}`).join(", ");
@@ -281,78 +374,212 @@ export default async function handler(req, res) {
         shipping_method: shippingMethod,
       });
 
+      // Keep a record of the order (status, items, labels) for the other
+      // routes; the steps below are recorded on it
+      await recordOrder({
+        id: sessionId,
+        status:
+          existingOrder && existingOrder.status !== "awaiting_payment"
+            ? existingOrder.status
+            : isPickup
+              ? "awaiting_pickup"
+              : "paid",
+        fulfillment: isPickup ? "pickup" : "shipping",
+        customer: { name: customerName, email: customerEmail, phone: customerPhone },
+        shippingAddress: isPickup ? null : shippingDetails?.address || null,
+        pickup: pickupSlot
+          ? {
+              location: pickupSlot.location.name,
+              address: pickupSlot.location.address || "",
+              window: pickupSlot.window,
+            }
+          : null,
+        items: lines,
+        totals: { subtotal, shipping: shippingCost, tax, total, currency },
+        shippingMethod,
+        promoCode: session.metadata?.promo_code || "",
+        paymentIntentId:
+          typeof session.payment_intent === "string"
+            ? session.payment_intent
+            : session.payment_intent?.id || null,
+      });
+
+      // Count the promo code toward its usage limit (once per order)
+      if (!steps.promoRedeemed) {
+        let redeemed = false;
+        try {
+          await recordRedemption(session.metadata?.promo_code);
+          redeemed = true;
+        } catch (err) {
+          console.error("[webhook] promo redemption failed:", err);
+        }
+        if (redeemed) await markStep("promoRedeemed");
+      }
+
       // ─────────────────────────────────────────────────────────────
       // CREATE SHIPPING LABEL (EasyPost)
       // ─────────────────────────────────────────────────────────────
-      let trackingCode = null;
-      let trackingUrl = null;
-      let labelUrl = null;
-      let labelBase64 = null; // ← PNG label image for embedding
+      let packages = []; // one per parcel: tracking, label URL, PNG for embedding
       let shippingError = null;
+      let addressCheck = null; // EasyPost verification of the ship-to address
 
-      try {
-        // Parse items from line items for weight calculation
-        const itemsForShipping = lines.map((l) => ({
-          size: l.name.match(/(\d+\s*oz)/i)?.[1] || "12 oz",
-          qty: l.qty,
-          scent: l.name.split("•")[0]?.trim() || l.name,
-        }));
-
-        console.log("[webhook] Creating EasyPost shipment", {
+      if (isPickup) {
+        console.log("[webhook] Local pickup — skipping label", {
           orderId: sessionId,
-          items: itemsForShipping,
+          pickup_slot: pickupSlot?.label || pickupSlotValue || null,
         });
-
-        const shipmentResult = await createShipment({
-          toAddress: {
-            name: shippingDetails?.name || customerName,
-            line1: shippingDetails?.address?.line1 || "",
-            line2: shippingDetails?.address?.line2 || "",
-            city: shippingDetails?.address?.city || "",
-            state: shippingDetails?.address?.state || "",
-            postal_code: shippingDetails?.address?.postal_code || "",
-            country: shippingDetails?.address?.country || "US",
-            phone: customerPhone,
-          },
-          items: itemsForShipping,
+      } else if (steps.labelBought) {
+        // A previous delivery already paid for postage — never buy twice
+        packages = (existingOrder?.shipments || []).map((pkg) => ({ ...pkg, labelBase64: null }));
+        shippingError = existingOrder?.shippingError || null;
+        addressCheck = existingOrder?.addressCheck || null;
+        console.log("[webhook] Label already bought on an earlier delivery", {
+          orderId: sessionId,
+          trackingCodes: packages.map((p) => p.trackingCode),
+        });
+      } else if (steps.labelPurchaseStarted) {
+        // An earlier delivery died while buying postage. Whatever it bought
+        // was saved as it went; buying again could pay twice, so leave the
+        // rest to Kelley (check EasyPost, then relabel from the admin page).
+        packages = (existingOrder?.shipments || []).map((pkg) => ({ ...pkg, labelBase64: null }));
+        shippingError =
+          "Label purchase was interrupted on an earlier attempt. Check EasyPost for labels " +
+          "already bought before relabeling.";
+        console.error("[webhook] Interrupted label purchase", {
           orderId: sessionId,
+          trackingCodes: packages.map((p) => p.trackingCode),
         });
+        await updateOrder(sessionId, (order) => {
+          order.shippingError = shippingError;
+        });
+        await markStep("labelBought");
+        await setOrderStatus(sessionId, "label_failed", { note: shippingError });
+      } else {
+        // Saved before paying for anything, so a retry of a delivery that
+        // dies mid-purchase knows not to buy again
+        await markStep("labelPurchaseStarted");
+
+        // Each label is saved on the order the moment it's bought
+        let saveError = null;
+        const saveLabel = async (pkg) => {
+          try {
+            const { labelBase64, items, ...shipment } = pkg;
+            const order = await updateOrder(sessionId, (o) => {
+              const shipments = o.shipments || [];
+              if (!shipments.some((s) => s.shipmentId === shipment.shipmentId)) {
+                o.shipments = [...shipments, shipment];
+              }
+            });
+            if (!order) throw new Error("order not found");
+          } catch (err) {
+            saveError = err;
+            throw err;
+          }
+        };
 
-        if (shipmentResult.success) {
-          trackingCode = shipmentResult.trackingCode;
-          trackingUrl = shipmentResult.trackingUrl;
-          labelUrl = shipmentResult.labelUrl; // This is the PNG version
+        try {
+          // Parse items from line items for weight calculation
+          const itemsForShipping = itemsFromOrderLines(lines);
 
-          console.log("[webhook] Shipping label created", {
-            trackingCode,
-            carrier: shipmentResult.carrier,
-            service: shipmentResult.service,
-            cost: shipmentResult.cost,
+          console.log("[webhook] Creating EasyPost shipment", {
+            orderId: sessionId,
+            items: itemsForShipping,
           });
 
-          // ─────────────────────────────────────────────────────────
-          // NEW: Download the PNG label for embedding in email
-          // ─────────────────────────────────────────────────────────
-          if (labelUrl) {
-            console.log("[webhook] Downloading label PNG for embedding...");
-            labelBase64 = await downloadLabelAsBase64(labelUrl);
-            if (labelBase64) {
-              console.log("[webhook] Label PNG downloaded successfully");
-            } else {
-              console.warn("[webhook] Failed to download label PNG");
-            }
+          const shipmentResult = await createShipment({
+            toAddress: {
+              name: shippingDetails?.name || customerName,
+              line1: shippingDetails?.address?.line1 || "",
+              line2: shippingDetails?.address?.line2 || "",
+              city: shippingDetails?.address?.city || "",
+              state: shippingDetails?.address?.state || "",
+              postal_code: shippingDetails?.address?.postal_code || "",
+              country: shippingDetails?.address?.country || "US",
+              phone: customerPhone,
+            },
+            items: itemsForShipping,
+            orderId: sessionId,
+            // Service the customer chose (live quotes); empty for rate-table prices
+            service: session.shipping_cost?.shipping_rate?.metadata?.service || "",
+            onLabelBought: saveLabel,
+          });
+
+          // Big orders ship as several parcels; keep every label bought,
+          // even when a later parcel failed
+          packages = (shipmentResult.packages || []).map((pkg) => ({ ...pkg, labelBase64: null }));
+          addressCheck = shipmentResult.addressCheck || null;
+
+          if (shipmentResult.success) {
+            console.log("[webhook] Shipping label(s) created", {
+              trackingCodes: shipmentResult.trackingCodes,
+              carrier: shipmentResult.carrier,
+              service: shipmentResult.service,
+              cost: shipmentResult.cost,
+            });
+          } else {
+            shippingError = shipmentResult.error;
+            console.error("[webhook] Shipping label creation failed:", shippingError);
           }
+        } catch (err) {
+          // A label that was paid for but couldn't be saved: fail the delivery
+          if (err === saveError) {
+            console.error("[webhook] could not record a bought label:", err);
+            throw err;
+          }
+          shippingError = err.message;
+          console.error("[webhook] EasyPost error:", err);
+        }
+
+        // The outcome and labelBought in one write. Store failures here fail
+        // the delivery too; the retry sees labelPurchaseStarted and won't
+        // buy again.
+        steps.labelBought = new Date().toISOString();
+        const recorded = await updateOrder(sessionId, (order) => {
+          order.shipments = packages.map(({ labelBase64, items, ...pkg }) => pkg);
+          order.shippingError = shippingError;
+          order.addressCheck = addressCheck;
+          order.steps = { ...(order.steps || {}), labelBought: steps.labelBought };
+        });
+        if (!recorded) throw new Error("could not record labels: order not found");
+        await setOrderStatus(
+          sessionId,
+          addressHeld(addressCheck, packages)
+            ? "address_review"
+            : packages.length && !shippingError
+              ? "label_created"
+              : "label_failed",
+          shippingError ? { note: shippingError } : {}
+        );
+      }
+
+      // ─────────────────────────────────────────────────────────
+      // NEW: Download the PNG labels for embedding in email
+      // ─────────────────────────────────────────────────────────
+      for (const pkg of packages) {
+        if (!pkg.labelUrl) continue;
+        console.log("[webhook] Downloading label PNG for embedding...");
+        pkg.labelBase64 = await downloadLabelAsBase64(pkg.labelUrl);
+        if (pkg.labelBase64) {
+          console.log("[webhook] Label PNG downloaded successfully");
         } else {
-          shippingError = shipmentResult.error;
-          console.error("[webhook] Shipping label creation failed:", shippingError);
+          console.warn("[webhook] Failed to download label PNG");
         }
-      } catch (err) {
-        shippingError = err.message;
-        console.error("[webhook] EasyPost error:", err);
       }
       // ─────────────────────────────────────────────────────────────
 
-      const shippingHtml = `
+      const shippingHtml = isPickup
+        ? `
+        <h3 style="margin:18px 0 8px;">Local Pickup</h3>
+        <div style="background:#fff;border:1px solid #eee;border-radius:12px;padding:12px;">
+          <p style="margin:0 0 6px;"><strong>Where:</strong> ${escapeHtml(
+            pickupSlot ? `${pickupSlot.location.name} — ${pickupSlot.location.address || ""}` : "(not selected)"
+          )}</p>
+          <p style="margin:0 0 6px;"><strong>When:</strong> ${escapeHtml(pickupSlot?.window || pickupSlotValue || "(not selected)")}</p>
+          <p style="margin:0;"><strong>Name:</strong> ${escapeHtml(customerName || "")}
+            &nbsp; <strong>Phone:</strong> ${escapeHtml(customerPhone || "")}</p>
+        </div>
+      `
+        : `
         <h3 style="margin:18px 0 8px;">Shipping</h3>
         <div style="background:#fff;border:1px solid #eee;border-radius:12px;padding:12px;">
           <p style="margin:0 0 6px;"><strong>Method:</strong> ${escapeHtml(shippingMethod)}</p>
@@ -364,12 +591,30 @@ export default async function handler(req, res) {
         </div>
       `;
 
+      // The cart priced shipping for the state the customer typed in; flag
+      // orders that ship somewhere with a higher surcharge than was charged
+      const surcharges = getShippingRules().stateSurcharges || {};
+      const quotedState = session.metadata?.ship_state || "";
+      const actualState = String(shippingDetails?.address?.state || "").toUpperCase();
+      const surchargeShortCents = isPickup
+        ? 0
+        : (surcharges[actualState] || 0) - (surcharges[quotedState] || 0);
+      const surchargeNoteHtml =
+        surchargeShortCents > 0
+          ? `
+        <div style="background:#fef3c7;border:1px solid #f59e0b;border-radius:12px;padding:12px;margin-top:8px;">
+          <p style="margin:0;color:#78350f;"><strong>Shipping surcharge not collected:</strong>
+          priced for ${escapeHtml(quotedState || "no state")}, shipping to ${escapeHtml(actualState)}
+          (${escapeHtml(moneyPretty(surchargeShortCents, currency))} short).</p>
+        </div>
+      `
+          : "";
+
       // ----- STORE EMAIL (with embedded label image) -----
       const storeTo = process.env.ORDER_NOTIFY_TO_EMAIL;
-      const storeFromEmail = process.env.ORDER_NOTIFY_FROM_EMAIL;
-      const storeFrom = storeFromEmail ? `Kelley's Candles <${storeFromEmail}>` : "";
+      const storeFrom = storeSender();
 
-      const storeSubject = `New paid order — ${itemsText || "Checkout"} — ${money(total, currency)}`;
+      const storeSubject = `${addressHeld(addressCheck, packages) ? "ADDRESS CHECK — " : ""}New paid ${isPickup ? "PICKUP " : ""}order — ${itemsText || "Checkout"} — ${money(total, currency)}`;
 
       const storeHtml = `
         <div style="font-family: Arial, sans-serif; line-height: 1.4; max-width:680px;">
@@ -409,6 +654,7 @@ export default async function handler(req, res) {
           </div>
 
           ${shippingHtml}
+          ${surchargeNoteHtml}
 
           <h3 style="margin:18px 0 8px;">Stripe</h3>
           <p style="margin:0;">
@@ -416,55 +662,17 @@ export default async function handler(req, res) {
             <strong>Mode:</strong> ${escapeHtml(session.mode || "")}
           </p>
 
+          ${addressCheckHtml(addressCheck, packages)}
+
+          ${packages.map((pkg, i) => buildLabelHtml(pkg, i, packages.length)).join("")}
+
           ${
-            trackingCode && labelBase64
-              ? `
-          <h3 style="margin:24px 0 8px;">📦 Shipping Label - Print This!</h3>
-          <div style="background:#f0f9ff;border:2px solid #0ea5e9;border-radius:12px;padding:16px;">
-            <p style="margin:0 0 12px;font-weight:bold;color:#0369a1;font-size:16px;">
-              ✅ Ready to ship! Print the label below.
-            </p>
-            
-            <div style="background:#fef3c7;border:1px solid #f59e0b;border-radius:8px;padding:12px;margin:12px 0;">
-              <p style="margin:0 0 8px;font-weight:bold;color:#78350f;">📋 How to Print:</p>
-              <ol style="margin:0;padding-left:20px;font-size:13px;color:#1e293b;line-height:1.6;">
-                <li>Open this email</li>
-                <li>Click <strong>Print</strong> (or File → Print)</li>
-                <li>Print on regular 8.5" x 11" paper</li>
-                <li>Cut out the label below along the border</li>
-                <li>Tape it securely to your package</li>
-              </ol>
-            </div>
-            
-            <p style="margin:12px 0 8px;"><strong>Tracking:</strong> ${escapeHtml(trackingCode)}</p>
-            ${trackingUrl ? `<p style="margin:0 0 12px;"><a href="${escapeHtml(trackingUrl)}" style="color:#0ea5e9;">Track Package Online</a></p>` : ""}
-            
-            <div style="margin:16px 0;padding:16px;background:#fff;border:2px dashed #0ea5e9;border-radius:8px;text-align:center;">
-              <p style="margin:0 0 8px;font-weight:bold;color:#0369a1;">⬇️ SHIPPING LABEL - CUT OUT AND TAPE TO PACKAGE ⬇️</p>
-              <img src="data:image/png;base64,${labelBase64}" 
-                   alt="Shipping Label" 
-                   style="max-width:100%;height:auto;display:block;margin:0 auto;border:1px solid #ccc;" />
-            </div>
-            
-            ${labelUrl ? `<p style="margin:12px 0 0;font-size:12px;color:#64748b;">Backup: <a href="${escapeHtml(labelUrl)}" style="color:#0ea5e9;">View label online</a></p>` : ""}
-          </div>
-          `
-              : trackingCode
-              ? `
-          <h3 style="margin:18px 0 8px;">Shipping Label</h3>
-          <div style="background:#f0f9ff;border:1px solid #0ea5e9;border-radius:12px;padding:12px;">
-            <p style="margin:0 0 6px;"><strong>Tracking:</strong> ${escapeHtml(trackingCode)}</p>
-            ${trackingUrl ? `<p style="margin:0 0 6px;"><a href="${escapeHtml(trackingUrl)}" style="color:#0ea5e9;">Track Package</a></p>` : ""}
-            ${labelUrl ? `<p style="margin:0 0 6px;"><a href="${escapeHtml(labelUrl)}" style="color:#0ea5e9;">Download Label</a></p>` : ""}
-            <p style="margin:6px 0 0;font-size:12px;color:#7f1d1d;">Label image failed to embed - please click link above to download.</p>
-          </div>
-          `
-              : shippingError
+            shippingError && !addressHeld(addressCheck, packages)
               ? `
           <h3 style="margin:18px 0 8px;">Shipping Label</h3>
           <div style="background:#fef2f2;border:1px solid #ef4444;border-radius:12px;padding:12px;">
             <p style="margin:0;color:#991b1b;"><strong>Label creation failed:</strong> ${escapeHtml(shippingError)}</p>
-            <p style="margin:6px 0 0;font-size:12px;color:#7f1d1d;">Create label manually in EasyPost dashboard.</p>
+            <p style="margin:6px 0 0;font-size:12px;color:#7f1d1d;">Create ${packages.length ? "the remaining labels" : "label"} manually in EasyPost dashboard.</p>
           </div>
           `
               : ""
@@ -474,18 +682,33 @@ export default async function handler(req, res) {
 
       // ----- CUSTOMER EMAIL (POLISHED) -----
       const customerTo = customerEmail;
-      const customerFromEmail =
-        process.env.CUSTOMER_CONFIRM_FROM_EMAIL || process.env.ORDER_NOTIFY_FROM_EMAIL;
-      const customerFrom = customerFromEmail ? `Kelley's Candles <${customerFromEmail}>` : "";
+      const customerFrom = customerSender();
 
       const orderShort = sessionId ? sessionId.slice(-8) : "";
-      const customerSubject = `Order confirmed — Kelley's Candles (${orderShort})`;
+      const customerSubject = isPickup
+        ? `Order confirmed for pickup — Kelley's Candles (${orderShort})`
+        : `Order confirmed — Kelley's Candles (${orderShort})`;
+
+      const nextStepsHtml = isPickup
+        ? `
+          <ul style="margin:0; padding-left:18px;">
+            <li>We'll email you when your order is ready to pick up.</li>
+            <li>Pickup: ${escapeHtml(pickupSlot?.label || "we'll confirm a time with you by email")}.</li>
+            ${pickupSlot?.location.instructions ? `<li>${escapeHtml(pickupSlot.location.instructions)}</li>` : ""}
+            <li>Need a different time? Reply to this email and we'll work it out.</li>
+          </ul>`
+        : `
+          <ul style="margin:0; padding-left:18px;">
+            <li>We'll begin preparing your candles for shipment.</li>
+            <li>When your order ships, you'll receive a shipping update (and tracking if available).</li>
+            <li>If your shipping address needs a correction, reply to this email as soon as possible.</li>
+          </ul>`;
 
       const customerHtml = `
         <div style="font-family: Arial, sans-serif; line-height: 1.5; max-width:680px; margin:0 auto; color:#111;">
           <h2 style="margin:0 0 8px;">Thanks for your order${customerName ? `, ${escapeHtml(customerName)}` : ""}!</h2>
           <p style="margin:0 0 14px;">
-            We received your order and will start preparing it for shipment.
+            We received your order and will start preparing it for ${isPickup ? "pickup" : "shipment"}.
           </p>
 
           <div style="padding:12px 14px; background:#f7f7f7; border-radius:12px; margin:14px 0;">
@@ -515,23 +738,10 @@ export default async function handler(req, res) {
           ${shippingHtml}
 
           <h3 style="margin:18px 0 8px;">What happens next</h3>
-          <ul style="margin:0; padding-left:18px;">
-            <li>We'll begin preparing your candles for shipment.</li>
-            <li>When your order ships, you'll receive a shipping update (and tracking if available).</li>
-            <li>If your shipping address needs a correction, reply to this email as soon as possible.</li>
-          </ul>
+          ${nextStepsHtml}
 
-          ${
-            trackingCode
-              ? `
-          <div style="margin:18px 0;padding:14px;background:#f0f9ff;border:1px solid #0ea5e9;border-radius:12px;">
-            <p style="margin:0 0 8px;font-weight:bold;color:#0369a1;">Your order is ready to ship!</p>
-            <p style="margin:0 0 6px;"><strong>Tracking number:</strong> ${escapeHtml(trackingCode)}</p>
-            ${trackingUrl ? `<p style="margin:0;"><a href="${escapeHtml(trackingUrl)}" style="color:#0ea5e9;text-decoration:underline;">Track your package</a></p>` : ""}
-          </div>
-          `
-              : ""
-          }
+          ${buildTrackingHtml(packages)}
+          ${buildStatusLinkHtml(sessionId)}
 
           <p style="margin:16px 0 0; font-size:12px; color:#666;">
             Questions? Reply to this email and we'll help.
@@ -539,39 +749,226 @@ export default async function handler(req, res) {
         </div>
       `;
 
-      // Send store notification with embedded label
-      try {
-        await sendEmail({
-          to: storeTo,
-          from: storeFrom,
-          subject: storeSubject,
-          html: storeHtml,
-          replyTo: customerEmail || "kelleysfarmcandles@gmail.com",
-        });
-      } catch (err) {
-        console.error("[email] store notification failed:", err?.message || err);
+      // Send store notification with embedded label (once)
+      if (steps.storeEmailSent) {
+        console.log("[email] store notification already sent");
+      } else {
+        let result = null;
+        try {
+          result = await sendEmail({
+            to: storeTo,
+            from: storeFrom,
+            subject: storeSubject,
+            html: storeHtml,
+            replyTo: customerEmail || "kelleysfarmcandles@gmail.com",
+          });
+        } catch (err) {
+          console.error("[email] store notification failed:", err?.message || err);
+        }
+        if (emailSent(result)) await markStep("storeEmailSent");
       }
 
-      // Send customer confirmation
-      try {
-        if (customerTo) {
-          await sendEmail({
+      // Send customer confirmation (once)
+      if (steps.customerEmailSent) {
+        console.log("[email] customer confirmation already sent");
+      } else if (customerTo) {
+        let result = null;
+        try {
+          result = await sendEmail({
             to: customerTo,
             from: customerFrom,
             subject: customerSubject,
             html: customerHtml,
           });
-        } else {
-          console.log("[email] customer email missing");
+        } catch (err) {
+          console.error("[email] customer confirmation failed:", err?.message || err);
+        }
+        if (emailSent(result)) await markStep("customerEmailSent");
+      } else {
+        console.log("[email] customer email missing");
+      }
+    }
+
+    if (event.type === "checkout.session.expired") {
+      const session = event.data.object;
+
+      // Customer abandoned checkout — give the held units back
+      const hold = await releaseStock(session.metadata?.stock_hold_id);
+      console.log("[webhook] checkout.session.expired", {
+        id: session.id,
+        stock_hold_id: session.metadata?.stock_hold_id || null,
+        released: hold?.status === "released",
+      });
+
+      // Only sessions that got as far as an order record need updating
+      const order = await setOrderStatus(session.id, "canceled", { note: "Checkout expired" });
+      if (order) {
+        await notifyOnce(
+          "storeNotified",
+          `Order canceled — checkout expired (${session.id.slice(-8)})`,
+          `
+          <h2 style="margin:0 0 8px;">Checkout Expired</h2>
+          ${orderSummaryHtml(order)}`
+        );
+      }
+    }
+
+    if (event.type === "checkout.session.async_payment_failed") {
+      const session = event.data.object;
+
+      // The sale fell through — put the units back on the shelf
+      const hold = await releaseStock(session.metadata?.stock_hold_id, { sold: true });
+      const order = await setOrderStatus(session.id, "payment_failed", {
+        note: "Delayed payment failed",
+      });
+      console.log("[webhook] checkout.session.async_payment_failed", {
+        id: session.id,
+        released: hold?.status === "released",
+      });
+
+      await notifyOnce(
+        "storeNotified",
+        `Payment FAILED — don't ship (${session.id.slice(-8)})`,
+        `
+          <h2 style="margin:0 0 8px;">Delayed Payment Failed</h2>
+          <p style="margin:0 0 10px;">The customer's bank payment didn't go through. Nothing was charged
+          and no label was bought; the items are back in stock.</p>
+          ${orderSummaryHtml(order, { paymentIntentId: paymentIntentIdOf(session), currency: session.currency })}`
+      );
+    }
+
+    if (event.type === "charge.refunded") {
+      const charge = event.data.object;
+      const paymentIntentId = paymentIntentIdOf(charge);
+      const fullRefund = charge.refunded === true;
+      const refundedCents = charge.amount_refunded ?? 0;
+      let order = await findOrderForPayment(paymentIntentId);
+
+      // A full refund before anything shipped: void the unused labels
+      let voids = [];
+      if (order && fullRefund && isUnshipped(order)) {
+        const ids = (order.shipments || [])
+          .filter((s) => s.shipmentId && !s.refundStatus)
+          .map((s) => s.shipmentId);
+        if (ids.length) voids = await refundLabels(ids);
+      }
+
+      if (order) {
+        order = await updateOrder(order.id, (o) => {
+          o.refundedCents = refundedCents;
+          for (const v of voids) {
+            const shipment = o.shipments.find((s) => s.shipmentId === v.shipmentId);
+            if (shipment && v.success) shipment.refundStatus = v.refundStatus;
+          }
+        });
+        // A partial refund leaves the status alone; refundedCents shows it
+        if (fullRefund) {
+          order = await setOrderStatus(order.id, "refunded", {
+            note: `Refunded ${moneyPretty(refundedCents, charge.currency)}`,
+          });
         }
-      } catch (err) {
-        console.error("[email] customer confirmation failed:", err?.message || err);
       }
+
+      console.log("[webhook] charge.refunded", {
+        paymentIntentId,
+        orderId: order?.id || null,
+        refundedCents,
+        fullRefund,
+        labelsVoided: voids.filter((v) => v.success).length,
+      });
+
+      const voidHtml = voids.length
+        ? `
+          <h3 style="margin:18px 0 8px;">Shipping Labels</h3>
+          <ul style="margin:0; padding-left:18px;">
+            ${voids
+              .map((v) =>
+                v.success
+                  ? `<li>${escapeHtml(v.shipmentId)}: refund ${escapeHtml(v.refundStatus)}</li>`
+                  : `<li style="color:#991b1b;">${escapeHtml(v.shipmentId)}: could not void (${escapeHtml(
+                      v.error
+                    )}) — request the refund in the EasyPost dashboard</li>`
+              )
+              .join("")}
+          </ul>`
+        : "";
+      const shippedNote =
+        order && fullRefund && !isUnshipped(order)
+          ? `<p style="margin:10px 0 0;">This order had already shipped, so its labels were kept.</p>`
+          : "";
+
+      await notifyOnce(
+        "storeNotified",
+        `${fullRefund ? "Refund" : "Partial refund"} — ${money(refundedCents, charge.currency)}${
+          order ? ` (${order.id.slice(-8)})` : ""
+        }`,
+        `
+          <h2 style="margin:0 0 8px;">${fullRefund ? "Order Refunded" : "Partial Refund"}</h2>
+          <p style="margin:0 0 10px;"><strong>Refunded so far:</strong> ${escapeHtml(
+            moneyPretty(refundedCents, charge.currency)
+          )} of ${escapeHtml(moneyPretty(charge.amount ?? 0, charge.currency))}</p>
+          ${orderSummaryHtml(order, { paymentIntentId, currency: charge.currency })}
+          ${fullRefund && order && isUnshipped(order) ? `<p style="margin:10px 0 0;"><strong>Don't ship this order.</strong></p>` : ""}
+          ${voidHtml}
+          ${shippedNote}`
+      );
     }
 
+    if (event.type === "charge.dispute.created") {
+      const dispute = event.data.object;
+      const paymentIntentId = paymentIntentIdOf(dispute);
+      const dueBy = dispute.evidence_details?.due_by
+        ? new Date(dispute.evidence_details.due_by * 1000).toISOString()
+        : null;
+      let order = await findOrderForPayment(paymentIntentId);
+
+      if (order) {
+        await updateOrder(order.id, (o) => {
+          o.dispute = {
+            id: dispute.id,
+            reason: dispute.reason || "",
+            amountCents: dispute.amount ?? 0,
+            dueBy,
+            openedAt: new Date().toISOString(),
+          };
+        });
+        order = await setOrderStatus(order.id, "disputed", {
+          note: `Dispute opened: ${dispute.reason || "no reason given"}`,
+        });
+      }
+
+      console.log("[webhook] charge.dispute.created", {
+        id: dispute.id,
+        paymentIntentId,
+        orderId: order?.id || null,
+        reason: dispute.reason,
+      });
+
+      await notifyOnce(
+        "storeNotified",
+        `DISPUTE opened — ${money(dispute.amount ?? 0, dispute.currency)}${order ? ` (${order.id.slice(-8)})` : ""}`,
+        `
+          <h2 style="margin:0 0 8px;color:#991b1b;">Payment Disputed</h2>
+          <p style="margin:0 0 6px;"><strong>Reason:</strong> ${escapeHtml(dispute.reason || "not given")}</p>
+          <p style="margin:0 0 6px;"><strong>Amount:</strong> ${escapeHtml(moneyPretty(dispute.amount ?? 0, dispute.currency))}</p>
+          <p style="margin:0 0 10px;"><strong>Respond by:</strong> ${escapeHtml(
+            dueBy ? new Date(dueBy).toLocaleDateString("en-US", { dateStyle: "long" }) : "see Stripe"
+          )}</p>
+          ${orderSummaryHtml(order, { paymentIntentId, currency: dispute.currency })}
+          <p style="margin:10px 0 0;">${
+            order && isUnshipped(order) ? "<strong>Hold this order</strong> until the dispute is settled. " : ""
+          }Submit evidence (tracking, emails) from the Stripe dashboard.</p>`
+      );
+    }
+
+    await completeEvent(event.id).catch((err) =>
+      console.error("[webhook] could not mark event done:", err)
+    );
     return res.status(200).json({ received: true });
   } catch (err) {
     console.error("[webhook] handler error:", err);
-    return res.status(200).json({ received: true });
+    // Let Stripe retry; finished steps are skipped on the next delivery
+    await releaseEvent(event.id).catch(() => {});
+    return res.status(500).json({ error: "Webhook handler failed" });
   }
 }
\ No newline at end of file
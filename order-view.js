@@ -0,0 +1,217 @@
+// order-view.js
+// Order details rendering shared by success.html and order-status.html.
+// Takes the shape returned by /api/get-checkout-session and
+// /api/order-status (items, totals, shipping, pickup, tracking). With
+// `redacted: true` the address and tracking are left out.
+// Classic script: defines page globals, load it before the page's own script.
+
+function moneyPretty(cents, currency) {
+  const cur = (currency || "usd").toUpperCase();
+  return new Intl.NumberFormat("en-US", { style: "currency", currency: cur }).format((Number(cents) || 0) / 100);
+}
+
+function escapeHtml(str) {
+  return String(str ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function addrToLines(addr) {
+  if (!addr) return [];
+  const lines = [
+    addr.line1,
+    addr.line2,
+    `${addr.city || ""}${addr.city ? "," : ""} ${addr.state || ""} ${addr.postal_code || ""}`.trim(),
+    addr.country,
+  ].filter(Boolean);
+  return lines;
+}
+
+const ORDER_STATUS_LABELS = {
+  awaiting_payment: "Waiting for your payment to clear",
+  payment_failed: "Payment failed",
+  paid: "Preparing your order",
+  awaiting_pickup: "Getting ready for pickup",
+  address_review: "Checking your shipping address",
+  label_created: "Packed — waiting for USPS to pick it up",
+  label_failed: "Preparing your order",
+  shipped: "Shipped",
+  in_transit: "On the way",
+  out_for_delivery: "Out for delivery",
+  delivered: "Delivered",
+  exception: "Delivery problem — we're on it",
+  picked_up: "Picked up",
+  disputed: "Under review",
+  refunded: "Refunded",
+  canceled: "Canceled",
+};
+
+const TRACKING_STATUS_LABELS = {
+  unknown: "Label created",
+  pre_transit: "Label created",
+  in_transit: "In transit",
+  out_for_delivery: "Out for delivery",
+  available_for_pickup: "Ready for pickup at the post office",
+  delivered: "Delivered",
+  return_to_sender: "Returning to sender",
+  failure: "Delivery failed",
+  error: "Tracking error",
+  cancelled: "Canceled",
+};
+
+function orderStatusLabel(status) {
+  return ORDER_STATUS_LABELS[status] || String(status || "").replace(/_/g, " ");
+}
+
+function formatWhen(iso, withTime) {
+  const t = Date.parse(iso || "");
+  if (!Number.isFinite(t)) return "";
+  const opts = withTime
+    ? { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" }
+    : { weekday: "long", month: "long", day: "numeric" };
+  return new Date(t).toLocaleString("en-US", opts);
+}
+
+// One block per package: status, estimate, then scans newest first
+function renderTrackingTimeline(tracking) {
+  const packages = (tracking || []).filter((p) => p.tracking_code);
+  if (!packages.length) return "";
+
+  return packages.map((pkg, i) => {
+    const heading = packages.length > 1 ? `Package ${i + 1} of ${packages.length}` : "Package";
+    const status = pkg.status ? (TRACKING_STATUS_LABELS[pkg.status] || pkg.status.replace(/_/g, " ")) : "Label created";
+    const eta = pkg.status !== "delivered" && pkg.est_delivery_date
+      ? `<p class="order-eta">Expected by <strong>${escapeHtml(formatWhen(pkg.est_delivery_date))}</strong></p>`
+      : "";
+    const events = (pkg.events || []).map((ev) => `
+          <li>
+            <span class="timeline-when">${escapeHtml(formatWhen(ev.at, true))}</span>
+            <span class="timeline-what">${escapeHtml(ev.message || ev.status.replace(/_/g, " "))}</span>
+            ${ev.location ? `<span class="timeline-where">${escapeHtml(ev.location)}</span>` : ""}
+          </li>`).join("");
+
+    return `
+      <div class="order-package">
+        <h4>${escapeHtml(heading)}: ${escapeHtml(status)}</h4>
+        <p>${escapeHtml(pkg.carrier || "")} ${pkg.tracking_url
+          ? `<a href="${escapeHtml(pkg.tracking_url)}" target="_blank" rel="noopener">${escapeHtml(pkg.tracking_code)}</a>`
+          : escapeHtml(pkg.tracking_code)}</p>
+        ${eta}
+        ${events
+          ? `<ol class="order-timeline">${events}</ol>`
+          : `<p class="order-muted">No scans yet — tracking updates once USPS has the package.</p>`}
+      </div>`;
+  }).join("");
+}
+
+function renderOrderDetails(data) {
+  // Prefer a flat shape if your API already returns it, otherwise fall back to session fields.
+  const currency = data.currency || data.session?.currency || "usd";
+
+  // Items: your API might return data.items, or Stripe line_items inside session.
+  const items = Array.isArray(data.items)
+    ? data.items
+    : (data.session?.line_items?.data || []).map((li) => ({
+        description: li.description || "Item",
+        quantity: li.quantity ?? 1,
+        unit_amount: li.price?.unit_amount ?? null,
+        amount_subtotal: li.amount_subtotal ?? (li.price?.unit_amount ?? 0) * (li.quantity ?? 1),
+      }));
+
+  // Totals: prefer data.totals if your API provides it, else derive from session.
+  const totals = data.totals || {
+    subtotal: data.session?.amount_subtotal ?? 0,
+    shipping: data.session?.shipping_cost?.amount_total ?? 0,
+    tax: data.session?.total_details?.amount_tax ?? 0,
+    total: data.session?.amount_total ?? 0,
+  };
+
+  // Shipping
+  const shipping =
+    data.shipping ||
+    data.session?.shipping_details ||
+    { name: "", address: data.session?.shipping_details?.address };
+
+  const shipName = shipping?.name || data.session?.customer_details?.name || "";
+  const shipLines = addrToLines(shipping?.address);
+  const shipMethod =
+    data.shipping_method ||
+    data.session?.shipping_cost?.shipping_rate?.display_name ||
+    "Shipping";
+
+  const itemsRows = (items || []).map((it) => {
+    const desc = escapeHtml(it.description || it.name || "Item");
+    const qty = Number(it.quantity ?? 1);
+    const unit = (it.unit_amount != null) ? moneyPretty(it.unit_amount, currency) : "-";
+    const line = moneyPretty(it.amount_subtotal ?? 0, currency);
+
+    return `
+      <tr>
+        <td style="padding:6px 0;">${desc}</td>
+        <td style="padding:6px 0; text-align:center;">${qty}</td>
+        <td style="padding:6px 0; text-align:right;">${unit}</td>
+        <td style="padding:6px 0; text-align:right;">${line}</td>
+      </tr>
+    `;
+  }).join("");
+
+  const tracking = renderTrackingTimeline(data.tracking);
+
+  return `
+    <hr style="margin:14px 0; opacity:.2;">
+    <h3 style="margin:0 0 8px;">Order details</h3>
+
+    <p style="margin:0 0 8px;"><strong>Shipping method:</strong> ${escapeHtml(shipMethod)}</p>
+
+    <table style="width:100%; border-collapse:collapse;">
+      <thead>
+        <tr>
+          <th style="text-align:left; padding:6px 0; border-bottom:1px solid rgba(0,0,0,.12);">Item</th>
+          <th style="text-align:center; padding:6px 0; border-bottom:1px solid rgba(0,0,0,.12);">Qty</th>
+          <th style="text-align:right; padding:6px 0; border-bottom:1px solid rgba(0,0,0,.12);">Unit</th>
+          <th style="text-align:right; padding:6px 0; border-bottom:1px solid rgba(0,0,0,.12);">Line</th>
+        </tr>
+      </thead>
+      <tbody>${itemsRows || ""}</tbody>
+    </table>
+
+    <div style="margin-top:10px;">
+      <div style="display:flex; justify-content:space-between; padding:4px 0;">
+        <span>Subtotal</span><span>${moneyPretty(totals.subtotal, currency)}</span>
+      </div>
+      <div style="display:flex; justify-content:space-between; padding:4px 0;">
+        <span>Shipping</span><span>${moneyPretty(totals.shipping, currency)}</span>
+      </div>
+      <div style="display:flex; justify-content:space-between; padding:4px 0;">
+        <span>Tax</span><span>${moneyPretty(totals.tax, currency)}</span>
+      </div>
+      <div style="display:flex; justify-content:space-between; padding:8px 0; border-top:1px solid rgba(0,0,0,.15); font-weight:700;">
+        <span>Total</span><span>${moneyPretty(totals.total, currency)}</span>
+      </div>
+      ${totals.refunded ? `
+      <div style="display:flex; justify-content:space-between; padding:4px 0;">
+        <span>Refunded</span><span>−${moneyPretty(totals.refunded, currency)}</span>
+      </div>` : ""}
+    </div>
+
+    ${data.redacted ? `
+    <p class="order-muted" style="margin-top:10px;">
+      For your privacy, your address, pickup details and tracking are hidden on this link now.
+      They're in your confirmation email, or look up your order on the <a href="order-status.html">order status page</a>.
+    </p>` : data.fulfillment === "pickup" ? `
+    <div style="margin-top:10px;">
+      <p style="margin:0 0 4px;"><strong>Local pickup:</strong></p>
+      <p style="margin:0;">${data.pickup
+        ? `${escapeHtml(data.pickup.location)}<br>${data.pickup.address ? `${escapeHtml(data.pickup.address)}<br>` : ""}${escapeHtml(data.pickup.window)}`
+        : "We'll email you to arrange a pickup time."}</p>
+    </div>` : `
+    <div style="margin-top:10px;">
+      <p style="margin:0 0 4px;"><strong>Shipping to:</strong></p>
+      <p style="margin:0;">${shipName ? `${escapeHtml(shipName)}<br>` : ""}${shipLines.map(escapeHtml).join("<br>")}</p>
+    </div>`}
+
+    ${tracking ? `<hr style="margin:14px 0; opacity:.2;"><h3 style="margin:0 0 8px;">Tracking</h3>${tracking}` : ""}
+  `;
+}
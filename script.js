@@ -1,42 +1,30 @@
 // script.js
-// Inventory fetcher and renderer for Kelley's Candles (static, no backend)
+// Inventory fetcher and renderer for Kelley's Candles
 // Comments explain how the Google Sheets connection works and how to customize.
 
 /*
-	HOW TO POINT TO YOUR SHEET
-	- The publisher gave this sheet URL (example):
-		https://docs.google.com/spreadsheets/d/e/2PACX-1vQ5vb9X2zODGZog-OohXo2DRn_fAZcEODjkxOd8TBIyBwDwHj-ddXEBqvvLlR2vTzmSSoygkc-RvWgE/pubhtml?gid=0&single=true
-
-	- To fetch CSV, convert the published URL by replacing `/pubhtml` with
-		`/pub?output=csv` and keep the `gid` query parameter. That produces:
-		https://docs.google.com/spreadsheets/d/e/2PACX-1.../pub?output=csv&gid=0
-
-	- Paste the converted CSV URL into `SHEET_CSV_URL` below.
-	- After publishing, changes in the Google Sheet will be visible on this site
-		(there may be a small publish delay).
+	WHERE THE INVENTORY COMES FROM
+	- The Google Sheet URL, CSV parsing and row validation live in
+		shared/catalog.js, which the checkout API reads as well, so prices
+		shown here are the prices charged at checkout.
+	- The browser loads the catalog from `/api/catalog`, which parses and
+		caches the sheet server-side. The last good response is kept in
+		localStorage and shown when the API or Google is unreachable.
+	- index.html loads shared/browser.js as a module; it exposes the catalog
+		helpers here as `window.KellysShared.catalog`.
+	- To point the site at a different sheet, edit SHEET_PUBLISHED_URL in
+		shared/catalog.js.
 
 	SECURITY NOTE: Published sheets are public. Do not publish private data.
 */
 
-const SHEET_PUBLISHED_URL = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vQ5vb9X2zODGZog-OohXo2DRn_fAZcEODjkxOd8TBIyBwDwHj-ddXEBqvvLlR2vTzmSSoygkc-RvWgE/pubhtml?gid=0&single=true';
+function getCatalogModule() {
+	return (window.KellysShared && window.KellysShared.catalog) || null;
+}
 
-// Convert to CSV endpoint (works for typical 'publish to web' links)
-function toCsvUrl(pubHtmlUrl) {
-	if (!pubHtmlUrl) return pubHtmlUrl;
-	try {
-		const u = new URL(pubHtmlUrl);
-		// replace trailing /pubhtml with /pub if present
-		u.pathname = u.pathname.replace(/\/pubhtml$/i, '/pub');
-		// ensure output=csv is present alongside existing params (gid, etc.)
-		u.searchParams.set('output', 'csv');
-		return u.toString();
-	} catch (e) {
-		// fallback: naive replace but fix query delimiter if needed
-		let out = pubHtmlUrl.replace('/pubhtml', '/pub?output=csv');
-		// if we ended with ?output=csv?..., fix to &
-		out = out.replace('?output=csv?', '?output=csv&');
-		return out;
-	}
+// Quantity limits (shared/cart-rules.js) - the same rules checkout enforces
+function getCartRules() {
+	return (window.KellysShared && window.KellysShared.cartRules) || null;
 }
 
 // --- Prevent double submits for Stripe Checkout ---
@@ -103,8 +91,6 @@ async function runCheckoutOnce({ btn, statusEl, run }) {
 
 
 
-const SHEET_CSV_URL = toCsvUrl(SHEET_PUBLISHED_URL);
-
 /* NEWSLETTER CONFIGURATION
 	 - Set `NEWSLETTER_MODE` to 'local' or 'google'.
 		 'local' stores signups in localStorage (Option A).
@@ -128,229 +114,613 @@ const ENTRY_EMAIL_NAME = 'entry.36953508'; // email field entry id
 // LocalStorage key for signups
 const NEWSLETTER_KEY = 'kelleys_newsletter_signups_v1';
 
-// Simple CSV parser that handles quoted fields and commas inside quotes.
-function parseCsv(text) {
-	const rows = [];
-	let row = [];
-	let field = '';
-	let inQuotes = false;
-	for (let i = 0; i < text.length; i++) {
-		const ch = text[i];
-		const next = text[i+1];
-
-		if (inQuotes) {
-			if (ch === '"') {
-				if (next === '"') { field += '"'; i++; } else { inQuotes = false; }
-			} else { field += ch; }
-		} else {
-			if (ch === '"') { inQuotes = true; }
-			else if (ch === ',') { row.push(field); field = ''; }
-			else if (ch === '\r') { continue; }
-			else if (ch === '\n') { row.push(field); rows.push(row); row = []; field = ''; }
-			else { field += ch; }
-		}
+// In-memory cache of available catalog variants for filtering
+let AVAILABLE_ITEMS = [];
+
+function normalizeSize(s){
+	if (!s) return '';
+	// normalize to lowercase and remove any non-alphanumeric characters
+	return String(s).toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+/* INVENTORY FILTERS
+	- Search (name, scent notes, aliases, family), size and scent family
+		(several of each can be picked), a price range and a sort order.
+	- The current view lives in the query string, e.g.
+		?q=apple&size=12oz,17oz&family=fruity&min=15&max=30&sort=price-asc
+		so a filtered view can be shared as a link (Facebook posts etc.).
+	- Scent families and the "Newest" date come from the sheet's "family"
+		and "added" columns (see shared/catalog.js).
+*/
+const INVENTORY_SORTS = ['', 'price-asc', 'price-desc', 'newest', 'name'];
+let filterSearchTimer = null;
+let renderedFilterSearch = null; // location.search the grid was last rendered for
+
+// Lower-case URL slug ("Apple Pie" -> "apple-pie"), for filter values and product links
+function slugKey(s){
+	return String(s || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Whole or decimal dollars in the URL -> cents
+function parsePriceParam(raw){
+	const n = parseFloat(raw);
+	return Number.isFinite(n) && n >= 0 ? Math.round(n * 100) : null;
+}
+
+function getInventoryFilters(){
+	const params = new URLSearchParams(location.search);
+	const list = (name) => (params.get(name) || '').split(',').map(s => s.trim()).filter(Boolean);
+	const sort = params.get('sort') || '';
+	return {
+		q: (params.get('q') || '').trim(),
+		sizes: list('size').map(normalizeSize).filter(Boolean),
+		families: list('family').map(slugKey).filter(Boolean),
+		minCents: parsePriceParam(params.get('min')),
+		maxCents: parsePriceParam(params.get('max')),
+		sort: INVENTORY_SORTS.includes(sort) ? sort : ''
+	};
+}
+
+function hasActiveFilters(f){
+	return !!(f.q || f.sizes.length || f.families.length || f.minCents != null || f.maxCents != null || f.sort);
+}
+
+// Write the filters to the URL (without adding history entries) and re-render
+function setInventoryFilters(f){
+	const params = new URLSearchParams(location.search);
+	const set = (name, value) => { if (value) params.set(name, value); else params.delete(name); };
+	set('q', f.q);
+	set('size', f.sizes.join(','));
+	set('family', f.families.join(','));
+	set('min', f.minCents != null ? String(f.minCents / 100) : '');
+	set('max', f.maxCents != null ? String(f.maxCents / 100) : '');
+	set('sort', f.sort);
+	// keep the lists readable in shared links (size=12oz,17oz)
+	const query = params.toString().replace(/%2C/g, ',');
+	history.replaceState(history.state, '', location.pathname + (query ? '?' + query : '') + location.hash);
+	renderAvailable();
+}
+
+function matchesInventoryFilters(v, f){
+	if (f.sizes.length && !f.sizes.includes(normalizeSize(v.size))) return false;
+	if (f.families.length && !(v.families || []).some(fam => f.families.includes(slugKey(fam)))) return false;
+	if (f.minCents != null && v.priceCents < f.minCents) return false;
+	if (f.maxCents != null && v.priceCents > f.maxCents) return false;
+	if (f.q){
+		const catalog = getCatalogModule();
+		const key = (s) => catalog ? catalog.scentKey(s) : String(s || '').toLowerCase();
+		const haystack = key([v.name, v.description, v.notes, v.sizeLabel, ...(v.aliases || []), ...(v.families || [])].join(' '));
+		return key(f.q).split(' ').every(word => haystack.includes(word));
 	}
-	// last field (if file doesn't end with newline)
-	if (field !== '' || row.length) { row.push(field); rows.push(row); }
-	return rows;
-}
-
-// Convert CSV rows to array of objects using header row
-function rowsToObjects(rows) {
-	if (!rows || rows.length === 0) return [];
-	const headers = rows[0].map(h => h.trim());
-	const data = [];
-	for (let i = 1; i < rows.length; i++) {
-		const r = rows[i];
-		if (r.length === 1 && r[0] === '') continue; // skip empty lines
-		const obj = {};
-		for (let j = 0; j < headers.length; j++) {
-			obj[headers[j]] = (r[j] || '').trim();
-		}
-		data.push(obj);
+	return true;
+}
+
+// Featured = sheet order; ties keep sheet order too
+function sortInventory(items, sort){
+	const byRow = (a, b) => (a.row || 0) - (b.row || 0);
+	const sorted = items.slice();
+	if (sort === 'price-asc') sorted.sort((a, b) => a.priceCents - b.priceCents || byRow(a, b));
+	else if (sort === 'price-desc') sorted.sort((a, b) => b.priceCents - a.priceCents || byRow(a, b));
+	else if (sort === 'name') sorted.sort((a, b) => a.name.localeCompare(b.name) || byRow(a, b));
+	// dated rows newest first, then undated rows from the bottom of the sheet up
+	else if (sort === 'newest') sorted.sort((a, b) => (b.addedAt || '').localeCompare(a.addedAt || '') || byRow(b, a));
+	else sorted.sort(byRow);
+	return sorted;
+}
+
+function sizeFilterLabel(size){
+	if (size === 'bundle') return 'Gift Sets';
+	if (size === 'wax melt') return 'Wax Melts';
+	return size.replace(' oz', 'oz');
+}
+
+// Size and family buttons for what's actually in stock
+function renderFilterOptions(){
+	const sizesEl = document.getElementById('filter-sizes');
+	const familiesEl = document.getElementById('filter-families');
+	const items = AVAILABLE_ITEMS || [];
+
+	if (sizesEl){
+		// largest candle first, then wax melts and gift sets
+		const rank = (size) => size === 'bundle' ? -2 : size === 'wax melt' ? -1 : parseFloat(size) || 0;
+		const sizes = [...new Set(items.map(v => v.size))].sort((a, b) => rank(b) - rank(a));
+		sizesEl.innerHTML = '<span>Size:</span><button type="button" class="btn small filter-btn" data-size="">All</button>' +
+			sizes.map(size => `<button type="button" class="btn small filter-btn" data-size="${escapeHtml(normalizeSize(size))}">${escapeHtml(sizeFilterLabel(size))}</button>`).join('');
+	}
+
+	if (familiesEl){
+		const families = new Map();
+		items.forEach(v => (v.families || []).forEach(fam => {
+			if (!families.has(slugKey(fam))) families.set(slugKey(fam), fam);
+		}));
+		familiesEl.innerHTML = '<span>Scent family:</span><button type="button" class="btn small filter-btn" data-family="">All</button>' +
+			[...families].sort((a, b) => a[1].localeCompare(b[1]))
+				.map(([key, label]) => `<button type="button" class="btn small filter-btn" data-family="${escapeHtml(key)}">${escapeHtml(label)}</button>`).join('');
+		familiesEl.classList.toggle('hidden', families.size === 0);
 	}
-	return data;
 }
 
-// Filter out sold or zero-quantity items
-function filterAvailable(items) {
-	return items.filter(it => {
-		const qty = (it['quantity'] || it['Quantity'] || it['qty'] || it['Qty'] || '').trim();
-		const status = (it['status'] || it['Status'] || '').trim().toLowerCase();
-		const qtyNum = Number(qty || 0);
-		if (status === 'sold out' || status === 'sold' || qtyNum <= 0) return false;
-		return true;
+// Show the URL's filters in the controls (leaving alone the field being typed in)
+function syncFilterControls(f){
+	const setValue = (id, value) => {
+		const el = document.getElementById(id);
+		if (el && el !== document.activeElement) el.value = value;
+	};
+	setValue('filter-q', f.q);
+	setValue('filter-min', f.minCents != null ? String(f.minCents / 100) : '');
+	setValue('filter-max', f.maxCents != null ? String(f.maxCents / 100) : '');
+	setValue('filter-sort', f.sort);
+	document.querySelectorAll('#filter-sizes .filter-btn').forEach(b => {
+		const on = b.dataset.size ? f.sizes.includes(b.dataset.size) : !f.sizes.length;
+		b.classList.toggle('active', on);
+		b.setAttribute('aria-pressed', on ? 'true' : 'false');
 	});
+	document.querySelectorAll('#filter-families .filter-btn').forEach(b => {
+		const on = b.dataset.family ? f.families.includes(b.dataset.family) : !f.families.length;
+		b.classList.toggle('active', on);
+		b.setAttribute('aria-pressed', on ? 'true' : 'false');
+	});
+	const clear = document.getElementById('filter-clear');
+	if (clear) clear.classList.toggle('hidden', !hasActiveFilters(f));
 }
 
-// In-memory cache of available items for filtering
-let AVAILABLE_ITEMS = [];
+function initInventoryFilters(){
+	const form = document.getElementById('inventory-filters');
+	if (!form) return;
+	const update = (changes) => setInventoryFilters({ ...getInventoryFilters(), ...changes });
+	// "All" clears the group; other buttons toggle, so several can be picked
+	const toggle = (list, value) => !value ? [] : list.includes(value) ? list.filter(x => x !== value) : list.concat(value);
+
+	form.addEventListener('submit', (e) => e.preventDefault());
+	form.addEventListener('click', (e) => {
+		const b = e.target.closest('.filter-btn');
+		if (!b) return;
+		if ('size' in b.dataset) update({ sizes: toggle(getInventoryFilters().sizes, b.dataset.size) });
+		else if ('family' in b.dataset) update({ families: toggle(getInventoryFilters().families, b.dataset.family) });
+	});
 
-function normalizeSize(s){
-	if (!s) return '';
-	// normalize to lowercase and remove any non-alphanumeric characters
-	return String(s).toLowerCase().replace(/[^a-z0-9]+/g, '');
+	const search = document.getElementById('filter-q');
+	if (search) search.addEventListener('input', () => {
+		clearTimeout(filterSearchTimer);
+		filterSearchTimer = setTimeout(() => update({ q: search.value.trim() }), 250);
+	});
+	const sort = document.getElementById('filter-sort');
+	if (sort) sort.addEventListener('change', () => update({ sort: sort.value }));
+	['filter-min', 'filter-max'].forEach(id => {
+		const input = document.getElementById(id);
+		if (input) input.addEventListener('change', () => update({
+			[id === 'filter-min' ? 'minCents' : 'maxCents']: input.value === '' ? null : parsePriceParam(input.value)
+		}));
+	});
+	const clear = document.getElementById('filter-clear');
+	if (clear) clear.addEventListener('click', () => {
+		clearTimeout(filterSearchTimer);
+		setInventoryFilters({ q: '', sizes: [], families: [], minCents: null, maxCents: null, sort: '' });
+		// the focused field isn't synced, so empty it here
+		form.querySelectorAll('input').forEach(input => { input.value = ''; });
+	});
+
+	// Back/Forward between filtered views (hash-only changes, like opening a
+	// product, leave the grid alone)
+	window.addEventListener('popstate', () => {
+		if (location.search !== renderedFilterSearch) renderAvailable();
+	});
+	syncFilterControls(getInventoryFilters());
 }
 
 function renderAvailable(){
 	const inventory = document.getElementById('inventory');
 	if (!inventory) return;
 	inventory.innerHTML = '';
-	const active = document.querySelector('.filter-btn.active');
-	const filter = active ? (active.dataset.size || '') : '';
-	const normalizedFilter = normalizeSize(filter || '');
-	const items = (AVAILABLE_ITEMS || []).filter(it => {
-		if (!normalizedFilter) return true;
-		const sz = normalizeSize(it['size'] || it['Size'] || '');
-		if (!sz) return false;
-		if (sz === normalizedFilter) return true;
-		// Build a regex that ensures the filter matches a whole token (surrounded by non-alphanumerics or boundaries)
-		const esc = String(normalizedFilter).replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
-		const re = new RegExp('(?:^|[^0-9a-z])' + esc + '(?:$|[^0-9a-z])');
-		if (re.test(it['size'] || it['Size'] || '')) return true;
-		return false;
-	});
-	if (items.length === 0){
-		inventory.innerHTML = '<div class="status">No items match that filter.</div>';
+	renderedFilterSearch = location.search;
+	const filters = getInventoryFilters();
+	syncFilterControls(filters);
+	const all = AVAILABLE_ITEMS || [];
+	// one card per scent, showing the sizes that match
+	const products = groupProducts(sortInventory(all.filter(v => matchesInventoryFilters(v, filters)), filters.sort));
+
+	const count = document.getElementById('filter-count');
+	if (count){
+		const filtered = filters.q || filters.sizes.length || filters.families.length || filters.minCents != null || filters.maxCents != null;
+		count.textContent = filtered ? `Showing ${products.length} of ${groupProducts(all).length} products` : '';
+		count.classList.toggle('hidden', !filtered);
+	}
+
+	if (products.length === 0){
+		inventory.innerHTML = '<div class="status">No items match those filters.</div>';
 		return;
 	}
-	items.forEach(item => inventory.appendChild(createCard(item)));
+	products.forEach(product => inventory.appendChild(createCard(product)));
 }
 
-function createCard(item) {
-	const el = document.createElement('article');
-	el.className = 'card';
+// Resolve a sheet image path to an absolute URL (display-only)
+function resolveImageUrl(raw) {
+	let imgUrl = String(raw || '').trim();
+	if (!imgUrl) return '';
+	// normalize slashes
+	imgUrl = imgUrl.replace(/\\/g, '/');
 
-	const candleName = item['candle name'] || item['Candle Name'] || item['name'] || item['Name'] || '';
-	const scent = item['scent'] || item['Scent'] || '';
-	const size = item['size'] || item['Size'] || '';
-	const price = item['price'] || item['Price'] || '';
-	const quantity = item['quantity'] || item['Quantity'] || '';
-
-		// optional image support (display-only). Case-insensitive header matching + safe URL normalization.
-		let imgUrl = '';
-		try {
-			// map item keys to lowercase for flexible matching
-			const lower = {};
-			for (const [k, v] of Object.entries(item || {})) {
-				lower[String(k || '').trim().toLowerCase()] = String(v || '').trim();
-			}
+	// normalize github pages folder casing: images/ -> Images/
+	imgUrl = imgUrl.replace(/^\/?images\//i, 'Images/');
+	imgUrl = imgUrl.replace(/\/images\//gi, '/Images/');
 
-			// find an image field (case-insensitive)
-			imgUrl =
-				lower['image_url'] ||
-				lower['image url'] ||
-				lower['image'] ||
-				lower['photo'] ||
-				lower['picture'] ||
-				lower['img'] ||
-				'';
-
-			if (imgUrl) {
-  // normalize slashes
-  imgUrl = imgUrl.replace(/\\/g, '/');
-
-  // normalize github pages folder casing: images/ -> Images/
-  imgUrl = imgUrl.replace(/^\/?images\//i, 'Images/');
-  imgUrl = imgUrl.replace(/\/images\//gi, '/Images/');
-
-  // if someone put "products/..." in the sheet, assume it's under Images/products/
-  imgUrl = imgUrl.replace(/^\/?products\//i, 'Images/products/');
-
-  // if relative, make absolute
-  if (!/^https?:\/\//i.test(imgUrl)) {
-    imgUrl = `${location.origin}/${imgUrl.replace(/^\/+/, '')}`;
-  }
+	// if someone put "products/..." in the sheet, assume it's under Images/products/
+	imgUrl = imgUrl.replace(/^\/?products\//i, 'Images/products/');
+
+	// if relative, make absolute
+	if (!/^https?:\/\//i.test(imgUrl)) {
+		imgUrl = `${location.origin}/${imgUrl.replace(/^\/+/, '')}`;
+	}
+	return imgUrl;
 }
 
-		} catch (e) {
-			imgUrl = '';
-		}
+/* PRODUCTS
+	- Sheet rows (one per size) are grouped by scent into products; each card
+		has a size picker that switches the price, stock and Add to Cart.
+	- #product/<slug> (e.g. #product/apple-pie) opens the product details:
+		photo gallery, scent notes, burn time and care tips, all from the sheet
+		(gallery / notes / burn time / care columns, see shared/catalog.js).
+*/
+const DEFAULT_CARE_TIPS = [
+	'Burn long enough for the wax to melt across the whole top, especially the first time.',
+	'Keep the wick trimmed to 1/4 inch and burn no more than four hours at a time.',
+	'Never leave a burning candle unattended; keep it away from drafts, children and pets.',
+	'Stop using it when 1/2 inch of wax remains.'
+];
+let productModalReturnFocus = null;
+let productModalFromLink = false; // opened by a link on this page, so Back closes it
+
+function productKey(variant){
+	return variant.productId || slugKey(variant.name);
+}
 
-		const isWaxMelt = (size || '').trim().toLowerCase() === 'wax melt';
-		const imgHtml = imgUrl
-			? `<div class="card-image${isWaxMelt ? ' wax-melt' : ''}"><img src="${escapeHtml(imgUrl)}" alt="${escapeHtml(candleName)}" loading="lazy"></div>`
-			: '';
+/**
+ * Group variants into products, keeping the order they come in (the first
+ * variant of each product is the one its card starts on)
+ * @returns {Array<{ id: string, name: string, variants: Object[] }>}
+ */
+function groupProducts(variants){
+	const products = new Map();
+	(variants || []).forEach(v => {
+		const id = productKey(v);
+		if (!products.has(id)) products.set(id, { id, name: v.name, variants: [] });
+		products.get(id).variants.push(v);
+	});
+	return [...products.values()];
+}
+
+function findProduct(id){
+	return groupProducts((AVAILABLE_ITEMS || []).filter(v => productKey(v) === id))[0] || null;
+}
+
+// Size picker options, smallest first (the selected one is the card's current variant)
+function variantOptionsHtml(product, selected){
+	const catalog = getCatalogModule();
+	const rank = (v) => v.type === 'bundle' ? 1e6 : v.size === 'wax melt' ? -1 : parseFloat(v.size) || 0;
+	return product.variants.slice().sort((a, b) => rank(a) - rank(b)).map(v =>
+		`<option value="${escapeHtml(v.id)}"${v.id === selected.id ? ' selected' : ''}>${escapeHtml(v.sizeLabel)}${catalog ? ' - ' + escapeHtml(catalog.formatPrice(v.priceCents)) : ''}</option>`
+	).join('');
+}
+
+// Size picker, or just the size (or what's in a gift set) when there's one variant
+function variantPickerHtml(product, selected, id){
+	const catalog = getCatalogModule();
+	if (product.variants.length > 1){
+		return `<label class="variant-picker" for="${id}">Size <select id="${id}" class="variant-select" data-product-id="${escapeHtml(product.id)}">${variantOptionsHtml(product, selected)}</select></label>`;
+	}
+	if (selected.type === 'bundle' && catalog) return escapeHtml('Includes: ' + catalog.describeComponents(selected.components));
+	return escapeHtml(selected.sizeLabel);
+}
+
+// Point a card or the product details at one variant: price, stock, photo and Add to Cart
+function applyVariant(root, variant){
+	const catalog = getCatalogModule();
+	const price = root.querySelector('.price');
+	if (price) price.textContent = catalog ? catalog.formatPrice(variant.priceCents) : '';
+	const stock = root.querySelector('.variant-stock');
+	if (stock) stock.textContent = `Qty: ${variant.quantity}`;
+	const burn = root.querySelector('.variant-burn');
+	if (burn){
+		burn.textContent = variant.burnTime ? `Burn time: ${variant.burnTime}` : '';
+		burn.classList.toggle('hidden', !variant.burnTime);
+	}
+	const img = root.querySelector('.variant-image img');
+	const imgUrl = resolveImageUrl(variant.image);
+	if (img && imgUrl){
+		img.src = imgUrl;
+		img.closest('.variant-image').classList.toggle('wax-melt', variant.size === 'wax melt');
+	}
+	// Add data attributes so the cart logic can pick up item details. Do NOT include image in cart data.
+	const btn = root.querySelector('.add-to-cart');
+	if (btn){
+		btn.dataset.variantId = variant.id;
+		btn.dataset.name = variant.name;
+		btn.dataset.candleName = variant.name;
+		btn.dataset.priceCents = variant.priceCents;
+		btn.dataset.size = variant.sizeLabel;
+		btn.dataset.scent = variant.description;
+	}
+}
+
+// Render one product card (variants are catalog Variants, see shared/catalog.js)
+function createCard(product) {
+	const variant = product.variants[0];
+	const el = document.createElement('article');
+	el.className = 'card';
+	el.dataset.productId = product.id;
+
+	// first photo among the sizes on this card
+	const withImage = product.variants.find(v => resolveImageUrl(v.image));
+	const imgUrl = resolveImageUrl((resolveImageUrl(variant.image) ? variant : withImage || variant).image);
+	const isWaxMelt = variant.size === 'wax melt';
+	const link = `#product/${encodeURIComponent(product.id)}`;
+	const imgHtml = imgUrl
+		? `<a class="card-image variant-image${isWaxMelt ? ' wax-melt' : ''}" href="${link}"><img src="${escapeHtml(imgUrl)}" alt="${escapeHtml(product.name)}" loading="lazy"></a>`
+		: '';
 
 	// Add has-image class if image is present
 	if (imgUrl) el.classList.add('has-image');
 
-	// Add data attributes so the cart logic can pick up item details. Do NOT include image in cart data.
 	el.innerHTML = `
 		${imgHtml}
-		<h3 class="product-name">${escapeHtml(candleName)}</h3>
-		<p class="desc">${escapeHtml(scent)}</p>
-		<p class="desc">${escapeHtml(size)}</p>
-		<div class="meta-row"><span class="price">${escapeHtml(price)}</span><span>Qty: ${escapeHtml(quantity)}</span></div>
+		<h3 class="product-name"><a href="${link}">${escapeHtml(product.name)}</a></h3>
+		<p class="desc">${escapeHtml(variant.description)}</p>
+		<p class="desc">${variantPickerHtml(product, variant, `variant-${product.id}`)}</p>
+		<div class="meta-row"><span class="price"></span><span class="variant-stock"></span></div>
 		<div style="margin-top:8px">
-			<button class="btn add-to-cart" data-name="${escapeHtml(candleName)}" data-candle-name="${escapeHtml(candleName)}" data-price="${escapeHtml(price)}" data-size="${escapeHtml(size)}" data-scent="${escapeHtml(scent)}">Add to Cart</button>
+			<button class="btn add-to-cart">Add to Cart</button>
+			<a class="product-details-link" href="${link}">Details</a>
 		</div>
 	`;
+	applyVariant(el, variant);
 	return el;
 }
 
+function productGalleryImages(product){
+	const urls = [];
+	product.variants.forEach(v => [v.image, ...(v.gallery || [])].forEach(raw => {
+		const url = resolveImageUrl(raw);
+		if (url && !urls.includes(url)) urls.push(url);
+	}));
+	return urls;
+}
+
+// Fill the product details dialog
+function renderProductDetail(product){
+	const body = document.getElementById('product-modal-body');
+	if (!body) return;
+	const variant = product.variants[0];
+	const first = (field) => (product.variants.find(v => v[field] && v[field].length) || {})[field];
+	const notes = first('notes') || '';
+	const care = first('care') || DEFAULT_CARE_TIPS;
+	const images = productGalleryImages(product);
+
+	body.innerHTML = `
+		<div class="product-detail">
+			${images.length ? `<div class="product-gallery">
+				<div class="product-gallery-main variant-image${variant.size === 'wax melt' ? ' wax-melt' : ''}"><img src="${escapeHtml(images[0])}" alt="${escapeHtml(product.name)}"></div>
+				${images.length > 1 ? `<div class="product-gallery-thumbs">${images.map((url, i) =>
+					`<button type="button" class="product-thumb${i === 0 ? ' active' : ''}" data-src="${escapeHtml(url)}" aria-label="Photo ${i + 1} of ${images.length}"><img src="${escapeHtml(url)}" alt="" loading="lazy"></button>`
+				).join('')}</div>` : ''}
+			</div>` : ''}
+			<div class="product-detail-info">
+				<h2 id="product-modal-title" class="product-name">${escapeHtml(product.name)}</h2>
+				${variant.description ? `<p class="desc">${escapeHtml(variant.description)}</p>` : ''}
+				${notes ? `<h3>Scent notes</h3><p class="product-notes">${escapeHtml(notes)}</p>` : ''}
+				<p class="desc">${variantPickerHtml(product, variant, 'product-modal-variant')}</p>
+				<div class="meta-row"><span class="price"></span><span class="variant-stock"></span></div>
+				<p class="variant-burn hidden"></p>
+				<button class="btn add-to-cart">Add to Cart</button>
+				<h3>Candle care</h3>
+				<ul class="product-care">${care.map(tip => `<li>${escapeHtml(tip)}</li>`).join('')}</ul>
+				<p><a href="candle-care.html">Full safety &amp; candle care guide</a></p>
+			</div>
+		</div>
+	`;
+	applyVariant(body, variant);
+}
+
+function openProductModal(product){
+	const modal = document.getElementById('product-modal');
+	const overlay = document.getElementById('product-overlay');
+	if (!modal) return;
+	const wasOpen = !modal.classList.contains('hidden');
+	if (product) renderProductDetail(product);
+	else {
+		const body = document.getElementById('product-modal-body');
+		if (body) body.innerHTML = '<h2 id="product-modal-title">Not available</h2><p class="desc">This candle isn\'t in stock right now. <a href="#inventory-area">See what\'s available</a>.</p>';
+	}
+	modal.classList.remove('hidden');
+	if (overlay) overlay.classList.remove('hidden');
+	document.body.classList.add('modal-open');
+	if (!wasOpen){
+		productModalReturnFocus = document.activeElement;
+		const close = document.getElementById('product-close');
+		if (close) close.focus();
+	}
+}
+
+function hideProductModal(){
+	const modal = document.getElementById('product-modal');
+	const overlay = document.getElementById('product-overlay');
+	if (!modal || modal.classList.contains('hidden')) return;
+	modal.classList.add('hidden');
+	if (overlay) overlay.classList.add('hidden');
+	document.body.classList.remove('modal-open');
+	if (productModalReturnFocus && productModalReturnFocus.focus) productModalReturnFocus.focus();
+	productModalReturnFocus = null;
+}
+
+// Close = leave the #product/ URL; Back does the same when we opened it
+function closeProductModal(){
+	if (productModalFromLink){
+		productModalFromLink = false;
+		history.back();
+		return;
+	}
+	history.replaceState(history.state, '', location.pathname + location.search);
+	hideProductModal();
+}
+
+// Show or hide the details to match the URL hash
+function renderProductRoute(){
+	const match = location.hash.match(/^#product\/([^/?#]+)/);
+	if (!match){
+		productModalFromLink = false;
+		hideProductModal();
+		return;
+	}
+	// wait for inventory; loadInventory() calls this again
+	if (!AVAILABLE_ITEMS.length) return;
+	openProductModal(findProduct(slugKey(decodeURIComponent(match[1]))));
+}
+
+function initProductUI(){
+	// size pickers on cards and in the details
+	document.body.addEventListener('change', (e) => {
+		const select = e.target.closest && e.target.closest('.variant-select');
+		if (!select) return;
+		const variant = (AVAILABLE_ITEMS || []).find(v => v.id === select.value);
+		const root = select.closest('.card, .product-detail');
+		if (variant && root) applyVariant(root, variant);
+	});
+
+	document.body.addEventListener('click', (e) => {
+		const link = e.target.closest && e.target.closest('a[href^="#product/"]');
+		if (link && !location.hash.startsWith('#product/')) productModalFromLink = true;
+		const thumb = e.target.closest && e.target.closest('.product-thumb');
+		if (thumb){
+			const main = document.querySelector('.product-gallery-main img');
+			if (main) main.src = thumb.dataset.src;
+			document.querySelectorAll('.product-thumb').forEach(t => t.classList.toggle('active', t === thumb));
+		}
+	});
+
+	const close = document.getElementById('product-close');
+	if (close) close.addEventListener('click', closeProductModal);
+	const overlay = document.getElementById('product-overlay');
+	if (overlay) overlay.addEventListener('click', closeProductModal);
+	document.addEventListener('keydown', (e) => {
+		const modal = document.getElementById('product-modal');
+		if (e.key === 'Escape' && modal && !modal.classList.contains('hidden')) closeProductModal();
+	});
+	window.addEventListener('hashchange', renderProductRoute);
+}
+
 function escapeHtml(str) {
-	if (!str) return '';
+	if (str == null || str === '') return '';
 	return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 }
 
-async function loadInventory() {
+// Last good catalog response, so a slow sheet or API still shows products
+const CATALOG_SNAPSHOT_KEY = 'kellys_catalog_v1';
+
+function getCatalogSnapshot() {
+	try { return JSON.parse(localStorage.getItem(CATALOG_SNAPSHOT_KEY)) || null; } catch (e) { return null; }
+}
+
+// Fetch the normalized catalog from the API (parsed and cached server-side)
+async function fetchCatalog() {
+	const res = await fetch(`${VERCEL_API_BASE}/api/catalog`);
+	const data = await res.json().catch(() => ({}));
+	if (!res.ok || !Array.isArray(data.variants)) {
+		throw new Error(data.error || 'Inventory request failed (' + res.status + ')');
+	}
+	try {
+		localStorage.setItem(CATALOG_SNAPSHOT_KEY, JSON.stringify({ variants: data.variants, updatedAt: data.updatedAt }));
+	} catch (e) {}
+	return data;
+}
+
+// quiet: re-render in place without the loading state (sw.js found newer inventory)
+async function loadInventory(opts = {}) {
 	const loading = document.getElementById('loading');
 	const error = document.getElementById('error');
 	const inventory = document.getElementById('inventory');
+	const note = document.getElementById('inventory-note');
 	if (!loading || !error || !inventory) return;
-	loading.classList.remove('hidden');
-	error.classList.add('hidden');
-	inventory.classList.add('hidden');
-	inventory.innerHTML = '';
+	if (!opts.quiet) {
+		loading.classList.remove('hidden');
+		error.classList.add('hidden');
+		inventory.classList.add('hidden');
+		if (note) note.classList.add('hidden');
+		inventory.innerHTML = '';
+	}
 
-	if (!SHEET_CSV_URL) {
+	const catalog = getCatalogModule();
+	if (!catalog) {
 		loading.classList.add('hidden');
 		error.classList.remove('hidden');
-		error.textContent = 'No sheet URL configured. Edit script.js to set the published Google Sheet URL.';
+		error.textContent = 'Inventory could not be loaded in this browser.';
 		return;
 	}
 
+	let data;
+	let fromSnapshot = false;
 	try {
-		const res = await fetch(SHEET_CSV_URL);
-		if (!res.ok) throw new Error('Network error: ' + res.status);
-		const text = await res.text();
-		const rows = parseCsv(text);
-		const objs = rowsToObjects(rows);
-		const available = filterAvailable(objs);
-
-		if (available.length === 0) {
-			loading.classList.add('hidden');
-			error.classList.remove('hidden');
-			error.textContent = 'No items available right now.';
-			return;
-		}
-
-		// cache available items and render respecting active filter
-		AVAILABLE_ITEMS = available;
-		loading.classList.add('hidden');
-		inventory.classList.remove('hidden');
-		renderAvailable();
-		// hide debug link on success
-		const csvDebug = document.getElementById('csv-debug');
-		if (csvDebug) csvDebug.classList.add('hidden');
+		data = await fetchCatalog();
 	} catch (err) {
-		loading.classList.add('hidden');
+		console.warn('[catalog] live inventory unavailable:', err.message);
+		if (opts.quiet) return;
+		data = getCatalogSnapshot();
+		fromSnapshot = true;
+	}
+
+	loading.classList.add('hidden');
+	if (!data) {
 		error.classList.remove('hidden');
-		error.textContent = 'Error loading inventory: ' + err.message;
-		// show CSV link for debugging CORS/network issues
-		const csvLink = document.getElementById('csv-link');
-		const csvDebug = document.getElementById('csv-debug');
-		if (csvLink) {
-			csvLink.href = SHEET_CSV_URL || '#';
-			csvLink.textContent = SHEET_CSV_URL || 'No CSV URL configured';
-		}
-		if (csvDebug) csvDebug.classList.remove('hidden');
+		error.textContent = "We couldn't load inventory right now. Please refresh in a minute.";
+		return;
+	}
+
+	const available = (data.variants || []).filter(catalog.isAvailable);
+	if (available.length === 0) {
+		error.classList.remove('hidden');
+		error.textContent = 'No items available right now.';
+		return;
+	}
+
+	// cache available items and render respecting the filters in the URL
+	AVAILABLE_ITEMS = available;
+	inventory.classList.remove('hidden');
+	renderFilterOptions();
+	renderAvailable();
+	renderProductRoute();
+	// a shared filtered link should land on the results
+	if (!opts.quiet && hasActiveFilters(getInventoryFilters()) && !location.hash) {
+		document.getElementById('inventory-area')?.scrollIntoView();
+	}
+
+	// offline, the service worker answers with the last inventory it saw
+	if (note && (fromSnapshot || data.stale || !navigator.onLine)) {
+		const when = data.updatedAt ? new Date(data.updatedAt).toLocaleString() : '';
+		note.textContent = 'Showing saved inventory' + (when ? ' from ' + when : '') + ' - quantities may have changed.';
+		note.classList.remove('hidden');
+	} else if (note) {
+		note.classList.add('hidden');
 	}
 }
 
 const VERCEL_API_BASE = "https://kellyscandles-vercel.vercel.app";
 
+// Checkout error -> { [cart index]: { text, error } } for the lines it names
+function checkoutLineNotices(data) {
+  const notices = {};
+  (Array.isArray(data.items) ? data.items : []).forEach((item) => {
+    if (!Number.isInteger(item.index) || notices[item.index]) return;
+    const text =
+      item.message ||
+      (item.available > 0
+        ? `Only ${item.available} available (you have ${item.requested}).`
+        : "Sold out - please remove it.");
+    notices[item.index] = { text, error: true };
+  });
+  if (Number.isInteger(data.index) && !notices[data.index] && data.error) {
+    notices[data.index] = { text: data.error, error: true };
+  }
+  return notices;
+}
+
 async function payWithCard() {
   console.log("[checkout] Pay with Card clicked");
   const msg = document.getElementById("pay-msg");
@@ -377,17 +747,45 @@ async function payWithCard() {
         throw new Error("Missing email");
       }
 
+      // No signal: hold the checkout and continue once we're back online
+      if (!navigator.onLine) {
+        queueCheckout(email);
+        overrideMessage = CHECKOUT_QUEUED_MSG;
+        throw new Error("Offline - checkout queued");
+      }
+
       const url = `${VERCEL_API_BASE}/api/create-checkout-session`;
       console.log("[stripe] create-checkout-session", url);
 
-      const res = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ cart, customerEmail: email || undefined })
-      });
+      let res;
+      try {
+        res = await fetch(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ cart, customerEmail: email || undefined, promoCode: getPromoCode() || undefined, shipState: getShipState() || undefined, fulfillment: getFulfillment() })
+        });
+      } catch (err) {
+        // The request never got an answer (connection dropped)
+        queueCheckout(email);
+        overrideMessage = CHECKOUT_QUEUED_MSG;
+        throw err;
+      }
+      clearQueuedCheckout();
 
       const data = await res.json();
-      if (!res.ok) throw new Error(data.error || "Checkout failed.");
+      if (!res.ok) {
+        // Problems with specific lines come back with their cart index
+        // (400 = quantity limits / unknown item, 409 = not enough stock left)
+        const notices = checkoutLineNotices(data);
+        if (Object.keys(notices).length) {
+          CART_LINE_NOTICES = notices;
+          renderCart({ keepPreview: true });
+          overrideMessage = CART_BLOCKED_MSG;
+        } else if ((res.status === 409 || data.suggestions || data.code === "PROMO_INVALID" || data.code === "PICKUP_UNAVAILABLE") && data.error) {
+          overrideMessage = data.error;
+        }
+        throw new Error(data.error || "Checkout failed.");
+      }
 
       // Keep lock ON while we redirect (success.html clears it)
       lockCheckoutUI(true, payBtn, msg, "Redirecting to secure checkout to enter shipping detailsâ€¦");
@@ -420,6 +818,8 @@ document.addEventListener('DOMContentLoaded', function () {
 	if (yearEl) yearEl.textContent = new Date().getFullYear();
 	loadInventory();
 	initCartUI();
+	initProductUI();
+	initOffline();
 
 	// Stripe checkout button
 	bindPayWithCard();
@@ -439,7 +839,8 @@ document.addEventListener('DOMContentLoaded', function () {
 	try{
 		if (location && (location.hostname === 'localhost' || location.hostname === '127.0.0.1')){
 			const inventory = document.getElementById('inventory');
-			if (inventory){
+			const catalog = getCatalogModule();
+			if (inventory && catalog){
 				const demo = {
 					'candle name': 'Demo Lilac',
 					'Scent': 'Lilac',
@@ -449,32 +850,477 @@ document.addEventListener('DOMContentLoaded', function () {
 					'Image': 'https://via.placeholder.com/600x400?text=Lilac+Demo'
 				};
 				// prepend demo card for quick visual check
-				inventory.insertBefore(createCard(demo), inventory.firstChild);
+				const { variant } = catalog.toVariant(demo, 0);
+				if (variant) inventory.insertBefore(createCard(groupProducts([variant])[0]), inventory.firstChild);
 			}
 		}
 	}catch(e){ /* noop */ }
 });
 
-/* CART LOGIC */
-const CART_KEY = 'kellys_cart_v1';
+/* OFFLINE
+	- sw.js caches the site, the product photos and the last inventory, so the
+		storefront and cart keep working without signal (farmers markets).
+	- Pay with Card while offline saves the checkout (kellys_checkout_queue_v1).
+		Once the connection is back (within the hour), a banner offers to resume
+		it; nothing goes to Stripe until the customer taps it. Changing the cart
+		drops the saved checkout.
+*/
+const CHECKOUT_QUEUE_KEY = 'kellys_checkout_queue_v1';
+const CHECKOUT_QUEUE_TTL_MS = 60 * 60 * 1000;
+const CHECKOUT_QUEUED_MSG = "No connection right now. We'll offer to resume checkout as soon as you're back online.";
+let checkoutRetryTimer = null;
+
+function getQueuedCheckout(){
+	try{
+		const queued = JSON.parse(localStorage.getItem(CHECKOUT_QUEUE_KEY));
+		if (queued && Date.now() - queued.queuedAt < CHECKOUT_QUEUE_TTL_MS) return queued;
+		localStorage.removeItem(CHECKOUT_QUEUE_KEY);
+	}catch(e){}
+	return null;
+}
+
+function queueCheckout(email){
+	try{ localStorage.setItem(CHECKOUT_QUEUE_KEY, JSON.stringify({ email, queuedAt: Date.now() })); }catch(e){}
+	startCheckoutRetry();
+}
+
+// Phones often say "online" with no usable signal, so don't rely on the online event alone
+function startCheckoutRetry(){
+	if (!checkoutRetryTimer) checkoutRetryTimer = setInterval(offerQueuedCheckout, 30000);
+}
+
+function clearQueuedCheckout(){
+	try{ localStorage.removeItem(CHECKOUT_QUEUE_KEY); }catch(e){}
+	clearInterval(checkoutRetryTimer);
+	checkoutRetryTimer = null;
+	showResumePrompt(false);
+}
+
+function showResumePrompt(show){
+	const prompt = document.getElementById('checkout-resume');
+	if (prompt) prompt.classList.toggle('hidden', !show);
+}
+
+// The customer may have walked away or changed their mind since, so only
+// offer to continue; never send them to payment by themselves
+function offerQueuedCheckout(){
+	if (!getQueuedCheckout()){ clearQueuedCheckout(); return; }
+	showResumePrompt(navigator.onLine && !checkoutSubmitting);
+}
+
+// "Resume checkout": the same as tapping Pay with Card again, in the open cart
+function resumeQueuedCheckout(){
+	const queued = getQueuedCheckout();
+	if (!queued){ clearQueuedCheckout(); return; }
+	showResumePrompt(false);
+	const emailInput = document.getElementById('customer-email');
+	if (emailInput && !emailInput.value.trim()) emailInput.value = queued.email || '';
+	const cartPanel = document.getElementById('cart-panel');
+	const cartBtn = document.getElementById('cart-btn');
+	if (cartPanel && cartPanel.classList.contains('hidden') && cartBtn) cartBtn.click();
+	payWithCard();
+}
+
+function updateOnlineStatus(){
+	const banner = document.getElementById('offline-banner');
+	if (banner) banner.classList.toggle('hidden', navigator.onLine);
+}
+
+function initOffline(){
+	if ('serviceWorker' in navigator){
+		navigator.serviceWorker.register('sw.js').catch(err => console.warn('[sw] registration failed:', err.message));
+		navigator.serviceWorker.addEventListener('message', (e) => {
+			if (e.data && e.data.type === 'catalog-updated') loadInventory({ quiet: true });
+		});
+	}
+	const resumeBtn = document.getElementById('checkout-resume-btn');
+	if (resumeBtn) resumeBtn.addEventListener('click', resumeQueuedCheckout);
+	window.addEventListener('offline', () => {
+		updateOnlineStatus();
+		showResumePrompt(false);
+	});
+	window.addEventListener('online', () => {
+		updateOnlineStatus();
+		if (getCart().length) scheduleCartPreview();
+		offerQueuedCheckout();
+	});
+	updateOnlineStatus();
+	// a checkout queued before the page was closed
+	if (getQueuedCheckout()){
+		startCheckoutRetry();
+		offerQueuedCheckout();
+	}
+}
+
+/* CART LOGIC
+	- Cart lines are keyed by catalog variant id:
+		{ variantId, qty, name, size, scent, priceCents }
+		priceCents is the price when the line was added; it's only for display
+		until /api/cart-preview re-prices the cart (when it opens and after
+		every change). Checkout prices everything server-side again.
+	- Carts saved in the old format (kellys_cart_v1, "$22.00" price strings)
+		are converted on first read.
+*/
+const CART_KEY = 'kellys_cart_v2';
+const LEGACY_CART_KEY = 'kellys_cart_v1';
 const GOOGLE_FORM_BASE = 'https://docs.google.com/forms/d/e/1FAIpQLScE5Weub9BdFMp6sQwF9CrLj0ZWlswu5yHQZ3dsPiHS4Y-COg/viewform?usp=pp_url';
 const ENTRY_ORDER_DETAILS = '1245959695';
 let LAST_ORDER_SUMMARY = '';
+
+// Lines saved before variant ids are matched by name + size instead
+function cartLineKey(it){
+	return it.variantId || `${it.name}|${it.size}`;
+}
+
+function fromLegacyCartLine(it){
+	return {
+		variantId: it.variantId || '',
+		qty: Number(it.qty)||1,
+		name: it.candleName || it.name || '',
+		size: it.size || '',
+		scent: it.scent || '',
+		priceCents: Math.round((parseFloat(String(it.price||'').replace(/[^0-9\.\-]/g,'')) || 0) * 100)
+	};
+}
+
 function getCart(){
-	try{ return JSON.parse(localStorage.getItem(CART_KEY)) || []; }catch(e){ return []; }
+	try{
+		const saved = JSON.parse(localStorage.getItem(CART_KEY));
+		if (Array.isArray(saved)) return saved;
+		const legacy = JSON.parse(localStorage.getItem(LEGACY_CART_KEY));
+		if (Array.isArray(legacy)){
+			const cart = [];
+			legacy.map(fromLegacyCartLine).forEach(line => {
+				const existing = cart.find(i => cartLineKey(i) === cartLineKey(line));
+				if (existing) existing.qty += line.qty;
+				else cart.push(line);
+			});
+			localStorage.setItem(CART_KEY, JSON.stringify(cart));
+			localStorage.removeItem(LEGACY_CART_KEY);
+			return cart;
+		}
+	}catch(e){}
+	return [];
 }
-function saveCart(c){ localStorage.setItem(CART_KEY, JSON.stringify(c)); renderCart(); }
+// Messages under cart lines that the preview doesn't know about: a quantity
+// that was lowered to the limit, or a line checkout rejected.
+// index -> { text, error }; any cart change clears them.
+let CART_LINE_NOTICES = {};
+
+function saveCart(c, notices){
+	CART_LINE_NOTICES = notices || {};
+	// a saved offline checkout was for the old cart
+	clearQueuedCheckout();
+	localStorage.setItem(CART_KEY, JSON.stringify(c));
+	renderCart();
+}
+
+function cartRuleLines(cart){
+	return cart.map(it => ({ qty: it.qty, variantId: it.variantId, label: it.name }));
+}
+
+// Most a line can hold: the shared limits, and the stock the last preview saw
+function cartLineMax(cart, index){
+	const rules = getCartRules();
+	let max = rules ? rules.lineLimits(cartRuleLines(cart))[index] : Infinity;
+	const line = CART_PREVIEW && (CART_PREVIEW.lines || []).find(l => l.index === index);
+	if (line && line.status !== 'removed') max = Math.min(max, line.available);
+	return max;
+}
+
+// Quantity the customer asked for, lowered to what the line can hold.
+// notice says why when it was lowered.
+function clampCartQty(cart, index, raw){
+	const rules = getCartRules();
+	if (!rules) return { qty: Math.max(1, Math.floor(Number(raw)) || 1), notice: '' };
+	const wanted = cart.map((it, i) => i === index ? { ...it, qty: raw } : it);
+	const issue = rules.validateCart(cartRuleLines(wanted)).find(x => x.index === index);
+	const max = Math.min(issue ? issue.max : Infinity, cartLineMax(cart, index));
+	const qty = rules.clampQty(raw, max);
+	// a sold-out line is flagged by the preview instead
+	if (qty === rules.parseQty(raw) || max < 1) return { qty, notice: '' };
+	if (issue && issue.code !== 'QTY_INVALID') return { qty, notice: issue.message };
+	return { qty, notice: Number.isFinite(max) && max < rules.parseQty(raw) ? `Only ${max} available.` : '' };
+}
+
 function addToCart(item){
 	const cart = getCart();
-	// merge by name + size
-	const itemName = item.candleName || item.name;
-	const idx = cart.findIndex(i => (i.candleName || i.name) === itemName && i.size === item.size);
-	if (idx >= 0) cart[idx].qty = (Number(cart[idx].qty)||0) + (Number(item.qty)||1);
-	else cart.push({ ...item, qty: Number(item.qty)||1 });
-	saveCart(cart);
+	let idx = cart.findIndex(i => cartLineKey(i) === cartLineKey(item));
+	if (idx < 0){ cart.push({ ...item, qty: 0 }); idx = cart.length - 1; }
+	const wanted = (Number(cart[idx].qty)||0) + (Number(item.qty)||1);
+	const { qty, notice } = clampCartQty(cart, idx, wanted);
+	cart[idx].qty = qty;
+	saveCart(cart, notice ? { [idx]: { text: notice, error: false } } : null);
+	return qty >= wanted;
 }
 function removeFromCart(index){ const cart = getCart(); cart.splice(index,1); saveCart(cart); }
-function updateQty(index, qty){ const cart = getCart(); cart[index].qty = Number(qty)||1; saveCart(cart); }
+function updateQty(index, raw){
+	const cart = getCart();
+	if (!cart[index]) return;
+	const { qty, notice } = clampCartQty(cart, index, raw);
+	cart[index].qty = qty;
+	saveCart(cart, notice ? { [index]: { text: notice, error: false } } : null);
+}
+
+function formatCents(cents){
+	return '$' + ((Number(cents) || 0) / 100).toFixed(2);
+}
+
+/* CART PREVIEW
+	- /api/cart-preview checks every line against the live catalog and stock
+		(removed, sold out, fewer left, new price) and returns the subtotal,
+		promo discount, cheapest shipping option and a Stripe Tax estimate,
+		computed the way checkout will.
+	- The promo code, delivery choice, state (for surcharges) and ZIP (for
+		tax) are remembered in localStorage.
+*/
+const PROMO_KEY = 'kellys_promo_v1';
+const SHIP_STATE_KEY = 'kellys_ship_state_v1';
+const SHIP_ZIP_KEY = 'kellys_ship_zip_v1';
+const FULFILLMENT_KEY = 'kellys_fulfillment_v1';
+let CART_PREVIEW = null; // last /api/cart-preview response for the current cart
+let PRICE_CHANGES = {}; // variantId -> price the cart had before re-pricing (this visit)
+let cartPreviewTimer = null;
+const CART_BLOCKED_MSG = 'Remove or update the items marked above to continue.';
+
+function getPromoCode(){
+	try{ return localStorage.getItem(PROMO_KEY) || ''; }catch(e){ return ''; }
+}
+function setPromoCode(code){
+	try{
+		if (code) localStorage.setItem(PROMO_KEY, code);
+		else localStorage.removeItem(PROMO_KEY);
+	}catch(e){}
+}
+
+// 'shipping' or 'pickup' (pickup location/time is chosen in Stripe Checkout)
+function getFulfillment(){
+	try{ return localStorage.getItem(FULFILLMENT_KEY) === 'pickup' ? 'pickup' : 'shipping'; }catch(e){ return 'shipping'; }
+}
+function setFulfillment(value){
+	try{ localStorage.setItem(FULFILLMENT_KEY, value === 'pickup' ? 'pickup' : 'shipping'); }catch(e){}
+}
+
+function getShipState(){
+	try{ return localStorage.getItem(SHIP_STATE_KEY) || ''; }catch(e){ return ''; }
+}
+function setShipState(state){
+	try{
+		if (state) localStorage.setItem(SHIP_STATE_KEY, state);
+		else localStorage.removeItem(SHIP_STATE_KEY);
+	}catch(e){}
+}
+
+function getShipZip(){
+	try{ return localStorage.getItem(SHIP_ZIP_KEY) || ''; }catch(e){ return ''; }
+}
+function setShipZip(zip){
+	try{
+		if (zip) localStorage.setItem(SHIP_ZIP_KEY, zip);
+		else localStorage.removeItem(SHIP_ZIP_KEY);
+	}catch(e){}
+}
+
+function showPromoMessage(text){
+	const msg = document.getElementById('promo-msg');
+	if (!msg) return;
+	msg.textContent = text || '';
+	msg.classList.toggle('hidden', !text);
+}
+
+function cartPreviewKey(){
+	return JSON.stringify([getCart(), getShipState(), getShipZip(), getPromoCode(), getFulfillment()]);
+}
+
+function setSummaryRow(id, text){
+	const el = document.getElementById(id);
+	if (!el) return;
+	el.textContent = text || '';
+	el.classList.toggle('hidden', !text);
+}
+
+// Totals under the cart: the server's numbers once the preview is in,
+// otherwise the saved prices with shipping and tax still to come
+function renderCartSummary(){
+	const cart = getCart();
+	const preview = CART_PREVIEW;
+	const subtotalEl = document.getElementById('cart-subtotal');
+	const cartTotal = document.getElementById('cart-total');
+	const payBtn = document.getElementById('pay-with-card');
+	const payMsg = document.getElementById('pay-msg');
+
+	if (!preview){
+		// No answer (yet): checkout validates the cart itself, so don't block it
+		if (payBtn && !checkoutSubmitting) payBtn.disabled = false;
+		if (payMsg && payMsg.textContent === CART_BLOCKED_MSG) payMsg.classList.add('hidden');
+		const subtotal = cart.reduce((s, i) => s + (Number(i.priceCents) || 0) * (Number(i.qty) || 1), 0);
+		if (subtotalEl) subtotalEl.textContent = formatCents(subtotal);
+		if (cartTotal) cartTotal.textContent = formatCents(subtotal);
+		setSummaryRow('cart-discount', '');
+		setSummaryRow('cart-shipping', '');
+		setSummaryRow('cart-tax', !cart.length ? ''
+			: navigator.onLine ? 'Updating shipping and tax...'
+			: "You're offline - shipping and tax will update when you reconnect.");
+		return;
+	}
+
+	if (subtotalEl) subtotalEl.textContent = formatCents(preview.subtotal);
+
+	const promo = preview.promo;
+	if (promo && !promo.error){
+		const parts = [];
+		if (promo.discount > 0) parts.push(`Discount (${promo.code}): -${formatCents(promo.discount)}`);
+		if (promo.free_shipping) parts.push(`Free shipping (${promo.code})`);
+		setSummaryRow('cart-discount', parts.join(' - '));
+		showPromoMessage(`${promo.code} applied: ${promo.description}`);
+	}else{
+		setSummaryRow('cart-discount', '');
+		showPromoMessage(promo ? promo.error : '');
+	}
+
+	const shipping = preview.shipping;
+	if (preview.fulfillment === 'pickup'){
+		setSummaryRow('cart-shipping', 'Shipping: FREE (local pickup - choose a place and time at checkout)');
+	}else if (shipping){
+		const price = (cents) => cents > 0 ? formatCents(cents) : 'FREE';
+		let text = `Shipping: ${price(shipping.amount)} (${shipping.label})`;
+		// faster services are offered as upgrades in Stripe Checkout
+		(shipping.options || []).filter(o => o.label !== shipping.label).forEach(o => {
+			text += ` - ${o.label}: ${price(o.amount)}`;
+		});
+		if (shipping.free_shipping_remaining > 0) text += ` - add ${formatCents(shipping.free_shipping_remaining)} more for free shipping`;
+		setSummaryRow('cart-shipping', text);
+	}else{
+		setSummaryRow('cart-shipping', '');
+	}
+
+	setSummaryRow('cart-tax', preview.tax != null
+		? `Estimated tax: ${formatCents(preview.tax)}`
+		: 'Tax: calculated at checkout (enter your ZIP for an estimate)');
+	if (cartTotal) cartTotal.textContent = formatCents(preview.total);
+
+	// Checkout would reject the cart anyway; say why before the customer clicks
+	if (payBtn && !checkoutSubmitting) payBtn.disabled = !preview.ready;
+	if (payMsg && !checkoutSubmitting){
+		if (!preview.ready){
+			payMsg.textContent = CART_BLOCKED_MSG;
+			payMsg.classList.remove('hidden');
+		}else if (payMsg.textContent === CART_BLOCKED_MSG){
+			payMsg.classList.add('hidden');
+		}
+	}
+}
+
+// Store the server's answers on the saved lines (current price, variant id
+// for old lines) so the cart doesn't drift again
+function applyCartPreview(data){
+	const cart = getCart();
+	let changed = false;
+	(data.lines || []).forEach(line => {
+		const it = cart[line.index];
+		if (!it) return;
+		if (line.variantId && it.variantId !== line.variantId){ it.variantId = line.variantId; changed = true; }
+		if (line.unit_amount != null && Number(it.priceCents) !== line.unit_amount){
+			if (line.price_changed) PRICE_CHANGES[line.variantId] = Number(it.priceCents);
+			it.priceCents = line.unit_amount;
+			changed = true;
+		}
+	});
+	if (changed) localStorage.setItem(CART_KEY, JSON.stringify(cart));
+	return changed;
+}
+
+async function previewCart(){
+	const cart = getCart();
+	if (!cart.length){
+		CART_PREVIEW = null;
+		showPromoMessage('');
+		renderCartSummary();
+		return;
+	}
+	const key = cartPreviewKey();
+	try{
+		const res = await fetch(`${VERCEL_API_BASE}/api/cart-preview`, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ cart, state: getShipState() || undefined, zip: getShipZip() || undefined, promoCode: getPromoCode() || undefined, fulfillment: getFulfillment() })
+		});
+		const data = await res.json().catch(() => ({}));
+		if (!res.ok) throw new Error(data.error || 'Could not update cart totals.');
+		// ignore a late response if the cart changed meanwhile
+		if (key !== cartPreviewKey()) return;
+		applyCartPreview(data);
+		CART_PREVIEW = data;
+		renderCart({ keepPreview: true });
+	}catch(err){
+		console.warn('[cart] preview failed:', err.message);
+		CART_PREVIEW = null;
+		renderCartSummary();
+	}
+}
+
+// Re-price after cart changes (debounced so qty typing doesn't spam the API)
+function scheduleCartPreview(){
+	clearTimeout(cartPreviewTimer);
+	// drop the old preview right away; its totals no longer match the cart
+	CART_PREVIEW = null;
+	renderCartSummary();
+	cartPreviewTimer = setTimeout(previewCart, 400);
+}
+
+function initPromoUI(){
+	const input = document.getElementById('promo-code');
+	const applyBtn = document.getElementById('promo-apply');
+	if (!input || !applyBtn) return;
+	input.value = getPromoCode();
+	const apply = () => {
+		setPromoCode(input.value.trim().toUpperCase());
+		input.value = getPromoCode();
+		scheduleCartPreview();
+	};
+	applyBtn.addEventListener('click', apply);
+	input.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); apply(); } });
+}
+
+function initShippingUI(){
+	const fulfillmentSelect = document.getElementById('cart-fulfillment');
+	const stateField = document.getElementById('ship-state-field');
+	if (fulfillmentSelect){
+		// Hide the state field for pickup, like toggleAddress does on the order form
+		const toggleShipState = () => {
+			if (stateField) stateField.classList.toggle('hidden', fulfillmentSelect.value === 'pickup');
+		};
+		fulfillmentSelect.value = getFulfillment();
+		fulfillmentSelect.addEventListener('change', () => {
+			setFulfillment(fulfillmentSelect.value);
+			toggleShipState();
+			scheduleCartPreview();
+		});
+		toggleShipState();
+	}
+
+	const input = document.getElementById('ship-state');
+	if (input){
+		input.value = getShipState();
+		input.addEventListener('change', () => {
+			const state = input.value.trim().toUpperCase().replace(/[^A-Z]/g, '').slice(0, 2);
+			input.value = state;
+			setShipState(state);
+			scheduleCartPreview();
+		});
+	}
+
+	const zipInput = document.getElementById('ship-zip');
+	if (zipInput){
+		zipInput.value = getShipZip();
+		zipInput.addEventListener('change', () => {
+			const zip = zipInput.value.replace(/[^0-9]/g, '').slice(0, 5);
+			zipInput.value = zip;
+			setShipZip(zip.length === 5 ? zip : '');
+			scheduleCartPreview();
+		});
+	}
+}
 
 function initCartUI(){
 	// open/close handlers
@@ -508,13 +1354,16 @@ checkoutSubmitting = false;
 		if (e.target && e.target.matches('.add-to-cart')){
 			const b = e.target;
 			const candleName = b.dataset.candleName || b.dataset.name || '';
-			const item = { candleName, name:candleName, price:b.dataset.price||'', size:b.dataset.size||'', scent:b.dataset.scent||'', qty:1 };
-			addToCart(item);
+			const item = { variantId:b.dataset.variantId||'', name:candleName, size:b.dataset.size||'', scent:b.dataset.scent||'', priceCents:Number(b.dataset.priceCents)||0, qty:1 };
+			const added = addToCart(item);
 			// brief feedback
-			b.textContent = 'Added'; setTimeout(()=> b.textContent = 'Add to Cart',900);
+			b.textContent = added ? 'Added' : 'Limit reached'; setTimeout(()=> b.textContent = 'Add to Cart',900);
 		}
 	});
 
+	initPromoUI();
+	initShippingUI();
+
 	// checkout form handlers
 	const checkoutForm = document.getElementById('checkout-form');
 	if (checkoutForm) checkoutForm.addEventListener('submit', handleCheckout);
@@ -534,15 +1383,8 @@ checkoutSubmitting = false;
 		toggleAddress();
 	}
 
-	// Inventory filter buttons
-	const filterBtns = document.querySelectorAll('.filter-btn');
-	if (filterBtns && filterBtns.length){
-		filterBtns.forEach(b=> b.addEventListener('click', (e)=>{
-			filterBtns.forEach(x=> x.classList.remove('active'));
-			b.classList.add('active');
-			renderAvailable();
-		}));
-	}
+	// Inventory search / filters / sort
+	initInventoryFilters();
 }
 
 /* Newsletter UI and behavior */
@@ -639,8 +1481,8 @@ function buildOrderSummary(cart){
 	lines.push("Kelley's Candles Order");
 	lines.push('----------------------');
 	cart.forEach(it => {
-		const itemName = it.candleName || it.name || '';
-		const priceNum = parseFloat(String(it.price||'').replace(/[^0-9\.\-]/g,'')) || 0;
+		const itemName = it.name || '';
+		const priceNum = (Number(it.priceCents) || 0) / 100;
 		const qty = Number(it.qty)||1;
 		const lineTotal = priceNum * qty;
 		total += lineTotal;
@@ -687,39 +1529,55 @@ function updateOrderForm(cart, force = false){
 	setTimeout(() => frame.setAttribute('src', buildPrefilledFormUrlFromSummary(summary)), 0);
 }
 
-function renderCart(){
+// Message under a line once the preview has checked it against the catalog
+function cartLineNotice(line){
+	if (!line) return '';
+	if (line.status === 'removed') return 'No longer available - please remove it.';
+	if (line.status === 'sold_out') return 'Sold out - please remove it.';
+	if (line.status === 'limited') return `${line.message || `Only ${line.available} available.`} Lower the quantity to continue.`;
+	if (line.variantId in PRICE_CHANGES) return `Price updated (was ${formatCents(PRICE_CHANGES[line.variantId])}).`;
+	return '';
+}
+
+// keepPreview: called with fresh preview results, so don't re-request
+function renderCart(opts = {}){
 	const cart = getCart();
 	const cartItems = document.getElementById('cart-items');
 	const cartCount = document.getElementById('cart-count');
-	const cartTotal = document.getElementById('cart-total');
 	cartItems.innerHTML = '';
-	let total = 0;
+	const lines = CART_PREVIEW ? CART_PREVIEW.lines || [] : [];
 	cart.forEach((it, idx) =>{
-		const priceNum = parseFloat(String(it.price||'').replace(/[^0-9\.\-]/g,'')) || 0;
-		total += priceNum * (Number(it.qty)||1);
-		const div = document.createElement('div'); div.className='cart-item';
-		const displayName = it.candleName || it.name;
+		const line = lines.find(l => l.index === idx);
+		// checkout's errors first, then the preview's problems, then our own notes
+		const own = CART_LINE_NOTICES[idx];
+		const previewProblem = line && line.status !== 'ok';
+		const notice = own && (own.error || !previewProblem) ? own.text : cartLineNotice(line);
+		const problem = (own && own.error) || previewProblem;
+		const max = cartLineMax(cart, idx);
+		const div = document.createElement('div'); div.className = 'cart-item' + (problem ? ' has-problem' : '');
 		div.innerHTML = `<div class="cart-item-info">
-			<div class="product-name">${escapeHtml(displayName)}</div>
+			<div class="product-name">${escapeHtml(it.name)}</div>
 			<div class="meta">${escapeHtml(it.scent)}</div>
 			<div class="meta">${escapeHtml(it.size)}</div>
+			${notice ? `<div class="cart-item-notice${problem ? ' is-error' : ''}" role="${problem ? 'alert' : 'status'}">${escapeHtml(notice)}</div>` : ''}
 		</div>
 		<div class="cart-item-actions">
-			<div class="item-price">${escapeHtml(it.price)}</div>
+			<div class="item-price">${escapeHtml(formatCents(it.priceCents))}</div>
 			<div class="item-controls">
-				<input type="number" min="1" value="${escapeHtml(it.qty)}" data-idx="${idx}" class="qty-input">
+				<input type="number" min="1"${Number.isFinite(max) ? ` max="${Math.max(1, max)}"` : ''} step="1" value="${escapeHtml(it.qty)}" data-idx="${idx}" class="qty-input" aria-label="Quantity">
 				<button data-idx="${idx}" class="btn small remove-btn">Remove</button>
 			</div>
 		</div>`;
 		cartItems.appendChild(div);
 	});
 	cartCount.textContent = cart.reduce((s,i)=>s+Number(i.qty||0),0);
-	cartTotal.textContent = '$' + total.toFixed(2);
+	if (opts.keepPreview) renderCartSummary();
+	else scheduleCartPreview();
 	updateOrderForm(cart);
 	bindPayWithCard();
 
 	// attach qty and remove handlers
-	cartItems.querySelectorAll('.qty-input').forEach(inp=> inp.addEventListener('change', (e)=> updateQty(Number(e.target.dataset.idx), Number(e.target.value) || 1)));
+	cartItems.querySelectorAll('.qty-input').forEach(inp=> inp.addEventListener('change', (e)=> updateQty(Number(e.target.dataset.idx), e.target.value)));
 	cartItems.querySelectorAll('.remove-btn').forEach(b => b.addEventListener('click', (e)=> removeFromCart(Number(e.target.dataset.idx))));
 }
 
@@ -729,7 +1587,7 @@ function buildOrderText(formData){
 	lines.push(`Order from Kelley's Candles`);
 	lines.push('');
 	lines.push('Items:');
-	cart.forEach(it=>{ lines.push(`${it.qty} x ${it.candleName || it.name} (${it.size}) â€” ${it.price}`); });
+	cart.forEach(it=>{ lines.push(`${it.qty} x ${it.name} (${it.size}) â€” ${formatCents(it.priceCents)}`); });
 	lines.push('');
 	lines.push('Customer:');
 	lines.push(`Name: ${formData.get('name') || ''}`);
@@ -772,13 +1630,13 @@ function buildOrderHtml(formData){
  	const cart = getCart();
  	let total = 0;
  	const rows = cart.map(it => {
- 		const priceNum = parseFloat(String(it.price||'').replace(/[^0-9\.\-]/g,'')) || 0;
+ 		const priceNum = (Number(it.priceCents) || 0) / 100;
  		total += priceNum * (Number(it.qty)||1);
  		return `<tr>
  			<td>${escapeHtml(it.name)}</td>
  			<td>${escapeHtml(it.size)}</td>
  			<td>${escapeHtml(it.qty)}</td>
- 			<td style="text-align:right">${escapeHtml(it.price)}</td>
+ 			<td style="text-align:right">${escapeHtml(formatCents(it.priceCents))}</td>
  		</tr>`;
  	}).join('');
 
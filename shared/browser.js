@@ -0,0 +1,12 @@
+// shared/browser.js
+// Exposes the shared modules to script.js, which is a classic (non-module)
+// script. Loaded with <script type="module">, so it runs before
+// DOMContentLoaded fires and script.js starts loading inventory.
+
+import * as catalog from "./catalog.js";
+import * as cartRules from "./cart-rules.js";
+
+window.KellysShared = Object.assign(window.KellysShared || {}, {
+  catalog,
+  cartRules,
+});
@@ -0,0 +1,121 @@
+// shared/cart-rules.js
+// ─────────────────────────────────────────────────────────────
+// Cart quantity rules — per-line and per-order limits plus available
+// stock. Checkout enforces them (api/lib/cart.js) and the cart panel
+// applies the same rules as the customer types (script.js, through
+// shared/browser.js), so a cart that looks fine doesn't fail at checkout.
+// ─────────────────────────────────────────────────────────────
+
+/** Most units of one product a single cart line may hold */
+export const MAX_QTY_PER_LINE = 10;
+
+/** Most units in one order (bundles count once) */
+export const MAX_UNITS_PER_ORDER = 30;
+
+/**
+ * One problem with a cart line. `index` is the line's position in the
+ * cart, the same index checkout reports in its 400/409 `items`.
+ * @typedef {Object} CartIssue
+ * @property {number} index
+ * @property {"QTY_INVALID"|"QTY_LIMIT"|"ORDER_LIMIT"|"SOLD_OUT"|"LOW_STOCK"} code
+ * @property {string} message
+ * @property {number} max - Highest quantity that would pass on this line (0 = remove it)
+ */
+
+/**
+ * Whole-number quantity, or NaN for anything else ("2.5", "abc", "")
+ * @param {unknown} raw
+ * @returns {number}
+ */
+export function parseQty(raw) {
+  const text = String(raw ?? "").trim();
+  return /^\d+$/.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Keep a typed quantity within 1 and the line's limit
+ * @param {unknown} raw
+ * @param {number} [max=MAX_QTY_PER_LINE] - Lower cap for the line, e.g. a CartIssue's `max`
+ * @returns {number}
+ */
+export function clampQty(raw, max = MAX_QTY_PER_LINE) {
+  const qty = parseQty(raw);
+  const ceiling = Math.max(1, Math.min(MAX_QTY_PER_LINE, max));
+  if (!Number.isFinite(qty) || qty < 1) return 1;
+  return Math.min(qty, ceiling);
+}
+
+// Walks the cart once: what each line may hold (stock and the order limit
+// shrink as earlier lines use them up) and what's wrong with it
+function checkLines(lines, availability) {
+  const stockOf = (id) => {
+    if (!availability || !id) return undefined;
+    return availability instanceof Map ? availability.get(id) : availability[id];
+  };
+
+  const issues = [];
+  const limits = [];
+  const used = new Map(); // units already taken by earlier lines, per variant
+  let orderUnits = 0;
+
+  (lines || []).forEach((line, index) => {
+    const label = line?.label || "this item";
+    const stock = stockOf(line?.variantId);
+    const stockLeft = stock === undefined ? Infinity : Math.max(0, stock - (used.get(line.variantId) || 0));
+    const orderRoom = Math.max(0, MAX_UNITS_PER_ORDER - orderUnits);
+    const max = Math.min(MAX_QTY_PER_LINE, stockLeft, orderRoom);
+    limits.push(max);
+
+    const qty = parseQty(line?.qty);
+    if (!Number.isFinite(qty) || qty < 1) {
+      issues.push({ index, code: "QTY_INVALID", message: `Enter a whole-number quantity for ${label}.`, max });
+      return;
+    }
+
+    if (stockLeft === 0) {
+      issues.push({ index, code: "SOLD_OUT", message: `${label} is sold out.`, max });
+    } else if (qty > stockLeft && stockLeft < MAX_QTY_PER_LINE) {
+      issues.push({ index, code: "LOW_STOCK", message: `Only ${stockLeft} of ${label} available.`, max });
+    } else if (qty > MAX_QTY_PER_LINE) {
+      issues.push({ index, code: "QTY_LIMIT", message: `You can buy up to ${MAX_QTY_PER_LINE} of ${label} per order.`, max });
+    } else if (qty > orderRoom) {
+      issues.push({
+        index,
+        code: "ORDER_LIMIT",
+        message: `Orders are limited to ${MAX_UNITS_PER_ORDER} items` +
+          (orderRoom > 0 ? `, so only ${orderRoom} more of ${label} fit.` : "."),
+        max,
+      });
+    }
+
+    const counted = Math.min(qty, max);
+    if (line.variantId) used.set(line.variantId, (used.get(line.variantId) || 0) + counted);
+    orderUnits += counted;
+  });
+
+  return { issues, limits };
+}
+
+/**
+ * Check every line of a cart against the limits and, when known, stock
+ * @param {Array<{ qty: unknown, variantId?: string, label?: string }>} lines
+ * @param {Object} [opts]
+ * @param {Map<string, number>|Object<string, number>} [opts.availability] - Units left per variant id;
+ *   variants missing from it aren't stock-checked
+ * @returns {CartIssue[]} Empty when the cart can be checked out
+ */
+export function validateCart(lines, { availability } = {}) {
+  return checkLines(lines, availability).issues;
+}
+
+/**
+ * Highest quantity each line may hold, e.g. for the cart's qty inputs.
+ * Same arguments as validateCart().
+ * @param {Array<{ qty: unknown, variantId?: string }>} lines
+ * @param {Object} [opts]
+ * @param {Map<string, number>|Object<string, number>} [opts.availability]
+ * @returns {number[]} One per line, in cart order
+ */
+export function lineLimits(lines, { availability } = {}) {
+  return checkLines(lines, availability).limits;
+}
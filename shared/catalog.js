@@ -0,0 +1,690 @@
+// shared/catalog.js
+// ─────────────────────────────────────────────────────────────
+// Product catalog — the single source of truth for scents, sizes
+// and prices. Loaded by the storefront (see shared/browser.js) and
+// imported by the checkout API, so both read the same Google Sheet
+// rows through the same rules.
+// ─────────────────────────────────────────────────────────────
+
+/*
+  HOW TO POINT TO YOUR SHEET
+  - Publish the Google Sheet to the web (File → Publish to the web) and
+    paste the published "pubhtml" URL into SHEET_PUBLISHED_URL below.
+  - toCsvUrl() converts it to the CSV endpoint by replacing `/pubhtml`
+    with `/pub?output=csv` and keeping the `gid` query parameter.
+  - Changes in the sheet show up on the site and at checkout after
+    Google's publish delay.
+
+  SHEET COLUMNS (header names are case-insensitive)
+  - candle name / name   Display name, also the scent used for pricing
+  - scent                Scent description shown under the name
+  - size                 "6 oz", "12oz", "17 oz", "Wax Melt", …
+  - price                "$22.00" or "22"
+  - quantity / qty       Units on hand
+  - status               "sold out" hides the row from the storefront
+  - sku                  Optional; derived from scent + size when blank
+  - active               Optional; "no" / "false" / "0" retires a row
+  - aliases              Optional; other spellings customers or old carts
+                         use for this scent, separated by ";" or "|"
+                         (e.g. "Black Raspberry; Black Raspberry Vanilla");
+                         the older built-in spellings (DEFAULT_SCENT_ALIASES)
+                         keep working too
+  - image                Optional product photo (path or URL)
+  - gallery              Optional extra photos for the product page, separated
+                         by ";" (all sizes of a scent share one gallery)
+  - notes                Optional scent notes, e.g. "Top: apple; Heart:
+                         cinnamon; Base: vanilla"
+  - burn time            Optional, per size, e.g. "40-50 hours"
+  - care                 Optional care tips for the product page, separated
+                         by ";" (the general tips from candle-care.html are
+                         shown when blank)
+  - family               Optional scent family for the storefront filters,
+                         e.g. "Fruity" or "Bakery; Seasonal"
+  - added                Optional date the row was added (YYYY-MM-DD), for
+                         "Newest" sorting; blank rows sort by sheet order,
+                         lower rows counting as newer
+  - type                 Optional; "bundle" for gift sets and samplers
+  - components           Bundles only: the variant ids or SKUs inside the
+                         set, separated by ";" with an optional count,
+                         e.g. "apple-pie-6oz; lilac-bush-6oz; 2x lavender-wax-melt"
+
+  BUNDLES
+  - Leave price blank to charge the sum of the components, or enter a
+    set price. Leave quantity blank to let component stock decide how
+    many sets can be sold, or enter a number to cap it.
+  - Shipping weight and stock come from the components.
+
+  SECURITY NOTE: Published sheets are public. Do not publish private data.
+*/
+
+export const SHEET_PUBLISHED_URL =
+  "https://docs.google.com/spreadsheets/d/e/2PACX-1vQ5vb9X2zODGZog-OohXo2DRn_fAZcEODjkxOd8TBIyBwDwHj-ddXEBqvvLlR2vTzmSSoygkc-RvWgE/pubhtml?gid=0&single=true";
+
+/**
+ * Convert a "publish to web" URL to its CSV endpoint
+ * @param {string} pubHtmlUrl
+ * @returns {string}
+ */
+export function toCsvUrl(pubHtmlUrl) {
+  if (!pubHtmlUrl) return pubHtmlUrl;
+  try {
+    const u = new URL(pubHtmlUrl);
+    // replace trailing /pubhtml with /pub if present
+    u.pathname = u.pathname.replace(/\/pubhtml$/i, "/pub");
+    // ensure output=csv is present alongside existing params (gid, etc.)
+    u.searchParams.set("output", "csv");
+    return u.toString();
+  } catch (e) {
+    // fallback: naive replace but fix query delimiter if needed
+    let out = pubHtmlUrl.replace("/pubhtml", "/pub?output=csv");
+    out = out.replace("?output=csv?", "?output=csv&");
+    return out;
+  }
+}
+
+export const SHEET_CSV_URL = toCsvUrl(SHEET_PUBLISHED_URL);
+
+// ─────────────────────────────────────────────────────────────
+// Schema
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * One purchasable scent + size combination (one sheet row).
+ * @typedef {Object} Variant
+ * @property {string} id          - Stable id, e.g. "apple-pie-12oz"
+ * @property {string} productId   - Scent slug shared by all sizes, e.g. "apple-pie"
+ * @property {string} sku         - SKU from the sheet, or derived from the id
+ * @property {string} name        - Display name ("candle name" column)
+ * @property {string} scent       - Scent used for pricing (same as name)
+ * @property {string} description - Scent description ("scent" column)
+ * @property {string} size        - Normalized size: "6 oz", "12 oz", "17 oz", "wax melt", "bundle"
+ * @property {string} sizeLabel   - Size exactly as written in the sheet
+ * @property {number} priceCents  - Unit price in cents
+ * @property {number} quantity    - Units on hand
+ * @property {string} status      - Lower-cased "status" column ("" when blank)
+ * @property {boolean} active     - False when the row has been retired
+ * @property {string} image       - Image path/URL as written in the sheet
+ * @property {string[]} gallery   - Extra image paths/URLs from the "gallery" column
+ * @property {string} notes       - Scent notes ("notes" column)
+ * @property {string} burnTime    - "burn time" column as written ("" when blank)
+ * @property {string[]} care      - Care tips from the "care" column
+ * @property {string[]} aliases   - Alternate scent spellings from the "aliases" column
+ * @property {string[]} families  - Scent families from the "family" column
+ * @property {string} addedAt     - "YYYY-MM-DD" from the "added" column ("" when blank or unreadable)
+ * @property {"single"|"bundle"} type
+ * @property {BundleComponent[]} components - Bundles only; empty for single variants
+ * @property {number|null} stockQuantity    - Bundles only: the sheet's own cap (null = none)
+ * @property {number} row         - 1-based sheet row number (header is row 1)
+ */
+
+/**
+ * One item inside a bundle
+ * @typedef {Object} BundleComponent
+ * @property {string} variantId
+ * @property {number} qty  - Units per bundle
+ * @property {string} name
+ * @property {string} size
+ */
+
+/**
+ * @typedef {Object} CatalogError
+ * @property {number} row     - 1-based sheet row number
+ * @property {string} field   - Column the problem was found in
+ * @property {string} message - Human-readable description
+ */
+
+/**
+ * @typedef {Object} Catalog
+ * @property {Variant[]} variants
+ * @property {CatalogError[]} errors
+ */
+
+// ─────────────────────────────────────────────────────────────
+// CSV parsing
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Simple CSV parser that handles quoted fields and commas inside quotes
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const next = text[i + 1];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (next === '"') { field += '"'; i++; } else { inQuotes = false; }
+      } else { field += ch; }
+    } else {
+      if (ch === '"') { inQuotes = true; }
+      else if (ch === ",") { row.push(field); field = ""; }
+      else if (ch === "\r") { continue; }
+      else if (ch === "\n") { row.push(field); rows.push(row); row = []; field = ""; }
+      else { field += ch; }
+    }
+  }
+  // last field (if file doesn't end with newline)
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+/**
+ * Convert CSV rows to objects keyed by lower-cased header.
+ * Blank lines are kept as `null` so sheet row numbers stay accurate.
+ * @param {string[][]} rows
+ * @returns {Array<Object|null>}
+ */
+export function rowsToObjects(rows) {
+  if (!rows || rows.length === 0) return [];
+  const headers = rows[0].map((h) => String(h || "").trim().toLowerCase());
+  const data = [];
+  for (let i = 1; i < rows.length; i++) {
+    const r = rows[i];
+    if (r.every((cell) => String(cell || "").trim() === "")) {
+      data.push(null);
+      continue;
+    }
+    const obj = {};
+    for (let j = 0; j < headers.length; j++) {
+      if (!headers[j]) continue;
+      obj[headers[j]] = String(r[j] || "").trim();
+    }
+    data.push(obj);
+  }
+  return data;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Field normalization
+// ─────────────────────────────────────────────────────────────
+
+function pick(row, ...keys) {
+  for (const key of keys) {
+    const value = row[key];
+    if (value != null && String(value).trim() !== "") return String(value).trim();
+  }
+  return "";
+}
+
+/**
+ * Lower-case comparison key for scent names ("Apple Pie • 12 oz" → "apple pie 12 oz")
+ * @param {string} raw
+ * @returns {string}
+ */
+export function scentKey(raw) {
+  return String(raw || "")
+    .toLowerCase()
+    .replace(/[•–—-]+/g, " ")
+    .replace(/[^a-z0-9 ]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Normalize a size label to "N oz", "wax melt" or "bundle"
+ * @param {string} raw
+ * @returns {string|null} null when the label has no usable size
+ */
+export function normalizeSize(raw) {
+  const cleaned = String(raw || "").trim().toLowerCase();
+
+  // Handle wax melts (non-numeric size)
+  if (cleaned.includes("wax") || cleaned.includes("melt")) {
+    return "wax melt";
+  }
+  if (cleaned === "bundle") return "bundle";
+
+  const match = cleaned.match(/(\d+(\.\d+)?)/);
+  if (!match) return null;
+  const value = Number(match[1]);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  return `${value} oz`;
+}
+
+/**
+ * Parse a sheet price ("$22.00", "22", "22.5") into cents
+ * @param {string} raw
+ * @returns {number|null} null when the price is missing or not positive
+ */
+export function parsePriceCents(raw) {
+  const cleaned = String(raw || "").replace(/[^0-9.]/g, "");
+  if (!cleaned) return null;
+  const value = Number(cleaned);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  return Math.round(value * 100);
+}
+
+/**
+ * Format cents as a display price ("$22.00")
+ * @param {number} cents
+ * @returns {string}
+ */
+export function formatPrice(cents) {
+  return `$${((Number(cents) || 0) / 100).toFixed(2)}`;
+}
+
+function slugify(raw) {
+  return String(raw || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Stable variant id from scent + normalized size ("apple-pie-12oz")
+ * @param {string} scent
+ * @param {string} size
+ * @returns {string}
+ */
+export function variantId(scent, size) {
+  return `${slugify(scent)}-${slugify(size).replace(/^(\d+)-oz$/, "$1oz")}`;
+}
+
+// "apple-pie-6oz; 2x lavender-wax-melt; lilac-bush-6oz x2" → [{ ref, qty }]
+function parseComponents(raw) {
+  return String(raw || "")
+    .split(/[;|\n]/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const leading = part.match(/^(\d+)\s*[x×]\s*(.+)$/i);
+      if (leading) return { ref: leading[2].trim(), qty: Number(leading[1]) };
+      const trailing = part.match(/^(.+?)\s+[x×]\s*(\d+)$/i);
+      if (trailing) return { ref: trailing[1].trim(), qty: Number(trailing[2]) };
+      return { ref: part, qty: 1 };
+    });
+}
+
+// "2024-10-01", "10/1/2024" → "2024-10-01"; "" when it isn't a date
+function parseAddedDate(raw) {
+  const value = String(raw || "").trim();
+  if (!value) return "";
+  const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  const [y, m, d] = iso ? [iso[1], iso[2], iso[3]] : us ? [us[3], us[1], us[2]] : [];
+  if (!y) return "";
+  const date = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)));
+  return Number.isNaN(date.getTime()) ? "" : date.toISOString().slice(0, 10);
+}
+
+// "a; b | c" → ["a", "b", "c"]
+function splitList(raw) {
+  return String(raw || "")
+    .split(/[;|\n]/)
+    .map((part) => part.trim())
+    .filter(Boolean);
+}
+
+function parseActive(raw) {
+  const value = String(raw || "").trim().toLowerCase();
+  if (!value) return true;
+  return !["no", "n", "false", "0", "inactive", "retired"].includes(value);
+}
+
+/**
+ * Turn one sheet row into a Variant, collecting problems instead of throwing
+ * @param {Object} row - Row object from rowsToObjects()
+ * @param {number} rowNumber - 1-based sheet row number
+ * @returns {{ variant: Variant|null, errors: CatalogError[] }}
+ */
+export function toVariant(row, rowNumber) {
+  const errors = [];
+  const lower = {};
+  for (const [k, v] of Object.entries(row || {})) {
+    lower[String(k || "").trim().toLowerCase()] = String(v ?? "").trim();
+  }
+
+  const name = pick(lower, "candle name", "name", "scent").replace(/\s+/g, " ");
+  const isBundle = pick(lower, "type").toLowerCase() === "bundle";
+  const sizeLabel = pick(lower, "size") || (isBundle ? "Bundle" : "");
+  const size = isBundle ? "bundle" : normalizeSize(sizeLabel);
+  const priceRaw = pick(lower, "price");
+  const priceCents = parsePriceCents(priceRaw);
+  const quantityRaw = pick(lower, "quantity", "qty");
+  const quantity = quantityRaw === "" ? 0 : Number(quantityRaw);
+  const components = isBundle ? parseComponents(pick(lower, "components")) : [];
+
+  if (!name) {
+    errors.push({ row: rowNumber, field: "candle name", message: "Missing candle name" });
+  }
+  if (!size) {
+    errors.push({ row: rowNumber, field: "size", message: `Invalid size "${sizeLabel}"` });
+  }
+  // Bundles may leave price blank (priced from components)
+  if (priceCents == null && !(isBundle && priceRaw === "")) {
+    errors.push({ row: rowNumber, field: "price", message: `Invalid price "${priceRaw}"` });
+  }
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    errors.push({ row: rowNumber, field: "quantity", message: `Invalid quantity "${quantityRaw}"` });
+  }
+  if (isBundle && components.length === 0) {
+    errors.push({ row: rowNumber, field: "components", message: "Bundle has no components" });
+  }
+  if (components.some((c) => !Number.isInteger(c.qty) || c.qty <= 0)) {
+    errors.push({ row: rowNumber, field: "components", message: "Component counts must be whole numbers" });
+  }
+
+  if (errors.length) return { variant: null, errors };
+
+  const id = variantId(name, size);
+  return {
+    variant: {
+      id,
+      productId: slugify(name),
+      sku: pick(lower, "sku") || id.toUpperCase(),
+      name,
+      scent: name,
+      description: pick(lower, "scent", "description"),
+      size,
+      sizeLabel,
+      priceCents,
+      quantity,
+      status: pick(lower, "status").toLowerCase(),
+      active: parseActive(pick(lower, "active")),
+      image: pick(lower, "image_url", "image url", "image", "photo", "picture", "img"),
+      gallery: splitList(pick(lower, "gallery", "images", "photos")),
+      notes: pick(lower, "notes", "scent notes"),
+      burnTime: pick(lower, "burn time", "burn_time", "burntime"),
+      care: splitList(pick(lower, "care", "care info", "care instructions")),
+      aliases: pick(lower, "aliases", "alias")
+        .split(/[;|]/)
+        .map((a) => a.trim())
+        .filter(Boolean),
+      families: pick(lower, "family", "families", "scent family")
+        .split(/[;|,]/)
+        .map((f) => f.trim())
+        .filter(Boolean),
+      addedAt: parseAddedDate(pick(lower, "added", "date added")),
+      type: isBundle ? "bundle" : "single",
+      // Bundles hold unresolved { ref, qty } here until buildCatalog() links them
+      components,
+      stockQuantity: isBundle ? (quantityRaw === "" ? null : quantity) : null,
+      row: rowNumber,
+    },
+    errors,
+  };
+}
+
+/**
+ * Validate sheet rows and build the catalog.
+ * Malformed rows and duplicates are reported in `errors` and left out of
+ * `variants`; the first row for a given scent + size (or SKU) wins.
+ * @param {Array<Object|null>} objects - Output of rowsToObjects()
+ * @returns {Catalog}
+ */
+export function buildCatalog(objects) {
+  const variants = [];
+  const errors = [];
+  const byId = new Map();
+  const bySku = new Map();
+
+  (objects || []).forEach((row, index) => {
+    if (!row) return;
+    const rowNumber = index + 2; // header is row 1
+    const result = toVariant(row, rowNumber);
+    errors.push(...result.errors);
+    const variant = result.variant;
+    if (!variant) return;
+
+    if (byId.has(variant.id)) {
+      errors.push({
+        row: rowNumber,
+        field: "candle name",
+        message: `Duplicate of row ${byId.get(variant.id).row} (${variant.name} • ${variant.size})`,
+      });
+      return;
+    }
+    if (bySku.has(variant.sku)) {
+      errors.push({
+        row: rowNumber,
+        field: "sku",
+        message: `SKU "${variant.sku}" already used on row ${bySku.get(variant.sku).row}`,
+      });
+      return;
+    }
+
+    byId.set(variant.id, variant);
+    bySku.set(variant.sku, variant);
+    variants.push(variant);
+  });
+
+  // Bundles: link components now that every single variant is known
+  const resolved = variants.filter((variant) => {
+    if (variant.type !== "bundle") return true;
+
+    const unknown = [];
+    const components = variant.components.map(({ ref, qty }) => {
+      const part = byId.get(ref.toLowerCase()) || bySku.get(ref) || bySku.get(ref.toUpperCase());
+      if (!part || part.type === "bundle") {
+        unknown.push(ref);
+        return null;
+      }
+      return { variantId: part.id, qty, name: part.name, size: part.size };
+    });
+    if (unknown.length) {
+      errors.push({
+        row: variant.row,
+        field: "components",
+        message: `Unknown component(s): ${unknown.join(", ")}`,
+      });
+      return false;
+    }
+
+    variant.components = components;
+    if (variant.priceCents == null) {
+      variant.priceCents = components.reduce(
+        (sum, c) => sum + byId.get(c.variantId).priceCents * c.qty,
+        0
+      );
+    }
+    // As many sets as the scarcest component allows (and the sheet cap, if any)
+    variant.quantity = Math.min(
+      variant.stockQuantity ?? Infinity,
+      ...components.map((c) => {
+        const part = byId.get(c.variantId);
+        return isAvailable(part) ? Math.floor(part.quantity / c.qty) : 0;
+      })
+    );
+    return true;
+  });
+
+  return { variants: resolved, errors };
+}
+
+/**
+ * Parse published-sheet CSV text into a validated catalog
+ * @param {string} text
+ * @returns {Catalog}
+ */
+export function catalogFromCsv(text) {
+  return buildCatalog(rowsToObjects(parseCsv(String(text || ""))));
+}
+
+/**
+ * Fetch the published sheet and build the catalog
+ * @param {Object} [options]
+ * @param {string} [options.url] - CSV URL (defaults to SHEET_CSV_URL)
+ * @param {Function} [options.fetchImpl] - fetch implementation (defaults to global fetch)
+ * @returns {Promise<Catalog>}
+ */
+export async function loadCatalog({ url = SHEET_CSV_URL, fetchImpl = fetch } = {}) {
+  const res = await fetchImpl(url);
+  if (!res.ok) throw new Error(`Catalog fetch failed: ${res.status}`);
+  return catalogFromCsv(await res.text());
+}
+
+// ─────────────────────────────────────────────────────────────
+// Lookups
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * True when a variant can be shown and sold
+ * @param {Variant} variant
+ * @returns {boolean}
+ */
+export function isAvailable(variant) {
+  if (!variant || !variant.active) return false;
+  if (variant.status === "sold out" || variant.status === "sold") return false;
+  return variant.quantity > 0;
+}
+
+/**
+ * Find the active variant for a scent name and size label
+ * @param {Catalog} catalog
+ * @param {string} scent - Any spelling/casing of the scent name
+ * @param {string} size - Any size label ("12oz", "12 oz", "Wax Melt")
+ * @returns {Variant|null}
+ */
+export function findVariant(catalog, scent, size) {
+  const key = scentKey(scent);
+  const normalizedSize = normalizeSize(size);
+  if (!key || !normalizedSize) return null;
+  return (
+    (catalog?.variants || []).find(
+      (v) => v.active && v.size === normalizedSize && scentKey(v.scent) === key
+    ) || null
+  );
+}
+
+/**
+ * Find a variant by id or SKU
+ * @param {Catalog} catalog
+ * @param {string} idOrSku
+ * @returns {Variant|null}
+ */
+export function getVariant(catalog, idOrSku) {
+  const needle = String(idOrSku || "").trim();
+  if (!needle) return null;
+  return (catalog?.variants || []).find((v) => v.id === needle || v.sku === needle) || null;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Scent names and aliases
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Spellings checkout accepted before the sheet had an "aliases" column.
+ * Saved carts and old links still use them, so they keep working
+ * alongside the sheet's aliases (which win when both list a spelling).
+ * Only applied while the target scent is in the catalog.
+ */
+export const DEFAULT_SCENT_ALIASES = {
+  "black raspberry vanilla bean": "Black Raspberry",
+  "black raspberry vanilla": "Black Raspberry",
+  "black raspberry": "Black Raspberry",
+  "raspberry": "Black Raspberry",
+  "apple": "Apple Pie",
+  "apple pie": "Apple Pie",
+  "applepie": "Apple Pie",
+  "apple pie candle": "Apple Pie",
+};
+
+/**
+ * Map every accepted spelling (as a scentKey) to its canonical scent name.
+ * Canonical names are the "candle name" values in the sheet; aliases come
+ * from the "aliases" column, then DEFAULT_SCENT_ALIASES. Spacing variants
+ * ("applepie") match too.
+ * @param {Catalog} catalog
+ * @returns {Map<string, string>}
+ */
+export function scentIndex(catalog) {
+  const index = new Map();
+  const add = (spelling, canonical) => {
+    const key = scentKey(spelling);
+    if (!key) return;
+    if (!index.has(key)) index.set(key, canonical);
+    const compact = key.replace(/ /g, "");
+    if (!index.has(compact)) index.set(compact, canonical);
+  };
+  const variants = (catalog?.variants || []).filter((v) => v.active);
+  // Canonical names first so an alias can never shadow a real scent
+  for (const v of variants) add(v.scent, v.scent);
+  for (const v of variants) for (const alias of v.aliases || []) add(alias, v.scent);
+  for (const [alias, target] of Object.entries(DEFAULT_SCENT_ALIASES)) {
+    const canonical = index.get(scentKey(target));
+    if (canonical) add(alias, canonical);
+  }
+  return index;
+}
+
+// Levenshtein distance, for "did you mean" suggestions
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(
+        prev[j] + 1,
+        curr[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Resolve a scent name from a cart or URL to its canonical catalog name
+ * @param {Catalog} catalog
+ * @param {string} raw
+ * @returns {{ scent: string|null, suggestions: string[] }}
+ *   `scent` is null when nothing matches; `suggestions` then lists the
+ *   closest canonical names (best first, at most three).
+ */
+export function resolveScent(catalog, raw) {
+  const index = scentIndex(catalog);
+  const key = scentKey(raw);
+  const exact = index.get(key) || index.get(key.replace(/ /g, ""));
+  if (exact) return { scent: exact, suggestions: [] };
+  if (!key) return { scent: null, suggestions: [] };
+
+  const best = new Map();
+  for (const [spelling, canonical] of index) {
+    const distance = spelling.includes(key) || key.includes(spelling)
+      ? 1
+      : editDistance(key, spelling);
+    const limit = Math.max(2, Math.floor(spelling.length * 0.3));
+    if (distance > limit) continue;
+    if (!best.has(canonical) || distance < best.get(canonical)) best.set(canonical, distance);
+  }
+  const suggestions = [...best.entries()]
+    .sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]))
+    .slice(0, 3)
+    .map(([name]) => name);
+  return { scent: null, suggestions };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Bundles
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * The single variants a purchase actually ships: the components for a
+ * bundle (multiplied by `qty`), or the variant itself.
+ * @param {Catalog} catalog
+ * @param {Variant} variant
+ * @param {number} qty
+ * @returns {Array<{ variant: Variant, qty: number }>}
+ */
+export function expandVariant(catalog, variant, qty) {
+  if (!variant || variant.type !== "bundle") return [{ variant, qty }];
+  return variant.components
+    .map((c) => ({ variant: getVariant(catalog, c.variantId), qty: c.qty * qty }))
+    .filter((part) => part.variant);
+}
+
+/**
+ * "1x Apple Pie • 6 oz, 2x Lavender • wax melt"
+ * @param {BundleComponent[]} components
+ * @returns {string}
+ */
+export function describeComponents(components) {
+  return (components || []).map((c) => `${c.qty}x ${c.name} • ${c.size}`).join(", ");
+}
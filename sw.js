@@ -0,0 +1,197 @@
+// sw.js
+// Service worker (registered by script.js) — keeps the storefront usable
+// with a bad connection, e.g. at the farmers market:
+//   - The shell (pages, CSS, JS, icons) and the product photos in Images/
+//     are precached on install.
+//   - Pages: network first, the cached copy when offline.
+//   - Other files on this site and Google Fonts: stale-while-revalidate.
+//   - Inventory (/api/catalog): stale-while-revalidate; open pages are told
+//     when the fresh copy differs so they can re-render.
+//   - Everything else (cart preview, checkout, order lookups) goes straight
+//     to the network. script.js saves a checkout started offline.
+// Bump CACHE_VERSION when the lists below change so old caches are dropped.
+
+const CACHE_VERSION = "v1";
+const SHELL_CACHE = `kellys-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `kellys-runtime-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "styles.css",
+  "script.js",
+  "shared/browser.js",
+  "shared/catalog.js",
+  "shared/cart-rules.js",
+  "candle-care.html",
+  "privacy.html",
+  "terms.html",
+  "site.webmanifest",
+  "favicon.ico",
+  "apple-touch-icon.png",
+  "web-app-manifest-192x192.png",
+  "web-app-manifest-512x512.png",
+];
+
+// Photos added to Images/ later are cached the first time they're shown
+const IMAGE_FILES = [
+  "Images/Farm%20background.jpg",
+  "Images/Logo.png",
+  "Images/products/12ozBlackRaspberry.png",
+  "Images/products/12ozLoveSpelling.png",
+  "Images/products/12ozMonkeyFarts1.png",
+  "Images/products/12ozMonkeyfarts.png",
+  "Images/products/17ozApplePie.png",
+  "Images/products/17ozBlackRaspberry.png",
+  "Images/products/17ozLilac.png",
+  "Images/products/17ozLoveSpelling.png",
+  "Images/products/17ozMonkeyFarts.png",
+  "Images/products/3-CandleBannerNoBackground.png",
+  "Images/products/6ozApplePie.png",
+  "Images/products/6ozLoveSpelling.png",
+  "Images/products/6ozMonkeyFarts.png",
+  "Images/products/ApplePie12oz.png",
+  "Images/products/ComingSoon.png",
+  "Images/products/ImageComingSoon.png",
+  "Images/products/Lilac12oz.png",
+  "Images/products/LoveSpelling12oz.png",
+  "Images/products/waxMelts/WaxMelt-ApplePie.png",
+  "Images/products/waxMelts/WaxMelt-BlackRaspberry.png",
+  "Images/products/waxMelts/WaxMelt-Lavender.png",
+  "Images/products/waxMelts/WaxMelt-Lilac.png",
+  "Images/products/waxMelts/WaxMelt-LoveSpelling.png",
+  "Images/products/waxMelts/WaxMelt-MonkeyFarts.png"
+];
+
+const FONT_HOSTS = new Set(["fonts.googleapis.com", "fonts.gstatic.com"]);
+
+const OFFLINE_PAGE = `<!doctype html><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Offline - Kelley's Candles</title>
+<p style="font-family:sans-serif;padding:24px">You're offline and this page hasn't been saved yet.
+<a href="./">Back to the shop</a></p>`;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.addAll(SHELL_FILES);
+      // One missing photo shouldn't stop the rest from working offline
+      await Promise.all(
+        IMAGE_FILES.map((url) =>
+          cache.add(url).catch((err) => console.warn("[sw] could not cache", url, err.message))
+        )
+      );
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keep = new Set([SHELL_CACHE, RUNTIME_CACHE]);
+      const names = await caches.keys();
+      await Promise.all(
+        names.filter((name) => name.startsWith("kellys-") && !keep.has(name)).map((name) => caches.delete(name))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (url.pathname.endsWith("/api/catalog")) {
+    event.respondWith(catalogResponse(event));
+    return;
+  }
+  if (url.origin !== self.location.origin) {
+    if (FONT_HOSTS.has(url.hostname)) event.respondWith(staleWhileRevalidate(event, RUNTIME_CACHE));
+    return;
+  }
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+  if (url.pathname.includes("/Images/")) {
+    event.respondWith(cacheFirst(request));
+    return;
+  }
+  event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+});
+
+// Opaque responses (fonts loaded without CORS) can't be checked, but are still worth keeping
+function cacheable(res) {
+  return res && (res.ok || res.type === "opaque");
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) await cache.put(request, res.clone());
+    return res;
+  } catch (err) {
+    // ?size=… filter links share the page's cached copy
+    const cached =
+      (await caches.match(request, { ignoreSearch: true })) ||
+      (new URL(request.url).pathname.endsWith("/") ? await caches.match("index.html") : null);
+    return cached || new Response(OFFLINE_PAGE, { status: 503, headers: { "Content-Type": "text/html; charset=utf-8" } });
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    await cache.put(request, res.clone());
+  }
+  return res;
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await caches.match(event.request);
+  const refresh = fetch(event.request).then(async (res) => {
+    if (cacheable(res)) await cache.put(event.request, res.clone());
+    return res;
+  });
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+// updatedAt from a catalog response (read from a clone; the original goes to the page)
+function catalogVersion(res) {
+  return res.clone().json().then((data) => data.updatedAt || null, () => null);
+}
+
+async function catalogResponse(event) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await cache.match(event.request);
+  const cachedVersion = cached ? catalogVersion(cached) : null;
+
+  const refresh = fetch(event.request).then(async (res) => {
+    if (!res.ok) return res;
+    const freshVersion = catalogVersion(res);
+    await cache.put(event.request, res.clone());
+    if (cached && (await freshVersion) !== (await cachedVersion)) {
+      const pages = await self.clients.matchAll({ type: "window" });
+      pages.forEach((page) => page.postMessage({ type: "catalog-updated" }));
+    }
+    return res;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
@@ -0,0 +1,87 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import handler from "../api/admin/orders.js";
+import { dayStart } from "../api/lib/admin-auth.js";
+import { createKvAdapter, createMemoryAdapter, recordOrder, setOrderStorage, updateOrder } from "../api/lib/orders.js";
+import { createFakeKv } from "./fake-kv.js";
+
+function call(query = {}) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  const req = { method: "GET", query, headers: { authorization: "Bearer secret" } };
+  return Promise.resolve(handler(req, res)).then(() => res);
+}
+
+before(() => {
+  process.env.ADMIN_TOKEN = "secret";
+});
+
+test("the admin list sees orders another instance recorded", async () => {
+  const kv = createFakeKv();
+
+  // The webhook ran on one instance…
+  setOrderStorage(createKvAdapter({ client: kv }));
+  await recordOrder({ id: "cs_a", status: "paid", customer: { name: "Pat", email: "pat@example.com", phone: "" } });
+
+  // …and the admin page is served by another
+  setOrderStorage(createKvAdapter({ client: kv }));
+  const res = await call({ status: "paid" });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.orders.map((o) => o.id), ["cs_a"]);
+});
+
+test("a missing order store is reported, not shown as an empty list", async () => {
+  setOrderStorage({
+    async list() {
+      const err = new Error("Shared storage is not configured.");
+      err.statusCode = 503;
+      err.code = "STORAGE_NOT_CONFIGURED";
+      throw err;
+    },
+  });
+  const error = console.error;
+  console.error = () => {};
+  try {
+    const res = await call();
+    assert.equal(res.statusCode, 503);
+    assert.equal(res.body.code, "STORAGE_NOT_CONFIGURED");
+  } finally {
+    console.error = error;
+  }
+});
+
+test("date filters are whole days in the shop's time zone", async () => {
+  // Eastern: midnight is 04:00 UTC in summer, 05:00 in winter
+  assert.equal(dayStart("2026-07-04"), "2026-07-04T04:00:00.000Z");
+  assert.equal(dayStart("2026-07-04", 1), "2026-07-05T04:00:00.000Z");
+  assert.equal(dayStart("2026-01-15"), "2026-01-15T05:00:00.000Z");
+  assert.equal(dayStart("2026-02-30"), undefined);
+  assert.equal(dayStart(""), undefined);
+
+  setOrderStorage(createMemoryAdapter());
+  const placedAt = { cs_evening: "2026-07-04T23:30:00.000Z", cs_late: "2026-07-05T03:30:00.000Z", cs_next: "2026-07-05T04:30:00.000Z" };
+  for (const [id, createdAt] of Object.entries(placedAt)) {
+    await recordOrder({ id, status: "paid", customer: { name: "", email: "", phone: "" } });
+    await updateOrder(id, (o) => {
+      o.createdAt = createdAt;
+    });
+  }
+
+  // 11:30 pm Eastern on the 4th is the 5th in UTC but still the 4th here
+  const res = await call({ from: "2026-07-04", to: "2026-07-04" });
+  assert.deepEqual(res.body.orders.map((o) => o.id).sort(), ["cs_evening", "cs_late"]);
+});
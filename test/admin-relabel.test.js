@@ -0,0 +1,111 @@
+import { test, before, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+// Emails are skipped without a sender; the key only has to exist for the import
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || "re_test";
+delete process.env.ORDER_NOTIFY_FROM_EMAIL;
+delete process.env.CUSTOMER_CONFIRM_FROM_EMAIL;
+
+const { default: handler } = await import("../api/admin/relabel.js");
+const { createMemoryAdapter, getOrder, recordOrder, setOrderStorage } = await import("../api/lib/orders.js");
+const { setEasyPostClient } = await import("../api/lib/easypost.js");
+
+// Records every call; `buyFails` makes the label purchase throw
+function mockClient({ buyFails = false } = {}) {
+  const calls = [];
+  return {
+    calls,
+    Shipment: {
+      async create() {
+        calls.push("create");
+        return { id: "shp_new", rates: [{ carrier: "USPS", service: "GroundAdvantage", rate: "7.85", currency: "USD" }] };
+      },
+      async buy() {
+        calls.push("buy");
+        if (buyFails) throw new Error("insufficient funds");
+      },
+      async retrieve(id) {
+        return { id, tracking_code: "TRKNEW", postage_label: {} };
+      },
+      async refund(id) {
+        calls.push(`refund ${id}`);
+        return { refund_status: "submitted" };
+      },
+    },
+  };
+}
+
+function call(body) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    setHeader() {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      this.body = data;
+      return this;
+    },
+  };
+  const req = { method: "POST", body, headers: { authorization: "Bearer secret" } };
+  return Promise.resolve(handler(req, res)).then(() => res);
+}
+
+const quiet = {};
+before(() => {
+  process.env.ADMIN_TOKEN = "secret";
+});
+
+beforeEach(async () => {
+  for (const level of ["log", "warn"]) {
+    quiet[level] = console[level];
+    console[level] = () => {};
+  }
+  setOrderStorage(createMemoryAdapter());
+  await recordOrder({
+    id: "cs_relabel",
+    status: "label_created",
+    customer: { name: "Pat", email: "pat@example.com", phone: "" },
+    shippingAddress: { line1: "1 Main St", city: "Wheeling", state: "WV", postal_code: "26003", country: "US" },
+    items: [{ qty: 1, name: "Apple Pie • 12 oz", size: "12 oz" }],
+    shipments: [{ shipmentId: "shp_old", trackingCode: "TRKOLD", service: "GroundAdvantage" }],
+  });
+});
+
+afterEach(() => {
+  Object.assign(console, quiet);
+  setEasyPostClient(null);
+});
+
+test("the old label is voided after the new one is bought", async () => {
+  const client = mockClient();
+  setEasyPostClient(client);
+
+  const res = await call({ id: "cs_relabel", skipVerification: true });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.error, null);
+  assert.deepEqual(client.calls, ["create", "buy", "refund shp_old"]);
+  // No senders are configured, so neither email went out
+  assert.equal(res.body.storeNotified, false);
+  assert.equal(res.body.customerNotified, false);
+
+  const order = await getOrder("cs_relabel");
+  assert.equal(order.shipments.find((s) => s.shipmentId === "shp_old").refundStatus, "submitted");
+  assert.equal(order.status, "label_created");
+});
+
+test("a failed purchase keeps the old label", async () => {
+  const client = mockClient({ buyFails: true });
+  setEasyPostClient(client);
+
+  const res = await call({ id: "cs_relabel", skipVerification: true });
+  assert.equal(res.statusCode, 200);
+  assert.match(res.body.error, /insufficient funds/);
+  assert.deepEqual(res.body.voided, []);
+  assert.ok(!client.calls.some((c) => c.startsWith("refund")));
+
+  const order = await getOrder("cs_relabel");
+  assert.equal(order.shipments.find((s) => s.shipmentId === "shp_old").refundStatus, undefined);
+});
@@ -0,0 +1,60 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { setKvClient } from "../api/lib/storage.js";
+import { createFakeKv } from "./fake-kv.js";
+
+// The key only has to exist for the import; without a ZIP no tax is estimated
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "sk_test_dummy";
+const { default: handler } = await import("../api/cart-preview.js");
+
+const CSV = "candle name,size,price,quantity\nApple Pie,12 oz,27,10\n";
+
+function call(body) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    setHeader() {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      this.body = data;
+      return this;
+    },
+  };
+  const req = { method: "POST", body, headers: {} };
+  return Promise.resolve(handler(req, res)).then(() => res);
+}
+
+const realFetch = globalThis.fetch;
+before(() => {
+  globalThis.fetch = async () => new Response(CSV, { status: 200 });
+  process.env.PROMOTIONS_JSON = JSON.stringify([{ code: "TENOFF", type: "percent_off", percentOff: 10 }]);
+});
+
+after(() => {
+  globalThis.fetch = realFetch;
+  delete process.env.PROMOTIONS_JSON;
+});
+
+beforeEach(() => {
+  setKvClient(createFakeKv());
+});
+
+test("free shipping is judged on the subtotal after the promo discount", async () => {
+  const cart = [{ variantId: "apple-pie-12oz", qty: 4 }];
+
+  const full = await call({ cart, state: "WV" });
+  assert.equal(full.statusCode, 200);
+  assert.equal(full.body.subtotal, 10800);
+  assert.equal(full.body.shipping.free, true);
+
+  // $108 less 10% is $97.20, under the $100 threshold
+  const discounted = await call({ cart, state: "WV", promoCode: "tenoff" });
+  assert.equal(discounted.statusCode, 200);
+  assert.equal(discounted.body.promo.discount, 1080);
+  assert.equal(discounted.body.shipping.free, false);
+  assert.equal(discounted.body.shipping.free_shipping_remaining, 280);
+  assert.ok(discounted.body.shipping.amount > 0);
+});
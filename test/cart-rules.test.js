@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MAX_QTY_PER_LINE, MAX_UNITS_PER_ORDER, clampQty, lineLimits, validateCart } from "../shared/cart-rules.js";
+
+const line = (qty, variantId = "apple-pie-6oz", label = "Apple Pie • 6 oz") => ({ qty, variantId, label });
+const codes = (issues) => issues.map((i) => [i.index, i.code, i.max]);
+
+test("a line may hold up to the per-line limit", () => {
+  assert.deepEqual(validateCart([line(MAX_QTY_PER_LINE)]), []);
+  assert.deepEqual(codes(validateCart([line(MAX_QTY_PER_LINE + 1)])), [[0, "QTY_LIMIT", MAX_QTY_PER_LINE]]);
+});
+
+test("quantities must be whole numbers of at least one", () => {
+  assert.deepEqual(
+    codes(validateCart([line("2.5"), line(0, "b"), line("abc", "c"), line("3", "d")])),
+    [
+      [0, "QTY_INVALID", 10],
+      [1, "QTY_INVALID", 10],
+      [2, "QTY_INVALID", 10],
+    ]
+  );
+  assert.equal(clampQty("25"), MAX_QTY_PER_LINE);
+  assert.equal(clampQty("abc"), 1);
+  assert.equal(clampQty("4", 2), 2);
+});
+
+test("the order limit shrinks as earlier lines use it up", () => {
+  const lines = [line(10, "a"), line(10, "b"), line(8, "c"), line(5, "d", "Lilac Bush • 6 oz")];
+  const [issue] = validateCart(lines);
+  assert.deepEqual([issue.index, issue.code, issue.max], [3, "ORDER_LIMIT", 2]);
+  assert.match(issue.message, /limited to 30 items, so only 2 more of Lilac Bush • 6 oz fit/);
+  assert.deepEqual(lineLimits(lines), [10, 10, 10, 2]);
+
+  const full = [line(10, "a"), line(10, "b"), line(10, "c"), line(1, "d")];
+  assert.deepEqual(codes(validateCart(full)), [[3, "ORDER_LIMIT", 0]]);
+  assert.equal(validateCart(full)[0].message, `Orders are limited to ${MAX_UNITS_PER_ORDER} items.`);
+});
+
+test("a line over the per-line limit only uses the limit toward the order", () => {
+  const lines = [line(15, "a"), line(10, "b"), line(10, "c")];
+  assert.deepEqual(codes(validateCart(lines)), [[0, "QTY_LIMIT", 10]]);
+  assert.deepEqual(lineLimits(lines), [10, 10, 10]);
+});
+
+test("stock is shared by every line of the same variant", () => {
+  const availability = new Map([["apple-pie-6oz", 3]]);
+  const lines = [line(2), line(2)];
+  const issues = validateCart(lines, { availability });
+  assert.deepEqual(codes(issues), [[1, "LOW_STOCK", 1]]);
+  assert.equal(issues[0].message, "Only 1 of Apple Pie • 6 oz available.");
+  assert.deepEqual(lineLimits(lines, { availability }), [3, 1]);
+});
+
+test("sold-out lines are flagged, and unlisted variants aren't stock-checked", () => {
+  const availability = { "apple-pie-6oz": 0 };
+  assert.deepEqual(codes(validateCart([line(1), line(4, "lilac-bush-6oz")], { availability })), [[0, "SOLD_OUT", 0]]);
+  assert.deepEqual(lineLimits([line(1), line(4, "lilac-bush-6oz")], { availability }), [0, 10]);
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { catalogFromCsv, resolveScent } from "../shared/catalog.js";
+
+const catalog = catalogFromCsv(
+  "candle name,size,price,quantity,aliases\n" +
+    "Apple Pie,6 oz,14,3,\n" +
+    "Black Raspberry,6 oz,14,3,Razz\n"
+);
+
+test("sheet aliases and the built-in spellings both resolve", () => {
+  assert.equal(resolveScent(catalog, "Razz").scent, "Black Raspberry");
+  assert.equal(resolveScent(catalog, "Black Raspberry Vanilla Bean").scent, "Black Raspberry");
+  assert.equal(resolveScent(catalog, "apple pie candle").scent, "Apple Pie");
+  assert.equal(resolveScent(catalog, "applepie").scent, "Apple Pie");
+});
+
+test("built-in spellings only apply while their scent is in the sheet", () => {
+  const without = catalogFromCsv("candle name,size,price,quantity\nLilac Bush,6 oz,14,3\n");
+  assert.equal(resolveScent(without, "raspberry").scent, null);
+});
+
+test("a sheet alias wins over a built-in spelling", () => {
+  const custom = catalogFromCsv(
+    "candle name,size,price,quantity,aliases\n" +
+      "Apple Pie,6 oz,14,3,\n" +
+      "Apple Crisp,6 oz,14,3,apple\n"
+  );
+  assert.equal(resolveScent(custom, "apple").scent, "Apple Crisp");
+});
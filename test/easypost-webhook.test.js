@@ -0,0 +1,68 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { Readable } from "node:stream";
+import { setKvClient } from "../api/lib/storage.js";
+import { claimEvent, completeEvent } from "../api/lib/webhook-events.js";
+import { createFakeKv } from "./fake-kv.js";
+
+process.env.EASYPOST_WEBHOOK_SECRET = "whsec_test";
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || "re_test";
+const { default: handler } = await import("../api/easypost-webhook.js");
+
+function call(event) {
+  const body = JSON.stringify(event);
+  const req = Readable.from([body]);
+  req.method = "POST";
+  req.headers = {
+    "x-hmac-signature": "hmac-sha256-hex=" + createHmac("sha256", "whsec_test").update(body).digest("hex"),
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      this.body = data;
+      return this;
+    },
+    send(data) {
+      this.body = data;
+      return this;
+    },
+  };
+  return Promise.resolve(handler(req, res)).then(() => res);
+}
+
+const trackerEvent = {
+  id: "evt_1",
+  description: "tracker.updated",
+  result: { object: "Tracker", tracking_code: "TRK1", status: "in_transit" },
+};
+
+beforeEach(() => setKvClient(createFakeKv()));
+
+test("a delivery is refused while the dedupe store is down", async () => {
+  const down = async () => {
+    throw new Error("connection refused");
+  };
+  setKvClient({ get: down, mget: down, sadd: down, smembers: down, eval: down });
+  const error = console.error;
+  console.error = () => {};
+  try {
+    const res = await call(trackerEvent);
+    assert.equal(res.statusCode, 500);
+  } finally {
+    console.error = error;
+  }
+});
+
+test("an event already handled is acknowledged without processing", async () => {
+  await claimEvent("easypost:evt_1", "tracker.updated");
+  await completeEvent("easypost:evt_1");
+  const res = await call(trackerEvent);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.duplicate, true);
+});
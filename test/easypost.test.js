@@ -0,0 +1,180 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+// No key in the environment: importing must still work
+delete process.env.EASYPOST_TEST_API_KEY;
+delete process.env.EASYPOST_LIVE_API_KEY;
+
+const { createShipment, quoteRates, refundLabels, setEasyPostClient, verifyAddress } = await import(
+  "../api/lib/easypost.js"
+);
+const { getShippingOptions } = await import("../api/lib/carrier-rates.js");
+const { DEFAULT_SHIPPING_RULES } = await import("../api/lib/shipping.js");
+
+const rate = (service, price, days = 3) => ({ carrier: "USPS", service, rate: price, currency: "USD", delivery_days: days });
+
+// Just enough of the EasyPost client for these tests; records every call
+function mockClient({ rates = [rate("GroundAdvantage", "7.85"), rate("Priority", "10.40", 2)], deliverable = true } = {}) {
+  const calls = [];
+  let next = 0;
+  return {
+    calls,
+    Address: {
+      async create(fields) {
+        calls.push(["Address.create", fields]);
+        return { ...fields, verifications: { delivery: { success: deliverable, errors: [] } } };
+      },
+    },
+    Shipment: {
+      async create(fields) {
+        calls.push(["Shipment.create", fields]);
+        return { id: `shp_${++next}`, rates };
+      },
+      async buy(id, chosen) {
+        calls.push(["Shipment.buy", id, chosen.service]);
+      },
+      async retrieve(id) {
+        return { id, tracking_code: `TRK${id}`, postage_label: { label_url: `https://labels/${id}.png` } };
+      },
+      async refund(id) {
+        calls.push(["Shipment.refund", id]);
+        if (id === "shp_bad") throw new Error("already scanned");
+        return { refund_status: "submitted" };
+      },
+    },
+  };
+}
+
+const address = { name: "Pat", line1: "1 Main St", city: "Wheeling", state: "WV", postal_code: "26003", country: "US" };
+
+afterEach(() => setEasyPostClient(null));
+
+test("without a key, calls fail instead of the import", async () => {
+  const check = await verifyAddress(address);
+  assert.equal(check.status, "unavailable");
+  assert.match(check.errors[0], /Missing API key/);
+  await assert.rejects(quoteRates({ items: [{ qty: 1, size: "12 oz" }], toAddress: { zip: "98101" } }), /Missing API key/);
+});
+
+test("createShipment verifies the address and buys the checkout's service", async () => {
+  const client = mockClient();
+  setEasyPostClient(client);
+
+  const result = await createShipment({
+    toAddress: address,
+    items: [{ qty: 1, size: "12 oz", scent: "Apple Pie" }],
+    orderId: "cs_test_1",
+    service: "Priority",
+  });
+
+  assert.equal(result.success, true);
+  assert.equal(result.service, "Priority");
+  assert.equal(result.trackingCode, "TRKshp_1");
+  assert.deepEqual(client.calls.map((c) => c[0]), ["Address.create", "Shipment.create", "Shipment.buy"]);
+});
+
+test("createShipment buys nothing when the address is undeliverable", async () => {
+  const client = mockClient({ deliverable: false });
+  setEasyPostClient(client);
+
+  const result = await createShipment({ toAddress: address, items: [{ qty: 1, size: "6 oz" }], orderId: "cs_test_2" });
+  assert.equal(result.success, false);
+  assert.equal(result.held, true);
+  assert.equal(client.calls.some((c) => c[0] === "Shipment.buy"), false);
+});
+
+test("createShipment hands over each label as soon as it is bought", async () => {
+  const client = mockClient();
+  setEasyPostClient(client);
+  const saved = [];
+
+  const result = await createShipment({
+    toAddress: address,
+    items: [{ qty: 12, size: "17 oz" }],
+    orderId: "cs_test_3",
+    verify: false,
+    onLabelBought: async (pkg) => {
+      // Bought, and nothing after it yet
+      assert.equal(client.calls.filter((c) => c[0] === "Shipment.buy").length, saved.length + 1);
+      saved.push(pkg.shipmentId);
+    },
+  });
+
+  assert.equal(result.success, true);
+  assert.ok(saved.length > 1);
+  assert.deepEqual(saved, result.packages.map((p) => p.shipmentId));
+});
+
+test("createShipment stops buying and passes the error on when a label can't be saved", async () => {
+  const client = mockClient();
+  setEasyPostClient(client);
+
+  await assert.rejects(
+    createShipment({
+      toAddress: address,
+      items: [{ qty: 12, size: "17 oz" }],
+      orderId: "cs_test_4",
+      verify: false,
+      onLabelBought: async () => {
+        throw new Error("store down");
+      },
+    }),
+    /store down/
+  );
+  assert.equal(client.calls.filter((c) => c[0] === "Shipment.buy").length, 1);
+});
+
+test("quoteRates sums the parcels of a split order per service", async () => {
+  const client = mockClient();
+  const rates = await quoteRates({
+    items: [{ qty: 12, size: "17 oz" }],
+    toAddress: { zip: "98101" },
+    client,
+  });
+  const parcels = client.calls.filter((c) => c[0] === "Shipment.create").length;
+  assert.ok(parcels > 1);
+  assert.deepEqual(
+    rates.map((r) => [r.service, r.rateCents, r.parcels]),
+    [
+      ["GroundAdvantage", 785 * parcels, parcels],
+      ["Priority", 1040 * parcels, parcels],
+    ]
+  );
+});
+
+test("refundLabels reports each label and never throws", async () => {
+  setEasyPostClient(mockClient());
+  const results = await refundLabels(["shp_1", "shp_bad"]);
+  assert.deepEqual(results.map((r) => r.success), [true, false]);
+  assert.equal(results[1].error, "already scanned");
+});
+
+test("getShippingOptions offers live rates, and the table when EasyPost fails", async () => {
+  const rules = { ...DEFAULT_SHIPPING_RULES, liveRates: { ...DEFAULT_SHIPPING_RULES.liveRates, enabled: true, quoteToZip: "98101" } };
+
+  const live = await getShippingOptions({
+    rules,
+    items: [{ qty: 2, size: "6 oz" }],
+    subtotalCents: 2800,
+    client: mockClient(),
+  });
+  assert.deepEqual(live.options.map((o) => [o.service, o.amountCents, o.source]), [
+    ["GroundAdvantage", 785, "live"],
+    ["Priority", 1040, "live"],
+  ]);
+
+  const failing = { Shipment: { create: async () => { throw new Error("timeout"); } } };
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const fallback = await getShippingOptions({
+      rules,
+      items: [{ qty: 3, size: "6 oz" }],
+      subtotalCents: 4200,
+      client: failing,
+    });
+    assert.deepEqual(fallback.options.map((o) => [o.amountCents, o.source]), [[900, "table"]]);
+  } finally {
+    console.warn = warn;
+  }
+});
@@ -0,0 +1,69 @@
+// test/fake-kv.js
+// In-memory stand-in for the Redis commands api/lib/storage.js uses,
+// including its compare-and-set script and the rate limiter's counter.
+
+import crypto from "node:crypto";
+
+const sha1 = (text) => crypto.createHash("sha1").update(text).digest("hex");
+
+/**
+ * @param {Object} [hooks]
+ * @param {(key: string) => void} [hooks.beforeWrite] - Runs before each scripted
+ *   write, e.g. to simulate another instance writing the key first
+ */
+export function createFakeKv({ beforeWrite } = {}) {
+  const values = new Map();
+  const expires = new Map();
+  const sets = new Map();
+
+  const live = (key) => {
+    if (expires.has(key) && expires.get(key) <= Date.now()) {
+      values.delete(key);
+      expires.delete(key);
+    }
+    return values.has(key);
+  };
+
+  return {
+    values,
+    async get(key) {
+      return live(key) ? values.get(key) : null;
+    },
+    async set(key, value) {
+      values.set(key, value);
+      expires.delete(key);
+      return "OK";
+    },
+    async mget(...keys) {
+      return keys.flat().map((key) => (live(key) ? values.get(key) : null));
+    },
+    async sadd(key, ...members) {
+      const set = sets.get(key) || new Set();
+      const before = set.size;
+      members.forEach((m) => set.add(m));
+      sets.set(key, set);
+      return set.size - before;
+    },
+    async smembers(key) {
+      return [...(sets.get(key) || [])];
+    },
+    async eval(script, [key], args) {
+      beforeWrite?.(key);
+      if (script.includes("sha1hex")) {
+        const [expected, next, ttl] = args;
+        if (sha1(live(key) ? values.get(key) : "") !== expected) return 0;
+        values.set(key, next);
+        if (ttl) expires.set(key, Date.now() + Number(ttl));
+        else expires.delete(key);
+        return 1;
+      }
+      if (script.includes("INCR")) {
+        const count = (live(key) ? Number(values.get(key)) : 0) + 1;
+        values.set(key, String(count));
+        if (!expires.has(key)) expires.set(key, Date.now() + Number(args[0]));
+        return [count, expires.get(key) - Date.now()];
+      }
+      throw new Error(`fake-kv: unknown script ${script}`);
+    },
+  };
+}
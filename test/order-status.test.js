@@ -0,0 +1,68 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryAdapter, recordOrder, setOrderStorage } from "../api/lib/orders.js";
+import { signOrderToken } from "../api/lib/order-links.js";
+import { setKvClient } from "../api/lib/storage.js";
+import { createFakeKv } from "./fake-kv.js";
+
+// The route needs a key to load; these orders are all in the store, so
+// Stripe is never called
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "sk_test_unused";
+const { default: handler } = await import("../api/order-status.js");
+
+function call(query) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    setHeader() {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      this.body = data;
+      return this;
+    },
+  };
+  const req = { method: "GET", query, headers: { "x-forwarded-for": "1.2.3.4" } };
+  return Promise.resolve(handler(req, res)).then(() => res);
+}
+
+before(async () => {
+  process.env.ORDER_LINK_SECRET = "test-secret";
+  setKvClient(createFakeKv());
+  setOrderStorage(createMemoryAdapter());
+  await recordOrder({
+    id: "cs_status",
+    status: "in_transit",
+    customer: { name: "Pat Smith", email: "pat@example.com", phone: "304-555-0100" },
+    shippingAddress: {
+      name: "Pat Smith",
+      line1: "1 Main St",
+      line2: "Apt 2",
+      city: "Wheeling",
+      state: "WV",
+      postal_code: "26003",
+      country: "US",
+    },
+    items: [{ qty: 1, name: "Apple Pie • 12 oz", unit: 2400, line: 2400 }],
+  });
+});
+
+test("a signed link shows where the order is going but not who or the street", async () => {
+  const res = await call({ order: "cs_status", token: signOrderToken("cs_status") });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, "in_transit");
+  assert.deepEqual(res.body.shipping.address, { city: "Wheeling", state: "WV", postal_code: "26003" });
+
+  const json = JSON.stringify(res.body);
+  for (const secret of ["Pat", "1 Main St", "Apt 2", "pat@example.com", "304-555-0100"]) {
+    assert.ok(!json.includes(secret), `response includes ${secret}`);
+  }
+});
+
+test("a tampered link is refused", async () => {
+  const res = await call({ order: "cs_status", token: signOrderToken("cs_other") });
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.code, "LINK_INVALID");
+});
@@ -0,0 +1,92 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import {
+  createKvAdapter,
+  createMemoryAdapter,
+  getOrder,
+  listOrders,
+  recordOrder,
+  setOrderStatus,
+  setOrderStorage,
+  updateOrder,
+} from "../api/lib/orders.js";
+import { createFakeKv } from "./fake-kv.js";
+
+const adapters = {
+  memory: () => createMemoryAdapter(),
+  kv: () => createKvAdapter({ client: createFakeKv() }),
+};
+
+for (const [name, create] of Object.entries(adapters)) {
+  describe(`${name} adapter`, () => {
+    beforeEach(() => setOrderStorage(create()));
+
+    test("recordOrder creates an order and merges webhook retries", async () => {
+      await recordOrder({ id: "cs_1", status: "paid", customer: { name: "Pat", email: "pat@example.com", phone: "" } });
+      await recordOrder({ id: "cs_1", status: "paid", promoCode: "HOLIDAY20" });
+
+      const order = await getOrder("cs_1");
+      assert.equal(order.customer.name, "Pat");
+      assert.equal(order.promoCode, "HOLIDAY20");
+      assert.deepEqual(order.statusHistory.map((h) => h.status), ["paid"]);
+    });
+
+    test("status changes append to the history; unknown orders stay unknown", async () => {
+      await recordOrder({ id: "cs_2", status: "paid" });
+      await setOrderStatus("cs_2", "label_created");
+      await setOrderStatus("cs_2", "label_created");
+      await setOrderStatus("cs_2", "label_created", { note: "reprinted" });
+
+      const order = await getOrder("cs_2");
+      assert.equal(order.status, "label_created");
+      assert.deepEqual(order.statusHistory.map((h) => h.note || h.status), ["paid", "label_created", "reprinted"]);
+
+      assert.equal(await setOrderStatus("cs_missing", "paid"), null);
+      assert.equal(await updateOrder("cs_missing", () => {}), null);
+      assert.equal(await getOrder("cs_missing"), null);
+    });
+
+    test("returned orders are copies", async () => {
+      await recordOrder({ id: "cs_3", status: "paid" });
+      const order = await getOrder("cs_3");
+      order.status = "canceled";
+      assert.equal((await getOrder("cs_3")).status, "paid");
+    });
+
+    test("listOrders filters and sorts newest first", async () => {
+      await recordOrder({ id: "cs_old", status: "paid", createdAt: "2026-01-01T00:00:00Z", paymentIntentId: "pi_1" });
+      await recordOrder({
+        id: "cs_new",
+        status: "shipped",
+        createdAt: "2026-02-01T00:00:00Z",
+        customer: { name: "", email: "Sam@Example.com", phone: "" },
+        shipments: [{ trackingCode: "TRK1" }],
+      });
+
+      assert.deepEqual((await listOrders()).map((o) => o.id), ["cs_new", "cs_old"]);
+      assert.deepEqual((await listOrders({ status: "paid" })).map((o) => o.id), ["cs_old"]);
+      assert.deepEqual((await listOrders({ email: "sam@example.com" })).map((o) => o.id), ["cs_new"]);
+      assert.deepEqual((await listOrders({ since: "2026-01-15" })).map((o) => o.id), ["cs_new"]);
+      assert.deepEqual((await listOrders({ paymentIntentId: "pi_1" })).map((o) => o.id), ["cs_old"]);
+      assert.deepEqual((await listOrders({ trackingCode: "TRK1" })).map((o) => o.id), ["cs_new"]);
+      assert.equal((await listOrders({ limit: 1 })).length, 1);
+    });
+  });
+}
+
+test("production refuses to keep orders without the shared store", () => {
+  const env = { ...process.env, NODE_ENV: "production" };
+  for (const name of ["KV_REST_API_URL", "KV_REST_API_TOKEN", "UPSTASH_REDIS_REST_URL", "UPSTASH_REDIS_REST_TOKEN"]) {
+    delete env[name];
+  }
+  const script =
+    'import { listOrders } from "./api/lib/orders.js";' +
+    "listOrders().then(() => console.log('listed'), (err) => console.log(err.message));";
+  const output = execFileSync(process.execPath, ["--input-type=module", "-e", script], {
+    cwd: new URL("..", import.meta.url),
+    env,
+    encoding: "utf8",
+  });
+  assert.match(output, /Shared storage is not configured/);
+});
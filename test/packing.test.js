@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { itemsFromOrderLines, packItems } from "../api/lib/packing.js";
+
+const jars = (qty, size = "6 oz", scent = "Apple Pie") => ({ qty, size, scent });
+
+test("a small order ships in the smallest box that holds it", () => {
+  const parcels = packItems([jars(2)]);
+  assert.equal(parcels.length, 1);
+  assert.equal(parcels[0].box, "small");
+  assert.equal(parcels[0].weightOz, 2 * 10 + 3);
+  assert.deepEqual(parcels[0].items, [{ size: "6 oz", scent: "Apple Pie", qty: 2 }]);
+});
+
+test("an order too big for the largest box is split, each parcel in its own box size", () => {
+  // Six 17 oz jars fill the large box's 12 slots; the seventh starts a new parcel
+  const parcels = packItems([jars(7, "17 oz")]);
+  assert.deepEqual(
+    parcels.map((p) => [p.box, p.items[0].qty, p.weightOz]),
+    [
+      ["large", 6, 6 * 24 + 6],
+      ["small", 1, 24 + 3],
+    ]
+  );
+});
+
+test("a parcel is also closed when the next item would go over the weight limit", () => {
+  const boxes = [{ name: "roomy", length: 10, width: 10, height: 10, slots: 100, maxWeightOz: 50, boxWeightOz: 0 }];
+  const parcels = packItems([jars(5, "12 oz")], { boxes });
+  assert.deepEqual(parcels.map((p) => p.items[0].qty), [2, 2, 1]);
+  assert.ok(parcels.every((p) => p.weightOz <= 50));
+});
+
+test("heavy jars are packed first and bundles ship as their components", () => {
+  const parcels = packItems([
+    { qty: 2, size: "bundle", scent: "Sampler", components: [{ size: "wax melt", qty: 2 }, { size: "6 oz", qty: 1 }] },
+  ]);
+  assert.equal(parcels.length, 1);
+  assert.equal(parcels[0].box, "standard");
+  assert.deepEqual(
+    parcels[0].items.map((i) => [i.size, i.qty]),
+    [
+      ["6 oz", 2],
+      ["wax melt", 4],
+    ]
+  );
+});
+
+test("an empty order still gets one parcel", () => {
+  const parcels = packItems([]);
+  assert.equal(parcels.length, 1);
+  assert.deepEqual(parcels[0].items, []);
+});
+
+test("order lines take their size from the field, else from the name", () => {
+  const items = itemsFromOrderLines([
+    { qty: 1, name: "Apple Pie • 12 oz" },
+    { qty: 2, name: "Lilac Bush Wax Melt" },
+    { qty: 1, name: "Cinnamon • 6 oz", size: "17 oz" },
+    { qty: 1, name: "Mystery Candle" },
+  ]);
+  assert.deepEqual(
+    items.map((i) => [i.scent, i.size, i.qty]),
+    [
+      ["Apple Pie", "12 oz", 1],
+      ["Lilac Bush Wax Melt", "wax melt", 2],
+      ["Cinnamon", "17 oz", 1],
+      ["Mystery Candle", "12 oz", 1],
+    ]
+  );
+});
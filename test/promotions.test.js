@@ -0,0 +1,62 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { setKvClient } from "../api/lib/storage.js";
+import {
+  applyPromoCode,
+  evaluatePromotion,
+  getPromotions,
+  promotionWindow,
+  recordRedemption,
+} from "../api/lib/promotions.js";
+import { createFakeKv } from "./fake-kv.js";
+
+const items = [{ qty: 2, scent: "Apple Pie", size: "6 oz", unit_amount: 1400 }];
+const promo = (fields) => ({ code: "TEST", type: "percent_off", percentOff: 10, ...fields });
+
+beforeEach(() => {
+  setKvClient(createFakeKv());
+  delete process.env.PROMOTIONS_JSON;
+});
+
+test("a date-only endsAt lasts through that day in Eastern time", () => {
+  const code = promo({ endsAt: "2026-12-26" });
+  // 11:30 pm on the 26th in New York is 04:30 UTC on the 27th
+  assert.equal(evaluatePromotion(code, items, { now: new Date("2026-12-27T04:30:00Z") }).discountCents, 280);
+  assert.throws(
+    () => evaluatePromotion(code, items, { now: new Date("2026-12-27T05:00:00Z") }),
+    /expired/
+  );
+});
+
+test("a date-only startsAt begins at midnight in Eastern time, DST included", () => {
+  assert.equal(promotionWindow(promo({ startsAt: "2026-07-04" })).startsAt, Date.parse("2026-07-04T04:00:00Z"));
+  assert.equal(promotionWindow(promo({ startsAt: "2026-11-25" })).startsAt, Date.parse("2026-11-25T05:00:00Z"));
+  assert.throws(
+    () => evaluatePromotion(promo({ startsAt: "2026-11-25" }), items, { now: new Date("2026-11-25T04:59:00Z") }),
+    /isn't active yet/
+  );
+});
+
+test("promotions with unparseable or backwards dates are dropped when loaded", () => {
+  process.env.PROMOTIONS_JSON = JSON.stringify([
+    promo({ code: "GOOD", startsAt: "2026-11-25", endsAt: "2026-12-26T12:00:00-05:00" }),
+    promo({ code: "TYPO", endsAt: "2026-13-01" }),
+    promo({ code: "WORDS", startsAt: "next friday" }),
+    promo({ code: "BACKWARDS", startsAt: "2026-12-26", endsAt: "2026-12-01" }),
+  ]);
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.deepEqual([...getPromotions().keys()], ["GOOD"]);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test("redemptions are counted in the shared store against maxRedemptions", async () => {
+  process.env.PROMOTIONS_JSON = JSON.stringify([promo({ code: "ONCE", maxRedemptions: 1 })]);
+  assert.equal((await applyPromoCode("once", items)).code, "ONCE");
+
+  assert.equal(await recordRedemption("once"), 1);
+  await assert.rejects(applyPromoCode("ONCE", items), /usage limit/);
+});
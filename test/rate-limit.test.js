@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkRateLimit } from "../api/lib/rate-limit.js";
+import { kvKey, setKvClient } from "../api/lib/storage.js";
+import { createFakeKv } from "./fake-kv.js";
+
+const req = (ip) => ({ headers: { "x-forwarded-for": `${ip}, 10.0.0.1` } });
+const opts = { bucket: "order-status", limit: 2, windowMs: 60_000 };
+
+test("the limit is counted in the shared KV, across instances", async () => {
+  const kv = createFakeKv();
+  setKvClient(kv);
+
+  assert.equal((await checkRateLimit(req("1.2.3.4"), opts)).allowed, true);
+  assert.equal((await checkRateLimit(req("1.2.3.4"), opts)).allowed, true);
+  const third = await checkRateLimit(req("1.2.3.4"), opts);
+  assert.equal(third.allowed, false);
+  assert.equal(third.retryAfterSeconds, 60);
+  assert.equal(kv.values.get(kvKey("rate:order-status:1.2.3.4")), "3");
+
+  // Other callers and other routes have their own counters
+  assert.equal((await checkRateLimit(req("5.6.7.8"), opts)).allowed, true);
+  assert.equal((await checkRateLimit(req("1.2.3.4"), { ...opts, bucket: "checkout-session" })).allowed, true);
+});
+
+test("the window resets once its key expires", async () => {
+  const kv = createFakeKv();
+  setKvClient(kv);
+  const short = { ...opts, limit: 1, windowMs: 20 };
+
+  assert.equal((await checkRateLimit(req("1.2.3.4"), short)).allowed, true);
+  assert.equal((await checkRateLimit(req("1.2.3.4"), short)).allowed, false);
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal((await checkRateLimit(req("1.2.3.4"), short)).allowed, true);
+});
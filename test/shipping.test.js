@@ -0,0 +1,97 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_SHIPPING_RULES, evaluateShipping, getShippingRules } from "../api/lib/shipping.js";
+
+const candles = (qty, size = "12 oz") => ({ qty, size });
+const melts = (qty) => ({ qty, size: "wax melt" });
+const price = (items, extra = {}) =>
+  evaluateShipping(DEFAULT_SHIPPING_RULES, { items, subtotalCents: 2000, ...extra });
+
+afterEach(() => {
+  delete process.env.SHIPPING_RULES_JSON;
+});
+
+test("candle tiers switch at 1 and 3 candles", () => {
+  assert.equal(price([candles(1)]).amountCents, 600);
+  assert.equal(price([candles(2)]).amountCents, 900);
+  assert.equal(price([candles(3)]).amountCents, 900);
+  assert.equal(price([candles(4)]).amountCents, 1200);
+  assert.equal(price([candles(2, "6 oz"), candles(2, "17 oz")]).amountCents, 1200);
+});
+
+test("wax-melt-only carts use the melt tiers, switching at 5 and 10", () => {
+  assert.equal(price([melts(5)]).amountCents, 600);
+  assert.equal(price([melts(6)]).amountCents, 900);
+  assert.equal(price([melts(10)]).amountCents, 900);
+  assert.equal(price([melts(11)]).amountCents, 1200);
+});
+
+test("with a candle in the cart, every 5 wax melts count as one candle (rounded up)", () => {
+  assert.equal(price([candles(1), melts(5)]).measure, 2);
+  assert.equal(price([candles(1), melts(5)]).amountCents, 900);
+  assert.equal(price([candles(2), melts(1)]).measure, 3);
+  assert.equal(price([candles(2), melts(6)]).measure, 4);
+  assert.equal(price([candles(2), melts(6)]).amountCents, 1200);
+});
+
+test("weight tables pick the tier by estimated ounces plus the box", () => {
+  const rules = {
+    ...DEFAULT_SHIPPING_RULES,
+    tables: [
+      {
+        basis: "weight",
+        tiers: [
+          { upTo: 16, amountCents: 500, label: "Up to 1 lb" },
+          { upTo: 32, amountCents: 800, label: "Up to 2 lb" },
+          { amountCents: 1100, label: "Over 2 lb" },
+        ],
+      },
+    ],
+  };
+  // 6 oz candle = 10 oz, box = 4 oz
+  const quote = (items) => evaluateShipping(rules, { items, subtotalCents: 0 });
+  assert.equal(quote([candles(1, "6 oz")]).measure, 14);
+  assert.equal(quote([candles(1, "6 oz")]).amountCents, 500);
+  assert.equal(quote([melts(2)]).measure, 16);
+  assert.equal(quote([melts(2)]).amountCents, 500);
+  assert.equal(quote([melts(3)]).amountCents, 800);
+  assert.equal(quote([candles(1, "6 oz"), melts(3)]).measure, 32);
+  assert.equal(quote([candles(1, "6 oz"), melts(3)]).amountCents, 800);
+  assert.equal(quote([candles(1, "17 oz"), melts(1)]).amountCents, 1100);
+  assert.equal(quote([candles(2, "12 oz")]).amountCents, 1100);
+});
+
+test("free shipping starts exactly at the threshold", () => {
+  const under = price([candles(4)], { subtotalCents: 9999 });
+  assert.equal(under.free, false);
+  assert.equal(under.amountCents, 1200);
+  assert.equal(under.freeShippingRemainingCents, 1);
+
+  const at = price([candles(4)], { subtotalCents: 10000 });
+  assert.equal(at.free, true);
+  assert.equal(at.amountCents, 0);
+  assert.equal(at.label, "Free Shipping (Orders $100+)");
+  assert.equal(at.freeShippingRemainingCents, null);
+});
+
+test("a free-shipping code waives the tier but not the state surcharge", () => {
+  const rules = { ...DEFAULT_SHIPPING_RULES, stateSurcharges: { AK: 1000 } };
+  const quote = evaluateShipping(rules, {
+    items: [candles(1)],
+    subtotalCents: 2000,
+    state: "ak",
+    freeShippingCode: "SHIPFREE",
+  });
+  assert.equal(quote.amountCents, 1000);
+  assert.equal(quote.label, "Free Shipping (SHIPFREE) + AK surcharge");
+});
+
+test("live rates are off unless configured", () => {
+  assert.equal(getShippingRules().liveRates.enabled, false);
+  assert.equal(getShippingRules().liveRates.quoteToZip, "");
+
+  process.env.SHIPPING_RULES_JSON = JSON.stringify({ liveRates: { enabled: true, quoteToZip: "98101" } });
+  const rules = getShippingRules();
+  assert.equal(rules.liveRates.enabled, true);
+  assert.equal(rules.liveRates.services.length, 2);
+});
@@ -0,0 +1,93 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { kvKey, setKvClient } from "../api/lib/storage.js";
+import { commitStock, getAvailability, releaseStock, reserveStock } from "../api/lib/stock.js";
+import { catalogFromCsv } from "../shared/catalog.js";
+import { createFakeKv } from "./fake-kv.js";
+
+const sheet = (qty) =>
+  catalogFromCsv(`candle name,size,price,quantity\nApple Pie,6 oz,14,${qty}\nLilac Bush,6 oz,14,5\n`);
+
+const APPLE = "apple-pie-6oz";
+
+function reserve(holdId, catalog, qty, expiresAt = Date.now() + 60_000) {
+  return reserveStock({
+    holdId,
+    items: [{ variantId: APPLE, qty, index: 0, label: "Apple Pie • 6 oz" }],
+    catalog,
+    expiresAt,
+  });
+}
+
+let kv;
+beforeEach(() => {
+  kv = createFakeKv();
+  setKvClient(kv);
+});
+
+test("reserved units are held until the hold expires or is released", async () => {
+  const catalog = sheet(3);
+  await reserve("hold_a", catalog, 2);
+  assert.equal((await getAvailability(catalog)).get(APPLE), 1);
+
+  await releaseStock("hold_a");
+  assert.equal((await getAvailability(catalog)).get(APPLE), 3);
+
+  await reserve("hold_b", catalog, 2, Date.now() - 1);
+  assert.equal((await getAvailability(catalog)).get(APPLE), 3);
+});
+
+test("reserving more than is left fails with a 409 and holds nothing", async () => {
+  const catalog = sheet(3);
+  await reserve("hold_a", catalog, 2);
+
+  await assert.rejects(reserve("hold_b", catalog, 2), (err) => {
+    assert.equal(err.statusCode, 409);
+    assert.equal(err.code, "CHECKOUT_OUT_OF_STOCK");
+    assert.deepEqual(err.items.map((i) => i.available), [1]);
+    return true;
+  });
+  assert.equal((await getAvailability(catalog)).get(APPLE), 1);
+});
+
+test("a sale counts until the sheet's quantity for it is edited", async () => {
+  await reserve("hold_a", sheet(3), 2);
+  await commitStock("hold_a", { sessionId: "cs_test_1" });
+
+  // Other rows or a re-fetch of the same sheet don't matter
+  assert.equal((await getAvailability(sheet(3))).get(APPLE), 1);
+
+  // Kelley subtracted the sale in the sheet
+  assert.equal((await getAvailability(sheet(1))).get(APPLE), 1);
+});
+
+test("a failed delayed payment gives a committed sale back", async () => {
+  const catalog = sheet(3);
+  await reserve("hold_a", catalog, 2);
+  await commitStock("hold_a");
+
+  await releaseStock("hold_a");
+  assert.equal((await getAvailability(catalog)).get(APPLE), 1);
+
+  await releaseStock("hold_a", { sold: true });
+  assert.equal((await getAvailability(catalog)).get(APPLE), 3);
+});
+
+test("an old sale isn't pruned while the sheet still doesn't count it", async () => {
+  await reserve("hold_a", sheet(3), 2);
+  await commitStock("hold_a", { sessionId: "cs_test_1" });
+
+  // Sold 40 days ago
+  const ledger = JSON.parse(kv.values.get(kvKey("stock")));
+  ledger.holds.hold_a.committedAt = Date.now() - 40 * 24 * 60 * 60 * 1000;
+  kv.values.set(kvKey("stock"), JSON.stringify(ledger));
+
+  // Another checkout prunes the ledger; the sheet hasn't been edited
+  await reserve("hold_b", sheet(3), 1);
+  await releaseStock("hold_b");
+  assert.equal((await getAvailability(sheet(3))).get(APPLE), 1);
+
+  // Once Kelley has updated the sheet, the old sale goes
+  await reserve("hold_c", sheet(1), 1);
+  assert.equal(JSON.parse(kv.values.get(kvKey("stock"))).holds.hold_a, undefined);
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createStore, kvKey, setKvClient, updateKvJson } from "../api/lib/storage.js";
+import { createFakeKv } from "./fake-kv.js";
+
+test("createStore keeps one JSON document in the shared KV", async () => {
+  const kv = createFakeKv();
+  setKvClient(kv);
+  const store = createStore("things");
+
+  assert.deepEqual(await store.read(), {});
+  const result = await store.update((state) => {
+    state.count = (state.count || 0) + 1;
+    return state.count;
+  });
+  assert.equal(result, 1);
+  assert.deepEqual(JSON.parse(kv.values.get(kvKey("things"))), { count: 1 });
+  assert.deepEqual(await store.read(), { count: 1 });
+});
+
+test("updateKvJson re-runs the mutation when another instance wrote first", async () => {
+  let interfere = true;
+  const kv = createFakeKv({
+    beforeWrite(key) {
+      if (!interfere) return;
+      interfere = false;
+      kv.values.set(key, JSON.stringify({ count: 10 }));
+    },
+  });
+  await kv.set("k", JSON.stringify({ count: 1 }));
+
+  let runs = 0;
+  const result = await updateKvJson(kv, "k", (current) => {
+    runs += 1;
+    return { value: { count: current.count + 1 }, result: current.count + 1 };
+  });
+
+  assert.equal(runs, 2);
+  assert.equal(result, 11);
+  assert.deepEqual(JSON.parse(await kv.get("k")), { count: 11 });
+});
+
+test("updateKvJson gives up with a 503 when the key never settles", async () => {
+  const kv = createFakeKv({
+    beforeWrite(key) {
+      kv.values.set(key, String(Math.random()));
+    },
+  });
+
+  await assert.rejects(
+    updateKvJson(kv, "busy", () => ({ value: { a: 1 }, result: null })),
+    (err) => err.statusCode === 503
+  );
+});
+
+test("a mutation that throws writes nothing", async () => {
+  const kv = createFakeKv();
+  setKvClient(kv);
+  const store = createStore("untouched");
+
+  await assert.rejects(
+    store.update((state) => {
+      state.changed = true;
+      throw new Error("nope");
+    }),
+    /nope/
+  );
+  assert.equal(kv.values.has(kvKey("untouched")), false);
+});
@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getStripeOrder, listStripeOrders, orderFromSession, sessionStatus } from "../api/lib/stripe-orders.js";
+
+const session = (fields = {}) => ({
+  id: "cs_test_abc12345",
+  status: "complete",
+  payment_status: "paid",
+  created: 1760000000,
+  currency: "usd",
+  amount_subtotal: 4800,
+  amount_total: 5650,
+  total_details: { amount_tax: 290 },
+  shipping_cost: { amount_total: 560, shipping_rate: { display_name: "USPS Ground Advantage" } },
+  customer_details: { name: "Pat", email: "pat@example.com", phone: "" },
+  shipping_details: { address: { line1: "1 Main St", city: "Wheeling", state: "WV", postal_code: "26003" } },
+  metadata: { fulfillment: "shipping" },
+  ...fields,
+});
+
+const lineItems = [{ description: "Apple Pie • 12 oz", quantity: 2, price: { unit_amount: 2400 }, amount_subtotal: 4800 }];
+
+// Just enough of the Stripe client; records every call
+function mockStripe(sessions) {
+  const calls = [];
+  const missing = () => Object.assign(new Error("No such checkout.session"), { statusCode: 404, code: "resource_missing" });
+  return {
+    calls,
+    checkout: {
+      sessions: {
+        async retrieve(id) {
+          calls.push(["retrieve", id]);
+          const found = sessions.find((s) => s.id === id);
+          if (!found) throw missing();
+          return found;
+        },
+        async listLineItems(id) {
+          calls.push(["listLineItems", id]);
+          return { data: lineItems };
+        },
+        async list(params) {
+          calls.push(["list", params]);
+          return { data: sessions.filter((s) => s.customer_details?.email === params.customer_details.email) };
+        },
+      },
+    },
+  };
+}
+
+test("only finished checkouts count as orders", () => {
+  assert.equal(sessionStatus(session()), "paid");
+  assert.equal(sessionStatus(session({ payment_status: "unpaid" })), "awaiting_payment");
+  assert.equal(sessionStatus(session({ metadata: { fulfillment: "pickup" } })), "awaiting_pickup");
+  assert.equal(sessionStatus(session({ status: "open" })), null);
+  assert.equal(sessionStatus(session({ status: "expired" })), null);
+});
+
+test("orderFromSession is shaped like a recorded order", () => {
+  const order = orderFromSession(session(), lineItems);
+  assert.equal(order.id, "cs_test_abc12345");
+  assert.equal(order.status, "paid");
+  assert.equal(order.customer.email, "pat@example.com");
+  assert.equal(order.shippingAddress.city, "Wheeling");
+  assert.equal(order.shippingMethod, "USPS Ground Advantage");
+  assert.deepEqual(order.items, [{ qty: 2, name: "Apple Pie • 12 oz", unit: 2400, line: 4800 }]);
+  assert.deepEqual(order.totals, { subtotal: 4800, shipping: 560, tax: 290, total: 5650, currency: "usd" });
+  assert.deepEqual(order.shipments, []);
+  assert.equal(order.createdAt, new Date(1760000000 * 1000).toISOString());
+});
+
+test("getStripeOrder reads the session and its line items", async () => {
+  const stripe = mockStripe([session()]);
+  const order = await getStripeOrder(stripe, "cs_test_abc12345");
+  assert.equal(order.items.length, 1);
+  assert.deepEqual(stripe.calls.map((c) => c[0]), ["retrieve", "listLineItems"]);
+});
+
+test("getStripeOrder is null for unknown, unfinished or non-session IDs", async () => {
+  const stripe = mockStripe([session({ id: "cs_test_open", status: "open" })]);
+  assert.equal(await getStripeOrder(stripe, "cs_test_nope"), null);
+  assert.equal(await getStripeOrder(stripe, "cs_test_open"), null);
+  assert.equal(await getStripeOrder(stripe, "../admin"), null);
+  assert.ok(!stripe.calls.some((c) => c[1] === "../admin"));
+});
+
+test("Stripe failures become a 502 instead of passing Stripe's message on", async () => {
+  const stripe = mockStripe([]);
+  stripe.checkout.sessions.retrieve = async () => {
+    throw Object.assign(new Error("Invalid API Key provided"), { statusCode: 401 });
+  };
+  await assert.rejects(getStripeOrder(stripe, "cs_test_abc12345"), (err) => err.statusCode === 502);
+});
+
+test("listStripeOrders finds a customer's finished checkouts by email", async () => {
+  const stripe = mockStripe([
+    session(),
+    session({ id: "cs_test_open0000", status: "open" }),
+    session({ id: "cs_test_other000", customer_details: { email: "sam@example.com" } }),
+  ]);
+  const orders = await listStripeOrders(stripe, "pat@example.com");
+  assert.deepEqual(orders.map((o) => o.id), ["cs_test_abc12345"]);
+});
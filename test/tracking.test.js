@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyTracker, deliveryDateSlipped, statusFromTracking } from "../api/lib/tracking.js";
+
+const box = (status, fields = {}) => ({ shipmentId: `shp_${status}`, tracking: status ? { status } : undefined, ...fields });
+const orderWith = (...shipments) => ({ shipments });
+
+test("a split order follows its slowest package", () => {
+  assert.equal(statusFromTracking(orderWith(box("delivered"), box("in_transit"))), "in_transit");
+  assert.equal(statusFromTracking(orderWith(box("delivered"), box("out_for_delivery"))), "out_for_delivery");
+  assert.equal(statusFromTracking(orderWith(box("delivered"), box("available_for_pickup"))), "out_for_delivery");
+  assert.equal(statusFromTracking(orderWith(box("delivered"), box("delivered"))), "delivered");
+});
+
+test("one box moving while another hasn't been scanned counts as in transit", () => {
+  assert.equal(statusFromTracking(orderWith(box("in_transit"), box(null))), "in_transit");
+  assert.equal(statusFromTracking(orderWith(box("pre_transit"), box(null))), null);
+  assert.equal(statusFromTracking(orderWith()), null);
+});
+
+test("any package in trouble makes the order an exception", () => {
+  assert.equal(statusFromTracking(orderWith(box("delivered"), box("return_to_sender"))), "exception");
+});
+
+test("voided labels are ignored", () => {
+  const order = orderWith(box("delivered"), box(null, { shipmentId: "shp_void", refundStatus: "submitted" }));
+  assert.equal(statusFromTracking(order), "delivered");
+});
+
+test("a tracker update lands on the matching shipment and keeps the previous tracking", () => {
+  const order = orderWith({ shipmentId: "shp_1", trackingCode: "TRK1", tracking: { status: "pre_transit" } });
+  const applied = applyTracker(order, { shipment_id: "shp_1", status: "in_transit", public_url: "https://track/1" });
+  assert.equal(applied.previous.status, "pre_transit");
+  assert.equal(order.shipments[0].tracking.status, "in_transit");
+  assert.equal(order.shipments[0].trackingUrl, "https://track/1");
+  assert.equal(applyTracker(order, { tracking_code: "OTHER" }), null);
+});
+
+test("a delivery date has slipped only when it moved a day or more later", () => {
+  const est = (date) => ({ estDeliveryDate: date });
+  assert.equal(deliveryDateSlipped(est("2026-10-20T00:00:00Z"), est("2026-10-21T00:00:00Z")), true);
+  assert.equal(deliveryDateSlipped(est("2026-10-20T00:00:00Z"), est("2026-10-20T18:00:00Z")), false);
+  assert.equal(deliveryDateSlipped(est("2026-10-21T00:00:00Z"), est("2026-10-20T00:00:00Z")), false);
+  assert.equal(deliveryDateSlipped(null, est("2026-10-21T00:00:00Z")), false);
+  assert.equal(deliveryDateSlipped(est("2026-10-20T00:00:00Z"), est(null)), false);
+});
@@ -0,0 +1,36 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { setKvClient } from "../api/lib/storage.js";
+import {
+  claimEvent,
+  completeEvent,
+  getEventSteps,
+  markEventStep,
+  releaseEvent,
+} from "../api/lib/webhook-events.js";
+import { createFakeKv } from "./fake-kv.js";
+
+beforeEach(() => setKvClient(createFakeKv()));
+
+test("an event is claimed once, then reported as processing or done", async () => {
+  assert.equal(await claimEvent("evt_1", "checkout.session.completed"), "claimed");
+  assert.equal(await claimEvent("evt_1"), "processing");
+  await completeEvent("evt_1");
+  assert.equal(await claimEvent("evt_1"), "done");
+});
+
+test("a released claim can run again and keeps the steps already done", async () => {
+  await claimEvent("evt_2");
+  await markEventStep("evt_2", "storeNotified");
+  await releaseEvent("evt_2");
+
+  assert.equal(await claimEvent("evt_2"), "claimed");
+  assert.ok((await getEventSteps("evt_2")).storeNotified);
+});
+
+test("a released claim without steps is forgotten", async () => {
+  await claimEvent("evt_3");
+  await releaseEvent("evt_3");
+  assert.deepEqual(await getEventSteps("evt_3"), {});
+  assert.equal(await claimEvent("evt_3"), "claimed");
+});